@@ -6,14 +6,45 @@
  */
 import Simulation from './core/Simulation.js';
 import Vector3 from './core/Vector3.js';
-import Renderer3D from './rendering/Renderer3D.js';
-import { INPUT, PHYSICS } from './config.js';
+import DiagnosticsHistory from './core/DiagnosticsHistory.js';
+import Recorder from './core/Recorder.js';
+import Replayer from './core/Replayer.js';
+import Renderer3D, { OVERLAYS } from './rendering/Renderer3D.js';
+import { TRAIL_COLORINGS } from './rendering/trailLines.js';
+import EnergyChart from './rendering/EnergyChart.js';
+import PhysicsClient, { CLIENT_EVENTS } from './worker/PhysicsClient.js';
+import { listIntegrators } from './core/integrators.js';
+import { getBodyType, listBodyTypes } from './core/bodyTypes.js';
+import { COLLISION_MODELS } from './core/collisions.js';
+import { BOUNDARY_POLICIES } from './core/boundary.js';
+import { hasHorizon } from './core/blackHoles.js';
+import { SIM_EVENTS } from './core/events.js';
+import { elementsAroundAttractor, orbitLaunch } from './core/orbitalElements.js';
+import { predictTrajectory } from './core/predictor.js';
+import { DEFAULT_PLANE, launchVelocity, liftPlane, orbitalPlane } from './core/placement.js';
+import { FRAME_MODES } from './core/referenceFrames.js';
+import { setTrailLength } from './core/trails.js';
+import { buildScenario, getScenario, listScenarios } from './core/scenarios.js';
+import { sceneFromFragment, sceneToFragment } from './core/sceneCodec.js';
+import { DIAGNOSTICS, INPUT, PHYSICS, REPLAY, TOASTS } from './config.js';
 
 /* ── Instances ── */
 
+/*
+ * `?worker` in the URL moves the physics onto a Web Worker. The client
+ * mirrors the Simulation API that this file uses, so the rest of the
+ * wiring is identical in both modes.
+ */
+const useWorker = new URLSearchParams(location.search).has('worker')
+    && typeof Worker !== 'undefined';
+
 const canvas = document.getElementById('sim-canvas');
-const sim = new Simulation();
+const sim = useWorker
+    ? new PhysicsClient(new Worker(new URL('./worker/physics.worker.js', import.meta.url), { type: 'module' }))
+    : new Simulation();
 const renderer = new Renderer3D(canvas);
+const diagnostics = new DiagnosticsHistory();
+const energyChart = new EnergyChart(document.getElementById('energy-chart'));
 
 /* ── State ── */
 
@@ -24,60 +55,544 @@ let lastTime = performance.now();
 let fpsSmooth = 60;
 let hintDismissed = false;
 
+/** @type {?Recorder} Set while recording; every edit goes through it. */
+let recorder = null;
+
+/** @type {?Replayer} Set while reviewing a finished recording. */
+let replay = null;
+let replayPlaying = false;
+
+/** Wall-clock seconds (× timeScale) not yet spent on fixed ticks. */
+let tickAccumulator = 0;
+
+/** Body shown in the inspector, if any. */
+let selectedBody = null;
+
+/** 'free' launches with the drag; 'prograde'/'retrograde' snap to an orbit. */
+let placement = 'free';
+let eccentricity = 0;
+
+/** Radians a free launch leaves the placement plane by. */
+let launchTilt = 0;
+
+/** Plane new bodies are placed on, before lifting it by `planeHeight`. */
+let basePlane = DEFAULT_PLANE;
+let planeHeight = 0;
+
 /* ── UI References ── */
 
 const ui = {
-    bodyBtns: document.querySelectorAll('.body-btn'),
+    bodyPicker: document.getElementById('body-picker'),
     btnClear: document.getElementById('btn-clear'),
+    selectScenario: document.getElementById('select-scenario'),
     btnPause: document.getElementById('btn-pause'),
+    btnRecord: document.getElementById('btn-record'),
+    recordIcon: document.getElementById('record-icon'),
+    recordLabel: document.getElementById('record-label'),
+    btnSave: document.getElementById('btn-save'),
+    btnLoad: document.getElementById('btn-load'),
+    inputLoad: document.getElementById('input-load'),
+    btnShare: document.getElementById('btn-share'),
+    shareLabel: document.getElementById('share-label'),
     pauseIcon: document.getElementById('pause-icon'),
     pauseLabel: document.getElementById('pause-label'),
     hint: document.getElementById('hint-overlay'),
+    toastStack: document.getElementById('toast-stack'),
     infoCount: document.getElementById('info-count'),
+    infoBound: document.getElementById('info-bound'),
+    infoUnbound: document.getElementById('info-unbound'),
     infoTime: document.getElementById('info-time'),
     infoFps: document.getElementById('info-fps'),
+    energyPanel: document.getElementById('energy-panel'),
+    energyDrift: document.getElementById('energy-drift'),
+    energyMomentum: document.getElementById('energy-momentum'),
+    energyAngular: document.getElementById('energy-angular'),
+    selectCamera: document.getElementById('select-camera'),
+    selectTrailReference: document.getElementById('select-trail-reference'),
+    selectTrailColoring: document.getElementById('select-trail-coloring'),
+    groupOverlays: document.getElementById('group-overlays'),
     sliderTrail: document.getElementById('slider-trail'),
     sliderSpeed: document.getElementById('slider-speed'),
     sliderGravity: document.getElementById('slider-gravity'),
+    selectIntegrator: document.getElementById('select-integrator'),
+    selectCollisions: document.getElementById('select-collisions'),
+    groupRestitution: document.getElementById('group-restitution'),
+    sliderRestitution: document.getElementById('slider-restitution'),
+    restitutionValue: document.getElementById('restitution-value'),
+    selectBoundary: document.getElementById('select-boundary'),
+    groupBoundaryRadius: document.getElementById('group-boundary-radius'),
+    sliderBoundaryRadius: document.getElementById('slider-boundary-radius'),
+    boundaryRadiusValue: document.getElementById('boundary-radius-value'),
+    selectPlacement: document.getElementById('select-placement'),
+    groupEccentricity: document.getElementById('group-eccentricity'),
+    sliderEccentricity: document.getElementById('slider-eccentricity'),
+    eccentricityValue: document.getElementById('eccentricity-value'),
+    groupTilt: document.getElementById('group-tilt'),
+    sliderTilt: document.getElementById('slider-tilt'),
+    tiltValue: document.getElementById('tilt-value'),
+    planeValue: document.getElementById('plane-value'),
+    btnResetPlane: document.getElementById('btn-reset-plane'),
+    btnAlignPlane: document.getElementById('btn-align-plane'),
+    timeline: document.getElementById('timeline'),
+    btnReplayPlay: document.getElementById('btn-replay-play'),
+    replayPlayIcon: document.getElementById('replay-play-icon'),
+    replayScrubber: document.getElementById('replay-scrubber'),
+    replayTime: document.getElementById('replay-time'),
+    btnReplayExit: document.getElementById('btn-replay-exit'),
+    inspector: document.getElementById('inspector'),
+    inspectorSwatch: document.getElementById('inspector-swatch'),
+    inspectorTitle: document.getElementById('inspector-title'),
+    btnInspectorClose: document.getElementById('btn-inspector-close'),
+    inspectorEdit: document.getElementById('inspector-edit'),
+    editType: document.getElementById('edit-type'),
+    editMass: document.getElementById('edit-mass'),
+    editRadius: document.getElementById('edit-radius'),
+    editVel: ['vx', 'vy', 'vz'].map(key => document.getElementById(`edit-${key}`)),
+    editColor: document.getElementById('edit-color'),
+    editKeepMomentum: document.getElementById('edit-keep-momentum'),
+    btnPin: document.getElementById('btn-pin'),
+    btnDelete: document.getElementById('btn-delete'),
+    inspectorFields: Object.fromEntries(
+        ['mass', 'speed', 'bound', 'attractor', 'a', 'e', 'i', 'period', 'periapsis', 'apoapsis']
+            .map(key => [key, document.getElementById(`inspector-${key}`)]),
+    ),
 };
 
 /* ── UI Event Wiring ── */
 
-ui.bodyBtns.forEach(btn => {
-    btn.addEventListener('click', () => {
-        ui.bodyBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        selectedType = btn.dataset.type;
-    });
-});
+/* One picker button per registered body type, in registration order */
+for (const { name, label, key } of listBodyTypes()) {
+    const btn = document.createElement('button');
+    btn.className = 'body-btn';
+    btn.dataset.type = name;
+    btn.title = key ? `${label} (${key})` : label;
+    const preview = document.createElement('span');
+    preview.className = 'body-preview';
+    preview.style.setProperty('--preview', getBodyType(name).palette[0].color);
+    btn.append(preview, label);
+    btn.addEventListener('click', () => selectType(name));
+    ui.bodyPicker.append(btn);
+}
+selectType(selectedType);
 
-ui.btnClear.addEventListener('click', () => sim.clear());
+ui.btnClear.addEventListener('click', () => {
+    if (replay) return;
+    if (recorder) {
+        recorder.clear();
+    } else {
+        sim.clear();
+    }
+    diagnostics.clear();
+});
 
 ui.btnPause.addEventListener('click', () => {
+    if (replay) {
+        ui.btnReplayPlay.click();
+        return;
+    }
     sim.paused = !sim.paused;
     ui.pauseIcon.textContent = sim.paused ? '▶' : '❚❚';
     ui.pauseLabel.textContent = sim.paused ? 'Play' : 'Pause';
 });
 
-ui.sliderTrail.addEventListener('input', () => {
-    const val = parseInt(ui.sliderTrail.value, 10);
-    for (const body of sim.bodies) {
-        body.maxTrail = val;
-        if (body.trail.length > val) {
-            body.trail = body.trail.slice(-val);
+ui.btnSave.addEventListener('click', () => {
+    const json = JSON.stringify(sim.toJSON({ trails: true }));
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `orbital-playground-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+});
+
+for (const { name, label } of listScenarios()) {
+    ui.selectScenario.add(new Option(label, name));
+}
+
+/*
+ * Scenarios are built on a scratch Simulation and loaded like a save file,
+ * which also works when the real one lives in the worker. The current
+ * settings carry over, except for constants that belong to other units.
+ */
+ui.selectScenario.addEventListener('change', () => {
+    const name = ui.selectScenario.value;
+    ui.selectScenario.value = '';
+    if (!name) return;
+
+    const { options = {} } = getScenario(name);
+    const sameUnits = (options.units ?? 'game') === sim.units;
+    const scene = new Simulation({
+        ...(sameUnits ? { G: sim.G, softening: sim.softening } : {}),
+        substeps: sim.substeps,
+        integrator: sim.integrator,
+        collisions: sim.collisions,
+        restitution: sim.restitution,
+        boundary: sim.boundary,
+        boundaryRadius: sim.boundaryRadius,
+        ...options,
+    });
+    buildScenario(scene, name);
+    leaveRecordingModes();
+    sim.load(scene.toJSON());
+    diagnostics.clear();
+    syncControls();
+});
+
+ui.btnLoad.addEventListener('click', () => ui.inputLoad.click());
+
+ui.inputLoad.addEventListener('change', async () => {
+    const file = ui.inputLoad.files[0];
+    ui.inputLoad.value = '';
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        leaveRecordingModes();
+        sim.load(text);
+    } catch (err) {
+        alert(`Could not load "${file.name}": ${err.message}`);
+        return;
+    }
+    diagnostics.clear();
+    syncControls();
+});
+
+ui.btnShare.addEventListener('click', async () => {
+    /* replaceState rather than location.hash, so our own hashchange handler stays quiet */
+    const fragment = await sceneToFragment(sim.toJSON());
+    history.replaceState(null, '', fragment);
+    try {
+        await navigator.clipboard.writeText(location.href);
+        ui.shareLabel.textContent = 'Link copied';
+    } catch {
+        ui.shareLabel.textContent = 'Link in address bar';
+    }
+    setTimeout(() => { ui.shareLabel.textContent = 'Share'; }, 2000);
+});
+
+/* A pasted link in an already-open tab only changes the fragment */
+window.addEventListener('hashchange', () => restoreScene());
+
+/**
+ * Load the scene carried by the URL fragment, if any.
+ * A corrupted fragment is dropped and the demo scene shown instead.
+ * @returns {Promise<boolean>} Whether a scene was restored.
+ */
+async function restoreScene() {
+    try {
+        const scene = await sceneFromFragment(location.hash);
+        if (!scene) return false;
+        leaveRecordingModes();
+        sim.load(scene);
+    } catch {
+        history.replaceState(null, '', location.pathname + location.search);
+        leaveRecordingModes();
+        sim.createDemoScene();
+    }
+    diagnostics.clear();
+    syncControls();
+    return true;
+}
+
+/** Bring the control panel in line with a freshly loaded simulation. */
+function syncControls() {
+    ui.sliderGravity.value = sim.G / 100;
+    /* The slider spans game-unit values; real units keep the real G */
+    ui.sliderGravity.disabled = sim.units !== 'game';
+    ui.selectIntegrator.value = sim.integrator;
+    ui.selectCollisions.value = sim.collisions;
+    ui.sliderRestitution.value = sim.restitution;
+    showCollisionSettings();
+    ui.selectBoundary.value = sim.boundary;
+    ui.sliderBoundaryRadius.value = sim.boundaryRadius;
+    showBoundarySettings();
+    ui.sliderTrail.dispatchEvent(new Event('input'));
+    /* A plane aligned to an old body, or in old units, means nothing now */
+    setPlacementPlane(DEFAULT_PLANE, 0);
+}
+
+/** Show the restitution slider only for bouncing collisions. */
+function showCollisionSettings() {
+    ui.groupRestitution.classList.toggle('hidden', sim.collisions !== 'bounce');
+    ui.restitutionValue.textContent = sim.restitution.toFixed(2);
+}
+
+/** Show the boundary radius only when something happens at the boundary. */
+function showBoundarySettings() {
+    ui.groupBoundaryRadius.classList.toggle('hidden', sim.boundary === 'keep');
+    ui.boundaryRadiusValue.textContent = sim.boundaryRadius;
+}
+
+for (const [mode, label] of Object.entries(FRAME_MODES)) {
+    ui.selectCamera.add(new Option(label, mode));
+}
+
+ui.selectCamera.addEventListener('change', () => setCameraMode(ui.selectCamera.value));
+
+/* Trails keep world positions; switching what they are drawn relative to loses nothing */
+ui.selectTrailReference.addEventListener('change', () => {
+    const choice = ui.selectTrailReference.value;
+    if (choice === 'body' && !selectedBody) {
+        showToast('Select a body first');
+        ui.selectTrailReference.value = trailReferenceChoice();
+        return;
+    }
+    renderer.trailReference = { world: null, camera: 'camera', body: selectedBody }[choice];
+});
+
+for (const [overlay, label] of Object.entries(OVERLAYS)) {
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.addEventListener('change', () => renderer.setOverlay(overlay, check.checked));
+    const row = document.createElement('label');
+    row.className = 'control-check';
+    row.append(check, ` ${label}`);
+    ui.groupOverlays.append(row);
+}
+
+for (const [coloring, label] of Object.entries(TRAIL_COLORINGS)) {
+    ui.selectTrailColoring.add(new Option(label, coloring));
+}
+
+ui.selectTrailColoring.addEventListener('change', () => {
+    renderer.trailColoring = ui.selectTrailColoring.value;
+});
+
+/** @returns {string} The trail reference picker value for what the renderer is using. */
+function trailReferenceChoice() {
+    const reference = renderer.trailReference;
+    return reference === null ? 'world' : reference === 'camera' ? 'camera' : 'body';
+}
+
+/**
+ * Move the camera into a reference frame. Following needs a selected
+ * body, and co-rotating pairs the selected body with the one it orbits.
+ * @param {string} mode - A key of `FRAME_MODES`.
+ */
+function setCameraMode(mode) {
+    let bodies;
+    if (mode === 'follow' || mode === 'corotating') {
+        const orbit = selectedBody && elementsAroundAttractor(viewedSim(), selectedBody);
+        if (!selectedBody || (mode === 'corotating' && !orbit)) {
+            showToast(selectedBody ? 'The selected body orbits nothing to co-rotate with' : 'Select a body first');
+            ui.selectCamera.value = renderer.cameraFrame.mode;
+            return;
         }
+        bodies = mode === 'follow' ? [selectedBody] : [orbit.attractor, selectedBody];
     }
+    renderer.setCameraFrame({ mode, bodies });
+    ui.selectCamera.value = mode;
+}
+
+ui.sliderTrail.addEventListener('input', () => {
+    const val = parseInt(ui.sliderTrail.value, 10);
+    for (const body of viewedSim().bodies) setTrailLength(body, val);
 });
 
+/**
+ * Give bodies added to `simulation` from now on the trail length on the
+ * slider, not the default one.
+ * @param {Simulation|PhysicsClient} simulation
+ */
+function followTrailSlider(simulation) {
+    simulation.on(SIM_EVENTS.BODY_ADDED, ({ body }) => {
+        setTrailLength(body, parseInt(ui.sliderTrail.value, 10));
+    });
+}
+
+followTrailSlider(sim);
+
 ui.sliderSpeed.addEventListener('input', () => {
     timeScale = parseFloat(ui.sliderSpeed.value);
+    if (useWorker) sim.setTimeScale(timeScale);
 });
 
 ui.sliderGravity.addEventListener('input', () => {
-    sim.G = parseFloat(ui.sliderGravity.value) * 100;
+    const G = parseFloat(ui.sliderGravity.value) * 100;
+    if (recorder) {
+        recorder.setG(G);
+    } else {
+        sim.G = G;
+    }
+});
+
+for (const { name, label } of listIntegrators()) {
+    ui.selectIntegrator.add(new Option(label, name, false, name === sim.integrator));
+}
+
+ui.selectIntegrator.addEventListener('change', () => {
+    if (recorder) {
+        recorder.setIntegrator(ui.selectIntegrator.value);
+    } else {
+        sim.integrator = ui.selectIntegrator.value;
+    }
+});
+
+for (const [name, label] of Object.entries(COLLISION_MODELS)) {
+    ui.selectCollisions.add(new Option(label, name, false, name === sim.collisions));
+}
+
+ui.selectCollisions.addEventListener('change', () => {
+    if (recorder) {
+        recorder.setCollisions(ui.selectCollisions.value);
+    } else {
+        sim.collisions = ui.selectCollisions.value;
+    }
+    showCollisionSettings();
+});
+
+ui.sliderRestitution.addEventListener('input', () => {
+    const restitution = parseFloat(ui.sliderRestitution.value);
+    if (recorder) {
+        recorder.setRestitution(restitution);
+    } else {
+        sim.restitution = restitution;
+    }
+    showCollisionSettings();
+});
+
+for (const [name, label] of Object.entries(BOUNDARY_POLICIES)) {
+    ui.selectBoundary.add(new Option(label, name, false, name === sim.boundary));
+}
+
+/** Apply the boundary controls, through the recorder while recording. */
+function applyBoundary() {
+    const boundary = ui.selectBoundary.value;
+    const boundaryRadius = parseFloat(ui.sliderBoundaryRadius.value);
+    if (recorder) {
+        recorder.setBoundary(boundary, boundaryRadius);
+    } else {
+        sim.boundary = boundary;
+        sim.boundaryRadius = boundaryRadius;
+    }
+    showBoundarySettings();
+}
+
+ui.selectBoundary.addEventListener('change', applyBoundary);
+ui.sliderBoundaryRadius.addEventListener('input', applyBoundary);
+
+ui.selectPlacement.addEventListener('change', () => {
+    placement = ui.selectPlacement.value;
+    ui.groupEccentricity.classList.toggle('hidden', placement === 'free');
+    ui.groupTilt.classList.toggle('hidden', placement !== 'free');
+});
+
+ui.sliderEccentricity.addEventListener('input', () => {
+    eccentricity = parseFloat(ui.sliderEccentricity.value);
+    ui.eccentricityValue.textContent = eccentricity.toFixed(2);
 });
 
-/* ── Body Placement (click on canvas → raycast to XZ plane) ── */
+ui.sliderTilt.addEventListener('input', () => {
+    const degrees = parseFloat(ui.sliderTilt.value);
+    launchTilt = degrees * Math.PI / 180;
+    ui.tiltValue.textContent = `${degrees}°`;
+});
+
+ui.btnResetPlane.addEventListener('click', () => setPlacementPlane(DEFAULT_PLANE, 0));
+
+ui.btnAlignPlane.addEventListener('click', () => {
+    const orbit = elementsAroundAttractor(viewedSim(), selectedBody);
+    const plane = orbit && orbitalPlane(selectedBody, orbit.attractor);
+    if (plane) setPlacementPlane(plane, 0);
+});
+
+/* ── Recording & Replay ── */
+
+/*
+ * Recording switches the live simulation to fixed ticks and routes every
+ * edit through the Recorder. Stopping opens the log in a Replayer on its
+ * own Simulation, with a scrubber; "Live" returns to the untouched live
+ * simulation, which stays frozen at the moment recording stopped.
+ */
+
+ui.btnRecord.addEventListener('click', () => {
+    if (replay) return;
+    if (recorder) {
+        const log = recorder.log;
+        setRecording(null);
+        enterReplay(log);
+    } else {
+        setRecording(new Recorder(sim));
+    }
+});
+
+ui.btnReplayPlay.addEventListener('click', () => {
+    if (replay.ended) replay.seek(0);
+    setReplayPlaying(!replayPlaying);
+});
+
+ui.replayScrubber.addEventListener('input', () => {
+    setReplayPlaying(false);
+    replay.seek(parseInt(ui.replayScrubber.value, 10));
+    diagnostics.clear();
+    updateTimeline();
+});
+
+ui.btnReplayExit.addEventListener('click', () => leaveRecordingModes());
+
+/** @param {?Recorder} next */
+function setRecording(next) {
+    recorder = next;
+    tickAccumulator = 0;
+    ui.btnRecord.classList.toggle('recording', !!next);
+    ui.recordIcon.textContent = next ? '■' : '●';
+    ui.recordLabel.textContent = next ? 'Stop' : 'Record';
+}
+
+/** @param {object} log - Recorder log to review. */
+function enterReplay(log) {
+    replay = new Replayer(log);
+    followTrailSlider(replay.sim);
+    ui.sliderTrail.dispatchEvent(new Event('input'));
+    ui.replayScrubber.max = log.length;
+    ui.timeline.classList.remove('hidden');
+    ui.btnRecord.disabled = true;
+    diagnostics.clear();
+    setReplayPlaying(true);
+    updateTimeline();
+}
+
+/** Abandon any recording or replay and return to the live simulation. */
+function leaveRecordingModes() {
+    if (recorder) setRecording(null);
+    if (!replay) return;
+    replay = null;
+    replayPlaying = false;
+    ui.timeline.classList.add('hidden');
+    ui.btnRecord.disabled = false;
+    diagnostics.clear();
+}
+
+function setReplayPlaying(playing) {
+    replayPlaying = playing;
+    tickAccumulator = 0;
+    ui.replayPlayIcon.textContent = playing ? '❚❚' : '▶';
+}
+
+function updateTimeline() {
+    const dt = replay.log.fixedDt;
+    ui.replayScrubber.value = replay.tick;
+    ui.replayTime.textContent = `${(replay.tick * dt).toFixed(1)}s / ${(replay.length * dt).toFixed(1)}s`;
+}
+
+/**
+ * Whole fixed ticks owed for `delta` ms of wall time at the current speed.
+ * @param {number} delta
+ * @returns {number}
+ */
+function fixedTicks(delta) {
+    const cap = REPLAY.MAX_TICKS_PER_FRAME * REPLAY.FIXED_DT;
+    tickAccumulator = Math.min(tickAccumulator + (delta / 1000) * timeScale, cap);
+    const ticks = Math.floor(tickAccumulator / REPLAY.FIXED_DT);
+    tickAccumulator -= ticks * REPLAY.FIXED_DT;
+    return ticks;
+}
+
+/** @returns {Simulation} The simulation on screen (the replay's while reviewing). */
+function viewedSim() {
+    return replay ? replay.sim : sim;
+}
+
+/* ── Body Placement (click on canvas → raycast to the placement plane) ── */
 
 function dismissHint() {
     if (!hintDismissed) {
@@ -94,7 +609,73 @@ function screenToNDC(x, y) {
     };
 }
 
+/** @returns {import('./core/placement.js').Plane} The plane new bodies go on. */
+function placementPlane() {
+    return liftPlane(basePlane, planeHeight);
+}
+
+/**
+ * Move the placement plane and show its height.
+ * @param {import('./core/placement.js').Plane} plane
+ * @param {number} height - Along the plane's normal, in simulation units.
+ */
+function setPlacementPlane(plane, height) {
+    basePlane = plane;
+    planeHeight = height;
+    ui.planeValue.textContent = formatQuantity(height, 1, 'length');
+    ui.btnResetPlane.classList.toggle('hidden', plane === DEFAULT_PLANE && height === 0);
+}
+
+/**
+ * Mark where a body would go, while the plane is off the grid. On the
+ * grid itself the marker would only repeat the cursor.
+ * @param {?Vector3} point
+ */
+function showPlacementGuide(point) {
+    const onGrid = basePlane === DEFAULT_PLANE && planeHeight === 0;
+    renderer.setPlacementGuide(point && !onGrid && !replay ? { point, plane: placementPlane() } : null);
+}
+
+/**
+ * Velocity for a body placed at `pos` by a drag ending at `end`. The snap
+ * modes ignore the drag and launch onto an orbit around the dominant
+ * attractor at `pos`, in the placement plane, falling back to the drag if
+ * there is none. A free launch leaves the plane at the launch tilt.
+ * @param {Vector3} pos
+ * @param {Vector3} end
+ * @returns {Vector3}
+ */
+function placementVelocity(pos, end) {
+    const plane = placementPlane();
+    if (placement !== 'free') {
+        /* The mass addBody will give it, so the right attractor dominates */
+        const mass = getBodyType(selectedType).mass * sim.unitSystem.presetMass;
+        const launch = orbitLaunch(sim, pos, mass, {
+            eccentricity,
+            retrograde: placement === 'retrograde',
+            /* Prograde orbits circulate about the plane's downward normal */
+            normal: plane.normal.scale(-1),
+        });
+        if (launch) return launch.velocity;
+    }
+    return launchVelocity(pos, end, plane, { tilt: launchTilt, units: sim.unitSystem });
+}
+
+/** Where the current drag started and where the pointer is now. */
 let dragStart = null;
+let dragEnd = null;
+
+/** Redraw the ghost trajectory for the body being dragged out. */
+function updatePrediction() {
+    const vel = placementVelocity(dragStart, dragEnd);
+    renderer.setPrediction(predictTrajectory(sim, { type: selectedType, pos: dragStart, vel }));
+}
+
+function endDrag() {
+    dragStart = null;
+    dragEnd = null;
+    renderer.setPrediction(null);
+}
 
 canvas.addEventListener('pointerdown', (e) => {
     /* Ignore right-click and middle-click (used by OrbitControls) */
@@ -103,62 +684,318 @@ canvas.addEventListener('pointerdown', (e) => {
     /* Ignore if the camera is being dragged (shift/ctrl held) */
     if (e.shiftKey || e.ctrlKey || e.metaKey) return;
 
+    /* Clicking an existing body inspects it instead of placing a new one */
     const ndc = screenToNDC(e.clientX, e.clientY);
-    const worldPos = renderer.raycastToPlane(ndc.x, ndc.y);
+    const picked = renderer.pickBody(ndc.x, ndc.y);
+    if (picked) {
+        dismissHint();
+        selectBody(picked);
+        return;
+    }
+
+    /* A replay only shows what was recorded */
+    if (replay) return;
+
+    const worldPos = renderer.raycastToPlane(ndc.x, ndc.y, placementPlane());
 
     if (worldPos) {
         dismissHint();
         dragStart = worldPos;
+        dragEnd = worldPos;
     }
 });
 
+canvas.addEventListener('pointermove', (e) => {
+    const ndc = screenToNDC(e.clientX, e.clientY);
+    const point = renderer.raycastToPlane(ndc.x, ndc.y, placementPlane());
+    if (dragStart) {
+        dragEnd = point ?? dragEnd;
+    } else {
+        showPlacementGuide(point);
+    }
+});
+
+canvas.addEventListener('pointerleave', () => showPlacementGuide(null));
+
 canvas.addEventListener('pointerup', (e) => {
     if (e.button !== 0 || !dragStart) return;
 
     const ndc = screenToNDC(e.clientX, e.clientY);
-    const worldEnd = renderer.raycastToPlane(ndc.x, ndc.y);
-
-    if (worldEnd && dragStart) {
-        const dx = worldEnd.x - dragStart.x;
-        const dz = worldEnd.z - dragStart.z;
-        let vx = dx * INPUT.DRAG_VELOCITY_SCALE;
-        let vz = dz * INPUT.DRAG_VELOCITY_SCALE;
-
-        /* Clamp to max launch speed */
-        const speed = Math.sqrt(vx * vx + vz * vz);
-        if (speed > INPUT.MAX_LAUNCH_SPEED) {
-            const ratio = INPUT.MAX_LAUNCH_SPEED / speed;
-            vx *= ratio;
-            vz *= ratio;
-        }
+    const worldEnd = renderer.raycastToPlane(ndc.x, ndc.y, placementPlane());
 
-        const pos = new Vector3(dragStart.x, 0, dragStart.z);
-        const vel = new Vector3(vx, 0, vz);
-        sim.addBody(selectedType, pos, vel);
+    if (worldEnd) {
+        const vel = placementVelocity(dragStart, worldEnd);
+        if (recorder) {
+            recorder.addBody(selectedType, dragStart, vel);
+        } else {
+            sim.addBody(selectedType, dragStart, vel);
+        }
     }
 
-    dragStart = null;
+    endDrag();
 });
 
+/*
+ * Alt+scroll raises or lowers the placement plane. This listener runs in
+ * the capture phase on window, ahead of OrbitControls on the canvas, so
+ * the camera does not zoom at the same time.
+ */
+window.addEventListener('wheel', (e) => {
+    if (!e.altKey || e.target !== canvas) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const step = INPUT.PLANE_STEP / viewedSim().unitSystem.displayScale;
+    setPlacementPlane(basePlane, planeHeight - Math.sign(e.deltaY) * step);
+    const ndc = screenToNDC(e.clientX, e.clientY);
+    showPlacementGuide(renderer.raycastToPlane(ndc.x, ndc.y, placementPlane()));
+}, { capture: true, passive: false });
+
+canvas.addEventListener('pointercancel', endDrag);
+
 /* Keyboard shortcuts */
 window.addEventListener('keydown', (e) => {
+    /* Keys typed into a field belong to the field: Delete in the mass box must not delete the body */
+    const target = e.target;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable) return;
+
     const keyActions = {
         ' ': () => ui.btnPause.click(),
+        'Escape': () => selectBody(null),
+        'Delete': () => { if (selectedBody && !replay) ui.btnDelete.click(); },
         'c': () => ui.btnClear.click(),
         'C': () => ui.btnClear.click(),
-        '1': () => selectType('planet'),
-        '2': () => selectType('star'),
-        '3': () => selectType('moon'),
+        'f': () => setCameraMode('follow'),
+        'F': () => setCameraMode('follow'),
+        ...Object.fromEntries(listBodyTypes()
+            .filter(({ key }) => key)
+            .map(({ name, key }) => [key, () => selectType(name)])),
     };
     keyActions[e.key]?.();
 });
 
 function selectType(type) {
     selectedType = type;
-    ui.bodyBtns.forEach(b => {
-        b.classList.toggle('active', b.dataset.type === type);
+    for (const btn of ui.bodyPicker.children) {
+        btn.classList.toggle('active', btn.dataset.type === type);
+    }
+}
+
+/** Display name of a body type, for sentences ("a gas giant"). */
+function typeName(type) {
+    return getBodyType(type).label.toLowerCase();
+}
+
+/* ── Inspector ── */
+
+ui.btnInspectorClose.addEventListener('click', () => selectBody(null));
+
+for (const { name, label } of listBodyTypes()) {
+    ui.editType.add(new Option(label, name));
+}
+
+ui.editType.addEventListener('change', () => editSelected({ type: ui.editType.value }));
+ui.editMass.addEventListener('change', () => editSelected({ mass: parseFloat(ui.editMass.value) }));
+ui.editRadius.addEventListener('change', () => editSelected({ radius: parseFloat(ui.editRadius.value) }));
+ui.editColor.addEventListener('change', () => editSelected({ color: ui.editColor.value }));
+for (const input of ui.editVel) {
+    input.addEventListener('change', () => {
+        const [x, y, z] = ui.editVel.map(el => parseFloat(el.value) || 0);
+        editSelected({ vel: new Vector3(x, y, z) });
     });
 }
+ui.btnPin.addEventListener('click', () => editSelected({ pinned: !selectedBody.pinned }));
+
+ui.btnDelete.addEventListener('click', () => {
+    (recorder ?? sim).removeBody(selectedBody);
+    selectBody(null);
+});
+
+/**
+ * Apply an inspector edit to the selected body, through the recorder while
+ * recording so the edit is replayed too.
+ * @param {object} changes - See `Simulation#updateBody`.
+ */
+function editSelected(changes) {
+    const options = { preserveMomentum: ui.editKeepMomentum.checked };
+    try {
+        (recorder ?? sim).updateBody(selectedBody, changes, options);
+    } catch (err) {
+        alert(err.message);
+    }
+    updateInspector(true);
+}
+
+/** @param {?import('./core/Body.js').default} body - Body to inspect, or null to close. */
+function selectBody(body) {
+    selectedBody = body;
+    renderer.selectedBody = body;
+    ui.inspector.classList.toggle('hidden', !body);
+    if (body) updateInspector(true);
+}
+
+/**
+ * Format a quantity for the inspector, with ∞ for unbounded values. In
+ * real units, small values keep four significant digits and every value
+ * gets its unit symbol; game units are bare, apart from seconds.
+ * @param {number} value
+ * @param {number} [digits=1] - Decimal places.
+ * @param {?('length'|'mass'|'time'|'speed')} [dimension]
+ * @returns {string}
+ */
+function formatQuantity(value, digits = 1, dimension = null) {
+    if (!Number.isFinite(value)) return '∞';
+    const { symbols } = viewedSim().unitSystem;
+    if (!symbols) return value.toFixed(digits) + (dimension === 'time' ? 's' : '');
+
+    const text = Math.abs(value) >= 100 ? value.toFixed(digits) : String(+value.toPrecision(4));
+    const unit = dimension === 'speed' ? `${symbols.length}/${symbols.time}` : symbols[dimension];
+    return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * Value for an inspector edit field: two decimals in game units, six
+ * significant digits in real ones, where planets weigh millionths.
+ * @param {number} value
+ * @returns {number}
+ */
+function editValue(value) {
+    return viewedSim().unitSystem.symbols ? +value.toPrecision(6) : +value.toFixed(2);
+}
+
+/**
+ * Refresh the inspector from the selected body.
+ * @param {boolean} [syncInputs=false] - Also overwrite the edit fields
+ *   (otherwise only the velocity fields track the body, and only while
+ *   none of them is being typed in).
+ */
+function updateInspector(syncInputs = false) {
+    const body = selectedBody;
+    const view = viewedSim();
+    if (!body.alive || !view.bodies.includes(body)) {
+        selectBody(null);
+        return;
+    }
+
+    /* A replay only shows what was recorded */
+    ui.inspectorEdit.classList.toggle('hidden', !!replay);
+    ui.btnPin.textContent = body.pinned ? 'Unpin' : 'Pin';
+    ui.btnPin.classList.toggle('active', body.pinned);
+    if (syncInputs) {
+        ui.editType.value = body.type;
+        ui.editMass.value = editValue(body.mass);
+        ui.editRadius.value = editValue(body.radius);
+        /* A black hole's radius is its horizon, set by its mass */
+        ui.editRadius.disabled = hasHorizon(body);
+        ui.editColor.value = body.color;
+    }
+    if (syncInputs || !ui.editVel.includes(document.activeElement)) {
+        const v = body.vel;
+        [v.x, v.y, v.z].forEach((c, k) => { ui.editVel[k].value = editValue(c); });
+    }
+
+    const f = ui.inspectorFields;
+    ui.inspectorSwatch.style.background = body.color;
+    ui.inspectorTitle.textContent = `${getBodyType(body.type).label} #${body.id}`;
+    f.mass.textContent = formatQuantity(body.mass, 0, 'mass');
+    f.speed.textContent = formatQuantity(body.vel.mag, 1, 'speed');
+    f.bound.textContent = body.bound ? 'Bound' : 'Unbound';
+
+    const orbit = elementsAroundAttractor(view, body);
+    if (!orbit) {
+        f.attractor.textContent = '—';
+        for (const key of ['a', 'e', 'i', 'period', 'periapsis', 'apoapsis']) f[key].textContent = '—';
+        return;
+    }
+
+    const { attractor, elements: el } = orbit;
+    f.attractor.textContent = `${typeName(attractor.type)} #${attractor.id}`;
+    f.a.textContent = formatQuantity(el.semiMajorAxis, 1, 'length');
+    f.e.textContent = el.eccentricity.toFixed(3);
+    f.i.textContent = `${(el.inclination * 180 / Math.PI).toFixed(1)}°`;
+    f.period.textContent = formatQuantity(el.period, 1, 'time');
+    f.periapsis.textContent = formatQuantity(el.periapsis, 1, 'length');
+    f.apoapsis.textContent = formatQuantity(el.apoapsis, 1, 'length');
+}
+
+/* ── Simulation Events ── */
+
+/**
+ * Show a short notice at the top of the screen. A repeat of the newest
+ * notice bumps a counter on it instead of stacking a copy.
+ * @param {string} text
+ */
+function showToast(text) {
+    let toast = ui.toastStack.lastElementChild;
+    if (toast && toast.dataset.text === text) {
+        const count = Number(toast.dataset.count) + 1;
+        toast.dataset.count = count;
+        toast.querySelector('.toast-count').textContent = `×${count}`;
+        clearTimeout(Number(toast.dataset.timer));
+    } else {
+        toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.dataset.text = text;
+        toast.dataset.count = 1;
+        toast.textContent = text;
+        const count = document.createElement('span');
+        count.className = 'toast-count';
+        toast.append(count);
+        ui.toastStack.append(toast);
+        while (ui.toastStack.children.length > TOASTS.MAX_VISIBLE) ui.toastStack.firstElementChild.remove();
+    }
+    toast.dataset.timer = setTimeout(() => toast.remove(), TOASTS.DURATION_MS);
+}
+
+sim.on(SIM_EVENTS.COLLISION, ({ a, b, model, point }) => {
+    const big = a.mass >= b.mass ? a : b;
+    renderer.flash(point, { color: big.color, size: (a.radius + b.radius) * 1.5 });
+    if (model === 'capture') {
+        const hole = hasHorizon(a) && (!hasHorizon(b) || a.mass >= b.mass) ? a : b;
+        const prey = hole === a ? b : a;
+        showToast(`A black hole swallowed a ${typeName(prey.type)}`);
+    }
+});
+
+sim.on(SIM_EVENTS.PROMOTION, ({ body, from, to }) => {
+    showToast(`A ${typeName(from)} grew into a ${typeName(to)}`);
+    renderer.flash(body.pos, { color: body.color, size: body.radius * 6 });
+});
+
+sim.on(SIM_EVENTS.ESCAPE, ({ body }) => {
+    showToast(`A ${typeName(body.type)} escaped the system`);
+});
+
+/* The worker reports edits it rejects after the fact, where local mode throws them */
+if (useWorker) {
+    sim.on(CLIENT_EVENTS.ERROR, ({ message }) => {
+        alert(message);
+        if (selectedBody) updateInspector(true);
+    });
+}
+
+/* ── Diagnostics HUD ── */
+
+/** Compact scientific notation for HUD values. */
+function formatSci(value) {
+    return value === 0 ? '0' : value.toExponential(1);
+}
+
+function updateDiagnostics() {
+    const sample = diagnostics.record(viewedSim());
+    ui.energyDrift.textContent = formatSci(sample.drift);
+    ui.energyMomentum.textContent = formatSci(sample.momentum.mag);
+    ui.energyAngular.textContent = formatSci(sample.angularMomentum.mag);
+    energyChart.draw(diagnostics.samples);
+}
+
+/* Diagnostics, saving, sharing and recording need the full state, which only the local Simulation has */
+if (useWorker) {
+    ui.energyPanel.classList.add('hidden');
+    ui.btnSave.classList.add('hidden');
+    ui.btnShare.classList.add('hidden');
+    ui.btnRecord.classList.add('hidden');
+}
 
 /* ── Game Loop ── */
 
@@ -171,14 +1008,46 @@ function loop(now) {
         fpsSmooth = fpsSmooth * 0.95 + (1000 / delta) * 0.05;
     }
 
-    sim.step(delta / 1000, timeScale);
-    renderer.render(sim);
+    const view = viewedSim();
+    if (useWorker) {
+        /* The worker ticks on its own; just draw between its snapshots */
+        renderer.render(sim, sim.interpolation(now));
+    } else if (replay) {
+        if (replayPlaying) {
+            for (let n = fixedTicks(delta); n > 0 && !replay.ended; n--) replay.step();
+            if (replay.ended) setReplayPlaying(false);
+            updateTimeline();
+        }
+        renderer.render(view);
+    } else if (recorder) {
+        /* Fixed ticks only, so the run can be replayed exactly */
+        for (let n = fixedTicks(delta); n > 0; n--) recorder.step();
+        renderer.render(sim);
+    } else {
+        sim.step(delta / 1000, timeScale);
+        renderer.render(sim);
+    }
+
+    /* Re-predict every frame: the other bodies keep moving during the drag */
+    if (dragStart) updatePrediction();
 
     /* Update HUD (throttled) */
     if (frameCount % 6 === 0) {
-        ui.infoCount.textContent = sim.bodies.length;
-        ui.infoTime.textContent = sim.elapsed.toFixed(1) + 's';
+        const unbound = view.bodies.filter(b => !b.bound).length;
+        ui.infoCount.textContent = view.bodies.length;
+        ui.infoBound.textContent = view.bodies.length - unbound;
+        ui.infoUnbound.textContent = unbound;
+        ui.infoTime.textContent = formatQuantity(view.elapsed, 1, 'time');
         ui.infoFps.textContent = Math.round(fpsSmooth);
+        /* The renderer drops back to world space when the bodies it uses go */
+        ui.selectCamera.value = renderer.cameraFrame.mode;
+        ui.selectTrailReference.value = trailReferenceChoice();
+        if (selectedBody) updateInspector();
+    }
+
+    const running = replay ? replayPlaying : !sim.paused;
+    if (!useWorker && running && frameCount % DIAGNOSTICS.SAMPLE_EVERY === 0) {
+        updateDiagnostics();
     }
 
     frameCount++;
@@ -186,5 +1055,6 @@ function loop(now) {
 
 /* ── Bootstrap ── */
 
-sim.createDemoScene();
+if (useWorker) sim.setTimeScale(timeScale);
+if (!await restoreScene()) sim.createDemoScene();
 requestAnimationFrame(loop);
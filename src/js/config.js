@@ -12,13 +12,130 @@ export const PHYSICS = Object.freeze({
     SUBSTEPS: 6,
     MAX_FRAME_DT: 0.05,
     DEFAULT_TIME_SCALE: 2,
+    /** Gravity solver: 'direct' (exact O(n²) pair sum) or 'barnes-hut'. */
+    SOLVER: 'direct',
+    /** Barnes–Hut opening angle θ — smaller is more accurate, slower. */
+    THETA: 0.5,
+    /** Default time integrator (see core/integrators.js). */
+    INTEGRATOR: 'verlet',
+    /** Adaptive integrator: sub-step ≤ η × shortest pairwise free-fall time. */
+    ADAPTIVE_ETA: 0.02,
+    /** Adaptive integrator: most sub-steps a single step may be split into. */
+    ADAPTIVE_MAX_SPLIT: 64,
+    /** Physics ticks per second when the simulation runs in a Web Worker. */
+    WORKER_TICK_RATE: 60,
+    /** Collision model: 'merge' | 'bounce' | 'fragment' (see core/collisions.js). */
+    COLLISIONS: 'merge',
+    /** Bounce: coefficient of restitution, 0 (perfectly inelastic) … 1 (elastic). */
+    RESTITUTION: 0.5,
+    /** Unit system: 'game' | 'astronomical' (see core/units.js). */
+    UNITS: 'game',
 });
 
-/** Body type definitions — mass, radius, and base visual style. */
+/** Debris from energetic impacts in the 'fragment' collision model. */
+export const FRAGMENTATION = Object.freeze({
+    /**
+     * Impacts slower than this merge, however small the bodies (material
+     * strength). Game units; other unit systems set their own (units.js).
+     */
+    MIN_IMPACT_SPEED: 300,
+    /** Impact energy, in binding energies, that strips half the mass. */
+    DISRUPTION_ENERGY: 4,
+    /** Share of the impact energy given to the ejected mass, pro rata; the rest is lost. */
+    EJECTA_ENERGY_SHARE: 0.3,
+    /** Debris bodies per impact. */
+    MAX_FRAGMENTS: 8,
+    /** Impacts stop making debris once the simulation holds this many bodies. */
+    MAX_BODIES: 400,
+    /** Lightest debris body. Game units; other unit systems set their own (units.js). */
+    MIN_FRAGMENT_MASS: 1,
+    /** Smallest share of the mass the largest remnant keeps. */
+    MIN_REMNANT_SHARE: 0.1,
+    /** Most debris an impact can knock loose, in multiples of the impactor's mass. */
+    MAX_EJECTA_RATIO: 2,
+});
+
+/** Bound/unbound classification and the boundary for runaway bodies. */
+export const BOUNDARY = Object.freeze({
+    /** Bodies beyond RADIUS: 'keep' | 'delete' | 'wrap' | 'reflect' (see core/boundary.js). */
+    POLICY: 'keep',
+    /** Boundary radius around the barycentre. */
+    RADIUS: 4000,
+    /** Frames between bound/unbound classifications (an O(n²) pass). */
+    CLASSIFY_EVERY: 15,
+});
+
+/** Black holes (see core/blackHoles.js). */
+export const BLACK_HOLE = Object.freeze({
+    /** Speed of light in simulation units; the horizon radius is 2·G·M / c². */
+    SPEED_OF_LIGHT: 1200,
+});
+
+/** Mass above which a merger product becomes a star. */
+const STAR_MASS = 2000;
+
+/**
+ * Built-in body types, in picker order — default mass and radius, how they
+ * render and what they grow into (see core/bodyTypes.js for the fields).
+ */
 export const BODY_TYPES = Object.freeze({
-    star: { mass: 3000, radius: 22 },
-    planet: { mass: 400, radius: 10 },
-    moon: { mass: 30, radius: 5 },
+    planet: {
+        label: 'Planet', key: '1', mass: 400, radius: 10,
+        emissive: 0.4, glowOpacity: 0.08, glowScale: 1.6,
+        promotion: { mass: STAR_MASS, to: 'star' },
+    },
+    star: {
+        label: 'Star', key: '2', mass: 3000, radius: 22,
+        emissive: 2.0, glowOpacity: 0.15, glowScale: 2.5, light: true,
+    },
+    moon: {
+        label: 'Moon', key: '3', mass: 30, radius: 5,
+        emissive: 0.4, glowOpacity: 0.08, glowScale: 1.6,
+        promotion: { mass: STAR_MASS, to: 'star' },
+    },
+    asteroid: {
+        label: 'Asteroid', key: '4', mass: 4, radius: 3,
+        emissive: 0.15, glowOpacity: 0.04, glowScale: 1.3,
+        promotion: { mass: STAR_MASS, to: 'star' },
+    },
+    'gas-giant': {
+        label: 'Gas Giant', key: '5', mass: 1200, radius: 16,
+        emissive: 0.5, glowOpacity: 0.1, glowScale: 1.8,
+        promotion: { mass: STAR_MASS, to: 'star' },
+    },
+    comet: {
+        label: 'Comet', key: '6', mass: 2, radius: 3,
+        emissive: 1.2, glowOpacity: 0.22, glowScale: 2.4,
+        promotion: { mass: STAR_MASS, to: 'star' },
+    },
+    /* Radius is a placeholder: a black hole's is its horizon, set by its mass */
+    'black-hole': {
+        label: 'Black Hole', key: '7', mass: 15000, radius: 17,
+        emissive: 0, glowOpacity: 0.3, glowScale: 1.5, horizon: true,
+    },
+});
+
+/** The astronomical unit system: AU, solar masses and days (see core/units.js). */
+export const ASTRONOMICAL = Object.freeze({
+    /** Softening length, AU — far below the closest moon orbits (~0.003 AU). */
+    SOFTENING: 1e-7,
+    /** Preset masses and radii are scaled so a preset star is the Sun. */
+    PRESET_STAR_MASS: BODY_TYPES.star.mass,
+    PRESET_STAR_RADIUS: BODY_TYPES.star.radius,
+    /** Scene units per AU on screen. */
+    DISPLAY_SCALE: 100,
+    /** Bodies are drawn at least this big, in scene units, however small they are. */
+    MIN_DISPLAY_RADIUS: 1.5,
+    /** Fragmentation: impacts slower than this merge, km/s. */
+    MIN_IMPACT_SPEED: 1,
+    /** Fragmentation: lightest debris body, M☉ (≈ 2·10²⁰ kg, a large asteroid). */
+    MIN_FRAGMENT_MASS: 1e-10,
+    /** Launch preview look-ahead, days. */
+    PREDICTION_DURATION: 365,
+    /** Drag-to-launch speed per AU dragged, km/s. */
+    DRAG_VELOCITY_SCALE: 5,
+    /** Fastest drag launch, km/s. */
+    MAX_LAUNCH_SPEED: 60,
 });
 
 /**
@@ -44,20 +161,93 @@ export const PALETTES = Object.freeze({
         { color: '#a0a8c0', glow: 'rgba(160,168,192,0.3)', trail: 'rgba(160,168,192,ALPHA)' },
         { color: '#d4c5a9', glow: 'rgba(212,197,169,0.3)', trail: 'rgba(212,197,169,ALPHA)' },
     ],
+    asteroid: [
+        { color: '#8a7f72', glow: 'rgba(138,127,114,0.25)', trail: 'rgba(138,127,114,ALPHA)' },
+        { color: '#6f6a64', glow: 'rgba(111,106,100,0.25)', trail: 'rgba(111,106,100,ALPHA)' },
+    ],
+    'gas-giant': [
+        { color: '#d9a066', glow: 'rgba(217,160,102,0.35)', trail: 'rgba(217,160,102,ALPHA)' },
+        { color: '#7fb2d9', glow: 'rgba(127,178,217,0.35)', trail: 'rgba(127,178,217,ALPHA)' },
+        { color: '#c9b37e', glow: 'rgba(201,179,126,0.35)', trail: 'rgba(201,179,126,ALPHA)' },
+    ],
+    comet: [
+        { color: '#bff3ff', glow: 'rgba(191,243,255,0.45)', trail: 'rgba(191,243,255,ALPHA)' },
+        { color: '#d6fff0', glow: 'rgba(214,255,240,0.45)', trail: 'rgba(214,255,240,ALPHA)' },
+    ],
+    /* The accretion glow; the horizon itself is drawn black */
+    'black-hole': [
+        { color: '#ff9a3c', glow: 'rgba(255,154,60,0.4)', trail: 'rgba(255,154,60,ALPHA)' },
+        { color: '#b98cff', glow: 'rgba(185,140,255,0.4)', trail: 'rgba(185,140,255,ALPHA)' },
+    ],
 });
 
 /** Rendering constants. */
 export const RENDERING = Object.freeze({
     MAX_TRAIL_LENGTH: 200,
+    /** Trail line width, in CSS pixels. */
+    TRAIL_WIDTH: 2,
+    /** Opacity at a trail's newest point; it fades to nothing at the oldest. */
+    TRAIL_OPACITY: 0.6,
     BG_STAR_COUNT: 400,
     BG_STAR_PARALLAX: 0.3,
     SPAWN_ANIM_FRAMES: 15,
+    /** Frames an impact flash takes to expand and fade. */
+    FLASH_FRAMES: 36,
+    /** Flashes on screen at once; the oldest make way for new ones. */
+    MAX_FLASHES: 24,
+    /** Black holes whose light bending is drawn; beyond this, the heaviest win. */
+    MAX_LENSES: 4,
+    /** Radius of a black hole's lensing distortion, in horizon radii. */
+    LENS_RADIUS: 6,
+    /** Frames the camera takes to glide over to a new reference frame. */
+    CAMERA_TRANSITION_FRAMES: 45,
+    /** Side of the grid the system sits on, in scene units. */
+    SHEET_SIZE: 1200,
+    /** Grid cells along each side; the potential is sampled at their corners. */
+    SHEET_DIVISIONS: 40,
+    /** Deepest the potential overlay dips the grid, in scene units. */
+    SHEET_DEPTH: 150,
+    /** Length of the longest velocity or acceleration arrow, in scene units. */
+    ARROW_LENGTH: 80,
+});
+
+/** Conserved-quantity HUD. */
+export const DIAGNOSTICS = Object.freeze({
+    /** Samples kept in the rolling history (one per SAMPLE_EVERY frames). */
+    HISTORY_LENGTH: 300,
+    SAMPLE_EVERY: 6,
+});
+
+/** Deterministic recording and replay. */
+export const REPLAY = Object.freeze({
+    /** Simulation seconds per recorded tick (must not exceed MAX_FRAME_DT). */
+    FIXED_DT: 1 / 60,
+    /** Ticks between keyframe snapshots used for seeking. */
+    KEYFRAME_EVERY: 240,
+    /** Cap on ticks run per display frame, so a slow frame cannot snowball. */
+    MAX_TICKS_PER_FRAME: 8,
+});
+
+/** Trajectory preview while dragging to launch. */
+export const PREDICTION = Object.freeze({
+    /** Simulation seconds to look ahead. Game units; other unit systems set their own (units.js). */
+    DURATION: 12,
+    /** Samples over the look-ahead. */
+    STEPS: 300,
+});
+
+/** Toast notifications for simulation events. */
+export const TOASTS = Object.freeze({
+    DURATION_MS: 3500,
+    MAX_VISIBLE: 3,
 });
 
 /** Input tuning. */
 export const INPUT = Object.freeze({
     DRAG_VELOCITY_SCALE: 0.04,
     MAX_LAUNCH_SPEED: 150,
+    /** Scene units the placement plane moves per Alt+scroll notch. */
+    PLANE_STEP: 5,
     ZOOM_IN_FACTOR: 1.08,
     ZOOM_OUT_FACTOR: 0.92,
     MIN_ZOOM: 0.15,
@@ -2,82 +2,176 @@
  * @module Body
  * Represents a single celestial body in the simulation. Bodies are plain
  * data containers — all behaviour lives in the Simulation engine.
+ *
+ * Position, velocity, acceleration and mass are not stored on the body
+ * itself but in a slot of a {@link StateBuffer}. A fresh body owns a private
+ * one-slot buffer; `Simulation.addBody` moves it into the simulation's shared
+ * buffer. `pos`, `vel` and `acc` read back as new Vector3 snapshots, so
+ * callers keep the familiar immutable-vector API.
  */
 import Vector3 from './Vector3.js';
-import { BODY_TYPES, PALETTES, RENDERING } from '../config.js';
+import StateBuffer from './StateBuffer.js';
+import { checkPromotions, getBodyType, nextPalette, promotedType } from './bodyTypes.js';
+import { pushTrail } from './trails.js';
+import { RENDERING } from '../config.js';
 
-/** Running palette index per type, so consecutive bodies get different colors. */
-const _paletteIndex = { star: 0, planet: 0, moon: 0 };
+/** Next identifier handed out by the constructor. */
+let _nextId = 1;
 
 export default class Body {
     /**
-     * @param {string}  type - 'star' | 'planet' | 'moon'
+     * @param {string}  type - A registered body type (see bodyTypes.js).
      * @param {Vector3} position
      * @param {Vector3} velocity
+     * @param {object}  [props] - Overrides for the type's preset values.
+     * @param {number}  [props.mass]
+     * @param {number}  [props.radius]
+     * @param {string}  [props.color]
+     * @param {string}  [props.glow]
+     * @param {string}  [props.trailColor]
+     * @param {boolean} [props.pinned]
+     * @throws {Error} If `type`, or a type it promotes to, is not registered.
      */
-    constructor(type, position, velocity = Vector3.zero()) {
-        const preset = BODY_TYPES[type];
-        const palette = PALETTES[type];
-        const colors = palette[_paletteIndex[type] % palette.length];
-        _paletteIndex[type]++;
+    constructor(type, position, velocity = Vector3.zero(), props = {}) {
+        const preset = getBodyType(type);
+        checkPromotions(type);
+        /* Only take a palette turn for colors left unset, so copies leave the rotation alone */
+        const colors = props.color && props.glow && props.trailColor ? null : nextPalette(type);
+
+        /** @type {StateBuffer} Backing store for pos/vel/acc/mass. */
+        this._state = new StateBuffer(1);
+
+        /** @type {number} Slot index inside `_state`. */
+        this._index = this._state.add();
+
+        /** @type {number} Stable identifier (survives buffer compaction). */
+        this.id = _nextId++;
 
         /** @type {string} */
         this.type = type;
 
-        /** @type {number} */
-        this.mass = preset.mass;
+        this.mass = props.mass ?? preset.mass;
 
         /** @type {number} */
-        this.radius = preset.radius;
+        this.radius = props.radius ?? preset.radius;
 
         /* Visual properties */
         /** @type {string} Hex fill color. */
-        this.color = colors.color;
+        this.color = props.color ?? colors.color;
 
         /** @type {string} RGBA glow color. */
-        this.glow = colors.glow;
+        this.glow = props.glow ?? colors.glow;
 
         /** @type {string} Trail color template (replace ALPHA at render time). */
-        this.trailColor = colors.trail;
+        this.trailColor = props.trailColor ?? colors.trail;
 
-        /* Physics state */
-        /** @type {Vector3} */
+        /* Physics state (lives in the state buffer) */
         this.pos = position;
-
-        /** @type {Vector3} */
         this.vel = velocity;
+        this.pinned = props.pinned ?? false;
 
-        /** @type {Vector3} */
-        this.acc = Vector3.zero();
-
-        /* Trail history */
-        /** @type {Vector3[]} */
+        /* Trail history (see trails.js) */
+        /** @type {Vector3[]} World positions, oldest first. */
         this.trail = [];
 
+        /** @type {number[]} Simulation step each trail point was recorded on. */
+        this.trailTicks = [];
+
+        /** @type {number[]} |v| at each trail point. */
+        this.trailSpeeds = [];
+
+        /** @type {number[]} |a| at each trail point. */
+        this.trailAccelerations = [];
+
         /** @type {number} */
         this.maxTrail = RENDERING.MAX_TRAIL_LENGTH;
 
         /** @type {boolean} */
         this.alive = true;
 
+        /** @type {boolean} Bound to the system, as last classified by the Simulation. */
+        this.bound = true;
+
         /** @type {number} Frames since creation (used for spawn animation). */
         this.age = 0;
     }
 
-    /** Record current position to the trail ring buffer. */
-    recordTrail() {
-        this.trail.push(this.pos);
-        if (this.trail.length > this.maxTrail) {
-            this.trail.shift();
-        }
+    /* ── State buffer views ── */
+
+    /** @type {Vector3} */
+    get pos() { return this._state.readVec(this._state.pos, this._index); }
+
+    set pos(v) { this._state.writeVec(this._state.pos, this._index, v); }
+
+    /** @type {Vector3} */
+    get vel() { return this._state.readVec(this._state.vel, this._index); }
+
+    set vel(v) { this._state.writeVec(this._state.vel, this._index, v); }
+
+    /** @type {Vector3} */
+    get acc() { return this._state.readVec(this._state.acc, this._index); }
+
+    set acc(v) { this._state.writeVec(this._state.acc, this._index, v); }
+
+    /** @type {number} */
+    get mass() { return this._state.mass[this._index]; }
+
+    set mass(m) { this._state.mass[this._index] = m; }
+
+    /**
+     * Pinned bodies stay put but still attract everything else. Pinning
+     * zeroes the velocity; the Simulation zeroes the acceleration.
+     * @type {boolean}
+     */
+    get pinned() { return this._state.pinned[this._index] === 1; }
+
+    set pinned(value) {
+        this._state.pinned[this._index] = value ? 1 : 0;
+        if (value) this.vel = Vector3.zero();
+    }
+
+    /**
+     * Move this body's physics state into `state` at slot `index`.
+     * Used by Simulation when adopting a body or compacting its buffer.
+     * @param {StateBuffer} state
+     * @param {number} index
+     */
+    bindState(state, index) {
+        state.copySlot(this._state, this._index, index);
+        this._state = state;
+        this._index = index;
+    }
+
+    /**
+     * Set the fill color; glow and trail colors are derived from it.
+     * @param {string} hex - '#rrggbb'
+     */
+    recolor(hex) {
+        const n = parseInt(hex.slice(1), 16);
+        const rgb = `${(n >> 16) & 255},${(n >> 8) & 255},${n & 255}`;
+        this.color = hex;
+        this.glow = `rgba(${rgb},0.35)`;
+        this.trailColor = `rgba(${rgb},ALPHA)`;
     }
 
     /**
-     * Absorb another body (conservation of momentum).
+     * Record current position, speed and acceleration to the trail ring
+     * buffer. The acceleration is the stored one, so it should be up to date.
+     * @param {number} [tick] - Simulation step; by default the one after the last point.
+     */
+    recordTrail(tick = (this.trailTicks.at(-1) ?? 0) + 1) {
+        pushTrail(this, this.pos, tick, this.vel.mag, this.acc.mag);
+    }
+
+    /**
+     * Absorb another body (conservation of momentum). If either body is
+     * pinned, the merged body stays pinned at that body's position. A body
+     * that grows past its type's promotion threshold changes type.
      * @param {Body} other - the smaller body being absorbed.
      */
     absorb(other) {
         const totalMass = this.mass + other.mass;
+        const anchor = this.pinned ? this.pos : other.pinned ? other.pos : null;
 
         /* Conservation of momentum */
         this.vel = this.vel.scale(this.mass / totalMass)
@@ -91,10 +185,17 @@ export default class Body {
         this.radius *= Math.cbrt(totalMass / this.mass);
         this.mass = totalMass;
 
-        /* Promote to star if massive enough */
-        if (this.type !== 'star' && this.mass > 2000) {
-            this.type = 'star';
-            const colors = PALETTES.star[0];
+        /* A pinned body is an anchor: the merger stays pinned where it was */
+        if (anchor) {
+            this.pos = anchor;
+            this.pinned = true;
+        }
+
+        /* Promote (typically to a star) if massive enough */
+        const promoted = promotedType(this.type, this.mass);
+        if (promoted !== this.type) {
+            this.type = promoted;
+            const colors = getBodyType(promoted).palette[0];
             this.color = colors.color;
             this.glow = colors.glow;
             this.trailColor = colors.trail;
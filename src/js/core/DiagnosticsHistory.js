@@ -0,0 +1,102 @@
+/**
+ * @module DiagnosticsHistory
+ * Rolling record of a simulation's conserved quantities.
+ *
+ * Each `record()` call samples energy, momentum, angular momentum and centre
+ * of mass into a fixed-size ring buffer, and tracks the relative energy
+ * drift ΔE/E₀ against a baseline. The baseline is re-taken whenever the
+ * system itself changes (bodies added, merged or removed, or G edited),
+ * since energy is only conserved for a fixed set of bodies and constants.
+ */
+import { DIAGNOSTICS } from '../config.js';
+
+/**
+ * @typedef {object} DiagnosticsSample
+ * @property {number} time        - Simulation time of the sample.
+ * @property {number} kinetic
+ * @property {number} potential
+ * @property {number} total
+ * @property {number} drift       - (total − E₀) / |E₀|
+ * @property {import('./Vector3.js').default} momentum
+ * @property {import('./Vector3.js').default} angularMomentum
+ * @property {import('./Vector3.js').default} centerOfMass
+ * @property {boolean} rebaselined - True if E₀ was reset at this sample.
+ */
+
+export default class DiagnosticsHistory {
+    /** @param {number} [capacity] - Samples kept before the oldest is dropped. */
+    constructor(capacity = DIAGNOSTICS.HISTORY_LENGTH) {
+        /** @type {number} */
+        this.capacity = capacity;
+
+        /** @type {DiagnosticsSample[]} Ring storage. */
+        this._ring = [];
+        this._head = 0;
+
+        this._baseline = null;
+        this._lastCount = -1;
+        this._lastG = NaN;
+    }
+
+    /**
+     * Sample the simulation and append to the history.
+     * @param {import('./Simulation.js').default} sim
+     * @returns {DiagnosticsSample}
+     */
+    record(sim) {
+        const kinetic = sim.kineticEnergy();
+        const potential = sim.potentialEnergy();
+        const total = kinetic + potential;
+
+        const rebaselined = this._baseline === null
+            || sim.bodies.length !== this._lastCount
+            || sim.G !== this._lastG;
+        if (rebaselined) {
+            this._baseline = total;
+            this._lastCount = sim.bodies.length;
+            this._lastG = sim.G;
+        }
+
+        const scale = Math.abs(this._baseline);
+        const sample = {
+            time: sim.elapsed,
+            kinetic,
+            potential,
+            total,
+            drift: scale > 0 ? (total - this._baseline) / scale : 0,
+            momentum: sim.linearMomentum(),
+            angularMomentum: sim.angularMomentum(),
+            centerOfMass: sim.centerOfMass(),
+            rebaselined,
+        };
+
+        if (this._ring.length < this.capacity) {
+            this._ring.push(sample);
+        } else {
+            this._ring[this._head] = sample;
+            this._head = (this._head + 1) % this.capacity;
+        }
+        return sample;
+    }
+
+    /** @returns {DiagnosticsSample[]} Samples from oldest to newest. */
+    get samples() {
+        return this._ring.slice(this._head).concat(this._ring.slice(0, this._head));
+    }
+
+    /** @returns {?DiagnosticsSample} Most recent sample. */
+    get latest() {
+        if (this._ring.length === 0) return null;
+        const i = (this._head + this._ring.length - 1) % this._ring.length;
+        return this._ring[i];
+    }
+
+    /** Forget every sample and the energy baseline. */
+    clear() {
+        this._ring = [];
+        this._head = 0;
+        this._baseline = null;
+        this._lastCount = -1;
+        this._lastG = NaN;
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * @module EventEmitter
+ * Minimal synchronous event emitter for a fixed set of event types.
+ *
+ * Subclasses pass the types they emit to the constructor; subscribing to
+ * anything else throws, so a misspelt event name fails loudly instead of
+ * never firing. Listeners run in subscription order, synchronously inside
+ * `emit()`.
+ */
+
+export default class EventEmitter {
+    /** @param {string[]} types - Event types this emitter can fire. */
+    constructor(types) {
+        /** @type {Map<string, Set<Function>>} */
+        this._listeners = new Map(types.map(type => [type, new Set()]));
+    }
+
+    /**
+     * Subscribe to an event.
+     * @param {string} type
+     * @param {(payload: object) => void} listener
+     * @returns {() => void} Call to unsubscribe.
+     * @throws {Error} If `type` is not an event this emitter fires.
+     */
+    on(type, listener) {
+        this._listenersOf(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Unsubscribe a listener added with `on()`.
+     * @param {string} type
+     * @param {Function} listener
+     */
+    off(type, listener) {
+        this._listenersOf(type).delete(listener);
+    }
+
+    /**
+     * @param {string} type
+     * @returns {boolean} True if anything is subscribed to `type`.
+     */
+    hasListeners(type) {
+        return this._listenersOf(type).size > 0;
+    }
+
+    /**
+     * Call every listener of `type` with `payload`.
+     * @param {string} type
+     * @param {object} payload
+     */
+    emit(type, payload) {
+        for (const listener of [...this._listenersOf(type)]) listener(payload);
+    }
+
+    /* ── Private ── */
+
+    _listenersOf(type) {
+        const listeners = this._listeners.get(type);
+        if (!listeners) {
+            throw new Error(`Unknown event "${type}" (known: ${[...this._listeners.keys()].join(', ')})`);
+        }
+        return listeners;
+    }
+}
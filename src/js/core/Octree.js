@@ -0,0 +1,263 @@
+/**
+ * @module Octree
+ * Barnes–Hut octree for approximate N-body gravity in O(n log n).
+ *
+ * Bodies are inserted into a cube that recursively splits into eight
+ * octants. Every node stores the total mass and centre of mass of the bodies
+ * beneath it, so a distant cluster can be treated as a single point mass.
+ *
+ * The opening angle θ controls accuracy: a node of edge length `s` seen
+ * from distance `d` is approximated when s/d < θ. θ = 0 degenerates to the
+ * exact direct sum; 0.5 is the classic trade-off.
+ *
+ * The tree works directly on the structure-of-arrays state (interleaved
+ * xyz positions plus a mass array) and refers to bodies by slot index.
+ * Nodes are pooled and reused between builds so rebuilding the tree every
+ * substep does not churn the garbage collector.
+ */
+import { PHYSICS } from '../config.js';
+
+/** Depth cap so coincident bodies cannot recurse forever. */
+const MAX_DEPTH = 32;
+
+class OctreeNode {
+    constructor() {
+        this.reset(0, 0, 0, 0);
+    }
+
+    /**
+     * Re-initialise a pooled node as an empty cube.
+     * @param {number} cx - cube centre x
+     * @param {number} cy - cube centre y
+     * @param {number} cz - cube centre z
+     * @param {number} half - half of the edge length
+     */
+    reset(cx, cy, cz, half) {
+        this.cx = cx;
+        this.cy = cy;
+        this.cz = cz;
+        this.half = half;
+
+        /* Aggregate mass and mass-weighted position sum (→ centre of mass) */
+        this.mass = 0;
+        this.comX = 0;
+        this.comY = 0;
+        this.comZ = 0;
+
+        /** @type {number} Slot index of a leaf's sole occupant, or -1. */
+        this.index = -1;
+
+        /** @type {?OctreeNode[]} */
+        this.children = null;
+
+        /** @type {number} Bodies contained in this subtree. */
+        this.count = 0;
+    }
+}
+
+export default class Octree {
+    /** @param {number} [theta] - Opening angle. */
+    constructor(theta = PHYSICS.THETA) {
+        /** @type {number} */
+        this.theta = theta;
+
+        /** @type {?OctreeNode} */
+        this.root = null;
+
+        /** @type {OctreeNode[]} */
+        this._pool = [];
+        this._used = 0;
+
+        /** @type {OctreeNode[]} Reusable traversal stack. */
+        this._stack = [];
+
+        /** @type {?Float64Array} Positions the tree was built from. */
+        this._pos = null;
+
+        /** @type {?Float64Array} */
+        this._mass = null;
+    }
+
+    /* ── Public API ── */
+
+    /**
+     * Rebuild the tree around the first `count` slots.
+     * @param {Float64Array} pos  - interleaved xyz positions
+     * @param {Float64Array} mass - one mass per slot
+     * @param {number} count
+     */
+    build(pos, mass, count) {
+        this._used = 0;
+        this.root = null;
+        this._pos = pos;
+        this._mass = mass;
+        if (count === 0) return;
+
+        /* Bounding cube */
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const x = pos[i * 3], y = pos[i * 3 + 1], z = pos[i * 3 + 2];
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+            if (z < minZ) minZ = z;
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+            if (z > maxZ) maxZ = z;
+        }
+        const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1e-6;
+
+        this.root = this._allocNode(
+            (minX + maxX) / 2,
+            (minY + maxY) / 2,
+            (minZ + maxZ) / 2,
+            half,
+        );
+
+        for (let i = 0; i < count; i++) {
+            this._insert(this.root, i, 0);
+        }
+
+        this._finalise(this.root);
+    }
+
+    /**
+     * Gravitational acceleration exerted on slot `i` by everything in the
+     * tree, written to `out[3i..3i+2]`. Uses the same Plummer softening as
+     * the direct-sum solver so the two paths agree as θ → 0.
+     * @param {number} i - slot index
+     * @param {number} G
+     * @param {number} softSq - softening²
+     * @param {Float64Array} out - interleaved xyz accelerations
+     */
+    accelerationOn(i, G, softSq, out) {
+        let ax = 0, ay = 0, az = 0;
+
+        if (this.root) {
+            const pos = this._pos;
+            const px = pos[i * 3], py = pos[i * 3 + 1], pz = pos[i * 3 + 2];
+            const thetaSq = this.theta * this.theta;
+            const stack = this._stack;
+            stack.length = 0;
+            stack.push(this.root);
+
+            while (stack.length > 0) {
+                const node = stack.pop();
+                if (node.index === i) continue;
+
+                const dx = node.comX - px;
+                const dy = node.comY - py;
+                const dz = node.comZ - pz;
+                const rSq = dx * dx + dy * dy + dz * dz;
+                const size = node.half * 2;
+
+                const isLeaf = node.children === null;
+                const farEnough = size * size < thetaSq * rSq && !this._contains(node, px, py, pz);
+
+                if (isLeaf || farEnough) {
+                    const distSq = rSq + softSq;
+                    const inv = G * node.mass / (distSq * Math.sqrt(distSq));
+                    ax += dx * inv;
+                    ay += dy * inv;
+                    az += dz * inv;
+                } else {
+                    for (const child of node.children) {
+                        if (child.count > 0) stack.push(child);
+                    }
+                }
+            }
+        }
+
+        out[i * 3] = ax;
+        out[i * 3 + 1] = ay;
+        out[i * 3 + 2] = az;
+    }
+
+    /* ── Private ── */
+
+    _allocNode(cx, cy, cz, half) {
+        let node = this._pool[this._used];
+        if (!node) {
+            node = new OctreeNode();
+            this._pool.push(node);
+        }
+        this._used++;
+        node.reset(cx, cy, cz, half);
+        return node;
+    }
+
+    _insert(node, i, depth) {
+        const pos = this._pos;
+        const m = this._mass[i];
+
+        /* Accumulate mass on the way down; COM is normalised in _finalise */
+        node.mass += m;
+        node.comX += pos[i * 3] * m;
+        node.comY += pos[i * 3 + 1] * m;
+        node.comZ += pos[i * 3 + 2] * m;
+        node.count++;
+
+        if (node.count === 1) {
+            node.index = i;
+            return;
+        }
+
+        if (depth >= MAX_DEPTH) {
+            /* Coincident bodies: keep them aggregated in this leaf */
+            node.index = -1;
+            return;
+        }
+
+        if (node.children === null) {
+            this._subdivide(node);
+            if (node.index !== -1) {
+                const existing = node.index;
+                node.index = -1;
+                this._insertChild(node, existing, depth);
+            }
+        }
+
+        this._insertChild(node, i, depth);
+    }
+
+    _insertChild(node, i, depth) {
+        const pos = this._pos;
+        const octant = (pos[i * 3] >= node.cx ? 1 : 0)
+            | (pos[i * 3 + 1] >= node.cy ? 2 : 0)
+            | (pos[i * 3 + 2] >= node.cz ? 4 : 0);
+        this._insert(node.children[octant], i, depth + 1);
+    }
+
+    _subdivide(node) {
+        const h = node.half / 2;
+        node.children = new Array(8);
+        for (let i = 0; i < 8; i++) {
+            node.children[i] = this._allocNode(
+                node.cx + (i & 1 ? h : -h),
+                node.cy + (i & 2 ? h : -h),
+                node.cz + (i & 4 ? h : -h),
+                h,
+            );
+        }
+    }
+
+    /** Turn mass-weighted position sums into centres of mass. */
+    _finalise(node) {
+        if (node.mass > 0) {
+            node.comX /= node.mass;
+            node.comY /= node.mass;
+            node.comZ /= node.mass;
+        }
+        if (node.children) {
+            for (const child of node.children) {
+                if (child.count > 0) this._finalise(child);
+            }
+        }
+    }
+
+    _contains(node, x, y, z) {
+        return Math.abs(x - node.cx) <= node.half
+            && Math.abs(y - node.cy) <= node.half
+            && Math.abs(z - node.cz) <= node.half;
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * @module Recorder
+ * Deterministic recording of a simulation run.
+ *
+ * While recording, the simulation only advances in fixed ticks of
+ * `fixedDt` (instead of the real, jittery `requestAnimationFrame` delta),
+ * and every user action goes through the recorder, which applies it and
+ * logs it with the tick it happened on. The resulting log — the starting
+ * scene, the gravity solver settings scenes do not save, and the action
+ * list — is all `Replayer` needs to reproduce the run bit for bit, because
+ * the engine itself is deterministic for a given sequence of inputs.
+ *
+ * Log shape:
+ *
+ *   {
+ *     version: 1,
+ *     fixedDt,
+ *     length,            — ticks recorded
+ *     initial,           — Scene (see sceneFormat.js) at tick 0
+ *     gravity: { solver, theta },
+ *     actions: [{ tick, time, type, … }]
+ *   }
+ *
+ * Action types: 'addBody' { bodyType, pos, vel, props }, 'setG' { G },
+ * 'setIntegrator' { integrator }, 'setCollisions' { collisions },
+ * 'setRestitution' { restitution }, 'setBoundary' { boundary,
+ * boundaryRadius }, 'clear', 'updateBody' { index,
+ * changes, options } and 'removeBody' { index }. Bodies are referred to by their
+ * index in `sim.bodies`, which replays identically. An action logged at
+ * tick `t` happened after `t` ticks had run and is replayed before tick
+ * `t + 1`.
+ */
+import { REPLAY } from '../config.js';
+
+/** Format version of recorder logs. */
+export const LOG_VERSION = 1;
+
+export default class Recorder {
+    /**
+     * Start recording `sim` from its current state.
+     * @param {import('./Simulation.js').default} sim
+     * @param {object} [options]
+     * @param {number} [options.fixedDt] - Seconds per tick.
+     */
+    constructor(sim, options = {}) {
+        /** @type {import('./Simulation.js').default} */
+        this.sim = sim;
+
+        /** @type {number} Simulation seconds per tick. */
+        this.fixedDt = options.fixedDt ?? REPLAY.FIXED_DT;
+
+        /** @type {number} Ticks run so far. */
+        this.ticks = 0;
+
+        this._initial = sim.toJSON({ trails: true });
+        this._gravity = { solver: sim.solver, theta: sim.theta };
+
+        /** @type {object[]} */
+        this._actions = [];
+    }
+
+    /* ── Public API ── */
+
+    /** Advance the simulation by one fixed tick (no-op while paused). */
+    step() {
+        if (this.sim.paused) return;
+        this.sim.step(this.fixedDt, 1);
+        this.ticks++;
+    }
+
+    /**
+     * Add a body and log it, including the colors it was given, so the
+     * replay looks the same as the original.
+     * @param {string} type
+     * @param {import('./Vector3.js').default} position
+     * @param {import('./Vector3.js').default} [velocity]
+     * @returns {import('./Body.js').default}
+     */
+    addBody(type, position, velocity) {
+        const body = this.sim.addBody(type, position, velocity);
+        const v = body.vel;
+        this._log('addBody', {
+            bodyType: type,
+            pos: [position.x, position.y, position.z],
+            vel: [v.x, v.y, v.z],
+            props: {
+                mass: body.mass,
+                radius: body.radius,
+                color: body.color,
+                glow: body.glow,
+                trailColor: body.trailColor,
+            },
+        });
+        return body;
+    }
+
+    /**
+     * Edit a body and log the edit (see `Simulation#updateBody`).
+     * @param {import('./Body.js').default} body
+     * @param {object} changes
+     * @param {object} [options]
+     */
+    updateBody(body, changes, options = {}) {
+        const index = this.sim.bodies.indexOf(body);
+        this.sim.updateBody(body, changes, options);
+        const { vel } = changes;
+        this._log('updateBody', {
+            index,
+            changes: vel ? { ...changes, vel: [vel.x, vel.y, vel.z] } : { ...changes },
+            options: { ...options },
+        });
+    }
+
+    /** @param {import('./Body.js').default} body */
+    removeBody(body) {
+        const index = this.sim.bodies.indexOf(body);
+        if (this.sim.removeBody(body)) this._log('removeBody', { index });
+    }
+
+    /** @param {number} G */
+    setG(G) {
+        this.sim.G = G;
+        this._log('setG', { G });
+    }
+
+    /** @param {string} integrator */
+    setIntegrator(integrator) {
+        this.sim.integrator = integrator;
+        this._log('setIntegrator', { integrator });
+    }
+
+    /** @param {string} collisions - Collision model (see collisions.js). */
+    setCollisions(collisions) {
+        this.sim.collisions = collisions;
+        this._log('setCollisions', { collisions });
+    }
+
+    /** @param {number} restitution */
+    setRestitution(restitution) {
+        this.sim.restitution = restitution;
+        this._log('setRestitution', { restitution });
+    }
+
+    /**
+     * @param {string} boundary       - Boundary policy (see boundary.js).
+     * @param {number} boundaryRadius
+     */
+    setBoundary(boundary, boundaryRadius) {
+        this.sim.boundary = boundary;
+        this.sim.boundaryRadius = boundaryRadius;
+        this._log('setBoundary', { boundary, boundaryRadius });
+    }
+
+    clear() {
+        this.sim.clear();
+        this._log('clear');
+    }
+
+    /** @returns {object} A self-contained copy of the log so far. */
+    get log() {
+        return structuredClone({
+            version: LOG_VERSION,
+            fixedDt: this.fixedDt,
+            length: this.ticks,
+            initial: this._initial,
+            gravity: this._gravity,
+            actions: this._actions,
+        });
+    }
+
+    /* ── Private ── */
+
+    _log(type, fields = {}) {
+        this._actions.push({ tick: this.ticks, time: this.sim.elapsed, type, ...fields });
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * @module Replayer
+ * Plays back a `Recorder` log on a private Simulation.
+ *
+ * Playback re-runs the recorded ticks, with the recorded gravity solver,
+ * and re-applies each logged action before the tick it preceded, so every replay of the same log produces
+ * bit-identical body states. Seeking backward restores the nearest earlier
+ * keyframe — a full scene snapshot taken every `REPLAY.KEYFRAME_EVERY`
+ * ticks the first time playback passes that point — and re-simulates
+ * forward from there, so scrubbing costs at most one keyframe interval of
+ * physics.
+ */
+import Simulation from './Simulation.js';
+import Vector3 from './Vector3.js';
+import { LOG_VERSION } from './Recorder.js';
+import { REPLAY } from '../config.js';
+
+export default class Replayer {
+    /**
+     * @param {object} log - As produced by `Recorder#log`.
+     * @param {object} [options]
+     * @param {object} [options.simulation]   - Simulation constructor options;
+     *   the log's gravity settings override them.
+     * @param {number} [options.keyframeEvery] - Ticks between keyframes.
+     */
+    constructor(log, options = {}) {
+        if (log?.version !== LOG_VERSION) {
+            throw new Error(`Replayer: unsupported log version ${log?.version}`);
+        }
+
+        /** @type {object} */
+        this.log = log;
+
+        /** @type {Simulation} The simulation being replayed (render this). */
+        this.sim = new Simulation({ ...options.simulation, ...log.gravity });
+
+        /** @type {number} Ticks replayed so far (0 … length). */
+        this.tick = 0;
+
+        this._keyframeEvery = options.keyframeEvery ?? REPLAY.KEYFRAME_EVERY;
+
+        /** @type {number} Index of the next action to apply. */
+        this._nextAction = 0;
+
+        /** @type {Map<number, { scene: object, nextAction: number }>} */
+        this._keyframes = new Map([[0, { scene: log.initial, nextAction: 0 }]]);
+
+        this.sim.load(log.initial);
+        this._applyActions();
+    }
+
+    /** @returns {number} Total ticks in the log. */
+    get length() { return this.log.length; }
+
+    /** @returns {boolean} Whether playback has reached the end. */
+    get ended() { return this.tick >= this.length; }
+
+    /**
+     * Replay one tick.
+     * @returns {boolean} False if the log had already ended.
+     */
+    step() {
+        if (this.ended) return false;
+
+        this._applyActions();
+        this.sim.step(this.log.fixedDt, 1);
+        this.tick++;
+
+        if (this.tick % this._keyframeEvery === 0 && !this._keyframes.has(this.tick)) {
+            this._keyframes.set(this.tick, {
+                scene: this.sim.toJSON({ trails: true }),
+                nextAction: this._nextAction,
+            });
+        }
+        if (this.ended) this._applyActions();
+        return true;
+    }
+
+    /**
+     * Jump to `tick`, replaying from the nearest keyframe at or before it.
+     * Actions logged at `tick` itself are applied, so the state matches what
+     * the recording showed at that moment.
+     * @param {number} tick - Clamped to 0 … length.
+     */
+    seek(tick) {
+        const target = Math.min(Math.max(Math.round(tick), 0), this.length);
+
+        /* Keep going forward from here unless a keyframe gets us closer */
+        const start = this._nearestKeyframe(target);
+        if (target < this.tick || start > this.tick) {
+            const { scene, nextAction } = this._keyframes.get(start);
+            this.sim.load(scene);
+            this.tick = start;
+            this._nextAction = nextAction;
+        }
+
+        while (this.tick < target) this.step();
+        this._applyActions();
+    }
+
+    /* ── Private ── */
+
+    /** Highest recorded keyframe tick ≤ `tick`. */
+    _nearestKeyframe(tick) {
+        let best = 0;
+        for (const t of this._keyframes.keys()) {
+            if (t <= tick && t > best) best = t;
+        }
+        return best;
+    }
+
+    /** Apply every pending action logged at the current tick. */
+    _applyActions() {
+        const { actions } = this.log;
+        while (this._nextAction < actions.length && actions[this._nextAction].tick <= this.tick) {
+            applyAction(this.sim, actions[this._nextAction++]);
+        }
+    }
+}
+
+/**
+ * Apply one logged action to a simulation.
+ * @param {Simulation} sim
+ * @param {{ type: string }} action
+ */
+function applyAction(sim, action) {
+    switch (action.type) {
+        case 'addBody':
+            sim.addBody(action.bodyType, new Vector3(...action.pos), new Vector3(...action.vel), action.props);
+            break;
+        case 'setG':
+            sim.G = action.G;
+            break;
+        case 'setIntegrator':
+            sim.integrator = action.integrator;
+            break;
+        case 'setCollisions':
+            sim.collisions = action.collisions;
+            break;
+        case 'setRestitution':
+            sim.restitution = action.restitution;
+            break;
+        case 'setBoundary':
+            sim.boundary = action.boundary;
+            sim.boundaryRadius = action.boundaryRadius;
+            break;
+        case 'clear':
+            sim.clear();
+            break;
+        case 'updateBody': {
+            const { vel, ...changes } = action.changes;
+            if (vel) changes.vel = new Vector3(...vel);
+            sim.updateBody(sim.bodies[action.index], changes, action.options);
+            break;
+        }
+        case 'removeBody':
+            sim.removeBody(sim.bodies[action.index]);
+            break;
+        default:
+            throw new Error(`Replayer: unknown action type "${action.type}"`);
+    }
+}
@@ -1,9 +1,11 @@
 /**
  * @module Simulation
- * N-body gravitational physics engine using Velocity Verlet integration.
+ * N-body gravitational physics engine with pluggable integrators.
  *
- * Verlet is chosen over Euler because it conserves energy — orbits stay
- * stable over thousands of frames instead of spiralling outward.
+ * Velocity Verlet is the default because it conserves energy — orbits stay
+ * stable over thousands of frames instead of spiralling outward. Other
+ * schemes (Euler, RK4, Yoshida, adaptive) come from `integrators.js` and
+ * can be chosen at construction or swapped at runtime via `integrator`.
  *
  * The engine uses sub-stepping: each visual frame is divided into multiple
  * smaller physics steps, which dramatically improves accuracy for close
@@ -11,57 +13,345 @@
  *
  * Physics operates in full 3D — bodies orbit in whatever plane they are
  * placed in. The demo scene uses the XZ plane for a nice top-down view.
+ *
+ * Gravity is evaluated either by an exact direct sum over all pairs (the
+ * reference) or by a Barnes–Hut octree, which trades a small, θ-controlled
+ * error for O(n log n) scaling on large scenes.
+ *
+ * Physics state is kept structure-of-arrays in a {@link StateBuffer}: the
+ * integrator and solvers index flat Float64Arrays, while each `Body` exposes
+ * `pos`/`vel` as read views onto its slot for the renderer and UI.
+ *
+ * Collisions are detected every substep by sweeping each body along the
+ * path it just took, so fast fly-bys cannot tunnel through, and resolved
+ * by the model in `collisions` — merge, bounce or fragment — implemented
+ * in `collisions.js`.
+ *
+ * `toJSON()` / `fromJSON()` round-trip the whole simulation through the
+ * versioned format described in `sceneFormat.js`.
+ *
+ * Every few frames each body is classified as bound or unbound from its
+ * energy in the barycentric frame (`body.bound`). Bodies that stray beyond
+ * `boundaryRadius` from the barycentre are kept, deleted, wrapped around or
+ * reflected according to `boundary`, as implemented in `boundary.js`.
+ *
+ * Quantities are in the unit system named by `units` (see `units.js`):
+ * arbitrary game units by default, or AU, solar masses and days, in which
+ * real ephemerides (`ephemeris.js`) can be loaded.
+ *
+ * Black holes (`blackHoles.js`) swallow whatever crosses their horizon,
+ * whose radius the simulation keeps in step with their mass and G.
+ *
+ * The simulation is an {@link EventEmitter}: bodies being added, removed,
+ * colliding, merging, being promoted to stars, escaping and passing
+ * periapsis are all announced as events, listed in `events.js`.
  */
 import Vector3 from './Vector3.js';
 import Body from './Body.js';
-import { PHYSICS, BODY_TYPES } from '../config.js';
+import EventEmitter from './EventEmitter.js';
+import Octree from './Octree.js';
+import StateBuffer from './StateBuffer.js';
+import { getIntegrator } from './integrators.js';
+import { COLLISION_MODELS, bounce, contactDistance, contactTime, fragment } from './collisions.js';
+import { BOUNDARY_POLICIES, reflect, wrap } from './boundary.js';
+import { hasHorizon, horizonRadius, swallow } from './blackHoles.js';
+import { SCENE_VERSION, SceneFormatError, validateScene } from './sceneFormat.js';
+import { SIM_EVENTS } from './events.js';
+import { dominantAttractor } from './orbitalElements.js';
+import { checkPromotions, getBodyType, hasBodyType } from './bodyTypes.js';
+import { getUnitSystem } from './units.js';
+import { setTrail } from './trails.js';
+import { PHYSICS, FRAGMENTATION, BOUNDARY } from '../config.js';
 
-export default class Simulation {
+/** Gravity solvers, name → label for UI pickers. */
+export const SOLVERS = Object.freeze({
+    direct: 'Direct (exact)',
+    'barnes-hut': 'Barnes–Hut',
+});
+
+export default class Simulation extends EventEmitter {
     /**
      * @param {object} [options]
+     * @param {string} [options.units]      - 'game' | 'astronomical'; sets
+     *   the defaults for G and softening.
      * @param {number} [options.G]          - Gravitational constant.
      * @param {number} [options.softening]  - Softening factor to prevent singularities.
      * @param {number} [options.substeps]   - Integration substeps per frame.
+     * @param {string} [options.solver]     - 'direct' | 'barnes-hut'
+     * @param {number} [options.theta]      - Barnes–Hut opening angle.
+     * @param {string} [options.integrator] - Registered integrator name.
+     * @param {string} [options.collisions]  - 'merge' | 'bounce' | 'fragment'
+     * @param {number} [options.restitution] - Bounce restitution, 0 … 1.
+     * @param {string} [options.boundary]    - 'keep' | 'delete' | 'wrap' | 'reflect'
+     * @param {number} [options.boundaryRadius] - Boundary distance from the barycentre.
      */
     constructor(options = {}) {
-        /** @type {Body[]} */
+        super(Object.values(SIM_EVENTS));
+
+        /** @type {Body[]} Slot `i` of `_state` belongs to `bodies[i]`. */
         this.bodies = [];
 
-        /** @type {number} Gravitational constant. */
-        this.G = options.G ?? PHYSICS.G;
+        /** @type {StateBuffer} Contiguous pos/vel/acc/mass storage. */
+        this._state = new StateBuffer();
+
+        this.units = options.units ?? PHYSICS.UNITS;
+
+        this.G = options.G ?? this.unitSystem.G;
 
-        /** @type {number} Softening prevents infinite force at r→0. */
-        this.softening = options.softening ?? PHYSICS.SOFTENING;
+        this.softening = options.softening ?? this.unitSystem.softening;
 
         /** @type {number} Substeps per frame for integration accuracy. */
         this.substeps = options.substeps ?? PHYSICS.SUBSTEPS;
 
+        /** @type {Octree} Reused between substeps by the Barnes–Hut solver. */
+        this._octree = new Octree(options.theta ?? PHYSICS.THETA);
+
+        this.solver = options.solver ?? PHYSICS.SOLVER;
+
+        this.integrator = options.integrator ?? PHYSICS.INTEGRATOR;
+
+        this.collisions = options.collisions ?? PHYSICS.COLLISIONS;
+
+        /** @type {number} Coefficient of restitution for the 'bounce' model. */
+        this.restitution = options.restitution ?? PHYSICS.RESTITUTION;
+
+        this.boundary = options.boundary ?? BOUNDARY.POLICY;
+
+        /** @type {number} Distance from the barycentre at which `boundary` applies. */
+        this.boundaryRadius = options.boundaryRadius ?? BOUNDARY.RADIUS;
+
+        /** @type {Float64Array|null} Positions at the start of the current substep. */
+        this._prevPos = null;
+
+        /** @type {Float64Array|null} Low x extent of each body's path, for collision sweeps. */
+        this._sweepLo = null;
+
+        /** @type {Float64Array|null} High x extent of each body's path. */
+        this._sweepHi = null;
+
+        /** @type {Uint32Array|null} Body indices by `_sweepLo`, kept between substeps. */
+        this._sweepOrder = null;
+
+        /** @type {number} Bodies `_sweepOrder` holds. */
+        this._sweepCount = 0;
+
+        /** @type {boolean} Stored accelerations no longer match positions. */
+        this._accStale = true;
+
         /** @type {number} Total elapsed simulation time (seconds). */
         this.elapsed = 0;
 
+        /** @type {number} Steps taken; stamps trail points (see trails.js). Never reset. */
+        this.stepCount = 0;
+
         /** @type {boolean} */
         this.paused = false;
+
+        /** @type {?Array<[string, object]>} Events held back until the current step ends. */
+        this._deferred = null;
+
+        /** @type {number} Frames until the next bound/unbound classification. */
+        this._classifyIn = 0;
+
+        /** @type {WeakSet<Body>} Bodies already reported as escaped. */
+        this._escaped = new WeakSet();
+
+        /** @type {WeakMap<Body, { attractor: Body, closing: boolean }>} Periapsis tracking. */
+        this._approach = new WeakMap();
+    }
+
+    /*
+     * Changing the force law leaves the stored accelerations out of date, so
+     * these setters mark them stale for the next step to recompute.
+     */
+
+    /** @type {number} Gravitational constant. */
+    get G() { return this._G; }
+
+    set G(value) {
+        this._G = value;
+        this._accStale = true;
+    }
+
+    /** @type {number} Softening prevents infinite force at r→0. */
+    get softening() { return this._softening; }
+
+    set softening(value) {
+        this._softening = value;
+        this._accStale = true;
+    }
+
+    /** @type {string} Gravity solver: 'direct' | 'barnes-hut'. */
+    get solver() { return this._solver; }
+
+    set solver(name) {
+        if (!Object.hasOwn(SOLVERS, name)) {
+            throw new Error(`Unknown solver "${name}" (known: ${Object.keys(SOLVERS).join(', ')})`);
+        }
+        this._solver = name;
+        this._accStale = true;
+    }
+
+    /** Barnes–Hut opening angle θ (ignored by the direct solver). */
+    get theta() { return this._octree.theta; }
+
+    set theta(value) {
+        this._octree.theta = value;
+        this._accStale = true;
+    }
+
+    /** @type {string} Name of the active integrator (see integrators.js). */
+    get integrator() { return this._integratorName; }
+
+    set integrator(name) {
+        this._integrator = getIntegrator(name);
+        this._integratorName = name;
+    }
+
+    /**
+     * @type {string} Unit system (see units.js). Changing it does not convert
+     * anything: it only says what the numbers already in the simulation mean.
+     */
+    get units() { return this._units; }
+
+    set units(name) {
+        this._unitSystem = getUnitSystem(name);
+        this._units = name;
+    }
+
+    /** @type {import('./units.js').UnitSystem} Constants and scales of `units`. */
+    get unitSystem() { return this._unitSystem; }
+
+    /** @type {string} Collision model (see collisions.js). */
+    get collisions() { return this._collisions; }
+
+    set collisions(model) {
+        if (!Object.hasOwn(COLLISION_MODELS, model)) {
+            throw new Error(`Unknown collision model "${model}" (known: ${Object.keys(COLLISION_MODELS).join(', ')})`);
+        }
+        this._collisions = model;
     }
 
+    /** @type {string} Policy for bodies beyond `boundaryRadius` (see boundary.js). */
+    get boundary() { return this._boundary; }
+
+    set boundary(policy) {
+        if (!Object.hasOwn(BOUNDARY_POLICIES, policy)) {
+            throw new Error(`Unknown boundary policy "${policy}" (known: ${Object.keys(BOUNDARY_POLICIES).join(', ')})`);
+        }
+        this._boundary = policy;
+    }
+
+    /** @type {StateBuffer} Structure-of-arrays state, for integrators. */
+    get state() { return this._state; }
+
     /* ── Public API ── */
 
     /**
      * Add a body to the simulation.
-     * @param {string}  type     - 'star' | 'planet' | 'moon'
+     * @param {string}  type     - A registered body type (see bodyTypes.js).
      * @param {Vector3} position
      * @param {Vector3} [velocity]
+     * @param {object}  [props] - Preset overrides (mass, radius, colors); see
+     *   Body. The type's preset mass and radius are in game units and are
+     *   scaled into `units` when not overridden.
      * @returns {Body} The created body.
      */
-    addBody(type, position, velocity = Vector3.zero()) {
-        const body = new Body(type, position, velocity);
+    addBody(type, position, velocity = Vector3.zero(), props) {
+        const preset = getBodyType(type);
+        const { presetMass, presetRadius } = this.unitSystem;
+        const body = new Body(type, position, velocity, {
+            mass: preset.mass * presetMass,
+            radius: preset.radius * presetRadius,
+            ...props,
+        });
+        body.bindState(this._state, this._state.add());
+        if (hasHorizon(body)) body.radius = this._horizon(body.mass);
         this.bodies.push(body);
+        this._accStale = true;
+        this._emit(SIM_EVENTS.BODY_ADDED, { body });
         return body;
     }
 
+    /**
+     * Edit a body in place.
+     * @param {Body} body
+     * @param {object}  changes
+     * @param {number}  [changes.mass]
+     * @param {number}  [changes.radius] - Ignored for black holes, whose
+     *   radius follows their mass.
+     * @param {Vector3} [changes.vel]    - Ignored while the body is pinned.
+     * @param {string}  [changes.color]  - '#rrggbb'; glow and trail follow it.
+     * @param {string}  [changes.type]   - Also recolors from the new type's
+     *   palette unless `color` is given. Mass and radius are kept.
+     * @param {boolean} [changes.pinned]
+     * @param {object}  [options]
+     * @param {boolean} [options.preserveMomentum=false] - On a mass change
+     *   without an explicit `vel`, rescale the velocity so m·v is unchanged.
+     * @throws {Error} If a value is out of range; nothing is changed then.
+     */
+    updateBody(body, changes, { preserveMomentum = false } = {}) {
+        const { mass, radius, vel, color, type, pinned } = changes;
+        if (mass !== undefined && !(mass > 0 && Number.isFinite(mass))) {
+            throw new Error(`Invalid mass ${mass} (must be a positive number)`);
+        }
+        if (radius !== undefined && !(radius > 0 && Number.isFinite(radius))) {
+            throw new Error(`Invalid radius ${radius} (must be a positive number)`);
+        }
+        if (type !== undefined && !hasBodyType(type)) {
+            throw new Error(`Unknown body type "${type}"`);
+        }
+        if (type !== undefined) checkPromotions(type);
+        if (color !== undefined && !/^#[0-9a-f]{6}$/i.test(color)) {
+            throw new Error(`Invalid color "${color}" (expected #rrggbb)`);
+        }
+
+        if (pinned !== undefined) body.pinned = pinned;
+
+        if (mass !== undefined) {
+            if (preserveMomentum && vel === undefined) {
+                body.vel = body.vel.scale(body.mass / mass);
+            }
+            body.mass = mass;
+        }
+        if (vel !== undefined && !body.pinned) body.vel = vel;
+        if (radius !== undefined) body.radius = radius;
+
+        if (type !== undefined && type !== body.type) {
+            body.type = type;
+            const colors = getBodyType(type).palette[0];
+            body.color = colors.color;
+            body.glow = colors.glow;
+            body.trailColor = colors.trail;
+        }
+        if (color !== undefined) body.recolor(color);
+        if (hasHorizon(body)) body.radius = this._horizon(body.mass);
+
+        this._accStale = true;
+    }
+
+    /**
+     * Delete a body.
+     * @param {Body} body
+     * @returns {boolean} False if the body was not in this simulation.
+     */
+    removeBody(body) {
+        if (!this.bodies.includes(body)) return false;
+        body.alive = false;
+        this._compact();
+        this._accStale = true;
+        this._emit(SIM_EVENTS.BODY_REMOVED, { body, reason: 'removed' });
+        return true;
+    }
+
     /** Remove all bodies and reset the clock. */
     clear() {
+        const removed = this.bodies;
         this.bodies = [];
+        this._state.clear();
         this.elapsed = 0;
+        this._classifyIn = 0;
+        for (const body of removed) this._emit(SIM_EVENTS.BODY_REMOVED, { body, reason: 'cleared' });
     }
 
     /**
@@ -75,6 +365,243 @@ export default class Simulation {
         return Math.sqrt(this.G * centralMass / distance);
     }
 
+    /* ── Serialization ── */
+
+    /**
+     * Snapshot the simulation as a plain, JSON-safe scene object.
+     * @param {object}  [options]
+     * @param {boolean} [options.trails=false] - Include each body's trail.
+     * @returns {import('./sceneFormat.js').Scene}
+     */
+    toJSON({ trails = false } = {}) {
+        /* JSON.stringify passes a key string here; destructuring it is harmless */
+        const toArray = (v) => [v.x, v.y, v.z];
+        return {
+            version: SCENE_VERSION,
+            units: this.units,
+            G: this.G,
+            softening: this.softening,
+            substeps: this.substeps,
+            elapsed: this.elapsed,
+            integrator: this.integrator,
+            collisions: this.collisions,
+            restitution: this.restitution,
+            boundary: this.boundary,
+            boundaryRadius: this.boundaryRadius,
+            bodies: this.bodies.map(body => ({
+                type: body.type,
+                mass: body.mass,
+                radius: body.radius,
+                color: body.color,
+                glow: body.glow,
+                trailColor: body.trailColor,
+                pos: toArray(body.pos),
+                vel: toArray(body.vel),
+                ...(body.pinned && { pinned: true }),
+                ...(trails && { trail: body.trail.map(toArray) }),
+            })),
+        };
+    }
+
+    /**
+     * Replace this simulation's bodies and constants with a saved scene.
+     * The scene is validated first, so on error nothing has changed.
+     * @param {string|object} data - Scene object or its JSON text.
+     * @throws {import('./sceneFormat.js').SceneFormatError}
+     */
+    load(data) {
+        const scene = validateScene(data);
+        /* Resolve the integrator before touching any state */
+        const integrator = scene.integrator ?? this.integrator;
+        try {
+            getIntegrator(integrator);
+        } catch (err) {
+            throw new SceneFormatError(err.message);
+        }
+
+        this.clear();
+        /* Scenes saved before unit systems existed are in game units */
+        this.units = scene.units ?? 'game';
+        this.G = scene.G;
+        this.softening = scene.softening;
+        this.substeps = scene.substeps;
+        this.integrator = integrator;
+        this.collisions = scene.collisions ?? this.collisions;
+        this.restitution = scene.restitution ?? this.restitution;
+        this.boundary = scene.boundary ?? this.boundary;
+        this.boundaryRadius = scene.boundaryRadius ?? this.boundaryRadius;
+
+        for (const b of scene.bodies) {
+            const body = this.addBody(
+                b.type,
+                new Vector3(...b.pos),
+                new Vector3(...b.vel),
+                b,
+            );
+            if (b.trail) {
+                /* Saved trails were recorded in step with each other, up to now */
+                setTrail(body, b.trail.map(p => new Vector3(...p)), this.stepCount);
+            }
+        }
+        this.elapsed = scene.elapsed;
+    }
+
+    /**
+     * Build a new simulation from a saved scene.
+     * @param {string|object} data - Scene object or its JSON text.
+     * @param {object} [options] - Constructor options for settings the scene omits.
+     * @returns {Simulation}
+     * @throws {import('./sceneFormat.js').SceneFormatError}
+     */
+    static fromJSON(data, options) {
+        const sim = new Simulation(options);
+        sim.load(data);
+        return sim;
+    }
+
+    /* ── Diagnostics ── */
+
+    /**
+     * Total kinetic energy, Σ ½·m·v².
+     * @returns {number}
+     */
+    kineticEnergy() {
+        const { vel, mass, count } = this._state;
+        let e = 0;
+        for (let i = 0; i < count; i++) {
+            const vx = vel[i * 3], vy = vel[i * 3 + 1], vz = vel[i * 3 + 2];
+            e += 0.5 * mass[i] * (vx * vx + vy * vy + vz * vz);
+        }
+        return e;
+    }
+
+    /**
+     * Total gravitational potential energy, −Σ G·mᵢ·mⱼ / √(r² + ε²).
+     * Uses the same softening as the force law, so kinetic + potential is
+     * the quantity the integrator actually conserves. Always an exact pair
+     * sum, even when the Barnes–Hut solver is active.
+     * @returns {number}
+     */
+    potentialEnergy() {
+        const { pos, mass, count: n } = this._state;
+        const softSq = this.softening * this.softening;
+        let e = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = pos[j * 3] - pos[i * 3];
+                const dy = pos[j * 3 + 1] - pos[i * 3 + 1];
+                const dz = pos[j * 3 + 2] - pos[i * 3 + 2];
+                e -= this.G * mass[i] * mass[j] / Math.sqrt(dx * dx + dy * dy + dz * dz + softSq);
+            }
+        }
+        return e;
+    }
+
+    /** @returns {number} Kinetic + potential energy. */
+    totalEnergy() {
+        return this.kineticEnergy() + this.potentialEnergy();
+    }
+
+    /**
+     * Total linear momentum, Σ m·v.
+     * @returns {Vector3}
+     */
+    linearMomentum() {
+        const { vel, mass, count } = this._state;
+        let px = 0, py = 0, pz = 0;
+        for (let i = 0; i < count; i++) {
+            px += mass[i] * vel[i * 3];
+            py += mass[i] * vel[i * 3 + 1];
+            pz += mass[i] * vel[i * 3 + 2];
+        }
+        return new Vector3(px, py, pz);
+    }
+
+    /**
+     * Total angular momentum about the world origin, Σ m·(r × v).
+     * @returns {Vector3}
+     */
+    angularMomentum() {
+        const { pos, vel, mass, count } = this._state;
+        let lx = 0, ly = 0, lz = 0;
+        for (let i = 0; i < count; i++) {
+            const o = i * 3;
+            const rx = pos[o], ry = pos[o + 1], rz = pos[o + 2];
+            const vx = vel[o], vy = vel[o + 1], vz = vel[o + 2];
+            lx += mass[i] * (ry * vz - rz * vy);
+            ly += mass[i] * (rz * vx - rx * vz);
+            lz += mass[i] * (rx * vy - ry * vx);
+        }
+        return new Vector3(lx, ly, lz);
+    }
+
+    /**
+     * Mass-weighted mean position (origin for an empty simulation).
+     * @returns {Vector3}
+     */
+    centerOfMass() {
+        const { pos, mass, count } = this._state;
+        let cx = 0, cy = 0, cz = 0, total = 0;
+        for (let i = 0; i < count; i++) {
+            cx += mass[i] * pos[i * 3];
+            cy += mass[i] * pos[i * 3 + 1];
+            cz += mass[i] * pos[i * 3 + 2];
+            total += mass[i];
+        }
+        return total > 0 ? new Vector3(cx / total, cy / total, cz / total) : Vector3.zero();
+    }
+
+    /**
+     * Each body's energy per unit mass in the barycentric frame: ½·|v − v̄|²,
+     * with v̄ the velocity of the centre of mass, plus the softened potential
+     * of every other body. Negative means bound to the system. Like
+     * `potentialEnergy()`, always an exact pair sum.
+     * @returns {Float64Array} One value per body, in `bodies` order.
+     */
+    specificEnergies() {
+        const { pos, vel, mass, count: n } = this._state;
+        const softSq = this.softening * this.softening;
+        const energies = new Float64Array(n);
+        const total = mass.subarray(0, n).reduce((sum, m) => sum + m, 0);
+        if (total <= 0) return energies;
+
+        const drift = this.linearMomentum().scale(1 / total);
+        for (let i = 0; i < n; i++) {
+            const vx = vel[i * 3] - drift.x, vy = vel[i * 3 + 1] - drift.y, vz = vel[i * 3 + 2] - drift.z;
+            energies[i] = 0.5 * (vx * vx + vy * vy + vz * vz);
+        }
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const dx = pos[j * 3] - pos[i * 3];
+                const dy = pos[j * 3 + 1] - pos[i * 3 + 1];
+                const dz = pos[j * 3 + 2] - pos[i * 3 + 2];
+                const phi = this.G / Math.sqrt(dx * dx + dy * dy + dz * dz + softSq);
+                energies[i] -= mass[j] * phi;
+                energies[j] -= mass[i] * phi;
+            }
+        }
+        return energies;
+    }
+
+    /**
+     * Mark every body bound or unbound (`body.bound`) from its specific
+     * energy, and report bodies that have just escaped. Pinned bodies count
+     * as bound. `step()` calls this every `BOUNDARY.CLASSIFY_EVERY` frames;
+     * call it directly for an up-to-date answer.
+     */
+    classifyOrbits() {
+        const energies = this.specificEnergies();
+        const watchEscapes = this.hasListeners(SIM_EVENTS.ESCAPE);
+        const center = this.centerOfMass();
+        const total = this.bodies.reduce((sum, b) => sum + b.mass, 0);
+        const drift = total > 0 ? this.linearMomentum().scale(1 / total) : Vector3.zero();
+
+        this.bodies.forEach((body, i) => {
+            body.bound = body.pinned || energies[i] <= 0;
+            if (watchEscapes) this._checkEscape(body, center, drift);
+        });
+    }
+
     /**
      * Spawn a demo solar system with analytically correct circular orbits.
      * Bodies orbit in the XZ plane (y=0) for a natural 3D top-down view.
@@ -83,7 +610,7 @@ export default class Simulation {
         this.clear();
         this.addBody('star', new Vector3(0, 0, 0));
 
-        const M = BODY_TYPES.star.mass;
+        const M = getBodyType('star').mass;
         const orbits = [
             { type: 'planet', r: 120, angle: 0 },
             { type: 'planet', r: 200, angle: Math.PI * 0.7 },
@@ -107,105 +634,398 @@ export default class Simulation {
      */
     step(frameDt, timeScale = 1) {
         if (this.paused) return;
+        this._deferred = [];
 
         const dt = Math.min(frameDt, PHYSICS.MAX_FRAME_DT) * timeScale;
         const subDt = dt / this.substeps;
+        this._syncHorizons();
 
         for (let s = 0; s < this.substeps; s++) {
-            this._integrateVerlet(subDt);
+            /* Integrators expect acc to match pos on entry */
+            this._refreshAccelerations();
+
+            this._savePositions();
+            this._integrator.step(this, subDt);
+            this._resolveCollisions(subDt);
         }
+        this._enforceBoundary();
 
+        /* Trails record |a| too; the next step reuses the evaluation */
+        this._refreshAccelerations();
+        this.stepCount++;
         for (const body of this.bodies) {
-            body.recordTrail();
+            body.recordTrail(this.stepCount);
             body.age++;
         }
 
-        this._resolveCollisions();
         this.elapsed += dt;
+        if (--this._classifyIn <= 0) {
+            this.classifyOrbits();
+            this._classifyIn = BOUNDARY.CLASSIFY_EVERY;
+        }
+        this._watchOrbits();
+
+        const events = this._deferred;
+        this._deferred = null;
+        for (const [type, payload] of events) this.emit(type, payload);
     }
 
     /* ── Private ── */
 
     /**
-     * One Velocity Verlet integration step.
-     * @param {number} dt
+     * Fill `state.acc` with gravitational accelerations for the current
+     * positions, using the configured solver. Called by integrators.
      */
-    _integrateVerlet(dt) {
-        /* Half-step velocity */
-        for (const b of this.bodies) {
-            b.vel = b.vel.add(b.acc.scale(0.5 * dt));
+    computeAccelerations() {
+        if (this.solver === 'barnes-hut') {
+            this._computeBarnesHut();
+        } else {
+            this._computeDirect();
         }
 
-        /* Full-step position */
-        for (const b of this.bodies) {
-            b.pos = b.pos.add(b.vel.scale(dt));
+        /* Pinned bodies feel no force; with zero velocity, no integrator moves them */
+        const { acc, pinned, count } = this._state;
+        for (let i = 0; i < count; i++) {
+            if (pinned[i]) acc.fill(0, i * 3, i * 3 + 3);
         }
+    }
+
+    /** Exact O(n²) direct sum over all body pairs (3D). */
+    _computeDirect() {
+        const { pos, acc, mass, count: n } = this._state;
+        const softSq = this.softening * this.softening;
 
-        /* Recompute accelerations */
-        this._computeAccelerations();
+        acc.fill(0, 0, n * 3);
 
-        /* Half-step velocity with new accelerations */
-        for (const b of this.bodies) {
-            b.vel = b.vel.add(b.acc.scale(0.5 * dt));
+        for (let i = 0; i < n; i++) {
+            const ix = i * 3;
+            for (let j = i + 1; j < n; j++) {
+                const jx = j * 3;
+
+                const dx = pos[jx] - pos[ix];
+                const dy = pos[jx + 1] - pos[ix + 1];
+                const dz = pos[jx + 2] - pos[ix + 2];
+                const distSq = dx * dx + dy * dy + dz * dz + softSq;
+                const inv = this.G / (distSq * Math.sqrt(distSq));
+
+                const si = inv * mass[j];
+                const sj = inv * mass[i];
+                acc[ix] += dx * si;
+                acc[ix + 1] += dy * si;
+                acc[ix + 2] += dz * si;
+                acc[jx] -= dx * sj;
+                acc[jx + 1] -= dy * sj;
+                acc[jx + 2] -= dz * sj;
+            }
         }
     }
 
-    /** Compute gravitational accelerations for all body pairs (3D). */
-    _computeAccelerations() {
-        for (const b of this.bodies) {
-            b.acc = Vector3.zero();
+    /** Approximate O(n log n) Barnes–Hut evaluation. */
+    _computeBarnesHut() {
+        const { pos, acc, mass, count } = this._state;
+        const softSq = this.softening * this.softening;
+        this._octree.build(pos, mass, count);
+
+        for (let i = 0; i < count; i++) {
+            this._octree.accelerationOn(i, this.G, softSq, acc);
         }
+    }
 
-        const softSq = this.softening * this.softening;
+    /** Recompute accelerations if they no longer match positions. */
+    _refreshAccelerations() {
+        if (this._accStale) {
+            this.computeAccelerations();
+            this._accStale = false;
+        }
+    }
 
-        for (let i = 0; i < this.bodies.length; i++) {
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                const a = this.bodies[i];
-                const b = this.bodies[j];
+    /**
+     * Fill the sweep buffers with the x extent of each body's path over the
+     * substep and sort the body indices by its low end. The order is kept
+     * from one substep to the next, when bodies have barely moved along x,
+     * so an insertion sort puts it right in close to linear time.
+     * @param {Float64Array} pos
+     * @param {Float64Array} prev - Positions at the start of the substep.
+     * @param {number} count
+     */
+    _sortSweep(pos, prev, count) {
+        if (!this._sweepLo || this._sweepLo.length < count) {
+            const capacity = pos.length / 3;
+            this._sweepLo = new Float64Array(capacity);
+            this._sweepHi = new Float64Array(capacity);
+            this._sweepOrder = new Uint32Array(capacity);
+            this._sweepCount = 0;
+        }
+        const lo = this._sweepLo;
+        const hi = this._sweepHi;
+        const order = this._sweepOrder;
 
-                const dx = b.pos.x - a.pos.x;
-                const dy = b.pos.y - a.pos.y;
-                const dz = b.pos.z - a.pos.z;
-                const distSq = dx * dx + dy * dy + dz * dz + softSq;
-                const dist = Math.sqrt(distSq);
-                const force = this.G * a.mass * b.mass / distSq;
+        for (let i = 0; i < count; i++) {
+            const r = this.bodies[i].radius;
+            lo[i] = Math.min(prev[i * 3], pos[i * 3]) - r;
+            hi[i] = Math.max(prev[i * 3], pos[i * 3]) + r;
+        }
 
-                const fx = force * dx / dist;
-                const fy = force * dy / dist;
-                const fz = force * dz / dist;
+        /* Bodies came or went: any permutation of the indices will do as a start */
+        if (this._sweepCount !== count) {
+            for (let i = 0; i < count; i++) order[i] = i;
+            this._sweepCount = count;
+        }
+        for (let k = 1; k < count; k++) {
+            const i = order[k];
+            const key = lo[i];
+            let m = k - 1;
+            while (m >= 0 && lo[order[m]] > key) {
+                order[m + 1] = order[m];
+                m--;
+            }
+            order[m + 1] = i;
+        }
+    }
 
-                a.acc = new Vector3(
-                    a.acc.x + fx / a.mass,
-                    a.acc.y + fy / a.mass,
-                    a.acc.z + fz / a.mass,
-                );
-                b.acc = new Vector3(
-                    b.acc.x - fx / b.mass,
-                    b.acc.y - fy / b.mass,
-                    b.acc.z - fz / b.mass,
+    /** Copy positions to `_prevPos`, the start of the substep for collision sweeps. */
+    _savePositions() {
+        const { pos, count } = this._state;
+        if (!this._prevPos || this._prevPos.length < pos.length) {
+            this._prevPos = new Float64Array(pos.length);
+        }
+        this._prevPos.set(pos.subarray(0, count * 3));
+    }
+
+    /**
+     * Find and resolve the contacts made during the substep that just ran.
+     * Each body is swept from its position at the start of the substep to
+     * its position at the end, so fast bodies cannot tunnel through each
+     * other. Contacts are handled in the order they happened: the pair is
+     * moved back to where it touched, the collision model applied, and the
+     * result carried on for the rest of the substep. A body collides at most
+     * once per substep; anything else it hits is found, already
+     * overlapping, on the next one.
+     * @param {number} dt - Substep length.
+     */
+    _resolveCollisions(dt) {
+        const model = this._collisions;
+        const { pos, count } = this._state;
+        const prev = this._prevPos;
+
+        /* Broad phase: sweep and prune on the x extent of each body's path */
+        this._sortSweep(pos, prev, count);
+        const lo = this._sweepLo;
+        const hi = this._sweepHi;
+        const order = this._sweepOrder;
+
+        const contacts = [];
+        for (let oi = 0; oi < count; oi++) {
+            const i = order[oi];
+            for (let oj = oi + 1; oj < count && lo[order[oj]] <= hi[i]; oj++) {
+                const j = order[oj];
+                const t = contactTime(
+                    prev[j * 3] - prev[i * 3], prev[j * 3 + 1] - prev[i * 3 + 1], prev[j * 3 + 2] - prev[i * 3 + 2],
+                    pos[j * 3] - pos[i * 3], pos[j * 3 + 1] - pos[i * 3 + 1], pos[j * 3 + 2] - pos[i * 3 + 2],
+                    contactDistance(model, this.bodies[i], this.bodies[j]),
                 );
+                if (t !== null) contacts.push({ i: Math.min(i, j), j: Math.max(i, j), t });
+            }
+        }
+        if (contacts.length === 0) return;
+
+        contacts.sort((p, q) => p.t - q.t || p.i - q.i || p.j - q.j);
+        const handled = new Set();
+        const debris = [];
+
+        for (const { i, j, t } of contacts) {
+            if (handled.has(i) || handled.has(j)) continue;
+            handled.add(i).add(j);
+
+            const a = this.bodies[i];
+            const b = this.bodies[j];
+            const rest = (1 - t) * dt;
+            const comEnd = a.pinned || b.pinned ? null : centerOf([a, b]);
+            const captured = hasHorizon(a) || hasHorizon(b);
+            this._rewind(i, t);
+            this._rewind(j, t);
+            this._reportContact(a, b, captured ? 'capture' : model);
+            const types = [a.type, b.type];
+
+            let pieces = [];
+            if (captured) {
+                const hole = swallow(a, b);
+                hole.radius = this._horizon(hole.mass);
+            } else if (model === 'bounce') {
+                bounce(a, b, this.restitution);
+            } else if (model === 'fragment') {
+                const budget = FRAGMENTATION.MAX_BODIES - this.bodies.length - debris.length;
+                pieces = fragment(a, b, this.G, Math.max(budget, 0), this.unitSystem);
+            } else {
+                const [big, small] = a.mass >= b.mass ? [a, b] : [b, a];
+                big.absorb(small);
+            }
+
+            if (captured || model !== 'bounce') this._reportMerge(a, b, types);
+
+            const survivors = [a, b].filter(body => body.alive);
+            for (const body of survivors) {
+                if (!body.pinned) body.pos = body.pos.add(body.vel.scale(rest));
             }
+            pieces = pieces.map(piece => ({ ...piece, pos: piece.pos.add(piece.vel.scale(rest)) }));
+
+            /* The rewind is linear; land the pair's centre of mass where the integrator had it */
+            if (comEnd) {
+                const shift = comEnd.sub(centerOf([
+                    ...survivors,
+                    ...pieces.map(piece => ({ pos: piece.pos, mass: piece.props.mass })),
+                ]));
+                for (const body of survivors) body.pos = body.pos.add(shift);
+                pieces = pieces.map(piece => ({ ...piece, pos: piece.pos.add(shift) }));
+            }
+            debris.push(...pieces);
+        }
+
+        this._compact();
+        for (const { type, pos: p, vel, props } of debris) this.addBody(type, p, vel, props);
+        this._accStale = true;
+    }
+
+    /** Emit a collision event for a pair that has just touched, unless it is resting contact. */
+    _reportContact(a, b, model) {
+        if (!this.hasListeners(SIM_EVENTS.COLLISION)) return;
+        const delta = b.pos.sub(a.pos);
+        const relVel = b.vel.sub(a.vel);
+        if (model === 'bounce' && delta.dot(relVel) >= 0) return;
+
+        const point = a.pos.add(delta.scale(a.radius / (a.radius + b.radius)));
+        this._emit(SIM_EVENTS.COLLISION, { a, b, model, point, speed: relVel.mag });
+    }
+
+    /** Emit merge, promotion and removal events once one of `a`, `b` has absorbed the other. */
+    _reportMerge(a, b, typesBefore) {
+        const survivor = a.alive ? a : b;
+        const absorbed = survivor === a ? b : a;
+        const from = typesBefore[survivor === a ? 0 : 1];
+
+        this._emit(SIM_EVENTS.MERGE, { survivor, absorbed });
+        if (survivor.type !== from) {
+            this._emit(SIM_EVENTS.PROMOTION, { body: survivor, from, to: survivor.type });
+        }
+        this._emit(SIM_EVENTS.BODY_REMOVED, { body: absorbed, reason: 'merged' });
+    }
+
+    /** Look for periapsis passages: an O(n²) pass, skipped unless someone is listening. */
+    _watchOrbits() {
+        if (!this.hasListeners(SIM_EVENTS.PERIAPSIS)) return;
+        for (const body of this.bodies) {
+            if (!body.pinned) this._checkPeriapsis(body);
         }
     }
 
-    /** Merge overlapping bodies (larger absorbs smaller). */
-    _resolveCollisions() {
-        for (let i = 0; i < this.bodies.length; i++) {
-            if (!this.bodies[i].alive) continue;
-            for (let j = i + 1; j < this.bodies.length; j++) {
-                if (!this.bodies[j].alive) continue;
+    /**
+     * An escape is the moment an unbound body is seen moving away from the
+     * barycentre. It is reported once, until the body is bound again.
+     */
+    _checkEscape(body, center, drift) {
+        if (body.bound) {
+            this._escaped.delete(body);
+            return;
+        }
+
+        const r = body.pos.sub(center);
+        const v = body.vel.sub(drift);
+        if (r.dot(v) > 0 && !this._escaped.has(body)) {
+            this._escaped.add(body);
+            this._emit(SIM_EVENTS.ESCAPE, { body, distance: r.mag, speed: v.mag });
+        }
+    }
 
-                const a = this.bodies[i];
-                const b = this.bodies[j];
-                const dist = Vector3.dist(a.pos, b.pos);
+    /** A periapsis passage is the radial velocity towards the attractor turning from closing to opening. */
+    _checkPeriapsis(body) {
+        const attractor = dominantAttractor(this.bodies, body);
+        if (!attractor) {
+            this._approach.delete(body);
+            return;
+        }
 
-                if (dist < (a.radius + b.radius) * 0.6) {
-                    const [big, small] = a.mass >= b.mass ? [a, b] : [b, a];
-                    big.absorb(small);
-                }
+        const r = body.pos.sub(attractor.pos);
+        const v = body.vel.sub(attractor.vel);
+        const closing = r.dot(v) < 0;
+        const last = this._approach.get(body);
+        if (last && last.attractor === attractor && last.closing && !closing) {
+            this._emit(SIM_EVENTS.PERIAPSIS, { body, attractor, distance: r.mag, speed: v.mag });
+        }
+        this._approach.set(body, { attractor, closing });
+    }
+
+    /** Apply the boundary policy to bodies beyond `boundaryRadius` from the barycentre. */
+    _enforceBoundary() {
+        if (this.boundary === 'keep') return;
+
+        const center = this.centerOfMass();
+        const radius = this.boundaryRadius;
+        const outside = this.bodies.filter(b => !b.pinned && b.pos.sub(center).mag > radius);
+        if (outside.length === 0) return;
+
+        for (const body of outside) {
+            if (this.boundary === 'delete') {
+                body.alive = false;
+                this._emit(SIM_EVENTS.BODY_REMOVED, { body, reason: 'outOfBounds' });
+            } else if (this.boundary === 'wrap') {
+                wrap(body, center, radius);
+            } else {
+                reflect(body, center, radius);
             }
         }
+        if (this.boundary === 'delete') this._compact();
+        this._accStale = true;
+    }
+
+    /** Size black holes' horizons for their current mass and G, which may have been edited. */
+    _syncHorizons() {
+        for (const body of this.bodies) {
+            if (hasHorizon(body)) body.radius = this._horizon(body.mass);
+        }
+    }
+
+    /** Horizon radius of a black hole of `mass`, in the current units and G. */
+    _horizon(mass) {
+        return horizonRadius(mass, this.G, this.unitSystem.speedOfLight);
+    }
+
+    /** Emit now, or after the current step if one is in progress. */
+    _emit(type, payload) {
+        if (!this.hasListeners(type)) return;
+        if (this._deferred) {
+            this._deferred.push([type, payload]);
+        } else {
+            this.emit(type, payload);
+        }
+    }
+
+    /** Move body `i` back to fraction `t` of the way along its substep path. */
+    _rewind(i, t) {
+        const { pos } = this._state;
+        const prev = this._prevPos;
+        for (let k = i * 3; k < i * 3 + 3; k++) pos[k] = prev[k] + (pos[k] - prev[k]) * t;
+    }
+
+    /** Drop dead bodies and pack the survivors' slots to the front. */
+    _compact() {
+        let write = 0;
+        for (const body of this.bodies) {
+            if (!body.alive) continue;
+            body.bindState(this._state, write);
+            this.bodies[write++] = body;
+        }
+        this.bodies.length = write;
+        this._state.count = write;
+    }
+}
 
-        this.bodies = this.bodies.filter(b => b.alive);
+/** Mass-weighted mean position of a list of `{ pos, mass }`. */
+function centerOf(parts) {
+    let total = 0;
+    let sum = Vector3.zero();
+    for (const { pos, mass } of parts) {
+        sum = sum.add(pos.scale(mass));
+        total += mass;
     }
+    return sum.scale(1 / total);
 }
@@ -0,0 +1,109 @@
+/**
+ * @module StateBuffer
+ * Structure-of-arrays storage for the physics state of many bodies.
+ *
+ * Positions, velocities and accelerations are interleaved xyz triples in
+ * contiguous Float64Arrays; masses live in a parallel scalar array. The hot
+ * integration loops index these directly, so a physics step allocates no
+ * per-body or per-pair objects and leaves nothing for the GC to collect.
+ *
+ * Slot `i` owns `pos[3i..3i+2]`, `vel[3i..3i+2]`, `acc[3i..3i+2]`,
+ * `mass[i]` and the `pinned[i]` flag. Arrays are replaced (never resized
+ * in place) when capacity grows, so always read them through the buffer
+ * rather than caching them across calls to `add()`.
+ */
+import Vector3 from './Vector3.js';
+
+export default class StateBuffer {
+    /** @param {number} [capacity=16] - Initial slot capacity. */
+    constructor(capacity = 16) {
+        /** @type {number} Slots in use. */
+        this.count = 0;
+
+        this._allocate(Math.max(1, capacity));
+    }
+
+    /** @returns {number} Slots available before the next reallocation. */
+    get capacity() { return this.mass.length; }
+
+    /**
+     * Claim a zeroed slot at the end of the buffer, growing if needed.
+     * @returns {number} The new slot index.
+     */
+    add() {
+        if (this.count === this.capacity) {
+            this._allocate(this.capacity * 2);
+        }
+        const i = this.count++;
+        this.pos.fill(0, i * 3, i * 3 + 3);
+        this.vel.fill(0, i * 3, i * 3 + 3);
+        this.acc.fill(0, i * 3, i * 3 + 3);
+        this.mass[i] = 0;
+        this.pinned[i] = 0;
+        return i;
+    }
+
+    /** Release every slot (capacity is kept). */
+    clear() {
+        this.count = 0;
+    }
+
+    /**
+     * Copy slot `from` of `source` into slot `to` of this buffer.
+     * @param {StateBuffer} source
+     * @param {number} from
+     * @param {number} to
+     */
+    copySlot(source, from, to) {
+        for (let k = 0; k < 3; k++) {
+            this.pos[to * 3 + k] = source.pos[from * 3 + k];
+            this.vel[to * 3 + k] = source.vel[from * 3 + k];
+            this.acc[to * 3 + k] = source.acc[from * 3 + k];
+        }
+        this.mass[to] = source.mass[from];
+        this.pinned[to] = source.pinned[from];
+    }
+
+    /**
+     * Read an xyz triple as a fresh Vector3.
+     * @param {Float64Array} array - `pos`, `vel` or `acc`
+     * @param {number} i - slot index
+     * @returns {Vector3}
+     */
+    readVec(array, i) {
+        return new Vector3(array[i * 3], array[i * 3 + 1], array[i * 3 + 2]);
+    }
+
+    /**
+     * Write a Vector3 into an xyz triple.
+     * @param {Float64Array} array - `pos`, `vel` or `acc`
+     * @param {number} i - slot index
+     * @param {Vector3} v
+     */
+    writeVec(array, i, v) {
+        array[i * 3] = v.x;
+        array[i * 3 + 1] = v.y;
+        array[i * 3 + 2] = v.z;
+    }
+
+    /* ── Private ── */
+
+    _allocate(capacity) {
+        const grow = (old, size, Type = Float64Array) => {
+            const next = new Type(size);
+            if (old) next.set(old.subarray(0, Math.min(old.length, size)));
+            return next;
+        };
+
+        /** @type {Float64Array} */
+        this.pos = grow(this.pos, capacity * 3);
+        /** @type {Float64Array} */
+        this.vel = grow(this.vel, capacity * 3);
+        /** @type {Float64Array} */
+        this.acc = grow(this.acc, capacity * 3);
+        /** @type {Float64Array} */
+        this.mass = grow(this.mass, capacity);
+        /** @type {Uint8Array} 1 = held in place by the integrators. */
+        this.pinned = grow(this.pinned, capacity, Uint8Array);
+    }
+}
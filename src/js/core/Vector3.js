@@ -26,6 +26,20 @@ export default class Vector3 {
     /** @param {number} s */
     scale(s) { return new Vector3(this.x * s, this.y * s, this.z * s); }
 
+    /* ── Products ── */
+
+    /** @param {Vector3} v */
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * v.z; }
+
+    /** @param {Vector3} v */
+    cross(v) {
+        return new Vector3(
+            this.y * v.z - this.z * v.y,
+            this.z * v.x - this.x * v.z,
+            this.x * v.y - this.y * v.x,
+        );
+    }
+
     /* ── Geometry ── */
 
     /** Squared magnitude (avoids sqrt). */
@@ -53,6 +67,15 @@ export default class Vector3 {
     /** Euclidean distance between two vectors. */
     static dist(a, b) { return Math.sqrt(Vector3.distSq(a, b)); }
 
+    /** Linear interpolation from `a` (t=0) to `b` (t=1). */
+    static lerp(a, b, t) {
+        return new Vector3(
+            a.x + (b.x - a.x) * t,
+            a.y + (b.y - a.y) * t,
+            a.z + (b.z - a.z) * t,
+        );
+    }
+
     /** @returns {Vector3} origin */
     static zero() { return new Vector3(0, 0, 0); }
 }
@@ -0,0 +1,67 @@
+/**
+ * @module blackHoles
+ * Black holes: bodies whose type sets `horizon` (see bodyTypes.js).
+ *
+ * A black hole's radius is its event horizon, the Schwarzschild radius
+ * r = 2·G·M / c², with c the speed of light in the simulation's units
+ * (`BLACK_HOLE.SPEED_OF_LIGHT` in game units; see units.js), so it grows
+ * as the hole accretes and follows changes to G. The simulation keeps
+ * `body.radius` in step with it; a radius set by hand is overwritten.
+ *
+ * Anything whose centre crosses the horizon is swallowed, whatever the
+ * collision model and however heavy it is — a black hole even eats a
+ * bigger star. Two black holes merge once their horizons touch, the
+ * heavier one taking in the other. Mass and momentum are conserved as in
+ * any merge (`Body.absorb`).
+ */
+import { getBodyType } from './bodyTypes.js';
+import { BLACK_HOLE } from '../config.js';
+
+/**
+ * @param {import('./Body.js').default} body
+ * @returns {boolean} Whether the body is a black hole.
+ */
+export function hasHorizon(body) {
+    return getBodyType(body.type).horizon === true;
+}
+
+/**
+ * Schwarzschild radius of a mass.
+ * @param {number} mass
+ * @param {number} G - Gravitational constant.
+ * @param {number} [c] - Speed of light, in the same units.
+ * @returns {number}
+ */
+export function horizonRadius(mass, G, c = BLACK_HOLE.SPEED_OF_LIGHT) {
+    return 2 * G * mass / (c * c);
+}
+
+/**
+ * Centre distance at which a pair involving a black hole makes contact:
+ * the horizon of each black hole in it, summed.
+ * @param {import('./Body.js').default} a
+ * @param {import('./Body.js').default} b
+ * @returns {?number} Null if neither body is a black hole.
+ */
+export function captureDistance(a, b) {
+    const ha = hasHorizon(a);
+    const hb = hasHorizon(b);
+    if (!ha && !hb) return null;
+    return (ha ? a.radius : 0) + (hb ? b.radius : 0);
+}
+
+/**
+ * Let the black hole of a pair swallow the other body (the heavier hole
+ * if both are black holes). Its horizon is left for the caller to resize.
+ * @param {import('./Body.js').default} a
+ * @param {import('./Body.js').default} b
+ * @returns {import('./Body.js').default} The survivor.
+ */
+export function swallow(a, b) {
+    const ha = hasHorizon(a);
+    const hb = hasHorizon(b);
+    const aEats = ha && hb ? a.mass >= b.mass : ha;
+    const [hole, prey] = aEats ? [a, b] : [b, a];
+    hole.absorb(prey);
+    return hole;
+}
@@ -0,0 +1,164 @@
+/**
+ * @module bodyTypes
+ * Registry of body types: the default mass and radius a new body of each
+ * type gets, the colors it is painted in, how brightly it renders and what
+ * it turns into when it grows through merging.
+ *
+ * The built-ins come from `BODY_TYPES` and `PALETTES` in config.js:
+ *   planet, star, moon — the originals
+ *   asteroid           — small, dark rubble
+ *   gas-giant          — a heavy, banded planet
+ *   comet              — a small icy body with a bright coma
+ *   black-hole         — swallows whatever crosses its horizon (blackHoles.js)
+ *
+ * Every other type grows into a star once merging takes it past
+ * `BODY_TYPES.*.promotion.mass`. A rule may name a type registered after
+ * it, so targets are checked when a body of the type is made rather than
+ * at registration, and never mid-step. The body-type picker is generated
+ * from this registry, in registration order, so a type registered before
+ * the UI starts appears in it with its keyboard shortcut.
+ *
+ * In worker mode the registry lives separately in each thread; custom types
+ * must be registered by a module both sides import.
+ */
+import { BODY_TYPES, PALETTES } from '../config.js';
+
+/**
+ * @typedef {object} Palette
+ * @property {string} color - Hex fill color.
+ * @property {string} glow  - RGBA glow color.
+ * @property {string} trail - Trail color template (`ALPHA` replaced at render time).
+ */
+
+/**
+ * @typedef {object} BodyType
+ * @property {string}    label        - Human-readable name for UI pickers.
+ * @property {number}    mass         - Default mass.
+ * @property {number}    radius       - Default radius.
+ * @property {Palette[]} palette      - Colors handed out in turn to new bodies.
+ * @property {number}    [emissive]    - Emissive intensity of the rendered
+ *   sphere; 0.4 by default.
+ * @property {number}    [glowOpacity] - Opacity of the halo around it, 0 … 1;
+ *   0.08 by default.
+ * @property {number}    [glowScale]   - Size of the halo, in radii; 1.6 by default.
+ * @property {boolean}   [light]      - Lights the scene, with intensity ∝ mass.
+ * @property {boolean}   [horizon]    - A black hole: its radius is its event
+ *   horizon, and it swallows anything that crosses it.
+ * @property {string}    [key]        - Keyboard shortcut that selects the type.
+ * @property {{ mass: number, to: string }} [promotion]
+ *   Turn into type `to` once a merge takes the mass above `mass`.
+ */
+
+/** Glow settings for types that leave them out: a planet's. */
+const STYLE_DEFAULTS = Object.freeze({ emissive: 0.4, glowOpacity: 0.08, glowScale: 1.6 });
+
+/** @type {Map<string, BodyType>} */
+const registry = new Map();
+
+/** Running palette index per type, so consecutive bodies get different colors. */
+const paletteIndex = new Map();
+
+/**
+ * Register (or replace) a body type under `name`. Glow settings it leaves
+ * out are filled in from `STYLE_DEFAULTS`.
+ * @param {string} name
+ * @param {BodyType} definition
+ * @throws {Error} If the label, mass, radius, palette or promotion rule is
+ *   missing or invalid, or a glow setting is out of range.
+ */
+export function registerBodyType(name, definition) {
+    const type = { ...STYLE_DEFAULTS, ...definition };
+    if (typeof type.label !== 'string' || type.label === '') {
+        throw new Error(`Body type "${name}" needs a label`);
+    }
+    if (!(type.mass > 0) || !(type.radius > 0)) {
+        throw new Error(`Body type "${name}" needs a positive mass and radius`);
+    }
+    if (!Array.isArray(type.palette) || type.palette.length === 0) {
+        throw new Error(`Body type "${name}" needs at least one palette entry`);
+    }
+    const rule = type.promotion;
+    if (rule && (!(rule.mass > 0) || typeof rule.to !== 'string' || rule.to === '')) {
+        throw new Error(`Body type "${name}" needs a positive promotion mass and a type to promote to`);
+    }
+    if (!(type.emissive >= 0) || !(type.glowOpacity >= 0 && type.glowOpacity <= 1) || !(type.glowScale > 0)) {
+        throw new Error(`Body type "${name}" needs emissive ≥ 0, glowOpacity in 0 … 1 and glowScale > 0`);
+    }
+    registry.set(name, type);
+    paletteIndex.set(name, 0);
+}
+
+/**
+ * @param {string} name
+ * @returns {BodyType}
+ * @throws {Error} If no type is registered under `name`.
+ */
+export function getBodyType(name) {
+    const type = registry.get(name);
+    if (!type) {
+        throw new Error(`Unknown body type "${name}" (known: ${[...registry.keys()].join(', ')})`);
+    }
+    return type;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} Whether a type is registered under `name`.
+ */
+export function hasBodyType(name) {
+    return registry.has(name);
+}
+
+/** @returns {{ name: string, label: string, key?: string }[]} Registered types in insertion order. */
+export function listBodyTypes() {
+    return [...registry].map(([name, { label, key }]) => ({ name, label, key }));
+}
+
+/**
+ * The next colors in a type's palette, cycling.
+ * @param {string} name
+ * @returns {Palette}
+ */
+export function nextPalette(name) {
+    const { palette } = getBodyType(name);
+    const index = paletteIndex.get(name);
+    paletteIndex.set(name, index + 1);
+    return palette[index % palette.length];
+}
+
+/**
+ * What a body of type `name` becomes at `mass`, following promotion rules
+ * as far as they go (a rule that leads back to an earlier type stops there).
+ * @param {string} name
+ * @param {number} mass
+ * @returns {string} `name` itself if no rule applies.
+ * @throws {Error} If `name`, or a type a rule leads to, is not registered.
+ */
+export function promotedType(name, mass) {
+    const seen = new Set([name]);
+    let current = name;
+    let rule = getBodyType(current).promotion;
+    while (rule && mass > rule.mass && !seen.has(rule.to)) {
+        if (!registry.has(rule.to)) {
+            throw new Error(`Body type "${current}" promotes to unknown type "${rule.to}"`);
+        }
+        current = rule.to;
+        seen.add(current);
+        rule = getBodyType(current).promotion;
+    }
+    return current;
+}
+
+/**
+ * Check that every promotion rule a body of type `name` could follow leads
+ * to a registered type, before any body of it is made.
+ * @param {string} name
+ * @throws {Error} If `name`, or a type a rule leads to, is not registered.
+ */
+export function checkPromotions(name) {
+    promotedType(name, Infinity);
+}
+
+for (const [name, type] of Object.entries(BODY_TYPES)) {
+    registerBodyType(name, { ...type, palette: PALETTES[name] });
+}
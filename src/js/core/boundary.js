@@ -0,0 +1,53 @@
+/**
+ * @module boundary
+ * What happens to bodies that stray too far: beyond a sphere of radius
+ * `Simulation#boundaryRadius` around the barycentre of the system.
+ *
+ * Policies, chosen with `Simulation#boundary`:
+ *   keep    — nothing; the body flies on (and keeps costing physics time)
+ *   delete  — the body is removed
+ *   wrap    — the body reappears on the opposite side of the sphere with
+ *             the same velocity, so it heads back in across the system
+ *   reflect — the body is put back on the sphere and the outward part of
+ *             its velocity mirrored, as if it hit a wall
+ *
+ * Only 'keep' conserves energy and momentum: the others deliberately
+ * change the system, which the conservation HUD will show as drift.
+ */
+import { clearTrail } from './trails.js';
+
+/** Boundary policies, name → label for UI pickers. */
+export const BOUNDARY_POLICIES = Object.freeze({
+    keep: 'Keep',
+    delete: 'Delete',
+    wrap: 'Wrap around',
+    reflect: 'Reflect',
+});
+
+/**
+ * Move a body that has crossed the boundary to the antipodal point on it.
+ * Its trail is dropped so no streak is drawn across the system.
+ * @param {import('./Body.js').default} body
+ * @param {import('./Vector3.js').default} center - Centre of the boundary.
+ * @param {number} radius
+ */
+export function wrap(body, center, radius) {
+    const offset = body.pos.sub(center);
+    body.pos = center.sub(offset.scale(radius / offset.mag));
+    clearTrail(body);
+}
+
+/**
+ * Put a body that has crossed the boundary back on it and, if it is still
+ * moving outward, mirror its radial velocity.
+ * @param {import('./Body.js').default} body
+ * @param {import('./Vector3.js').default} center - Centre of the boundary.
+ * @param {number} radius
+ */
+export function reflect(body, center, radius) {
+    const normal = body.pos.sub(center).normalized;
+    body.pos = center.add(normal.scale(radius));
+
+    const outward = body.vel.dot(normal);
+    if (outward > 0) body.vel = body.vel.sub(normal.scale(2 * outward));
+}
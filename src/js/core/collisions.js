@@ -0,0 +1,212 @@
+/**
+ * @module collisions
+ * Collision detection and responses for pairs of bodies.
+ *
+ * Models, chosen with `Simulation#collisions`:
+ *   merge    — the smaller body is absorbed by the bigger one (`Body.absorb`)
+ *   bounce   — the pair exchanges an impulse along the line of centres with
+ *              coefficient of restitution e: 1 is elastic, 0 perfectly
+ *              inelastic (the bodies end up resting against each other)
+ *   fragment — gentle impacts merge; energetic ones merge and then shed
+ *              debris bodies
+ *
+ * Every model conserves mass and linear momentum. Pinned bodies act as if
+ * infinitely heavy: they bounce nothing back and are never broken up.
+ *
+ * Fragmentation weighs the impact energy against the pair's binding
+ * energy at contact, so a pair that fell together from rest merges
+ * cleanly and harder impacts strip more of the remnant (a linear law in
+ * the spirit of Leinhardt & Stewart 2012).
+ */
+import Vector3 from './Vector3.js';
+import { captureDistance } from './blackHoles.js';
+import { UNIT_SYSTEMS } from './units.js';
+import { FRAGMENTATION } from '../config.js';
+
+/** Collision models, name → label for UI pickers. */
+export const COLLISION_MODELS = Object.freeze({
+    merge: 'Merge',
+    bounce: 'Bounce',
+    fragment: 'Fragment',
+});
+
+/**
+ * Centre distance at which two bodies count as colliding. Bouncing bodies
+ * touch at the sum of their radii; merging ones are allowed to sink
+ * partway in first, which reads better on screen. A black hole captures
+ * whatever crosses its horizon (see blackHoles.js), in every model.
+ * @param {string} model
+ * @param {import('./Body.js').default} a
+ * @param {import('./Body.js').default} b
+ * @returns {number}
+ */
+export function contactDistance(model, a, b) {
+    const capture = captureDistance(a, b);
+    if (capture !== null) return capture;
+    return (a.radius + b.radius) * (model === 'bounce' ? 1 : 0.6);
+}
+
+/**
+ * Swept-sphere test: the earliest fraction of a step at which two bodies
+ * moving in straight lines come within `reach` of each other. Takes their
+ * separation (b − a) at the start and at the end of the step, so a fast
+ * body that would jump clean over another between samples is still caught.
+ * @param {number} x0 - Separation at the start of the step…
+ * @param {number} y0
+ * @param {number} z0
+ * @param {number} x1 - …and at its end.
+ * @param {number} y1
+ * @param {number} z1
+ * @param {number} reach - Contact distance.
+ * @returns {number|null} 0 … 1 (0 if already in contact), or null if they
+ *   stay apart for the whole step.
+ */
+export function contactTime(x0, y0, z0, x1, y1, z1, reach) {
+    const c = x0 * x0 + y0 * y0 + z0 * z0 - reach * reach;
+    if (c <= 0) return 0;
+
+    /* |d0 + t·m|² = reach², with m the change in separation over the step */
+    const mx = x1 - x0, my = y1 - y0, mz = z1 - z0;
+    const a = mx * mx + my * my + mz * mz;
+    const b = x0 * mx + y0 * my + z0 * mz;
+    if (b >= 0) return null;
+
+    const disc = b * b - a * c;
+    if (disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / a;
+    return t <= 1 ? t : null;
+}
+
+/**
+ * Separate two overlapping bodies and, if they are approaching, reflect
+ * their relative velocity along the line of centres.
+ * @param {import('./Body.js').default} a
+ * @param {import('./Body.js').default} b
+ * @param {number} restitution - 0 … 1.
+ */
+export function bounce(a, b, restitution) {
+    const invA = a.pinned ? 0 : 1 / a.mass;
+    const invB = b.pinned ? 0 : 1 / b.mass;
+    const invSum = invA + invB;
+    if (invSum === 0) return;
+
+    const delta = b.pos.sub(a.pos);
+    const dist = delta.mag;
+    const normal = dist > 0 ? delta.scale(1 / dist) : new Vector3(1, 0, 0);
+
+    /* Push apart to touching, weighted so the centre of mass stays put */
+    const overlap = a.radius + b.radius - dist;
+    if (overlap > 0) {
+        a.pos = a.pos.sub(normal.scale(overlap * invA / invSum));
+        b.pos = b.pos.add(normal.scale(overlap * invB / invSum));
+    }
+
+    const approach = b.vel.sub(a.vel).dot(normal);
+    if (approach >= 0) return;
+
+    const impulse = -(1 + restitution) * approach / invSum;
+    a.vel = a.vel.sub(normal.scale(impulse * invA));
+    b.vel = b.vel.add(normal.scale(impulse * invB));
+}
+
+/**
+ * @typedef {object} Fragment
+ * @property {Vector3} pos
+ * @property {Vector3} vel
+ * @property {string}  type  - Body type: the smaller parent's.
+ * @property {object}  props - Body props: mass, radius and colors.
+ */
+
+/**
+ * Merge two bodies, breaking off debris if the impact was energetic. The
+ * survivor is updated in place and the other body marked dead, as with
+ * `Body.absorb`; the debris is returned for the caller to add.
+ * @param {import('./Body.js').default} a
+ * @param {import('./Body.js').default} b
+ * @param {number} G - Gravitational constant.
+ * @param {number} [maxFragments] - Most debris bodies to make; the
+ *   simulation passes what is left of its body budget.
+ * @param {import('./units.js').UnitSystem} [units] - Where the minimum
+ *   impact speed and fragment mass come from; game units by default.
+ * @returns {Fragment[]} Debris to add; empty for a clean merge.
+ */
+export function fragment(a, b, G, maxFragments = FRAGMENTATION.MAX_FRAGMENTS, units = UNIT_SYSTEMS.game) {
+    const total = a.mass + b.mass;
+    const relPos = b.pos.sub(a.pos);
+    const relVel = b.vel.sub(a.vel);
+    const reducedMass = a.mass * b.mass / total;
+    const impactEnergy = 0.5 * reducedMass * relVel.magSq;
+    const bindingEnergy = Math.max(
+        G * a.mass * b.mass / contactDistance('fragment', a, b),
+        0.5 * reducedMass * units.minImpactSpeed ** 2,
+    );
+
+    const [big, small] = a.mass >= b.mass ? [a, b] : [b, a];
+    const type = small.type;
+    big.absorb(small);
+    if (big.pinned) return [];
+
+    /* The remnant keeps 1 − ½·(K/U − 1)/(D − 1) of the mass, so K = D·U strips half */
+    const excess = impactEnergy / bindingEnergy - 1;
+    const remnantShare = Math.min(Math.max(
+        1 - 0.5 * excess / (FRAGMENTATION.DISRUPTION_ENERGY - 1),
+        FRAGMENTATION.MIN_REMNANT_SHARE,
+    ), 1);
+    const debrisMass = Math.min(total * (1 - remnantShare), FRAGMENTATION.MAX_EJECTA_RATIO * small.mass);
+    const count = Math.min(
+        maxFragments,
+        FRAGMENTATION.MAX_FRAGMENTS,
+        Math.floor(debrisMass / units.minFragmentMass),
+    );
+
+    /* Fewer than two fragments cannot carry energy away without momentum */
+    if (count < 2) return [];
+
+    const fullRadius = big.radius;
+    const fragmentMass = debrisMass / count;
+    const fragmentRadius = fullRadius * Math.cbrt(fragmentMass / total);
+    big.mass = total - debrisMass;
+    big.radius = fullRadius * Math.cbrt(big.mass / total);
+
+    /* Spread the debris in the plane of the impact, around the remnant */
+    const [u, w] = impactPlane(relPos, relVel);
+    const distance = (big.radius + fragmentRadius) * 1.5;
+    const speed = Math.sqrt(2 * FRAGMENTATION.EJECTA_ENERGY_SHARE * impactEnergy / total);
+    const center = big.pos;
+    const drift = big.vel;
+
+    return Array.from({ length: count }, (_, k) => {
+        const angle = 2 * Math.PI * k / count;
+        const dir = u.scale(Math.cos(angle)).add(w.scale(Math.sin(angle)));
+        return {
+            type,
+            pos: center.add(dir.scale(distance)),
+            vel: drift.add(dir.scale(speed)),
+            props: {
+                mass: fragmentMass,
+                radius: fragmentRadius,
+                color: big.color,
+                glow: big.glow,
+                trailColor: big.trailColor,
+            },
+        };
+    });
+}
+
+/* ── Private ── */
+
+/**
+ * Orthonormal pair spanning the plane of the impact: the line of centres
+ * and the in-plane part of the relative velocity. A head-on impact has no
+ * such plane, so any plane through the line of centres is used.
+ * @returns {[Vector3, Vector3]}
+ */
+function impactPlane(relPos, relVel) {
+    const u = relPos.magSq > 0 ? relPos.normalized : new Vector3(1, 0, 0);
+    let normal = u.cross(relVel);
+    if (normal.magSq <= 1e-12 * relVel.magSq) {
+        normal = u.cross(new Vector3(0, 1, 0));
+        if (normal.magSq < 1e-12) normal = u.cross(new Vector3(1, 0, 0));
+    }
+    return [u, normal.cross(u).normalized];
+}
@@ -0,0 +1,265 @@
+/**
+ * @module ephemeris
+ * The Sun, the planets and the major moons at the J2000 epoch
+ * (2000 January 1.5 TT), bundled so they load offline into a `Simulation`
+ * that uses astronomical units (AU, solar masses, days; see units.js).
+ *
+ * Orbits are stored as mean elements and turned into state vectors on
+ * load, by solving Kepler's equation for each two-body orbit:
+ *   planets  — JPL's "Keplerian Elements for Approximate Positions of the
+ *              Major Planets" (Standish), J2000 values, heliocentric and
+ *              referred to the J2000 ecliptic; Earth's row is the Earth–Moon
+ *              barycentre. Good to a few thousandths of an AU.
+ *   Moon     — mean geocentric elements at J2000 (Meeus, ch. 47).
+ *   Galilean — circular orbits in Jupiter's equatorial plane (IAU pole) at
+ *              their J2000 mean longitudes from the E5 theory (Meeus,
+ *              ch. 44); good to a few degrees along the orbit.
+ * Masses are IAU planetary mass ratios and satellite GMs; radii are mean
+ * radii.
+ *
+ * A planet and its moons share one heliocentric orbit for their common
+ * barycentre, which is split between them by mass. The whole system is
+ * finally moved to the solar-system barycentre at rest, so it does not
+ * drift off screen. The ecliptic (x, y, z) maps to the simulation's
+ * (x, −z, y): the ecliptic becomes the XZ plane and prograde orbits
+ * circulate about −y, like every other scene.
+ */
+import Vector3 from './Vector3.js';
+import { GAUSSIAN_K, convert } from './units.js';
+
+/** Julian date (TT) of the J2000 epoch the data is for. */
+export const EPOCH_JD = 2451545.0;
+
+/**
+ * Mean orbital elements. Angles in degrees.
+ * @typedef {object} Elements
+ * @property {number} a    - Semi-major axis, AU.
+ * @property {number} e    - Eccentricity.
+ * @property {number} i    - Inclination to the ecliptic.
+ * @property {number} L    - Mean longitude.
+ * @property {number} peri - Longitude of periapsis ϖ.
+ * @property {number} node - Longitude of the ascending node Ω.
+ */
+
+/**
+ * @typedef {object} EphemerisEntry
+ * @property {string}   name
+ * @property {string}   type     - Body type it loads as.
+ * @property {number}   mass     - Solar masses.
+ * @property {number}   radius   - Mean radius, km.
+ * @property {string}   color    - '#rrggbb'.
+ * @property {string}   [parent] - Name of the body it orbits; the Sun's
+ *   planets have none.
+ * @property {Elements} [elements] - Orbit around the Sun (the planet's
+ *   system barycentre) or around `parent`; the Sun has none.
+ */
+
+/** Mass of the Earth–Moon system over the Moon's. */
+const EARTH_MOON_RATIO = 81.30056;
+
+/** Sun's GM, km³/s², to turn satellite GMs into solar masses. */
+const GM_SUN = 1.32712440018e11;
+
+/** Jupiter's equator on the J2000 ecliptic, from the IAU pole (α 268.057°, δ 64.495°). */
+const JUPITER_EQUATOR = { i: 2.2165, node: 337.8177 };
+
+/** A circular moon orbit in Jupiter's equatorial plane. */
+function galilean(km, L) {
+    return { a: convert(km, 'km', 'AU'), e: 0, ...JUPITER_EQUATOR, L, peri: JUPITER_EQUATOR.node };
+}
+
+/** @type {readonly EphemerisEntry[]} */
+export const SOLAR_SYSTEM = Object.freeze([
+    { name: 'Sun', type: 'star', mass: 1, radius: 695700, color: '#ffd27f' },
+    {
+        name: 'Mercury', type: 'planet', mass: 1 / 6023600, radius: 2439.7, color: '#a8a29a',
+        elements: { a: 0.38709927, e: 0.20563593, i: 7.00497902, L: 252.25032350, peri: 77.45779628, node: 48.33076593 },
+    },
+    {
+        name: 'Venus', type: 'planet', mass: 1 / 408523.71, radius: 6051.8, color: '#e8cfa0',
+        elements: { a: 0.72333566, e: 0.00677672, i: 3.39467605, L: 181.97909950, peri: 131.60246718, node: 76.67984255 },
+    },
+    {
+        name: 'Earth', type: 'planet', mass: (1 / 328900.56) * (1 - 1 / EARTH_MOON_RATIO), radius: 6371.0,
+        color: '#4e8cff',
+        elements: { a: 1.00000261, e: 0.01671123, i: -0.00001531, L: 100.46457166, peri: 102.93768193, node: 0 },
+    },
+    {
+        name: 'Moon', type: 'moon', parent: 'Earth', mass: (1 / 328900.56) / EARTH_MOON_RATIO, radius: 1737.4,
+        color: '#c8c8c8',
+        elements: {
+            a: convert(384399, 'km', 'AU'), e: 0.0549, i: 5.145, L: 218.3164477, peri: 83.3532465, node: 125.0445479,
+        },
+    },
+    {
+        name: 'Mars', type: 'planet', mass: 1 / 3098708, radius: 3389.5, color: '#d9623b',
+        elements: { a: 1.52371034, e: 0.09339410, i: 1.84969142, L: -4.55343205, peri: -23.94362959, node: 49.55953891 },
+    },
+    {
+        name: 'Jupiter', type: 'gas-giant', mass: 1 / 1047.3486, radius: 69911, color: '#d9a066',
+        elements: { a: 5.20288700, e: 0.04838624, i: 1.30439695, L: 34.39644051, peri: 14.72847983, node: 100.47390909 },
+    },
+    {
+        name: 'Io', type: 'moon', parent: 'Jupiter', mass: 5959.916 / GM_SUN, radius: 1821.6, color: '#e8d25a',
+        elements: galilean(421700, 17.4599),
+    },
+    {
+        name: 'Europa', type: 'moon', parent: 'Jupiter', mass: 3202.739 / GM_SUN, radius: 1560.8, color: '#cdbfa3',
+        elements: galilean(671034, 212.0671),
+    },
+    {
+        name: 'Ganymede', type: 'moon', parent: 'Jupiter', mass: 9887.834 / GM_SUN, radius: 2634.1, color: '#a89f94',
+        elements: galilean(1070412, 219.3707),
+    },
+    {
+        name: 'Callisto', type: 'moon', parent: 'Jupiter', mass: 7179.289 / GM_SUN, radius: 2410.3, color: '#7d7266',
+        elements: galilean(1882709, 78.4623),
+    },
+    {
+        name: 'Saturn', type: 'gas-giant', mass: 1 / 3497.898, radius: 58232, color: '#e3c98f',
+        elements: { a: 9.53667594, e: 0.05386179, i: 2.48599187, L: 49.95424423, peri: 92.59887831, node: 113.66242448 },
+    },
+    {
+        name: 'Uranus', type: 'gas-giant', mass: 1 / 22902.98, radius: 25362, color: '#9fe3e8',
+        elements: { a: 19.18916464, e: 0.04725744, i: 0.77263783, L: 313.23810451, peri: 170.95427630, node: 74.01692503 },
+    },
+    {
+        name: 'Neptune', type: 'gas-giant', mass: 1 / 19412.24, radius: 24622, color: '#4f6fe8',
+        elements: { a: 30.06992276, e: 0.00859048, i: 1.77004347, L: -55.12002969, peri: 44.96476227, node: 131.78422574 },
+    },
+]);
+
+/**
+ * @typedef {object} EphemerisState
+ * @property {EphemerisEntry} entry
+ * @property {Vector3} pos - Barycentric position, AU, in simulation axes.
+ * @property {Vector3} vel - Barycentric velocity, AU/day.
+ */
+
+/**
+ * State vectors of every body in `SOLAR_SYSTEM` at the epoch, relative to
+ * the solar-system barycentre.
+ * @returns {EphemerisState[]}
+ */
+export function solarSystemState() {
+    const mu = (mass) => GAUSSIAN_K ** 2 * mass;
+    const byName = new Map(SOLAR_SYSTEM.map(entry => [entry.name, entry]));
+    const moonsOf = (name) => SOLAR_SYSTEM.filter(entry => entry.parent === name);
+
+    /** @type {Map<string, { pos: number[], vel: number[] }>} Ecliptic states. */
+    const states = new Map([['Sun', { pos: [0, 0, 0], vel: [0, 0, 0] }]]);
+
+    for (const planet of SOLAR_SYSTEM.filter(entry => entry.elements && !entry.parent)) {
+        /* The elements are for the barycentre of the planet and its moons */
+        const members = [planet, ...moonsOf(planet.name)];
+        const total = members.reduce((sum, entry) => sum + entry.mass, 0);
+        const barycentre = stateFromElements(planet.elements, mu(byName.get('Sun').mass + total));
+
+        const relative = members.map(entry => entry === planet
+            ? { pos: [0, 0, 0], vel: [0, 0, 0] }
+            : stateFromElements(entry.elements, mu(planet.mass + entry.mass)));
+        const offset = massWeighted(relative, members.map(entry => entry.mass / total));
+
+        members.forEach((entry, k) => states.set(entry.name, {
+            pos: add(barycentre.pos, sub(relative[k].pos, offset.pos)),
+            vel: add(barycentre.vel, sub(relative[k].vel, offset.vel)),
+        }));
+    }
+
+    const all = SOLAR_SYSTEM.map(entry => states.get(entry.name));
+    const totalMass = SOLAR_SYSTEM.reduce((sum, entry) => sum + entry.mass, 0);
+    const centre = massWeighted(all, SOLAR_SYSTEM.map(entry => entry.mass / totalMass));
+
+    return SOLAR_SYSTEM.map((entry, k) => ({
+        entry,
+        pos: toSimAxes(sub(all[k].pos, centre.pos)),
+        vel: toSimAxes(sub(all[k].vel, centre.vel)),
+    }));
+}
+
+/**
+ * Add the solar system, at the epoch, to a simulation in astronomical units.
+ * @param {import('./Simulation.js').default} sim
+ * @returns {Map<string, import('./Body.js').default>} The bodies by name.
+ * @throws {Error} If `sim` does not use astronomical units.
+ */
+export function loadSolarSystem(sim) {
+    if (sim.units !== 'astronomical') {
+        throw new Error(`The solar system needs astronomical units, not "${sim.units}"`);
+    }
+    const bodies = new Map();
+    for (const { entry, pos, vel } of solarSystemState()) {
+        const body = sim.addBody(entry.type, pos, vel, {
+            mass: entry.mass,
+            radius: convert(entry.radius, 'km', 'AU'),
+        });
+        body.recolor(entry.color);
+        bodies.set(entry.name, body);
+    }
+    return bodies;
+}
+
+/* ── Private ── */
+
+const DEG = Math.PI / 180;
+
+/**
+ * Ecliptic position and velocity on a Keplerian ellipse.
+ * @param {Elements} elements
+ * @param {number} mu - Gravitational parameter, AU³/day².
+ * @returns {{ pos: number[], vel: number[] }}
+ */
+function stateFromElements({ a, e, i, L, peri, node }, mu) {
+    const M = ((L - peri) % 360) * DEG;
+    const omega = (peri - node) * DEG;
+    const Omega = node * DEG;
+    const inc = i * DEG;
+
+    /* Kepler's equation M = E − e·sin E, by Newton's method */
+    let E = M + e * Math.sin(M);
+    for (let k = 0; k < 50; k++) {
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-14) break;
+    }
+
+    const cosE = Math.cos(E);
+    const sinE = Math.sin(E);
+    const b = a * Math.sqrt(1 - e * e);
+    const Edot = Math.sqrt(mu / (a * a * a)) / (1 - e * cosE);
+    const x = a * (cosE - e), y = b * sinE;
+    const vx = -a * sinE * Edot, vy = b * cosE * Edot;
+
+    /* Perifocal → ecliptic: rotate by ω, tilt by i, turn by Ω */
+    const cw = Math.cos(omega), sw = Math.sin(omega);
+    const cO = Math.cos(Omega), sO = Math.sin(Omega);
+    const ci = Math.cos(inc), si = Math.sin(inc);
+    const P = [cw * cO - sw * sO * ci, cw * sO + sw * cO * ci, sw * si];
+    const Q = [-sw * cO - cw * sO * ci, -sw * sO + cw * cO * ci, cw * si];
+    return {
+        pos: P.map((p, k) => x * p + y * Q[k]),
+        vel: P.map((p, k) => vx * p + vy * Q[k]),
+    };
+}
+
+/** Weighted sum of a list of states. */
+function massWeighted(states, weights) {
+    const pos = [0, 0, 0];
+    const vel = [0, 0, 0];
+    states.forEach((state, k) => {
+        for (let c = 0; c < 3; c++) {
+            pos[c] += state.pos[c] * weights[k];
+            vel[c] += state.vel[c] * weights[k];
+        }
+    });
+    return { pos, vel };
+}
+
+function add(u, v) { return u.map((c, k) => c + v[k]); }
+
+function sub(u, v) { return u.map((c, k) => c - v[k]); }
+
+/** Ecliptic (x, y, z) → simulation (x, −z, y). */
+function toSimAxes([x, y, z]) {
+    return new Vector3(x, -z, y);
+}
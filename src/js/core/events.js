@@ -0,0 +1,88 @@
+/**
+ * @module events
+ * Names and payloads of the events a `Simulation` (or a `PhysicsClient`
+ * mirroring one) emits. Subscribe with `sim.on(SIM_EVENTS.MERGE, fn)`.
+ *
+ * Events raised while the simulation steps are queued and delivered once
+ * the step is over, so listeners always see a consistent simulation: a
+ * merged-away body is already gone from `bodies`, debris is already in it.
+ */
+
+/** Event type tags. */
+export const SIM_EVENTS = Object.freeze({
+    BODY_ADDED: 'bodyAdded',
+    BODY_REMOVED: 'bodyRemoved',
+    COLLISION: 'collision',
+    MERGE: 'merge',
+    PROMOTION: 'promotion',
+    ESCAPE: 'escape',
+    PERIAPSIS: 'periapsis',
+});
+
+/**
+ * Payload fields that hold a body. The worker protocol sends these as ids.
+ * @type {readonly string[]}
+ */
+export const EVENT_BODY_FIELDS = Object.freeze(['body', 'a', 'b', 'survivor', 'absorbed', 'attractor']);
+
+/**
+ * @typedef {import('./Body.js').default} Body
+ * @typedef {import('./Vector3.js').default} Vector3
+ */
+
+/**
+ * @typedef {object} BodyAddedEvent
+ * @property {Body} body
+ */
+
+/**
+ * @typedef {object} BodyRemovedEvent
+ * @property {Body} body
+ * @property {'removed'|'merged'|'cleared'|'outOfBounds'} reason
+ */
+
+/**
+ * Two bodies met. Fired for every model before it is applied; resting
+ * contacts between bouncing bodies that are not closing are not reported.
+ * @typedef {object} CollisionEvent
+ * @property {Body}    a
+ * @property {Body}    b
+ * @property {string}  model - Collision model that resolved it, or
+ *   'capture' when a black hole swallowed the other body.
+ * @property {Vector3} point - Where the surfaces met.
+ * @property {number}  speed - Relative speed at impact.
+ */
+
+/**
+ * @typedef {object} MergeEvent
+ * @property {Body} survivor - Already carrying the combined mass.
+ * @property {Body} absorbed - Already dead.
+ */
+
+/**
+ * A body grew past its type's promotion threshold in a merge (see
+ * `bodyTypes.js` and `Body.absorb`).
+ * @typedef {object} PromotionEvent
+ * @property {Body}   body
+ * @property {string} from - Type before the merge.
+ * @property {string} to   - Type after it.
+ */
+
+/**
+ * A body was classified unbound (see `Simulation.classifyOrbits`) and is
+ * moving away from the barycentre. Fires once per escape; a body that is
+ * recaptured can fire again.
+ * @typedef {object} EscapeEvent
+ * @property {Body}   body
+ * @property {number} distance - From the barycentre.
+ * @property {number} speed    - Relative to the barycentre.
+ */
+
+/**
+ * A body passed its closest approach to its dominant attractor.
+ * @typedef {object} PeriapsisEvent
+ * @property {Body}   body
+ * @property {Body}   attractor
+ * @property {number} distance
+ * @property {number} speed - Relative to the attractor.
+ */
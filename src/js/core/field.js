@@ -0,0 +1,88 @@
+/**
+ * @module field
+ * The gravitational field of a simulation's bodies, for seeing why bodies
+ * move the way they do: the potential and acceleration at any point, and
+ * the potential sampled over a grid.
+ *
+ * Both use the simulation's softening exactly as the force law does,
+ * φ = −Σ G·m / √(r² + ε²), so the sampled potential is the one whose
+ * slope the bodies follow and it stays finite on top of a body. Sums are
+ * always exact, even when the Barnes–Hut solver is active.
+ *
+ * The functions take anything with `bodies`, `G` and `softening`: a
+ * `Simulation`, or a `PhysicsClient` mirroring one.
+ */
+import Vector3 from './Vector3.js';
+
+/**
+ * @typedef {object} FieldSource
+ * @property {import('./Body.js').default[]} bodies
+ * @property {number} G
+ * @property {number} softening
+ */
+
+/**
+ * Potential and acceleration at a point.
+ * @param {FieldSource} sim
+ * @param {Vector3} point
+ * @param {?import('./Body.js').default} [exclude] - A body to leave out,
+ *   for the field a body feels from all the others.
+ * @returns {{ potential: number, acceleration: Vector3 }}
+ */
+export function fieldAt(sim, point, exclude = null) {
+    const softSq = sim.softening * sim.softening;
+    let potential = 0;
+    let ax = 0, ay = 0, az = 0;
+    for (const body of sim.bodies) {
+        if (body === exclude) continue;
+        const { x, y, z } = body.pos;
+        const dx = x - point.x;
+        const dy = y - point.y;
+        const dz = z - point.z;
+        const distSq = dx * dx + dy * dy + dz * dz + softSq;
+        if (distSq === 0) continue;
+        const phi = sim.G * body.mass / Math.sqrt(distSq);
+        potential -= phi;
+        ax += dx * phi / distSq;
+        ay += dy * phi / distSq;
+        az += dz * phi / distSq;
+    }
+    return { potential, acceleration: new Vector3(ax, ay, az) };
+}
+
+/**
+ * Sample the potential over a square grid in a horizontal plane.
+ * @param {FieldSource} sim
+ * @param {object}  grid
+ * @param {Vector3} grid.center    - Middle of the grid; sets its height too.
+ * @param {number}  grid.size      - Side length.
+ * @param {number}  grid.divisions - Cells along each side.
+ * @returns {Float64Array} (divisions + 1)² potentials, row by row along z,
+ *   x varying fastest within a row, starting at the −x, −z corner.
+ */
+export function samplePotential(sim, { center, size, divisions }) {
+    const n = divisions + 1;
+    const step = size / divisions;
+    const x0 = center.x - size / 2;
+    const z0 = center.z - size / 2;
+    const softSq = sim.softening * sim.softening;
+    const bodies = sim.bodies.map(b => ({ pos: b.pos, gm: sim.G * b.mass }));
+
+    const potentials = new Float64Array(n * n);
+    for (let row = 0; row < n; row++) {
+        const z = z0 + row * step;
+        for (let col = 0; col < n; col++) {
+            const x = x0 + col * step;
+            let phi = 0;
+            for (const { pos, gm } of bodies) {
+                const dx = pos.x - x;
+                const dy = pos.y - center.y;
+                const dz = pos.z - z;
+                const distSq = dx * dx + dy * dy + dz * dz + softSq;
+                if (distSq > 0) phi -= gm / Math.sqrt(distSq);
+            }
+            potentials[row * n + col] = phi;
+        }
+    }
+    return potentials;
+}
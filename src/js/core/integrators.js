@@ -0,0 +1,219 @@
+/**
+ * @module integrators
+ * Registry of time integrators for the N-body engine.
+ *
+ * An integrator advances a Simulation's state buffer by `dt`. It reads and
+ * writes `sim.state` directly and calls `sim.computeAccelerations()` to
+ * evaluate gravity at the current positions.
+ *
+ * Contract: on entry `state.acc` holds the accelerations for the current
+ * positions, and every integrator must leave it that way on exit. This lets
+ * Verlet-style schemes reuse the last force evaluation instead of paying
+ * for an extra one, and makes it safe to switch integrators mid-run.
+ *
+ * Built-ins, cheapest to most careful:
+ *   euler     — explicit Euler, 1st order, drifts; for teaching only
+ *   verlet    — Velocity Verlet, 2nd order symplectic (the default)
+ *   rk4       — classic Runge–Kutta, 4th order but not symplectic
+ *   yoshida   — Yoshida / Forest–Ruth 4th-order symplectic triple jump
+ *   adaptive  — Verlet with dt shrunk on close approaches
+ */
+import { PHYSICS } from '../config.js';
+
+/**
+ * @typedef {object} Integrator
+ * @property {string} label - Human-readable name for UI pickers.
+ * @property {(sim: import('./Simulation.js').default, dt: number) => void} step
+ */
+
+/** @type {Map<string, Integrator>} */
+const registry = new Map();
+
+/**
+ * Register (or replace) an integrator under `name`.
+ * @param {string} name
+ * @param {Integrator} integrator
+ */
+export function registerIntegrator(name, integrator) {
+    registry.set(name, integrator);
+}
+
+/**
+ * Look up an integrator by name.
+ * @param {string} name
+ * @returns {Integrator}
+ * @throws {Error} If no integrator is registered under `name`.
+ */
+export function getIntegrator(name) {
+    const integrator = registry.get(name);
+    if (!integrator) {
+        throw new Error(`Unknown integrator "${name}" (known: ${[...registry.keys()].join(', ')})`);
+    }
+    return integrator;
+}
+
+/** @returns {{ name: string, label: string }[]} Registered integrators in insertion order. */
+export function listIntegrators() {
+    return [...registry].map(([name, { label }]) => ({ name, label }));
+}
+
+/* ── Built-ins ── */
+
+/** Explicit (forward) Euler: x += v·dt, v += a·dt, using start-of-step a. */
+function euler(sim, dt) {
+    const { pos, vel, acc } = sim.state;
+    const n3 = sim.state.count * 3;
+
+    for (let k = 0; k < n3; k++) {
+        pos[k] += vel[k] * dt;
+        vel[k] += acc[k] * dt;
+    }
+    sim.computeAccelerations();
+}
+
+/** Velocity Verlet (kick–drift–kick). */
+function verlet(sim, dt) {
+    const { pos, vel, acc } = sim.state;
+    const n3 = sim.state.count * 3;
+    const halfDt = 0.5 * dt;
+
+    /* Half-step velocity */
+    for (let k = 0; k < n3; k++) {
+        vel[k] += acc[k] * halfDt;
+    }
+
+    /* Full-step position */
+    for (let k = 0; k < n3; k++) {
+        pos[k] += vel[k] * dt;
+    }
+
+    /* Recompute accelerations */
+    sim.computeAccelerations();
+
+    /* Half-step velocity with new accelerations */
+    for (let k = 0; k < n3; k++) {
+        vel[k] += acc[k] * halfDt;
+    }
+}
+
+/** Scratch arrays for RK4, grown on demand and reused across calls. */
+const rk = { x0: null, v0: null, dx: null, dv: null, vA: null, vB: null };
+
+function rkScratch(n3) {
+    if (!rk.x0 || rk.x0.length < n3) {
+        for (const key of Object.keys(rk)) rk[key] = new Float64Array(n3);
+    }
+    return rk;
+}
+
+/**
+ * Classic 4th-order Runge–Kutta on (x, v). Stage 1 reuses the stored
+ * accelerations; stages 2–4 each cost one force evaluation, plus a final
+ * one to honour the acceleration contract.
+ */
+function rk4(sim, dt) {
+    const { pos, vel, acc } = sim.state;
+    const n3 = sim.state.count * 3;
+    const { x0, v0, dx, dv, vA, vB } = rkScratch(n3);
+
+    x0.set(pos.subarray(0, n3));
+    v0.set(vel.subarray(0, n3));
+
+    /* k1 */
+    for (let k = 0; k < n3; k++) {
+        dx[k] = vel[k];
+        dv[k] = acc[k];
+    }
+
+    /* k2, k3 at the midpoint, k4 at the end; weights 1 2 2 1 */
+    const stages = [[0.5, 2], [0.5, 2], [1, 1]];
+    let prevVel = vel;
+    for (const [frac, weight] of stages) {
+        for (let k = 0; k < n3; k++) {
+            /* State at this stage, built from the previous stage's slopes */
+            pos[k] = x0[k] + prevVel[k] * frac * dt;
+        }
+        const stageVel = prevVel === vA ? vB : vA;
+        for (let k = 0; k < n3; k++) {
+            stageVel[k] = v0[k] + acc[k] * frac * dt;
+        }
+        sim.computeAccelerations();
+        for (let k = 0; k < n3; k++) {
+            dx[k] += weight * stageVel[k];
+            dv[k] += weight * acc[k];
+        }
+        prevVel = stageVel;
+    }
+
+    for (let k = 0; k < n3; k++) {
+        pos[k] = x0[k] + dx[k] * dt / 6;
+        vel[k] = v0[k] + dv[k] * dt / 6;
+    }
+    sim.computeAccelerations();
+}
+
+/* Yoshida (1990) / Forest–Ruth (1990) triple-jump weights */
+const CBRT2 = Math.cbrt(2);
+const W1 = 1 / (2 - CBRT2);
+const W0 = -CBRT2 / (2 - CBRT2);
+
+/**
+ * 4th-order symplectic integrator built from three Verlet steps of
+ * w1·dt, w0·dt, w1·dt (w0 < 0, so the middle step runs backwards).
+ */
+function yoshida(sim, dt) {
+    verlet(sim, W1 * dt);
+    verlet(sim, W0 * dt);
+    verlet(sim, W1 * dt);
+}
+
+/**
+ * Shortest dynamical time-scale over all pairs,
+ * min √((r² + ε²)^{3/2} / G(mᵢ + mⱼ)) — roughly the free-fall time.
+ * @param {import('./Simulation.js').default} sim
+ * @returns {number}
+ */
+export function minDynamicalTime(sim) {
+    const { pos, mass, count: n } = sim.state;
+    const softSq = sim.softening * sim.softening;
+    let minSq = Infinity;
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const dx = pos[j * 3] - pos[i * 3];
+            const dy = pos[j * 3 + 1] - pos[i * 3 + 1];
+            const dz = pos[j * 3 + 2] - pos[i * 3 + 2];
+            const distSq = dx * dx + dy * dy + dz * dz + softSq;
+            const mu = sim.G * (mass[i] + mass[j]);
+            if (mu <= 0) continue;
+            const tSq = distSq * Math.sqrt(distSq) / mu;
+            if (tSq < minSq) minSq = tSq;
+        }
+    }
+    return Math.sqrt(minSq);
+}
+
+/**
+ * Velocity Verlet with the step split so no sub-step exceeds
+ * η × the shortest pairwise dynamical time. Wide orbits run at the
+ * caller's dt; close approaches are resolved with up to
+ * `PHYSICS.ADAPTIVE_MAX_SPLIT` sub-steps. The split is re-evaluated
+ * after every sub-step so it relaxes again as bodies separate.
+ */
+function adaptive(sim, dt) {
+    let remaining = dt;
+    const minStep = dt / PHYSICS.ADAPTIVE_MAX_SPLIT;
+
+    while (remaining > dt * 1e-9) {
+        const safe = PHYSICS.ADAPTIVE_ETA * minDynamicalTime(sim);
+        const h = Math.min(remaining, Math.max(safe, minStep));
+        verlet(sim, h);
+        remaining -= h;
+    }
+}
+
+registerIntegrator('euler', { label: 'Euler', step: euler });
+registerIntegrator('verlet', { label: 'Velocity Verlet', step: verlet });
+registerIntegrator('rk4', { label: 'Runge–Kutta 4', step: rk4 });
+registerIntegrator('yoshida', { label: 'Yoshida 4th order', step: yoshida });
+registerIntegrator('adaptive', { label: 'Adaptive Verlet', step: adaptive });
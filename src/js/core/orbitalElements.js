@@ -0,0 +1,161 @@
+/**
+ * @module orbitalElements
+ * Keplerian two-body orbital elements from a state vector.
+ *
+ * Given a body's position and velocity relative to the body it orbits and
+ * the gravitational parameter μ = G·(M + m), the classic conversions give
+ * the conic the body would follow if the two were alone: its size and
+ * shape, tilt and timing. They ignore softening and every third body, so
+ * in a busy scene they describe the *osculating* orbit — the one the body
+ * is on right now.
+ *
+ * Inclination is measured against `REFERENCE_NORMAL`, which is −y: orbits
+ * built in the XZ plane the way the demo scene builds them circulate about
+ * −y, so they come out prograde (i = 0°) rather than retrograde (180°).
+ *
+ * The inverse problem — which velocity puts a new body on a given orbit —
+ * is `orbitVelocity()`, used by the "place in orbit" placement mode.
+ */
+import Vector3 from './Vector3.js';
+
+/** Normal of the reference plane; orbits circulating about it have i = 0. */
+export const REFERENCE_NORMAL = new Vector3(0, -1, 0);
+
+/**
+ * @typedef {object} OrbitalElements
+ * @property {number} semiMajorAxis  - a; negative for hyperbolic, Infinity for parabolic orbits.
+ * @property {number} eccentricity   - e; 0 circle, <1 ellipse, 1 parabola, >1 hyperbola.
+ * @property {number} inclination    - i in radians, 0 … π.
+ * @property {number} period         - Orbital period T; Infinity if unbound.
+ * @property {number} periapsis      - Closest approach distance.
+ * @property {number} apoapsis       - Farthest distance; Infinity if unbound.
+ * @property {number} specificEnergy - ε = v²/2 − μ/r.
+ * @property {boolean} bound         - Whether the orbit is closed (ε < 0).
+ */
+
+/**
+ * Compute orbital elements for a relative state vector.
+ * @param {Vector3} r  - Position relative to the attractor.
+ * @param {Vector3} v  - Velocity relative to the attractor.
+ * @param {number}  mu - Gravitational parameter G·(M + m).
+ * @returns {OrbitalElements}
+ */
+export function orbitalElements(r, v, mu) {
+    const rMag = r.mag;
+    const h = r.cross(v);
+    const hMag = h.mag;
+
+    /* Eccentricity vector points at periapsis: e = (v × h)/μ − r̂ */
+    const eVec = v.cross(h).scale(1 / mu).sub(r.scale(1 / rMag));
+    const eccentricity = eVec.mag;
+
+    const specificEnergy = v.magSq / 2 - mu / rMag;
+    const bound = specificEnergy < 0;
+    const semiMajorAxis = specificEnergy === 0 ? Infinity : -mu / (2 * specificEnergy);
+
+    /* q = h²/(μ(1+e)) holds for every conic, including the parabola */
+    const periapsis = hMag * hMag / (mu * (1 + eccentricity));
+
+    const cosI = hMag === 0 ? 1 : h.dot(REFERENCE_NORMAL) / hMag;
+
+    return {
+        semiMajorAxis,
+        eccentricity,
+        inclination: Math.acos(Math.min(Math.max(cosI, -1), 1)),
+        period: bound ? 2 * Math.PI * Math.sqrt(semiMajorAxis ** 3 / mu) : Infinity,
+        periapsis,
+        apoapsis: bound ? semiMajorAxis * (1 + eccentricity) : Infinity,
+        specificEnergy,
+        bound,
+    };
+}
+
+/**
+ * Pick the body that `body` is orbiting: the heavier body pulling on it
+ * hardest (largest G·M/r²). Only heavier bodies qualify, so a planet is
+ * never said to orbit its own moon.
+ * @param {{ pos: Vector3, mass: number }[]} bodies
+ * @param {{ pos: Vector3, mass: number }} body
+ * @returns {?object} The attractor, or null if nothing heavier exists.
+ */
+export function dominantAttractor(bodies, body) {
+    let best = null;
+    let bestPull = 0;
+    const pos = body.pos;
+
+    for (const other of bodies) {
+        if (other === body || other.mass <= body.mass) continue;
+        const pull = other.mass / Vector3.distSq(other.pos, pos);
+        if (pull > bestPull) {
+            bestPull = pull;
+            best = other;
+        }
+    }
+    return best;
+}
+
+/**
+ * Elements of `body`'s orbit around its dominant attractor.
+ * @param {import('./Simulation.js').default} sim
+ * @param {import('./Body.js').default} body
+ * @returns {?{ attractor: import('./Body.js').default, elements: OrbitalElements }}
+ *   Null when the body has no heavier attractor.
+ */
+export function elementsAroundAttractor(sim, body) {
+    const attractor = dominantAttractor(sim.bodies, body);
+    if (!attractor) return null;
+
+    const r = body.pos.sub(attractor.pos);
+    const v = body.vel.sub(attractor.vel);
+    const mu = sim.G * (attractor.mass + body.mass);
+    return { attractor, elements: orbitalElements(r, v, mu) };
+}
+
+/**
+ * Velocity, relative to the attractor, that starts a body at `r` on an
+ * orbit of eccentricity `e` with `r` as its periapsis: tangential, with
+ * speed √(μ(1 + e)/r). e = 0 gives the circular speed √(μ/r).
+ *
+ * Prograde orbits circulate about `normal`, by default `REFERENCE_NORMAL`
+ * like the demo scene; retrograde ones go the other way.
+ * @param {Vector3} r  - Position relative to the attractor.
+ * @param {number}  mu - Gravitational parameter G·(M + m).
+ * @param {object}  [options]
+ * @param {number}  [options.eccentricity=0] - 0 ≤ e < 1 for a closed orbit.
+ * @param {boolean} [options.retrograde=false]
+ * @param {Vector3} [options.normal=REFERENCE_NORMAL] - Unit axis of prograde
+ *   orbits, to place them in a tilted plane.
+ * @returns {Vector3}
+ */
+export function orbitVelocity(r, mu, { eccentricity = 0, retrograde = false, normal: axis = REFERENCE_NORMAL } = {}) {
+    const normal = retrograde ? axis.scale(-1) : axis;
+
+    /* Directly above or below the attractor, any direction in the plane will do */
+    let tangent = normal.cross(r);
+    if (tangent.magSq === 0) tangent = normal.cross(new Vector3(1, 0, 0));
+    if (tangent.magSq === 0) tangent = normal.cross(new Vector3(0, 0, 1));
+
+    return tangent.normalized.scale(Math.sqrt(mu * (1 + eccentricity) / r.mag));
+}
+
+/**
+ * Launch velocity that puts a new body at `pos` on an orbit around the
+ * dominant attractor there, including the attractor's own motion.
+ * @param {import('./Simulation.js').default} sim
+ * @param {Vector3} pos
+ * @param {number}  mass - Mass of the body about to be placed.
+ * @param {object}  [options] - See `orbitVelocity`.
+ * @returns {?{ attractor: import('./Body.js').default, velocity: Vector3 }}
+ *   Null when nothing heavier than `mass` exists to orbit, or `pos` is
+ *   exactly at the attractor.
+ */
+export function orbitLaunch(sim, pos, mass, options) {
+    const attractor = dominantAttractor(sim.bodies, { pos, mass });
+    if (!attractor) return null;
+
+    const r = pos.sub(attractor.pos);
+    if (r.magSq === 0) return null;
+
+    const mu = sim.G * (attractor.mass + mass);
+    return { attractor, velocity: attractor.vel.add(orbitVelocity(r, mu, options)) };
+}
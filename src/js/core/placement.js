@@ -0,0 +1,101 @@
+/**
+ * @module placement
+ * Where new bodies go and how fast they leave.
+ *
+ * Bodies are placed on a placement plane: a point on it (`origin`) and a
+ * unit normal pointing "up". The default is the XZ plane with up = +y, and
+ * the plane can be lifted along its normal or swapped for the orbital
+ * plane of an existing body. Prograde orbits in a plane circulate about
+ * −normal, the way orbits in the XZ plane circulate about −y (see
+ * `REFERENCE_NORMAL` in orbitalElements.js), so snapping onto an orbit in
+ * a body's plane follows that body's direction of travel.
+ *
+ * A launch is a drag between two points on the plane. The drag sets the
+ * in-plane velocity; an optional tilt turns it out of the plane, towards
+ * the normal, without changing its speed.
+ */
+import Vector3 from './Vector3.js';
+import { UNIT_SYSTEMS } from './units.js';
+
+/**
+ * @typedef {object} Plane
+ * @property {Vector3} origin - A point on the plane.
+ * @property {Vector3} normal - Unit normal, pointing up.
+ */
+
+/** The XZ plane, up = +y. @type {Plane} */
+export const DEFAULT_PLANE = Object.freeze({
+    origin: Vector3.zero(),
+    normal: new Vector3(0, 1, 0),
+});
+
+/**
+ * The same plane moved `height` along its normal.
+ * @param {Plane}  plane
+ * @param {number} height - Negative moves it down.
+ * @returns {Plane}
+ */
+export function liftPlane(plane, height) {
+    return { origin: plane.origin.add(plane.normal.scale(height)), normal: plane.normal };
+}
+
+/**
+ * Signed distance of a point above a plane.
+ * @param {Plane}   plane
+ * @param {Vector3} point
+ * @returns {number}
+ */
+export function heightAbove(plane, point) {
+    return point.sub(plane.origin).dot(plane.normal);
+}
+
+/**
+ * The plane a body orbits its attractor in: through the attractor, with up
+ * chosen so that the body's orbit is prograde in it.
+ * @param {import('./Body.js').default} body
+ * @param {import('./Body.js').default} attractor
+ * @returns {?Plane} Null if the body moves straight towards or away from
+ *   the attractor, which leaves the plane undefined.
+ */
+export function orbitalPlane(body, attractor) {
+    const h = body.pos.sub(attractor.pos).cross(body.vel.sub(attractor.vel));
+    if (h.magSq === 0) return null;
+    return { origin: attractor.pos, normal: h.normalized.scale(-1) };
+}
+
+/**
+ * Where a ray meets a plane.
+ * @param {Vector3} origin    - Start of the ray.
+ * @param {Vector3} direction - Its direction (need not be unit length).
+ * @param {Plane}   plane
+ * @returns {?Vector3} Null if the ray runs parallel to the plane or points away from it.
+ */
+export function intersectPlane(origin, direction, plane) {
+    const along = direction.dot(plane.normal);
+    if (along === 0) return null;
+    const t = plane.origin.sub(origin).dot(plane.normal) / along;
+    return t >= 0 ? origin.add(direction.scale(t)) : null;
+}
+
+/**
+ * Launch velocity for a drag from `start` to `end`, clamped to the max
+ * launch speed. Whatever part of the drag leaves the plane is dropped, and
+ * `tilt` then lifts the launch out of it towards the normal.
+ * @param {Vector3} start
+ * @param {Vector3} end
+ * @param {Plane}   [plane=DEFAULT_PLANE]
+ * @param {object}  [options]
+ * @param {number}  [options.tilt=0] - Radians above the plane, −π/2 … π/2.
+ * @param {import('./units.js').UnitSystem} [options.units] - Sets the speed
+ *   per length dragged and the top speed; game units by default.
+ * @returns {Vector3}
+ */
+export function launchVelocity(start, end, plane = DEFAULT_PLANE, { tilt = 0, units = UNIT_SYSTEMS.game } = {}) {
+    const { dragVelocityScale, maxLaunchSpeed } = units;
+    const drag = end.sub(start);
+    const inPlane = drag.sub(plane.normal.scale(drag.dot(plane.normal)));
+    const vel = inPlane.scale(Math.cos(tilt) * dragVelocityScale)
+        .add(plane.normal.scale(inPlane.mag * Math.sin(tilt) * dragVelocityScale));
+    const speed = vel.mag;
+    return speed > maxLaunchSpeed ? vel.scale(maxLaunchSpeed / speed) : vel;
+}
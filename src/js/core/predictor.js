@@ -0,0 +1,104 @@
+/**
+ * @module predictor
+ * Look-ahead trajectory prediction.
+ *
+ * The predictor copies the current state of a simulation into a throwaway
+ * `Simulation` with the same constants, integrator, solver, collision
+ * model and boundary policy, optionally adds a body that has not been
+ * placed yet, and integrates forward in fixed steps, sampling one body's
+ * position after each. The live simulation is never touched, so this is
+ * safe to call every frame — the cost is `steps × substeps` gravity
+ * evaluations on the copy.
+ *
+ * Copies are built from `bodies` and the public constants only, so a
+ * `PhysicsClient` mirror works as a source as well as a `Simulation`;
+ * constants the client does not expose fall back to the defaults.
+ */
+import Vector3 from './Vector3.js';
+import Simulation from './Simulation.js';
+import { getBodyType } from './bodyTypes.js';
+import { PHYSICS, PREDICTION } from '../config.js';
+
+/**
+ * @typedef {object} Trajectory
+ * @property {Vector3[]} points   - Start position, then one sample per step.
+ * @property {boolean}   collided - The body was lost before the horizon:
+ *   merged into another body, broken up, captured by a black hole or
+ *   deleted at the boundary, under the source's collision model and
+ *   boundary policy. `points` ends just before it went.
+ */
+
+/**
+ * Copy a simulation's bodies and constants into a new, independent
+ * `Simulation`. Trails and elapsed time are not copied. Bodies keep their
+ * colors, so copying does not move on the palette of new bodies.
+ * @param {Simulation} sim - or a PhysicsClient
+ * @returns {Simulation}
+ */
+export function cloneSimulation(sim) {
+    const copy = new Simulation({
+        units: sim.units,
+        G: sim.G,
+        softening: sim.softening,
+        substeps: sim.substeps,
+        solver: sim.solver,
+        theta: sim.theta,
+        integrator: sim.integrator,
+        collisions: sim.collisions,
+        restitution: sim.restitution,
+        boundary: sim.boundary,
+        boundaryRadius: sim.boundaryRadius,
+    });
+    for (const body of sim.bodies) {
+        copy.addBody(body.type, body.pos, body.vel, {
+            mass: body.mass,
+            radius: body.radius,
+            color: body.color,
+            glow: body.glow,
+            trailColor: body.trailColor,
+            pinned: body.pinned,
+        });
+    }
+    return copy;
+}
+
+/**
+ * Predict where a body will go.
+ * @param {Simulation} sim - Source state (not modified); or a PhysicsClient.
+ * @param {import('./Body.js').default | { type: string, pos: Vector3, vel?: Vector3 }} target
+ *   A body of `sim`, or a description of a body to add before predicting.
+ * @param {object} [options]
+ * @param {number} [options.duration] - Time to look ahead; by default the
+ *   unit system's `predictionDuration`.
+ * @param {number} [options.steps]    - Samples over `duration`.
+ * @returns {Trajectory}
+ */
+export function predictTrajectory(sim, target, options = {}) {
+    const duration = options.duration ?? sim.unitSystem.predictionDuration;
+    const steps = options.steps ?? PREDICTION.STEPS;
+    const dt = duration / steps;
+
+    const copy = cloneSimulation(sim);
+    const index = sim.bodies.indexOf(target);
+    const body = index >= 0
+        ? copy.bodies[index]
+        : copy.addBody(target.type, target.pos, target.vel ?? Vector3.zero(), unplacedColors(target.type));
+
+    /* Samples longer than a frame may be (days, in astronomical units) run as a sped-up frame */
+    const timeScale = Math.max(dt / PHYSICS.MAX_FRAME_DT, 1);
+    const points = [body.pos];
+    for (let i = 0; i < steps; i++) {
+        copy.step(dt / timeScale, timeScale);
+        if (!body.alive) return { points, collided: true };
+        points.push(body.pos);
+    }
+    return { points, collided: false };
+}
+
+/* ── Private ── */
+
+/** Colors for a body that is only previewed, taken without moving on the palette. */
+function unplacedColors(type) {
+    const [{ color, glow, trail }] = getBodyType(type).palette;
+    return { color, glow, trailColor: trail };
+}
@@ -0,0 +1,200 @@
+/**
+ * @module referenceFrames
+ * Reference frames for the camera and for drawing trails.
+ *
+ * A frame is an origin plus three orthonormal axes, all in world space.
+ * Which frame is meant is given by a `FrameSpec`:
+ *   world       — the fixed world axes at the origin
+ *   follow      — world axes, origin on one body
+ *   barycenter  — world axes, origin at the centre of mass of every body
+ *   corotating  — origin at the barycentre of two bodies, x from the first
+ *                 to the second and y along their orbit normal, so both
+ *                 stand still and the Lagrange points with them
+ *
+ * Trails drawn in a frame need the frame as it was when each point was
+ * recorded. Trail points are stamped with the step they were recorded on
+ * (see trails.js), so the frame for any step can be rebuilt from the
+ * other bodies' trails (`trailFrames`).
+ */
+import Vector3 from './Vector3.js';
+import { trailPointAt } from './trails.js';
+
+/** Frame modes and their labels for UI pickers. */
+export const FRAME_MODES = Object.freeze({
+    world: 'World origin',
+    follow: 'Follow body',
+    barycenter: 'Barycenter',
+    corotating: 'Co-rotating pair',
+});
+
+/**
+ * @typedef {object} FrameSpec
+ * @property {string} mode - A key of `FRAME_MODES`.
+ * @property {import('./Body.js').default[]} [bodies] - follow: [body];
+ *   corotating: [primary, secondary]; unused otherwise.
+ */
+
+/**
+ * @typedef {object} Frame
+ * @property {Vector3} origin
+ * @property {[Vector3, Vector3, Vector3]} axes - Unit x, y, z axes.
+ */
+
+/** The world frame. @type {Frame} */
+export const WORLD_FRAME = Object.freeze({
+    origin: Vector3.zero(),
+    axes: Object.freeze([new Vector3(1, 0, 0), new Vector3(0, 1, 0), new Vector3(0, 0, 1)]),
+});
+
+/**
+ * The frame `spec` describes, right now.
+ * @param {FrameSpec} spec
+ * @param {import('./Body.js').default[]} bodies - Every body in the simulation.
+ * @param {(body: import('./Body.js').default) => Vector3} [positionOf]
+ *   Where each body is, if not `body.pos` (e.g. interpolated for display).
+ * @returns {?Frame} Null when the bodies it needs are not all present.
+ */
+export function currentFrame(spec, bodies, positionOf = b => b.pos) {
+    if ((spec.bodies ?? []).some(b => !bodies.includes(b))) return null;
+    return frameAt(spec, bodies, positionOf, pairNormal(spec));
+}
+
+/**
+ * Local coordinates of a world point in a frame.
+ * @param {Frame}   frame
+ * @param {Vector3} point
+ * @returns {Vector3}
+ */
+export function toFrame(frame, point) {
+    const d = point.sub(frame.origin);
+    const [x, y, z] = frame.axes;
+    return new Vector3(d.dot(x), d.dot(y), d.dot(z));
+}
+
+/**
+ * World position of a point given in a frame's local coordinates.
+ * @param {Frame}   frame
+ * @param {Vector3} local
+ * @returns {Vector3}
+ */
+export function fromFrame(frame, local) {
+    const [x, y, z] = frame.axes;
+    return frame.origin.add(x.scale(local.x)).add(y.scale(local.y)).add(z.scale(local.z));
+}
+
+/**
+ * @typedef {object} TrailFrames
+ * @property {number}  head   - Newest step with a trail point.
+ * @property {Frame[]} frames - `frames[k]` is the frame on step `head − k`.
+ */
+
+/**
+ * The frame `spec` describes on each of the latest steps, newest first.
+ * The list ends at the first step the frame's bodies have no point for.
+ * The co-rotating frame keeps the pair's current orbit normal throughout.
+ * @param {FrameSpec} spec
+ * @param {import('./Body.js').default[]} bodies - Every body in the simulation.
+ * @param {number} length - How many steps back to go at most.
+ * @returns {TrailFrames}
+ */
+export function trailFrames(spec, bodies, length) {
+    const head = Math.max(-Infinity, ...bodies.map(b => b.trailTicks.at(-1) ?? -Infinity));
+    if ((spec.bodies ?? []).some(b => !bodies.includes(b))) return { head, frames: [] };
+
+    const up = pairNormal(spec);
+    const frames = [];
+    for (let back = 0; back < length; back++) {
+        const frame = frameAt(spec, bodies, b => trailPointAt(b, head - back), up);
+        if (!frame) break;
+        frames.push(frame);
+    }
+    return { head, frames };
+}
+
+/**
+ * A body's trail as it looks in a frame, placed in world space where that
+ * frame is now: each point goes into the frame as it was on the step the
+ * point was recorded, and back out through the newest frame. Points from
+ * steps without a frame are dropped.
+ * @param {import('./Body.js').default} body
+ * @param {TrailFrames} trailFrames - From `trailFrames`.
+ * @param {number[]} [kept] - Receives the trail index of each point returned.
+ * @returns {Vector3[]} Oldest first.
+ */
+export function trailInFrame(body, { head, frames }, kept = []) {
+    const points = [];
+    body.trail.forEach((p, i) => {
+        const then = frames[head - body.trailTicks[i]];
+        if (then) {
+            points.push(fromFrame(frames[0], toFrame(then, p)));
+            kept.push(i);
+        }
+    });
+    return points;
+}
+
+/* ── Private ── */
+
+/**
+ * Build a frame from body positions at one instant.
+ * @param {FrameSpec} spec
+ * @param {import('./Body.js').default[]} bodies
+ * @param {(body: import('./Body.js').default) => (Vector3|undefined)} positionOf
+ *   Where a body was then; undefined if it did not exist yet.
+ * @param {?Vector3} up - The pair's orbit normal, for co-rotating frames.
+ * @returns {?Frame}
+ */
+function frameAt(spec, bodies, positionOf, up) {
+    switch (spec.mode) {
+        case 'world':
+            return WORLD_FRAME;
+        case 'follow': {
+            const pos = positionOf(spec.bodies[0]);
+            return pos ? { origin: pos, axes: WORLD_FRAME.axes } : null;
+        }
+        case 'barycenter': {
+            /* Bodies without a position then are left out */
+            let mass = 0;
+            let moment = Vector3.zero();
+            for (const body of bodies) {
+                const pos = positionOf(body);
+                if (!pos) continue;
+                mass += body.mass;
+                moment = moment.add(pos.scale(body.mass));
+            }
+            return mass > 0 ? { origin: moment.scale(1 / mass), axes: WORLD_FRAME.axes } : null;
+        }
+        case 'corotating': {
+            const [a, b] = spec.bodies;
+            const pa = positionOf(a);
+            const pb = positionOf(b);
+            if (!pa || !pb) return null;
+
+            const r = pb.sub(pa);
+            const x = r.sub(up.scale(r.dot(up)));
+            if (x.magSq === 0) return null;
+            const axisX = x.normalized;
+            const total = a.mass + b.mass;
+            return {
+                origin: pa.scale(a.mass / total).add(pb.scale(b.mass / total)),
+                axes: [axisX, up, axisX.cross(up)],
+            };
+        }
+        default:
+            throw new Error(`Unknown frame mode "${spec.mode}" (known: ${Object.keys(FRAME_MODES).join(', ')})`);
+    }
+}
+
+/**
+ * Up axis of a co-rotating frame: the pair's orbit normal, pointing the way
+ * +y does for orbits in the XZ plane (they circulate about −y). Falls back
+ * to +y while the pair is not going round each other.
+ * @param {FrameSpec} spec
+ * @returns {?Vector3} Null for the other modes.
+ */
+function pairNormal(spec) {
+    if (spec.mode !== 'corotating') return null;
+    const [a, b] = spec.bodies;
+    const h = b.pos.sub(a.pos).cross(b.vel.sub(a.vel));
+    return h.magSq > 0 ? h.normalized.scale(-1) : WORLD_FRAME.axes[1];
+}
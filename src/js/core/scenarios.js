@@ -0,0 +1,322 @@
+/**
+ * @module scenarios
+ * Registry of preset scenes with analytically set-up initial conditions.
+ *
+ * A scenario fills a cleared `Simulation` with bodies. Builders read the
+ * simulation's own `G` and `softening`, so circular orbits stay circular
+ * whatever the gravity slider is set to: circular speeds use the softened
+ * force law the engine integrates, v² = μ·r² / (r² + ε²)^{3/2}, rather than
+ * the bare Keplerian √(μ/r).
+ *
+ * Built-ins:
+ *   solar          — the demo scene: one star, three planets and a moon
+ *   binary         — two equal stars on a circular orbit, plus a circumbinary planet
+ *   figure-eight   — the Chenciner–Montgomery three-body choreography
+ *   trojans        — a planet with co-orbiting bodies at its L4 and L5 points
+ *   moons          — a planet with a system of moons, orbiting a star
+ *   resonant-chain — four planets in a 3:4:6:8 period chain (like Kepler-223)
+ *   galaxies       — two disk galaxies on a colliding orbit
+ *   sol-j2000      — the real Sun, planets and major moons at J2000, in
+ *                    astronomical units (see ephemeris.js)
+ *
+ * A scenario is built for one unit system, game units unless its `options`
+ * say otherwise, and refuses a simulation in any other.
+ *
+ * In worker mode the page builds the scenario on a local `Simulation` and
+ * hands its `toJSON()` to `PhysicsClient.load()`.
+ */
+import Vector3 from './Vector3.js';
+import { getBodyType } from './bodyTypes.js';
+import { loadSolarSystem } from './ephemeris.js';
+
+/**
+ * @typedef {object} Scenario
+ * @property {string} label - Human-readable name for UI pickers.
+ * @property {object} [options] - Simulation constructor options the
+ *   scenario needs (e.g. `units`), to build it on a simulation of its own.
+ * @property {(sim: import('./Simulation.js').default) => void} build
+ *   Add the scenario's bodies to an empty simulation.
+ */
+
+/** @type {Map<string, Scenario>} */
+const registry = new Map();
+
+/**
+ * Register (or replace) a scenario under `name`.
+ * @param {string} name
+ * @param {Scenario} scenario
+ */
+export function registerScenario(name, scenario) {
+    registry.set(name, scenario);
+}
+
+/** @returns {{ name: string, label: string }[]} Registered scenarios in insertion order. */
+export function listScenarios() {
+    return [...registry].map(([name, { label }]) => ({ name, label }));
+}
+
+/**
+ * @param {string} name
+ * @returns {Scenario}
+ * @throws {Error} If no scenario is registered under `name`.
+ */
+export function getScenario(name) {
+    const scenario = registry.get(name);
+    if (!scenario) {
+        throw new Error(`Unknown scenario "${name}" (known: ${[...registry.keys()].join(', ')})`);
+    }
+    return scenario;
+}
+
+/**
+ * Replace the contents of `sim` with a scenario.
+ * @param {import('./Simulation.js').default} sim
+ * @param {string} name
+ * @throws {Error} If no scenario is registered under `name`, or `sim`
+ *   uses other units than it is built for; `sim` is left untouched then.
+ */
+export function buildScenario(sim, name) {
+    const scenario = getScenario(name);
+    const units = scenario.options?.units ?? 'game';
+    if (sim.units !== units) {
+        throw new Error(`Scenario "${name}" is built in ${units} units, not ${sim.units}`);
+    }
+    sim.clear();
+    scenario.build(sim);
+}
+
+/* ── Helpers ── */
+
+/**
+ * Speed of a circular orbit of radius `r` under the engine's softened
+ * gravity, for gravitational parameter `mu`.
+ */
+function circularSpeed(sim, mu, r) {
+    const eps = sim.softening;
+    return Math.sqrt(mu * r * r / Math.pow(r * r + eps * eps, 1.5));
+}
+
+/**
+ * Position and velocity offsets for a prograde circular orbit in the XZ
+ * plane (circulating about −y, like the demo scene).
+ * @returns {{ pos: Vector3, vel: Vector3 }}
+ */
+function circularOffset(r, angle, speed) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+        pos: new Vector3(cos * r, 0, sin * r),
+        vel: new Vector3(-sin * speed, 0, cos * speed),
+    };
+}
+
+/**
+ * Move to the frame where the centre of mass sits still at the origin, so
+ * the scene does not drift off screen.
+ */
+function toCenterOfMassFrame(sim) {
+    const total = sim.bodies.reduce((sum, b) => sum + b.mass, 0);
+    const com = sim.centerOfMass();
+    const drift = sim.linearMomentum().scale(1 / total);
+    for (const body of sim.bodies) {
+        body.pos = body.pos.sub(com);
+        body.vel = body.vel.sub(drift);
+    }
+}
+
+/** Rotate `v` by `angle` about the x axis. */
+function tiltAboutX(v, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return new Vector3(v.x, v.y * cos - v.z * sin, v.y * sin + v.z * cos);
+}
+
+/* ── Built-ins ── */
+
+registerScenario('solar', {
+    label: 'Solar system',
+    build: (sim) => sim.createDemoScene(),
+});
+
+/*
+ * Equal masses M at separation d circle their midpoint, each at half the
+ * relative circular speed. The planet orbits well outside the ~2.5·d
+ * stability limit for circumbinary orbits, where the pair pulls like a
+ * single mass 2M.
+ */
+registerScenario('binary', {
+    label: 'Binary stars',
+    build(sim) {
+        const M = getBodyType('star').mass;
+        const d = 160;
+        const v = circularSpeed(sim, sim.G * 2 * M, d) / 2;
+        sim.addBody('star', new Vector3(d / 2, 0, 0), new Vector3(0, 0, v));
+        sim.addBody('star', new Vector3(-d / 2, 0, 0), new Vector3(0, 0, -v));
+
+        const r = 450;
+        const planet = circularOffset(r, Math.PI / 2, circularSpeed(sim, sim.G * 2 * M, r));
+        sim.addBody('planet', planet.pos, planet.vel);
+        toCenterOfMassFrame(sim);
+    },
+});
+
+/*
+ * Chenciner & Montgomery (2000): three equal masses chasing each other
+ * round a figure eight. Initial conditions are for G = m = 1 with the
+ * loop about 2 units wide; lengths scale by L and speeds by √(G·m/L).
+ */
+registerScenario('figure-eight', {
+    label: 'Figure-eight (3-body)',
+    build(sim) {
+        const m = getBodyType('star').mass;
+        const L = 170;
+        const k = Math.sqrt(sim.G * m / L);
+        const x1 = new Vector3(0.97000436, 0, -0.24308753).scale(L);
+        const v3 = new Vector3(-0.93240737, 0, -0.86473146).scale(k);
+
+        sim.addBody('star', x1, v3.scale(-0.5));
+        sim.addBody('star', x1.scale(-1), v3.scale(-0.5));
+        sim.addBody('star', Vector3.zero(), v3);
+    },
+});
+
+/*
+ * Star, planet and trojan at the corners of an equilateral triangle: every
+ * pair is the same distance apart, so each body is pulled towards the
+ * common centre of mass in proportion to its distance from it, and the
+ * triangle turns rigidly at ω² = G·ΣM / (d² + ε²)^{3/2}. The planet is kept
+ * below the 1/26 mass ratio that L4/L5 need to be stable.
+ */
+registerScenario('trojans', {
+    label: 'Lagrange L4/L5 trojans',
+    build(sim) {
+        const d = 260;
+        const star = { type: 'star', pos: Vector3.zero(), props: {} };
+        const planet = { type: 'planet', pos: new Vector3(d, 0, 0), props: { mass: 60, radius: 9 } };
+        const trojan = (side) => ({
+            type: 'moon',
+            pos: new Vector3(d / 2, 0, side * d * Math.sqrt(3) / 2),
+            props: { mass: 0.5, radius: 4 },
+        });
+        const bodies = [star, planet, trojan(1), trojan(-1)];
+
+        const massOf = (b) => b.props.mass ?? getBodyType(b.type).mass;
+        const total = bodies.reduce((sum, b) => sum + massOf(b), 0);
+        const com = bodies.reduce((sum, b) => sum.add(b.pos.scale(massOf(b))), Vector3.zero())
+            .scale(1 / total);
+        const omega = Math.sqrt(sim.G * total / Math.pow(d * d + sim.softening ** 2, 1.5));
+
+        for (const { type, pos, props } of bodies) {
+            const r = pos.sub(com);
+            sim.addBody(type, r, new Vector3(-r.z, 0, r.x).scale(omega), props);
+        }
+    },
+});
+
+/*
+ * Moons well inside the planet's Hill sphere, r_H = a·∛(m / 3M), each on a
+ * circular orbit about the planet that rides along with it.
+ */
+registerScenario('moons', {
+    label: 'Planet with moons',
+    build(sim) {
+        const M = getBodyType('star').mass;
+        const m = getBodyType('planet').mass;
+        const moons = [
+            { r: 24, angle: 0 },
+            { r: 36, angle: Math.PI * 0.6 },
+            { r: 52, angle: Math.PI * 1.4 },
+        ];
+        const moonMass = 3;
+
+        sim.addBody('star', Vector3.zero());
+        const total = m + moons.length * moonMass;
+        const planet = circularOffset(380, 0, circularSpeed(sim, sim.G * (M + total), 380));
+        sim.addBody('planet', planet.pos, planet.vel);
+
+        for (const { r, angle } of moons) {
+            const moon = circularOffset(r, angle, circularSpeed(sim, sim.G * (m + moonMass), r));
+            sim.addBody('moon', planet.pos.add(moon.pos), planet.vel.add(moon.vel), {
+                mass: moonMass,
+                radius: 3,
+            });
+        }
+        toCenterOfMassFrame(sim);
+    },
+});
+
+/*
+ * Periods in the ratio 3:4:6:8, as in Kepler-223. Under softened gravity
+ * a circular orbit of angular speed ω has (r² + ε²)^{3/2} = μ/ω², which
+ * reduces to Kepler's third law when ε = 0, so each radius is solved from
+ * its period rather than scaled by (P/P₁)^{2/3}. Planet masses are small
+ * enough that neighbours stay more than the 2√3 mutual Hill radii apart
+ * needed for them not to cross.
+ */
+registerScenario('resonant-chain', {
+    label: 'Resonant chain (3:4:6:8)',
+    build(sim) {
+        const mu = sim.G * getBodyType('star').mass;
+        const eps = sim.softening;
+        const a1 = 110;
+        const omega1 = circularSpeed(sim, mu, a1) / a1;
+        const periods = [3, 4, 6, 8];
+
+        sim.addBody('star', Vector3.zero());
+        periods.forEach((P, i) => {
+            const omega = omega1 * periods[0] / P;
+            const a = Math.sqrt(Math.pow(mu / (omega * omega), 2 / 3) - eps * eps);
+            const planet = circularOffset(a, i * Math.PI * 0.9, omega * a);
+            sim.addBody('planet', planet.pos, planet.vel, { mass: 0.5, radius: 6 });
+        });
+        toCenterOfMassFrame(sim);
+    },
+});
+
+/*
+ * Two cores, each with a disk of light particles on circular orbits. The
+ * cores start at apoapsis of a bound relative ellipse, at speed
+ * √(μ(2/Q − 1/a)) with a = (Q + q)/2, and swing past each other at
+ * periapsis q half an orbit later. The second disk is tilted so the
+ * encounter throws out three-dimensional tidal tails.
+ */
+registerScenario('galaxies', {
+    label: 'Galaxy collision',
+    build(sim) {
+        const M = getBodyType('star').mass;
+        const Q = 700, q = 200;
+        const mu = sim.G * 2 * M;
+        const v = Math.sqrt(mu * (2 / Q - 2 / (Q + q))) / 2;
+        const rings = [40, 60, 80, 100];
+        const perRing = 12;
+        const galaxies = [
+            { pos: new Vector3(-Q / 2, 0, 0), vel: new Vector3(0, 0, -v), tilt: 0 },
+            { pos: new Vector3(Q / 2, 0, 0), vel: new Vector3(0, 0, v), tilt: Math.PI / 3 },
+        ];
+
+        for (const { pos, vel, tilt } of galaxies) {
+            sim.addBody('star', pos, vel);
+            rings.forEach((r, ring) => {
+                const speed = circularSpeed(sim, sim.G * M, r);
+                for (let k = 0; k < perRing; k++) {
+                    const angle = (k + ring / rings.length) * 2 * Math.PI / perRing;
+                    const orbit = circularOffset(r, angle, speed);
+                    sim.addBody('moon', pos.add(tiltAboutX(orbit.pos, tilt)), vel.add(tiltAboutX(orbit.vel, tilt)), {
+                        mass: 0.05,
+                        radius: 2,
+                    });
+                }
+            });
+        }
+    },
+});
+
+/*
+ * Real initial conditions need real units. The Galilean moons go round
+ * Jupiter in under two days, so the substeps stay short at high time scales.
+ */
+registerScenario('sol-j2000', {
+    label: 'Solar system (J2000, real units)',
+    options: { units: 'astronomical', substeps: 24 },
+    build: loadSolarSystem,
+});
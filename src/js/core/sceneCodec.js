@@ -0,0 +1,87 @@
+/**
+ * @module sceneCodec
+ * Packs a scene (see `sceneFormat.js`) into a short URL-safe string and
+ * back, so a setup can be shared as a link.
+ *
+ * The scene's JSON is deflated with the platform `CompressionStream` and
+ * written as base64url, which survives URL fragments, chat clients and
+ * copy-paste without escaping. Trails are dropped first: they are large and
+ * rebuild themselves within seconds.
+ *
+ * Decoding is strict — a truncated or tampered string raises a
+ * `SceneFormatError`, and so does anything that does not validate as a
+ * scene — so callers can fall back to a default scene with one `catch`.
+ */
+import { SceneFormatError, validateScene } from './sceneFormat.js';
+
+/** Fragment parameter that carries an encoded scene: `#scene=…`. */
+export const FRAGMENT_KEY = 'scene';
+
+/**
+ * Compress a scene into a base64url string.
+ * @param {import('./sceneFormat.js').Scene} scene
+ * @returns {Promise<string>}
+ */
+export async function encodeScene(scene) {
+    const json = JSON.stringify(scene, (key, value) => key === 'trail' ? undefined : value);
+    const bytes = await pipe(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return toBase64Url(bytes);
+}
+
+/**
+ * Inflate and validate a string produced by `encodeScene()`.
+ * @param {string} text
+ * @returns {Promise<import('./sceneFormat.js').Scene>}
+ * @throws {SceneFormatError} If the string is corrupt or not a valid scene.
+ */
+export async function decodeScene(text) {
+    let json;
+    try {
+        const bytes = await pipe(fromBase64Url(text), new DecompressionStream('deflate-raw'));
+        json = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        throw new SceneFormatError('Shared scene is corrupted or truncated');
+    }
+    return validateScene(json);
+}
+
+/**
+ * Build a URL fragment (including the leading `#`) for a scene.
+ * @param {import('./sceneFormat.js').Scene} scene
+ * @returns {Promise<string>}
+ */
+export async function sceneToFragment(scene) {
+    return `#${FRAGMENT_KEY}=${await encodeScene(scene)}`;
+}
+
+/**
+ * Read the scene out of a URL fragment such as `location.hash`.
+ * @param {string} hash
+ * @returns {Promise<?import('./sceneFormat.js').Scene>} Null if the fragment carries no scene.
+ * @throws {SceneFormatError} If a scene is present but cannot be decoded.
+ */
+export async function sceneFromFragment(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(FRAGMENT_KEY);
+    return encoded ? decodeScene(encoded) : null;
+}
+
+/* ── Private ── */
+
+/** Run `bytes` through a (de)compression stream and collect the output. */
+async function pipe(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
@@ -0,0 +1,180 @@
+/**
+ * @module sceneFormat
+ * Versioned JSON schema for saved simulations.
+ *
+ * `Simulation.toJSON()` produces a plain object in this format and
+ * `Simulation.fromJSON()` / `load()` read it back. Everything coming from
+ * outside (a file, a URL) goes through `validateScene()` first, which
+ * rejects malformed input with a {@link SceneFormatError} naming the
+ * offending field instead of leaving a half-built simulation behind.
+ *
+ * Shape (version 1):
+ *
+ *   {
+ *     version: 1,
+ *     G, softening, substeps, elapsed,
+ *     units?: 'game' | 'astronomical', — absent in older scenes: game
+ *     integrator?: string,
+ *     collisions?: 'merge' | 'bounce' | 'fragment',
+ *     restitution?: number,       — 0 … 1
+ *     boundary?: 'keep' | 'delete' | 'wrap' | 'reflect',
+ *     boundaryRadius?: number,    — > 0
+ *     bodies: [{
+ *       type, mass, radius, color, glow, trailColor,
+ *       pos: [x, y, z], vel: [x, y, z],
+ *       pinned?: boolean,
+ *       trail?: [[x, y, z], …]
+ *     }, …]
+ *   }
+ */
+import { COLLISION_MODELS } from './collisions.js';
+import { BOUNDARY_POLICIES } from './boundary.js';
+import { hasBodyType } from './bodyTypes.js';
+import { UNIT_SYSTEMS } from './units.js';
+
+/** Schema version written by `toJSON()`; the newest one `validateScene()` accepts. */
+export const SCENE_VERSION = 1;
+
+/** Thrown for scene data that cannot be loaded. */
+export class SceneFormatError extends Error {
+    /** @param {string} message */
+    constructor(message) {
+        super(message);
+        this.name = 'SceneFormatError';
+    }
+}
+
+/**
+ * @typedef {object} SceneBody
+ * @property {string} type
+ * @property {number} mass
+ * @property {number} radius
+ * @property {string} color
+ * @property {string} glow
+ * @property {string} trailColor
+ * @property {number[]} pos   - [x, y, z]
+ * @property {number[]} vel   - [x, y, z]
+ * @property {boolean} [pinned]
+ * @property {number[][]} [trail]
+ */
+
+/**
+ * @typedef {object} Scene
+ * @property {number} version
+ * @property {number} G
+ * @property {number} softening
+ * @property {number} substeps
+ * @property {number} elapsed
+ * @property {string} [units]
+ * @property {string} [integrator]
+ * @property {string} [collisions]
+ * @property {number} [restitution]
+ * @property {string} [boundary]
+ * @property {number} [boundaryRadius]
+ * @property {SceneBody[]} bodies
+ */
+
+/**
+ * Check that `data` is a loadable scene, parsing it first if it is a string.
+ * @param {string|object} data
+ * @returns {Scene} The validated scene object.
+ * @throws {SceneFormatError} Describing the first problem found.
+ */
+export function validateScene(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (err) {
+            throw new SceneFormatError(`Scene is not valid JSON: ${err.message}`);
+        }
+    }
+
+    if (!isObject(data)) fail('Scene must be an object');
+
+    if (!Number.isInteger(data.version)) fail('Scene is missing a schema version');
+    if (data.version < 1 || data.version > SCENE_VERSION) {
+        fail(`Unsupported scene version ${data.version} (expected ≤ ${SCENE_VERSION})`);
+    }
+
+    requireNumber(data.G, 'G');
+    requireNumber(data.softening, 'softening');
+    requireNumber(data.elapsed, 'elapsed');
+    if (data.softening < 0) fail('softening must not be negative');
+    if (data.elapsed < 0) fail('elapsed must not be negative');
+    if (!Number.isInteger(data.substeps) || data.substeps < 1) {
+        fail('substeps must be a positive integer');
+    }
+    if (data.integrator !== undefined && typeof data.integrator !== 'string') {
+        fail('integrator must be a string');
+    }
+    if (data.collisions !== undefined && !Object.hasOwn(COLLISION_MODELS, data.collisions)) {
+        fail(`collisions "${data.collisions}" is not a known collision model`);
+    }
+    if (data.restitution !== undefined) {
+        requireNumber(data.restitution, 'restitution');
+        if (data.restitution < 0 || data.restitution > 1) fail('restitution must be between 0 and 1');
+    }
+    if (data.units !== undefined && !Object.hasOwn(UNIT_SYSTEMS, data.units)) {
+        fail(`units "${data.units}" is not a known unit system`);
+    }
+    if (data.boundary !== undefined && !Object.hasOwn(BOUNDARY_POLICIES, data.boundary)) {
+        fail(`boundary "${data.boundary}" is not a known boundary policy`);
+    }
+    if (data.boundaryRadius !== undefined) {
+        requireNumber(data.boundaryRadius, 'boundaryRadius');
+        if (data.boundaryRadius <= 0) fail('boundaryRadius must be positive');
+    }
+
+    if (!Array.isArray(data.bodies)) fail('bodies must be an array');
+    data.bodies.forEach((body, i) => validateBody(body, `bodies[${i}]`));
+
+    return data;
+}
+
+/* ── Private ── */
+
+function validateBody(body, path) {
+    if (!isObject(body)) fail(`${path} must be an object`);
+
+    if (!hasBodyType(body.type)) {
+        fail(`${path}.type "${body.type}" is not a known body type`);
+    }
+    for (const key of ['mass', 'radius']) {
+        requireNumber(body[key], `${path}.${key}`);
+        if (body[key] <= 0) fail(`${path}.${key} must be positive`);
+    }
+    for (const key of ['color', 'glow', 'trailColor']) {
+        if (typeof body[key] !== 'string') fail(`${path}.${key} must be a string`);
+    }
+    requireVec(body.pos, `${path}.pos`);
+    requireVec(body.vel, `${path}.vel`);
+    if (body.pinned !== undefined && typeof body.pinned !== 'boolean') {
+        fail(`${path}.pinned must be a boolean`);
+    }
+
+    if (body.trail !== undefined) {
+        if (!Array.isArray(body.trail)) fail(`${path}.trail must be an array`);
+        body.trail.forEach((p, j) => requireVec(p, `${path}.trail[${j}]`));
+    }
+}
+
+function requireNumber(value, path) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        fail(`${path} must be a finite number`);
+    }
+}
+
+function requireVec(value, path) {
+    if (!Array.isArray(value) || value.length !== 3
+        || !value.every(c => typeof c === 'number' && Number.isFinite(c))) {
+        fail(`${path} must be an array of 3 finite numbers`);
+    }
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function fail(message) {
+    throw new SceneFormatError(message);
+}
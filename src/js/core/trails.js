@@ -0,0 +1,141 @@
+/**
+ * @module trails
+ * Trail history, and trails relative to a reference body.
+ *
+ * A body's trail is four parallel arrays, oldest first: `trail`, the
+ * positions; `trailTicks`, the simulation step each one was recorded on;
+ * and `trailSpeeds` and `trailAccelerations`, the body's |v| and |a| at
+ * that moment, for coloring the trail. The stamps let the trails of
+ * different bodies be matched up moment by moment even when they differ in
+ * length: a body added later, a trail cut short by the length slider or
+ * dropped when a body wraps round the boundary.
+ *
+ * Positions are stored in world space. A trail relative to a reference
+ * body is derived when it is drawn: each point minus where the reference
+ * was on the same step, placed around where the reference is now. That
+ * gives the classic epicycle and rosette views, and switching reference
+ * (or back to world space) loses no history.
+ *
+ * The functions work on anything with the four arrays and `maxTrail`: a
+ * `Body`, or a body mirrored from the physics worker.
+ */
+
+/**
+ * @typedef {object} TrailOwner
+ * @property {import('./Vector3.js').default[]} trail
+ * @property {number[]} trailTicks
+ * @property {number[]} trailSpeeds        - NaN where unknown.
+ * @property {number[]} trailAccelerations - NaN where unknown.
+ * @property {number}   maxTrail
+ */
+
+/** The per-point arrays of a trail, all kept the same length. */
+const TRAIL_ARRAYS = ['trail', 'trailTicks', 'trailSpeeds', 'trailAccelerations'];
+
+/**
+ * Append a point, dropping the oldest beyond `maxTrail`.
+ * @param {TrailOwner} body
+ * @param {import('./Vector3.js').default} pos
+ * @param {number} tick - Step it was recorded on; later than the last one.
+ * @param {number} [speed=NaN]        - The body's |v| then.
+ * @param {number} [acceleration=NaN] - The body's |a| then.
+ */
+export function pushTrail(body, pos, tick, speed = NaN, acceleration = NaN) {
+    body.trail.push(pos);
+    body.trailTicks.push(tick);
+    body.trailSpeeds.push(speed);
+    body.trailAccelerations.push(acceleration);
+    if (body.trail.length > body.maxTrail) {
+        for (const key of TRAIL_ARRAYS) body[key].shift();
+    }
+}
+
+/**
+ * Replace a trail with recorded points on consecutive steps, the newest on
+ * `lastTick` (for trails restored from a save file). Only the newest
+ * `maxTrail` are kept. Save files hold positions only, so the restored
+ * points have no speed or acceleration.
+ * @param {TrailOwner} body
+ * @param {import('./Vector3.js').default[]} points - Oldest first.
+ * @param {number} lastTick
+ */
+export function setTrail(body, points, lastTick) {
+    body.trail = points.slice(-body.maxTrail);
+    const first = lastTick - body.trail.length + 1;
+    body.trailTicks = body.trail.map((_, i) => first + i);
+    body.trailSpeeds = body.trail.map(() => NaN);
+    body.trailAccelerations = body.trail.map(() => NaN);
+}
+
+/**
+ * Change how many points a trail keeps, dropping the oldest if it shrinks.
+ * @param {TrailOwner} body
+ * @param {number} max
+ */
+export function setTrailLength(body, max) {
+    body.maxTrail = max;
+    if (body.trail.length > max) {
+        for (const key of TRAIL_ARRAYS) body[key] = body[key].slice(body[key].length - max);
+    }
+}
+
+/** @param {TrailOwner} body */
+export function clearTrail(body) {
+    for (const key of TRAIL_ARRAYS) body[key] = [];
+}
+
+/**
+ * Where a body's trail says it was on a step.
+ * @param {TrailOwner} body
+ * @param {number} tick
+ * @returns {import('./Vector3.js').default|undefined} Undefined if no point was kept for it.
+ */
+export function trailPointAt(body, tick) {
+    const ticks = body.trailTicks;
+    /* Points are usually on consecutive steps, so try the direct index first */
+    let i = tick - ticks[0];
+    if (ticks[i] !== tick) {
+        let lo = 0;
+        let hi = ticks.length - 1;
+        while (lo <= hi) {
+            i = (lo + hi) >> 1;
+            if (ticks[i] === tick) break;
+            if (ticks[i] < tick) lo = i + 1; else hi = i - 1;
+        }
+    }
+    return ticks[i] === tick ? body.trail[i] : undefined;
+}
+
+/**
+ * The recorded |v| or |a| at each point of a trail.
+ * @param {TrailOwner} body
+ * @param {'speed'|'acceleration'} quantity
+ * @returns {number[]} Parallel to `body.trail`; NaN where unknown.
+ */
+export function trailValues(body, quantity) {
+    return quantity === 'speed' ? body.trailSpeeds : body.trailAccelerations;
+}
+
+/**
+ * A body's trail relative to a reference body, placed around the
+ * reference's newest trail point. Points recorded on steps the reference
+ * has no point for are left out.
+ * @param {TrailOwner} body
+ * @param {TrailOwner} reference
+ * @param {number[]} [kept] - Receives the trail index of each point returned.
+ * @returns {import('./Vector3.js').default[]} Oldest first.
+ */
+export function relativeTrail(body, reference, kept = []) {
+    const anchor = reference.trail.at(-1);
+    if (!anchor) return [];
+
+    const points = [];
+    body.trail.forEach((p, i) => {
+        const then = trailPointAt(reference, body.trailTicks[i]);
+        if (then) {
+            points.push(p.sub(then).add(anchor));
+            kept.push(i);
+        }
+    });
+    return points;
+}
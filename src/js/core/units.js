@@ -0,0 +1,161 @@
+/**
+ * @module units
+ * Unit systems and conversions.
+ *
+ * A `Simulation` works in one unit system, chosen with its `units` option:
+ *   game         — the original arbitrary units: G = 800, presets sized to
+ *                  look right on screen, time in seconds of play
+ *   astronomical — lengths in AU, masses in solar masses, time in days, so
+ *                  G = k² with k the Gaussian gravitational constant and
+ *                  real ephemerides (see ephemeris.js) load as they are
+ *
+ * The engine itself is unit-agnostic: a system only supplies the constants
+ * (G, softening, the speed of light for black holes, the fragmentation
+ * thresholds, how far ahead to preview launches), how body-type presets
+ * and drag launches translate into it and how the renderer should scale it
+ * on screen.
+ *
+ * `convert()` turns a value between any two units of the same dimension,
+ * including ratios such as 'km/s' → 'AU/day'.
+ */
+import { ASTRONOMICAL, BLACK_HOLE, FRAGMENTATION, INPUT, PHYSICS, PREDICTION } from '../config.js';
+
+/** Newtonian constant of gravitation, m³ / (kg·s²) (CODATA 2018). */
+export const G_SI = 6.6743e-11;
+
+/** Gaussian gravitational constant k, AU^{3/2} / (M☉^{1/2}·day). */
+export const GAUSSIAN_K = 0.01720209895;
+
+/** Speed of light, m/s. */
+export const SPEED_OF_LIGHT_SI = 299792458;
+
+/** Solar mass, kg. */
+const SOLAR_MASS = 1.98847e30;
+
+/**
+ * Known units: dimension and size in SI base units (m, kg, s). Planet
+ * masses go by their IAU ratio to the Sun's, which is known far better
+ * than either in kilograms.
+ * @type {Readonly<Record<string, { dimension: 'length'|'mass'|'time', si: number }>>}
+ */
+export const UNITS = Object.freeze({
+    m: { dimension: 'length', si: 1 },
+    km: { dimension: 'length', si: 1e3 },
+    AU: { dimension: 'length', si: 1.495978707e11 },
+    ly: { dimension: 'length', si: 9.4607304725808e15 },
+    kg: { dimension: 'mass', si: 1 },
+    'M⊕': { dimension: 'mass', si: SOLAR_MASS / 332946.0487 },
+    'M♃': { dimension: 'mass', si: SOLAR_MASS / 1047.3486 },
+    'M☉': { dimension: 'mass', si: SOLAR_MASS },
+    s: { dimension: 'time', si: 1 },
+    h: { dimension: 'time', si: 3600 },
+    day: { dimension: 'time', si: 86400 },
+    /* Julian year */
+    yr: { dimension: 'time', si: 365.25 * 86400 },
+});
+
+/**
+ * Convert a value between units of the same dimension. Either side may be
+ * a single unit ('AU') or a ratio of two ('km/s').
+ * @param {number} value
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ * @throws {Error} For unknown units or mismatched dimensions.
+ */
+export function convert(value, from, to) {
+    const a = parseUnit(from);
+    const b = parseUnit(to);
+    if (a.dimension !== b.dimension) {
+        throw new Error(`Cannot convert ${from} (${a.dimension}) to ${to} (${b.dimension})`);
+    }
+    return value * a.si / b.si;
+}
+
+/**
+ * @typedef {object} UnitSystem
+ * @property {string} label       - Human-readable name for UI pickers.
+ * @property {number} G           - Gravitational constant.
+ * @property {number} softening   - Default gravitational softening length.
+ * @property {number} speedOfLight - For black-hole horizons.
+ * @property {{ length: string, mass: string, time: string }} [symbols]
+ *   Units for display; absent for the dimensionless game units.
+ * @property {number} presetMass   - Body-type preset mass → this system.
+ * @property {number} presetRadius - Body-type preset radius → this system.
+ * @property {number} displayScale - Scene units per length unit, for rendering.
+ * @property {number} minDisplayRadius - Smallest radius a body is drawn
+ *   with, in scene units, so bodies far smaller than their orbits show up.
+ * @property {number} minImpactSpeed   - Fragmentation: slower impacts merge.
+ * @property {number} minFragmentMass  - Fragmentation: lightest debris body.
+ * @property {number} predictionDuration - Launch preview look-ahead.
+ * @property {number} dragVelocityScale  - Drag launch speed per length dragged.
+ * @property {number} maxLaunchSpeed     - Fastest drag launch.
+ */
+
+/** Unit systems by name. */
+export const UNIT_SYSTEMS = Object.freeze({
+    game: Object.freeze({
+        label: 'Game units',
+        G: PHYSICS.G,
+        softening: PHYSICS.SOFTENING,
+        speedOfLight: BLACK_HOLE.SPEED_OF_LIGHT,
+        presetMass: 1,
+        presetRadius: 1,
+        displayScale: 1,
+        minDisplayRadius: 0,
+        minImpactSpeed: FRAGMENTATION.MIN_IMPACT_SPEED,
+        minFragmentMass: FRAGMENTATION.MIN_FRAGMENT_MASS,
+        predictionDuration: PREDICTION.DURATION,
+        dragVelocityScale: INPUT.DRAG_VELOCITY_SCALE,
+        maxLaunchSpeed: INPUT.MAX_LAUNCH_SPEED,
+    }),
+    astronomical: Object.freeze({
+        label: 'Astronomical (AU, M☉, days)',
+        G: GAUSSIAN_K ** 2,
+        softening: ASTRONOMICAL.SOFTENING,
+        speedOfLight: convert(SPEED_OF_LIGHT_SI, 'm/s', 'AU/day'),
+        symbols: { length: 'AU', mass: 'M☉', time: 'day' },
+        /* A preset star is one Sun, in mass and size */
+        presetMass: 1 / ASTRONOMICAL.PRESET_STAR_MASS,
+        presetRadius: convert(695700, 'km', 'AU') / ASTRONOMICAL.PRESET_STAR_RADIUS,
+        displayScale: ASTRONOMICAL.DISPLAY_SCALE,
+        minDisplayRadius: ASTRONOMICAL.MIN_DISPLAY_RADIUS,
+        minImpactSpeed: convert(ASTRONOMICAL.MIN_IMPACT_SPEED, 'km/s', 'AU/day'),
+        minFragmentMass: ASTRONOMICAL.MIN_FRAGMENT_MASS,
+        predictionDuration: ASTRONOMICAL.PREDICTION_DURATION,
+        /* Per AU dragged, so the km/s → AU/day factor is the whole conversion */
+        dragVelocityScale: convert(ASTRONOMICAL.DRAG_VELOCITY_SCALE, 'km/s', 'AU/day'),
+        maxLaunchSpeed: convert(ASTRONOMICAL.MAX_LAUNCH_SPEED, 'km/s', 'AU/day'),
+    }),
+});
+
+/**
+ * @param {string} name
+ * @returns {UnitSystem}
+ * @throws {Error} If there is no unit system called `name`.
+ */
+export function getUnitSystem(name) {
+    if (!Object.hasOwn(UNIT_SYSTEMS, name)) {
+        throw new Error(`Unknown unit system "${name}" (known: ${Object.keys(UNIT_SYSTEMS).join(', ')})`);
+    }
+    return UNIT_SYSTEMS[name];
+}
+
+/* ── Private ── */
+
+/** Resolve 'unit' or 'unit/unit' to a dimension name and SI factor. */
+function parseUnit(spec) {
+    const [num, den, ...rest] = spec.split('/');
+    const lookup = (name) => {
+        if (!Object.hasOwn(UNITS, name)) {
+            throw new Error(`Unknown unit "${name}" (known: ${Object.keys(UNITS).join(', ')})`);
+        }
+        return UNITS[name];
+    };
+    if (rest.length > 0) throw new Error(`Unsupported unit "${spec}"`);
+
+    const top = lookup(num);
+    if (den === undefined) return top;
+    const bottom = lookup(den);
+    return { dimension: `${top.dimension}/${bottom.dimension}`, si: top.si / bottom.si };
+}
@@ -0,0 +1,88 @@
+/**
+ * @module EnergyChart
+ * Small 2D-canvas sparkline of relative energy drift (ΔE/E₀) over time.
+ * Reads DiagnosticsHistory samples and never touches the simulation.
+ *
+ * The vertical axis is symmetric around zero and auto-scales to the largest
+ * drift on screen, so a well-behaved run shows a flat line near the centre
+ * and a blow-up is obvious at a glance. Rebaseline points (bodies added,
+ * merged or G changed) are marked with faint vertical ticks.
+ */
+
+const LINE_COLOR = '#6e8efb';
+const ZERO_COLOR = 'rgba(255, 255, 255, 0.12)';
+const MARK_COLOR = 'rgba(255, 255, 255, 0.08)';
+
+/** Smallest half-range of the y axis, so numerical noise stays flat. */
+const MIN_SCALE = 1e-6;
+
+export default class EnergyChart {
+    /** @param {HTMLCanvasElement} canvas */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        /* Back the canvas with device pixels so the line stays crisp */
+        const dpr = Math.min(window.devicePixelRatio || 1, 2);
+        this.width = canvas.width;
+        this.height = canvas.height;
+        canvas.style.width = `${this.width}px`;
+        canvas.style.height = `${this.height}px`;
+        canvas.width = this.width * dpr;
+        canvas.height = this.height * dpr;
+        this.ctx.scale(dpr, dpr);
+    }
+
+    /**
+     * Redraw the chart.
+     * @param {import('../core/DiagnosticsHistory.js').DiagnosticsSample[]} samples
+     * @returns {number} The y-axis half-range used (for labelling).
+     */
+    draw(samples) {
+        const { ctx, width: w, height: h } = this;
+        ctx.clearRect(0, 0, w, h);
+
+        let scale = MIN_SCALE;
+        for (const s of samples) {
+            scale = Math.max(scale, Math.abs(s.drift));
+        }
+
+        const mid = h / 2;
+        const x = (i) => samples.length > 1 ? (i / (samples.length - 1)) * w : w;
+        const y = (drift) => mid - (drift / scale) * (mid - 2);
+
+        /* Zero line */
+        ctx.strokeStyle = ZERO_COLOR;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, mid);
+        ctx.lineTo(w, mid);
+        ctx.stroke();
+
+        /* Rebaseline markers */
+        ctx.strokeStyle = MARK_COLOR;
+        ctx.beginPath();
+        samples.forEach((s, i) => {
+            if (s.rebaselined && i > 0) {
+                ctx.moveTo(x(i), 0);
+                ctx.lineTo(x(i), h);
+            }
+        });
+        ctx.stroke();
+
+        /* Drift line */
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        samples.forEach((s, i) => {
+            if (i === 0 || s.rebaselined) {
+                ctx.moveTo(x(i), y(s.drift));
+            } else {
+                ctx.lineTo(x(i), y(s.drift));
+            }
+        });
+        ctx.stroke();
+
+        return scale;
+    }
+}
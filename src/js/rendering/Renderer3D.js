@@ -3,6 +3,13 @@
  * Three.js-based 3D renderer for the orbital simulation.
  * Reads body state immutably from the Simulation and creates/updates
  * Three.js objects to reflect it. Owns the scene, camera, and render loop.
+ *
+ * Black holes are drawn as a dark sphere inside an accretion disk and
+ * glow, with the light around them bent by a lensing pass (lensing.js).
+ *
+ * Overlays show why bodies move the way they do: the grid dips into the
+ * bodies' gravity wells (field.js), and arrows show each body's velocity
+ * and net acceleration.
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
@@ -10,9 +17,41 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import Vector3 from '../core/Vector3.js';
+import { getBodyType } from '../core/bodyTypes.js';
+import { hasHorizon } from '../core/blackHoles.js';
+import { DEFAULT_PLANE, intersectPlane } from '../core/placement.js';
+import { WORLD_FRAME, currentFrame, trailFrames, trailInFrame } from '../core/referenceFrames.js';
+import { relativeTrail, trailValues } from '../core/trails.js';
+import { fieldAt, samplePotential } from '../core/field.js';
+import { LensingShader } from './lensing.js';
+import { TRAIL_COLORINGS, TrailLine, createTrailMaterial } from './trailLines.js';
+import { RENDERING } from '../config.js';
+
+/** Field overlays and their labels for UI toggles. */
+export const OVERLAYS = Object.freeze({
+    potential: 'Potential sheet',
+    velocity: 'Velocity arrows',
+    acceleration: 'Acceleration arrows',
+});
+
+/** Height of the grid, just under the bodies' plane. */
+const SHEET_Y = -0.5;
+
+/** Grid color where it lies flat, and where it dips deepest. */
+const SHEET_FLAT = new THREE.Color(0x1a2040);
+const SHEET_DEEP = new THREE.Color(0x4e6cff);
 
-/** Max trail segments per body. */
-const MAX_TRAIL_POINTS = 200;
+/**
+ * Rotation that takes the world axes onto a frame's axes.
+ * @param {Vector3[]} axes - Unit x, y, z axes of the frame.
+ * @returns {THREE.Quaternion}
+ */
+function basisQuaternion(axes) {
+    const [x, y, z] = axes.map(a => new THREE.Vector3(a.x, a.y, a.z));
+    return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+}
 
 export default class Renderer3D {
     /** @param {HTMLCanvasElement} canvas */
@@ -50,13 +89,36 @@ export default class Renderer3D {
         this.controls.maxDistance = 3000;
         this.controls.maxPolarAngle = Math.PI * 0.85;
 
+        /** @type {import('../core/referenceFrames.js').FrameSpec} Frame the camera rides along with. */
+        this._cameraFrame = { mode: 'world' };
+
+        /** @type {?import('../core/referenceFrames.js').Frame} That frame at the last render. */
+        this._lastFrame = null;
+
+        /** Frames left in the glide towards the current frame's origin. */
+        this._transition = 0;
+
+        /**
+         * What trails are drawn relative to: world space (null), the camera's
+         * frame ('camera'), or a body. Dropped back to null if the body goes.
+         * @type {null|'camera'|Body}
+         */
+        this.trailReference = null;
+
+        /** @type {string} What trail colors show: a key of `TRAIL_COLORINGS`. */
+        this._trailColoring = 'body';
+
         /* ── Lighting ── */
         this.scene.add(new THREE.AmbientLight(0x222244, 0.5));
 
-        /* ── Post-processing (bloom) ── */
+        /* ── Post-processing (lensing, bloom) ── */
         this.composer = new EffectComposer(this.renderer);
         this.composer.addPass(new RenderPass(this.scene, this.camera));
 
+        this._lensPass = new ShaderPass(LensingShader);
+        this._lensPass.enabled = false;
+        this.composer.addPass(this._lensPass);
+
         const bloom = new UnrealBloomPass(
             new THREE.Vector2(window.innerWidth, window.innerHeight),
             1.2,   /* strength */
@@ -69,59 +131,272 @@ export default class Renderer3D {
         /* ── Background stars ── */
         this._createStarfield();
 
-        /* ── Grid plane ── */
-        this._createGrid();
+        /* ── Grid plane (dipped by the potential overlay) ── */
+        this._sheet = this._createSheet();
 
         /* ── Body mesh cache ── */
         /** @type {Map<Body, THREE.Group>} */
         this._meshMap = new Map();
 
-        /** @type {Map<Body, THREE.Line>} */
+        /** @type {Map<Body, TrailLine>} */
         this._trailMap = new Map();
+        this._trailMaterial = createTrailMaterial();
+        this._trailMaterial.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
+
+        /** @type {Set<string>} Overlays switched on: keys of `OVERLAYS`. */
+        this._overlays = new Set();
+
+        /** @type {Map<Body, { velocity: THREE.ArrowHelper, acceleration: THREE.ArrowHelper }>} */
+        this._arrowMap = new Map();
+
+        /** @type {?Body} Body highlighted with the selection ring. */
+        this.selectedBody = null;
+
+        this._raycaster = new THREE.Raycaster();
+        this._selectionRing = this._createSelectionRing();
+        this._guide = this._createPlacementGuide();
+
+        /** @type {?THREE.Line} Ghost trajectory shown while dragging to launch. */
+        this._prediction = null;
+
+        /** @type {THREE.Mesh[]} Expanding rings marking impacts and other events. */
+        this._flashes = [];
+        this._flashGeo = new THREE.RingGeometry(0.6, 1, 48);
+
+        /** @type {number} Scene units per simulation length unit (see units.js). */
+        this._displayScale = 1;
+
+        /** @type {number} Smallest radius a body is drawn with, in scene units. */
+        this._minDisplayRadius = 0;
+
+        /** @type {number} Star light intensity per unit of simulation mass. */
+        this._lightPerMass = 0.08;
 
         /* ── Resize handler ── */
         window.addEventListener('resize', () => this._onResize());
 
         /* ── Shared geometries (reused for all bodies of same type) ── */
         this._sphereGeo = new THREE.SphereGeometry(1, 32, 24);
+        this._diskGeo = this._createDiskGeometry();
     }
 
     /* ── Public ── */
 
     /**
      * Render one frame.
-     * @param {import('../core/Simulation.js').default} sim
+     * @param {import('../core/Simulation.js').default} sim - or a PhysicsClient
+     * @param {number} [alpha=1] - Interpolation factor between each body's
+     *   `prevPos` and `pos`, for snapshots arriving from the physics worker.
      */
-    render(sim) {
+    render(sim, alpha = 1) {
+        const units = sim.unitSystem;
+        this._displayScale = units.displayScale;
+        this._minDisplayRadius = units.minDisplayRadius;
+        this._lightPerMass = 0.08 / units.presetMass;
+
+        this._syncCamera(sim.bodies, alpha);
         this.controls.update();
 
         /* Sync Three.js objects with simulation bodies */
-        this._syncBodies(sim.bodies);
+        this._syncBodies(sim.bodies, alpha);
         this._syncTrails(sim.bodies);
+        this._syncSheet(sim);
+        this._syncArrows(sim);
 
         /* Remove meshes for dead bodies */
         this._pruneDeadBodies(sim.bodies);
 
+        this._syncSelection();
+        this._syncFlashes();
+        this._syncLenses(sim.bodies);
+
         this.composer.render();
     }
 
+    /** @type {import('../core/referenceFrames.js').FrameSpec} */
+    get cameraFrame() { return this._cameraFrame; }
+
+    /**
+     * Make the camera ride along with a reference frame: it glides over to
+     * the frame's origin, then moves (and for a co-rotating frame, turns)
+     * with it. Orbiting, panning and zooming still work on top. Falls back
+     * to the world frame when a body the frame needs disappears.
+     * @param {import('../core/referenceFrames.js').FrameSpec} spec
+     */
+    setCameraFrame(spec) {
+        this._cameraFrame = spec;
+        this._lastFrame = null;
+        this._transition = RENDERING.CAMERA_TRANSITION_FRAMES;
+    }
+
     /**
-     * Raycast from screen coords to the XZ plane (y=0).
-     * Used for placing bodies with mouse clicks.
+     * Switch a field overlay on or off.
+     * @param {string}  name - A key of `OVERLAYS`.
+     * @param {boolean} enabled
+     * @throws {Error} For unknown overlays.
+     */
+    setOverlay(name, enabled) {
+        if (!Object.hasOwn(OVERLAYS, name)) {
+            throw new Error(`Unknown overlay "${name}" (known: ${Object.keys(OVERLAYS).join(', ')})`);
+        }
+        if (enabled) this._overlays.add(name); else this._overlays.delete(name);
+    }
+
+    /** @type {string} A key of `TRAIL_COLORINGS`. */
+    get trailColoring() { return this._trailColoring; }
+
+    /**
+     * Color trails by their body's color, or by speed or acceleration
+     * along them, from blue (slowest) to red (fastest of all the trails).
+     * @param {string} coloring - A key of `TRAIL_COLORINGS`.
+     * @throws {Error} For unknown colorings.
+     */
+    set trailColoring(coloring) {
+        if (!Object.hasOwn(TRAIL_COLORINGS, coloring)) {
+            throw new Error(`Unknown trail coloring "${coloring}" (known: ${Object.keys(TRAIL_COLORINGS).join(', ')})`);
+        }
+        this._trailColoring = coloring;
+    }
+
+    /**
+     * Raycast from screen coords to a placement plane, by default the XZ
+     * plane (y=0). Used for placing bodies with mouse clicks.
      * @param {number} screenX - normalised device x (-1 to 1)
      * @param {number} screenY - normalised device y (-1 to 1)
-     * @returns {{ x: number, z: number }}
+     * @param {import('../core/placement.js').Plane} [plane=DEFAULT_PLANE]
+     * @returns {?Vector3} In simulation units; null if the cursor's ray misses the plane.
      */
-    raycastToPlane(screenX, screenY) {
-        const raycaster = new THREE.Raycaster();
-        const ndc = new THREE.Vector2(screenX, screenY);
-        raycaster.setFromCamera(ndc, this.camera);
+    raycastToPlane(screenX, screenY, plane = DEFAULT_PLANE) {
+        this._raycaster.setFromCamera(new THREE.Vector2(screenX, screenY), this.camera);
+        const { origin, direction } = this._raycaster.ray;
+        const k = this._displayScale;
+        return intersectPlane(
+            new Vector3(origin.x / k, origin.y / k, origin.z / k),
+            new Vector3(direction.x, direction.y, direction.z),
+            plane,
+        );
+    }
 
-        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const target = new THREE.Vector3();
-        raycaster.ray.intersectPlane(plane, target);
+    /**
+     * Find the body under a screen point. Hits the glow shell too, so
+     * small bodies are easier to click.
+     * @param {number} screenX - normalised device x (-1 to 1)
+     * @param {number} screenY - normalised device y (-1 to 1)
+     * @returns {?Body} The nearest body under the cursor, if any.
+     */
+    pickBody(screenX, screenY) {
+        this._raycaster.setFromCamera(new THREE.Vector2(screenX, screenY), this.camera);
+        const hits = this._raycaster.intersectObjects([...this._meshMap.values()], true);
+        for (const hit of hits) {
+            let obj = hit.object;
+            while (obj && !obj.userData.body) obj = obj.parent;
+            if (obj) return obj.userData.body;
+        }
+        return null;
+    }
+
+    /**
+     * Play a flash — a ring that expands and fades — at a point, e.g. where
+     * two bodies collided.
+     * @param {Vector3} point
+     * @param {object} [options]
+     * @param {string} [options.color='#ffffff'] - CSS color.
+     * @param {number} [options.size=20]         - Final ring radius, in
+     *   simulation units (never drawn smaller than a few minimum body radii).
+     */
+    flash(point, { color = '#ffffff', size = 20 } = {}) {
+        if (this._flashes.length >= RENDERING.MAX_FLASHES) {
+            this._removeFlash(this._flashes.shift());
+        }
 
-        return target ?? new THREE.Vector3(0, 0, 0);
+        const ring = new THREE.Mesh(this._flashGeo, new THREE.MeshBasicMaterial({
+            color: new THREE.Color(color),
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+        }));
+        const k = this._displayScale;
+        ring.position.set(point.x * k, point.y * k, point.z * k);
+        ring.userData = { age: 0, size: Math.max(size * k, this._minDisplayRadius * 4) };
+        this._flashes.push(ring);
+        this.scene.add(ring);
+    }
+
+    /**
+     * Show a predicted trajectory as a dashed ghost line, or hide it.
+     * @param {?import('../core/predictor.js').Trajectory} trajectory
+     */
+    setPrediction(trajectory) {
+        if (!trajectory || trajectory.points.length < 2) {
+            if (this._prediction) this._prediction.visible = false;
+            return;
+        }
+
+        const { points, collided } = trajectory;
+        let line = this._prediction;
+        const capacity = line ? line.geometry.getAttribute('position').count : 0;
+        if (capacity < points.length) {
+            if (line) {
+                line.geometry.dispose();
+                line.geometry = this._createPredictionGeometry(points.length);
+            } else {
+                line = new THREE.Line(
+                    this._createPredictionGeometry(points.length),
+                    new THREE.LineDashedMaterial({
+                        transparent: true,
+                        opacity: 0.75,
+                        dashSize: 6,
+                        gapSize: 4,
+                        depthWrite: false,
+                    }),
+                );
+                line.frustumCulled = false;
+                this._prediction = line;
+                this.scene.add(line);
+            }
+        }
+
+        const posAttr = line.geometry.getAttribute('position');
+        const k = this._displayScale;
+        points.forEach((p, i) => posAttr.setXYZ(i, p.x * k, p.y * k, p.z * k));
+        posAttr.needsUpdate = true;
+        line.geometry.setDrawRange(0, points.length);
+        line.computeLineDistances();
+
+        /* Turn red when the path ends in a collision */
+        line.material.color.set(collided ? 0xff6b6b : 0xcfd8ff);
+        line.visible = true;
+    }
+
+    /**
+     * Show where a body would be placed, or hide the marker. A ring lies in
+     * the placement plane around the point, and a dashed line drops from
+     * it to the XZ plane to show its height: blue above, orange below.
+     * @param {?{ point: Vector3, plane: import('../core/placement.js').Plane }} guide
+     */
+    setPlacementGuide(guide) {
+        const { group, ring, foot, drop } = this._guide;
+        group.visible = !!guide;
+        if (!guide) return;
+
+        const k = this._displayScale;
+        const { point, plane } = guide;
+        const color = point.y >= 0 ? 0x7fd4ff : 0xffb36b;
+        ring.material.color.set(color);
+        drop.material.color.set(color);
+
+        ring.position.set(point.x * k, point.y * k, point.z * k);
+        ring.quaternion.setFromUnitVectors(
+            new THREE.Vector3(0, 0, 1),
+            new THREE.Vector3(plane.normal.x, plane.normal.y, plane.normal.z),
+        );
+        foot.position.set(point.x * k, 0, point.z * k);
+
+        const posAttr = drop.geometry.getAttribute('position');
+        posAttr.setXYZ(0, point.x * k, point.y * k, point.z * k);
+        posAttr.setXYZ(1, point.x * k, 0, point.z * k);
+        posAttr.needsUpdate = true;
+        drop.computeLineDistances();
     }
 
     /* ── Private: Starfield ── */
@@ -159,12 +434,152 @@ export default class Renderer3D {
 
     /* ── Private: Grid ── */
 
-    _createGrid() {
-        const grid = new THREE.GridHelper(1200, 40, 0x1a2040, 0x111830);
-        grid.material.transparent = true;
-        grid.material.opacity = 0.25;
-        grid.position.y = -0.5;
-        this.scene.add(grid);
+    /**
+     * The grid the system sits on: lines joining a square of vertices, which
+     * the potential overlay lowers into the bodies' gravity wells.
+     * @returns {THREE.LineSegments}
+     */
+    _createSheet() {
+        const divisions = RENDERING.SHEET_DIVISIONS;
+        const n = divisions + 1;
+        const step = RENDERING.SHEET_SIZE / divisions;
+        const half = RENDERING.SHEET_SIZE / 2;
+
+        const positions = new Float32Array(n * n * 3);
+        const indices = [];
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                const i = row * n + col;
+                positions[i * 3] = -half + col * step;
+                positions[i * 3 + 2] = -half + row * step;
+                if (col < divisions) indices.push(i, i + 1);
+                if (row < divisions) indices.push(i, i + n);
+            }
+        }
+
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(n * n * 3), 3)
+            .setUsage(THREE.DynamicDrawUsage));
+        geo.setIndex(indices);
+
+        const mat = new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.3,
+        });
+
+        const sheet = new THREE.LineSegments(geo, mat);
+        sheet.frustumCulled = false;
+        this._flattenSheet(sheet);
+        this.scene.add(sheet);
+        return sheet;
+    }
+
+    /**
+     * Dip the grid by the potential under each vertex while the potential
+     * overlay is on. The dip is s / (1 + s) of `RENDERING.SHEET_DEPTH`, with
+     * s the potential in units of all the mass one grid cell away: deep
+     * wells level off instead of plunging, and far from the bodies the dip
+     * falls off like the potential itself.
+     * @param {import('../core/Simulation.js').default} sim - or a PhysicsClient
+     */
+    _syncSheet(sim) {
+        const sheet = this._sheet;
+        const totalMass = sim.bodies.reduce((sum, b) => sum + b.mass, 0);
+        if (!this._overlays.has('potential') || !(totalMass > 0)) {
+            if (!sheet.userData.flat) this._flattenSheet(sheet);
+            return;
+        }
+
+        const divisions = RENDERING.SHEET_DIVISIONS;
+        const size = RENDERING.SHEET_SIZE / this._displayScale;
+        const potentials = samplePotential(sim, { center: Vector3.zero(), size, divisions });
+        const reference = sim.G * totalMass * divisions / size;
+
+        const positions = sheet.geometry.getAttribute('position');
+        const colors = sheet.geometry.getAttribute('color');
+        for (let i = 0; i < potentials.length; i++) {
+            const s = -potentials[i] / reference;
+            const depth = s / (1 + s);
+            positions.array[i * 3 + 1] = SHEET_Y - depth * RENDERING.SHEET_DEPTH;
+            colors.array[i * 3] = SHEET_FLAT.r + (SHEET_DEEP.r - SHEET_FLAT.r) * depth;
+            colors.array[i * 3 + 1] = SHEET_FLAT.g + (SHEET_DEEP.g - SHEET_FLAT.g) * depth;
+            colors.array[i * 3 + 2] = SHEET_FLAT.b + (SHEET_DEEP.b - SHEET_FLAT.b) * depth;
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        sheet.userData.flat = false;
+    }
+
+    /** @param {THREE.LineSegments} sheet - Laid flat at `SHEET_Y`. */
+    _flattenSheet(sheet) {
+        const positions = sheet.geometry.getAttribute('position');
+        const colors = sheet.geometry.getAttribute('color');
+        for (let i = 0; i < positions.count; i++) {
+            positions.array[i * 3 + 1] = SHEET_Y;
+            SHEET_FLAT.toArray(colors.array, i * 3);
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        sheet.userData.flat = true;
+    }
+
+    /* ── Private: Arrows ── */
+
+    /**
+     * Point each body's arrows along its velocity and the net acceleration
+     * the other bodies give it (pinned bodies have none). The longest arrow
+     * of each kind is `RENDERING.ARROW_LENGTH`, the rest in proportion.
+     * @param {import('../core/Simulation.js').default} sim - or a PhysicsClient
+     */
+    _syncArrows(sim) {
+        const kinds = ['velocity', 'acceleration'].filter(kind => this._overlays.has(kind));
+        if (kinds.length === 0) {
+            for (const arrows of this._arrowMap.values()) {
+                arrows.velocity.visible = false;
+                arrows.acceleration.visible = false;
+            }
+            return;
+        }
+
+        const vectorOf = {
+            velocity: (b) => b.vel,
+            acceleration: (b) => (b.pinned ? Vector3.zero() : fieldAt(sim, b.pos, b).acceleration),
+        };
+        const vectors = {};
+        const longest = {};
+        for (const kind of kinds) {
+            vectors[kind] = sim.bodies.map(vectorOf[kind]);
+            longest[kind] = Math.max(0, ...vectors[kind].map(v => v.mag));
+        }
+
+        sim.bodies.forEach((body, i) => {
+            let arrows = this._arrowMap.get(body);
+            if (!arrows) {
+                arrows = {
+                    velocity: new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 1, 0x50e89e),
+                    acceleration: new THREE.ArrowHelper(new THREE.Vector3(0, 0, 1), new THREE.Vector3(), 1, 0xff5ea0),
+                };
+                this.scene.add(arrows.velocity, arrows.acceleration);
+                this._arrowMap.set(body, arrows);
+            }
+            const origin = this._meshMap.get(body)?.position;
+
+            for (const kind of ['velocity', 'acceleration']) {
+                const arrow = arrows[kind];
+                const v = vectors[kind]?.[i];
+                const mag = v?.mag ?? 0;
+                arrow.visible = mag > 0 && !!origin;
+                if (!arrow.visible) continue;
+
+                const length = RENDERING.ARROW_LENGTH * mag / longest[kind];
+                const head = Math.min(length * 0.3, 12);
+                arrow.position.copy(origin);
+                arrow.setDirection(new THREE.Vector3(v.x / mag, v.y / mag, v.z / mag));
+                arrow.setLength(length, head, head * 0.6);
+            }
+        });
     }
 
     /* ── Private: Body sync ── */
@@ -172,65 +587,94 @@ export default class Renderer3D {
     /**
      * Create or update Three.js meshes for each simulation body.
      * @param {import('../core/Body.js').default[]} bodies
+     * @param {number} alpha - prevPos → pos interpolation factor
      */
-    _syncBodies(bodies) {
+    _syncBodies(bodies, alpha) {
+        const k = this._displayScale;
         for (const body of bodies) {
             let group = this._meshMap.get(body);
 
+            /* Type or color edited (or promoted to star): rebuild the group */
+            const appearance = `${body.type}|${body.color}`;
+            if (group && group.userData.appearance !== appearance) {
+                this.scene.remove(group);
+                group = null;
+            }
+
             if (!group) {
                 group = this._createBodyGroup(body);
+                group.userData.appearance = appearance;
                 this._meshMap.set(body, group);
                 this.scene.add(group);
             }
 
-            /* Update position */
-            group.position.set(body.pos.x, body.pos.y, body.pos.z);
+            /* Update position (interpolated when snapshots carry prevPos) */
+            const p = body.prevPos ? Vector3.lerp(body.prevPos, body.pos, alpha) : body.pos;
+            group.position.set(p.x * k, p.y * k, p.z * k);
 
             /* Update scale (handles merging — radius can grow) */
-            const s = body.radius;
+            const s = Math.max(body.radius * k, this._minDisplayRadius);
             group.scale.set(s, s, s);
 
-            /* Animate point light intensity for stars */
-            if (body.type === 'star' && group.userData.light) {
-                group.userData.light.intensity = body.mass * 0.08;
+            /* Light intensity follows mass, which grows through merging */
+            if (group.userData.light) {
+                group.userData.light.intensity = body.mass * this._lightPerMass;
             }
         }
     }
 
     /**
-     * Build a Three.js group for a body (sphere + glow + optional light).
+     * Build a Three.js group for a body (sphere + glow + optional light),
+     * styled by its type's registry entry.
      * @param {import('../core/Body.js').default} body
      * @returns {THREE.Group}
      */
     _createBodyGroup(body) {
         const group = new THREE.Group();
+        group.userData.body = body;
         const color = new THREE.Color(body.color);
-
-        /* Main sphere */
-        const mat = new THREE.MeshStandardMaterial({
-            color,
-            emissive: color,
-            emissiveIntensity: body.type === 'star' ? 2.0 : 0.4,
-            roughness: 0.7,
-            metalness: 0.1,
-        });
+        const style = getBodyType(body.type);
+
+        /* Main sphere — unlit black for a black hole's horizon */
+        const mat = style.horizon
+            ? new THREE.MeshBasicMaterial({ color: 0x000000 })
+            : new THREE.MeshStandardMaterial({
+                color,
+                emissive: color,
+                emissiveIntensity: style.emissive,
+                roughness: 0.7,
+                metalness: 0.1,
+            });
         const mesh = new THREE.Mesh(this._sphereGeo, mat);
         group.add(mesh);
 
+        /* Accretion disk in the orbital plane, glowing in the body's color */
+        if (style.horizon) {
+            const disk = new THREE.Mesh(this._diskGeo, new THREE.MeshBasicMaterial({
+                color,
+                vertexColors: true,
+                side: THREE.DoubleSide,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+            }));
+            disk.rotation.x = -Math.PI / 2;
+            group.add(disk);
+        }
+
         /* Glow sphere (slightly larger, additive) */
         const glowMat = new THREE.MeshBasicMaterial({
             color,
             transparent: true,
-            opacity: body.type === 'star' ? 0.15 : 0.08,
+            opacity: style.glowOpacity,
             side: THREE.BackSide,
         });
         const glow = new THREE.Mesh(this._sphereGeo, glowMat);
-        glow.scale.setScalar(body.type === 'star' ? 2.5 : 1.6);
+        glow.scale.setScalar(style.glowScale);
         group.add(glow);
 
-        /* Point light for stars */
-        if (body.type === 'star') {
-            const light = new THREE.PointLight(color, body.mass * 0.08, 800);
+        /* Point light for light-emitting types (stars) */
+        if (style.light) {
+            const light = new THREE.PointLight(color, body.mass * this._lightPerMass, 800);
             group.add(light);
             group.userData.light = light;
         }
@@ -238,57 +682,262 @@ export default class Renderer3D {
         return group;
     }
 
+    /**
+     * Ring from 1.5 to 4 radii, brightest at its inner edge. Its vertex
+     * colors fade to black, which additive blending draws as transparent.
+     * @returns {THREE.RingGeometry}
+     */
+    _createDiskGeometry() {
+        const inner = 1.5;
+        const outer = 4;
+        const geo = new THREE.RingGeometry(inner, outer, 96, 8);
+        const posAttr = geo.getAttribute('position');
+        const colors = new Float32Array(posAttr.count * 3);
+        for (let i = 0; i < posAttr.count; i++) {
+            const t = (Math.hypot(posAttr.getX(i), posAttr.getY(i)) - inner) / (outer - inner);
+            colors.fill((1 - t) ** 2, i * 3, i * 3 + 3);
+        }
+        geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        return geo;
+    }
+
     /* ── Private: Trails ── */
 
     /**
-     * Sync trail lines for each body.
+     * Sync trail lines for each body. Trails fade from `RENDERING.TRAIL_OPACITY`
+     * at the newest point to nothing at the oldest, in the body's trail color
+     * or, when coloring by speed or acceleration, by the value recorded with
+     * each point on one blue-to-red scale shared by all. Points recorded
+     * without one keep the body's color.
      * @param {import('../core/Body.js').default[]} bodies
      */
     _syncTrails(bodies) {
+        const k = this._displayScale;
+        const reference = this.trailReference;
+        /* Fills `kept` with the trail index behind each point */
+        let pointsOf = (body, kept) => {
+            body.trail.forEach((_, i) => kept.push(i));
+            return body.trail;
+        };
+        if (reference === 'camera' && this._cameraFrame.mode !== 'world') {
+            const longest = Math.max(0, ...bodies.map(b => b.trail.length));
+            const frames = trailFrames(this._cameraFrame, bodies, longest);
+            pointsOf = (body, kept) => trailInFrame(body, frames, kept);
+        } else if (reference && reference !== 'camera') {
+            if (bodies.includes(reference)) {
+                pointsOf = (body, kept) => relativeTrail(body, reference, kept);
+            } else {
+                this.trailReference = null;
+            }
+        }
+
+        const coloring = this._trailColoring;
+        const trails = [];
+        const values = [];
         for (const body of bodies) {
-            if (body.trail.length < 2) continue;
+            const kept = [];
+            trails.push(pointsOf(body, kept));
+            if (coloring !== 'body') {
+                const recorded = trailValues(body, coloring);
+                values.push(kept.map(i => recorded[i]));
+            }
+        }
+        /* Skips the NaNs of points without a value, which Math.max would return */
+        const fastest = values.reduce((max, v) => v.reduce((m, x) => (x > m ? x : m), max), 0);
 
+        bodies.forEach((body, b) => {
+            const trail = trails[b];
             let line = this._trailMap.get(body);
-
             if (!line) {
-                const geo = new THREE.BufferGeometry();
-                const positions = new Float32Array(MAX_TRAIL_POINTS * 3);
-                geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-                geo.setDrawRange(0, 0);
-
-                const mat = new THREE.LineBasicMaterial({
-                    color: new THREE.Color(body.color),
-                    transparent: true,
-                    opacity: 0.4,
-                });
-
-                line = new THREE.Line(geo, mat);
-                line.frustumCulled = false;
+                line = new TrailLine(this._trailMaterial);
                 this._trailMap.set(body, line);
                 this.scene.add(line);
             }
+            if (line.userData.trailColor !== body.trailColor) {
+                /* Palette templates leave the alpha to us; the fade supplies it */
+                line.userData.rgb = new THREE.Color(body.trailColor.replace('ALPHA', '1'));
+                line.userData.trailColor = body.trailColor;
+            }
+
+            const last = Math.max(trail.length - 1, 1);
+            const rgb = line.userData.rgb;
+            line.update(trail, k, (i, color) => {
+                const value = values[b]?.[i];
+                if (Number.isFinite(value)) {
+                    const t = fastest > 0 ? value / fastest : 0;
+                    color.setHSL((1 - t) * 0.66, 1, 0.55);
+                } else {
+                    color.copy(rgb);
+                }
+                return RENDERING.TRAIL_OPACITY * i / last;
+            });
+        });
+    }
 
-            /* Update trail positions */
-            const posAttr = line.geometry.getAttribute('position');
-            const count = Math.min(body.trail.length, MAX_TRAIL_POINTS);
-            const start = body.trail.length - count;
+    /* ── Private: Camera ── */
 
-            for (let i = 0; i < count; i++) {
-                const p = body.trail[start + i];
-                posAttr.array[i * 3] = p.x;
-                posAttr.array[i * 3 + 1] = p.y;
-                posAttr.array[i * 3 + 2] = p.z;
+    /**
+     * Carry the camera and its orbit target along with the camera's frame
+     * since the last render, and glide the target onto the frame's origin
+     * while a transition lasts.
+     * @param {import('../core/Body.js').default[]} bodies
+     * @param {number} alpha - prevPos → pos interpolation factor, as for the meshes
+     */
+    _syncCamera(bodies, alpha) {
+        const shown = (b) => b.prevPos ? Vector3.lerp(b.prevPos, b.pos, alpha) : b.pos;
+        let frame = currentFrame(this._cameraFrame, bodies, shown);
+        if (!frame) {
+            /* A body the frame hangs on has merged away or been removed */
+            this.setCameraFrame({ mode: 'world' });
+            frame = WORLD_FRAME;
+        }
+        const last = this._lastFrame ?? frame;
+        this._lastFrame = frame;
+
+        const k = this._displayScale;
+        const toScene = (v) => new THREE.Vector3(v.x * k, v.y * k, v.z * k);
+        const origin = toScene(frame.origin);
+        const lastOrigin = toScene(last.origin);
+        const turn = basisQuaternion(frame.axes).multiply(basisQuaternion(last.axes).invert());
+        const carry = (p) => p.sub(lastOrigin).applyQuaternion(turn).add(origin);
+        carry(this.controls.target);
+        carry(this.camera.position);
+
+        if (this._transition > 0) {
+            const shift = origin.sub(this.controls.target).divideScalar(this._transition--);
+            this.controls.target.add(shift);
+            this.camera.position.add(shift);
+        }
+    }
+
+    /* ── Private: Placement guide ── */
+
+    /** @returns {{ group: THREE.Group, ring: THREE.Mesh, foot: THREE.Mesh, drop: THREE.Line }} */
+    _createPlacementGuide() {
+        /* Ring and foot share a material, so one color set covers both */
+        const material = new THREE.MeshBasicMaterial({
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+        });
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.9, 1, 64), material);
+        ring.scale.setScalar(24);
+        const foot = new THREE.Mesh(new THREE.RingGeometry(0.5, 1, 32), material);
+        foot.rotation.x = -Math.PI / 2;
+        foot.scale.setScalar(4);
+
+        const drop = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineDashedMaterial({ transparent: true, opacity: 0.6, dashSize: 4, gapSize: 3, depthWrite: false }),
+        );
+        drop.frustumCulled = false;
+
+        const group = new THREE.Group();
+        group.add(ring, foot, drop);
+        group.visible = false;
+        this.scene.add(group);
+        return { group, ring, foot, drop };
+    }
+
+    /* ── Private: Selection ── */
+
+    /** @returns {THREE.Mesh} Camera-facing ring drawn around the selected body. */
+    _createSelectionRing() {
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(1.6, 1.75, 48),
+            new THREE.MeshBasicMaterial({
+                color: 0x6e8efb,
+                transparent: true,
+                opacity: 0.7,
+                depthWrite: false,
+            }),
+        );
+        ring.visible = false;
+        this.scene.add(ring);
+        return ring;
+    }
+
+    _syncSelection() {
+        const group = this.selectedBody && this._meshMap.get(this.selectedBody);
+        this._selectionRing.visible = !!group;
+        if (!group) return;
+
+        this._selectionRing.position.copy(group.position);
+        this._selectionRing.scale.copy(group.scale);
+        this._selectionRing.quaternion.copy(this.camera.quaternion);
+    }
+
+    /* ── Private: Effects ── */
+
+    /** Age every flash by a frame: grow it, fade it, and drop it once spent. */
+    _syncFlashes() {
+        for (const ring of [...this._flashes]) {
+            const t = ++ring.userData.age / RENDERING.FLASH_FRAMES;
+            if (t >= 1) {
+                this._flashes.splice(this._flashes.indexOf(ring), 1);
+                this._removeFlash(ring);
+                continue;
             }
+            /* Ease out: fast at first, settling as it fades */
+            ring.scale.setScalar(ring.userData.size * (1 - (1 - t) ** 3));
+            ring.material.opacity = 1 - t;
+            ring.quaternion.copy(this.camera.quaternion);
+        }
+    }
+
+    /** @param {THREE.Mesh} ring */
+    _removeFlash(ring) {
+        this.scene.remove(ring);
+        ring.material.dispose();
+    }
 
-            posAttr.needsUpdate = true;
-            line.geometry.setDrawRange(0, count);
+    /**
+     * Point the lensing pass at the black holes on screen, heaviest first,
+     * and switch it off when there are none.
+     * @param {import('../core/Body.js').default[]} bodies
+     */
+    _syncLenses(bodies) {
+        const { lenses, count, aspect } = this._lensPass.uniforms;
+        const holes = bodies.filter(hasHorizon).sort((a, b) => b.mass - a.mass);
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        const center = new THREE.Vector3();
+        this.camera.updateMatrixWorld();
+
+        let n = 0;
+        for (const body of holes) {
+            if (n === RENDERING.MAX_LENSES) break;
+            const group = this._meshMap.get(body);
+            const depth = center.copy(group.position).applyMatrix4(this.camera.matrixWorldInverse).z;
+            if (depth >= 0) continue;  /* behind the camera */
+
+            /* Screen UV, and the horizon as a fraction of the screen height */
+            center.copy(group.position).project(this.camera);
+            const size = group.scale.x / (-depth * halfHeight * 2);
+            lenses.value[n++].set(center.x * 0.5 + 0.5, center.y * 0.5 + 0.5, size);
         }
+
+        count.value = n;
+        aspect.value = this.camera.aspect;
+        this._lensPass.enabled = n > 0;
+    }
+
+    /* ── Private: Prediction ── */
+
+    /**
+     * @param {number} capacity - Points the line can hold.
+     * @returns {THREE.BufferGeometry}
+     */
+    _createPredictionGeometry(capacity) {
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+        return geo;
     }
 
     /* ── Private: Cleanup ── */
 
     /**
-     * Remove meshes/trails for bodies no longer in the simulation.
+     * Remove meshes, trails and arrows for bodies no longer in the simulation.
      * @param {import('../core/Body.js').default[]} bodies
      */
     _pruneDeadBodies(bodies) {
@@ -304,9 +953,20 @@ export default class Renderer3D {
         for (const [body, line] of this._trailMap) {
             if (!bodySet.has(body)) {
                 this.scene.remove(line);
+                line.dispose();
                 this._trailMap.delete(body);
             }
         }
+
+        for (const [body, arrows] of this._arrowMap) {
+            if (!bodySet.has(body)) {
+                for (const arrow of [arrows.velocity, arrows.acceleration]) {
+                    this.scene.remove(arrow);
+                    arrow.dispose();
+                }
+                this._arrowMap.delete(body);
+            }
+        }
     }
 
     /* ── Private: Resize ── */
@@ -318,5 +978,6 @@ export default class Renderer3D {
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(w, h);
         this.composer.setSize(w, h);
+        this._trailMaterial.uniforms.resolution.value.set(w, h);
     }
 }
@@ -0,0 +1,73 @@
+/**
+ * @module lensing
+ * Screen-space gravitational lensing around black holes, as a shader for a
+ * `ShaderPass` in the renderer's post-processing chain.
+ *
+ * Each lens is a point mass: a pixel at distance θ from it shows what lies
+ * at β = θ − θE²/θ, with the Einstein radius θE twice the horizon. Light
+ * passing inside θE therefore comes from the far side of the hole, which
+ * draws a ring of the background around it. The effect fades out at
+ * `RENDERING.LENS_RADIUS` horizons so it has no visible edge, and pixels on
+ * the horizon itself are left alone, keeping the hole (and anything in
+ * front of it) as rendered. Depth is ignored: the bending is applied to the
+ * finished image, so bodies in front of a hole are bent as well.
+ */
+import * as THREE from 'three';
+import { RENDERING } from '../config.js';
+
+export const LensingShader = {
+    name: 'LensingShader',
+
+    defines: {
+        MAX_LENSES: RENDERING.MAX_LENSES,
+        LENS_RADIUS: RENDERING.LENS_RADIUS.toFixed(1),
+    },
+
+    uniforms: {
+        tDiffuse: { value: null },
+        /** Per lens: screen position (UV) and horizon radius (in UV heights). */
+        lenses: { value: Array.from({ length: RENDERING.MAX_LENSES }, () => new THREE.Vector3()) },
+        count: { value: 0 },
+        /** Viewport width / height. */
+        aspect: { value: 1 },
+    },
+
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform vec3 lenses[MAX_LENSES];
+        uniform int count;
+        uniform float aspect;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 scale = vec2(aspect, 1.0);
+            vec2 shift = vec2(0.0);
+
+            for (int i = 0; i < MAX_LENSES; i++) {
+                if (i >= count) break;
+                vec2 d = (vUv - lenses[i].xy) * scale;
+                float r = length(d);
+                float horizon = lenses[i].z;
+                if (r <= horizon) {
+                    shift = vec2(0.0);
+                    break;
+                }
+
+                float einstein = 2.0 * horizon;
+                float fade = smoothstep(LENS_RADIUS * horizon, 0.5 * LENS_RADIUS * horizon, r);
+                shift -= d / r * (einstein * einstein / r) * fade;
+            }
+
+            gl_FragColor = texture2D(tDiffuse, vUv + shift / scale);
+        }
+    `,
+};
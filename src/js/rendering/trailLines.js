@@ -0,0 +1,184 @@
+/**
+ * @module trailLines
+ * Trails drawn as lines of constant width on screen, with a color and an
+ * opacity at every point.
+ *
+ * WebGL draws `THREE.Line` one pixel wide whatever its material says, so a
+ * trail is a mesh instead: one quad per segment, spread sideways in screen
+ * space by the vertex shader. Segments are instances reading their two
+ * ends from a single point buffer (instance i starts at point i and ends at
+ * point i + 1), and likewise for colors, so a trail of n points uploads n
+ * points, not 2n.
+ *
+ * Buffers start small and double when a trail outgrows them, so a trail
+ * that stays the same length reuses its buffers every frame.
+ */
+import * as THREE from 'three';
+import { RENDERING } from '../config.js';
+
+/** What trail colors show, and their labels for UI pickers. */
+export const TRAIL_COLORINGS = Object.freeze({
+    body: 'Body color',
+    speed: 'Speed',
+    acceleration: 'Acceleration',
+});
+
+/** Points a new trail line has room for before its first growth. */
+const INITIAL_CAPACITY = 64;
+
+export const TrailLineShader = {
+    name: 'TrailLineShader',
+
+    uniforms: {
+        /** Line width, in CSS pixels. */
+        linewidth: { value: RENDERING.TRAIL_WIDTH },
+        /** Viewport size, in CSS pixels. */
+        resolution: { value: new THREE.Vector2(1, 1) },
+    },
+
+    vertexShader: /* glsl */`
+        uniform float linewidth;
+        uniform vec2 resolution;
+
+        attribute vec3 instanceStart;
+        attribute vec3 instanceEnd;
+        attribute vec4 instanceColorStart;
+        attribute vec4 instanceColorEnd;
+
+        varying vec4 vColor;
+
+        /* Move the end of a segment that passes behind the camera onto the near plane */
+        void trimToNear(const in vec4 front, inout vec4 behind) {
+            float near = -0.5 * projectionMatrix[3][2] / projectionMatrix[2][2];
+            behind.xyz = mix(front.xyz, behind.xyz, (near - front.z) / (behind.z - front.z));
+        }
+
+        void main() {
+            /* position.x picks the end, position.y the side */
+            vColor = position.x < 0.5 ? instanceColorStart : instanceColorEnd;
+
+            vec4 start = modelViewMatrix * vec4(instanceStart, 1.0);
+            vec4 end = modelViewMatrix * vec4(instanceEnd, 1.0);
+            if (start.z > 0.0 && end.z < 0.0) trimToNear(end, start);
+            else if (end.z > 0.0 && start.z < 0.0) trimToNear(start, end);
+
+            vec4 clipStart = projectionMatrix * start;
+            vec4 clipEnd = projectionMatrix * end;
+            vec2 dir = (clipEnd.xy / clipEnd.w - clipStart.xy / clipStart.w) * resolution;
+            dir = length(dir) > 0.0 ? normalize(dir) : vec2(1.0, 0.0);
+
+            vec4 clip = position.x < 0.5 ? clipStart : clipEnd;
+            clip.xy += vec2(-dir.y, dir.x) * position.y * linewidth / resolution * clip.w;
+            gl_Position = clip;
+        }
+    `,
+
+    fragmentShader: /* glsl */`
+        varying vec4 vColor;
+
+        void main() {
+            gl_FragColor = vColor;
+        }
+    `,
+};
+
+/**
+ * Material for trail lines. One is shared by every trail; keep its
+ * `resolution` uniform in step with the viewport.
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createTrailMaterial() {
+    return new THREE.ShaderMaterial({
+        ...TrailLineShader,
+        uniforms: THREE.UniformsUtils.clone(TrailLineShader.uniforms),
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+    });
+}
+
+/** One body's trail. */
+export class TrailLine extends THREE.Mesh {
+    /** @param {THREE.ShaderMaterial} material - From `createTrailMaterial`. */
+    constructor(material) {
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(
+            [0, -1, 0, 0, 1, 0, 1, -1, 0, 1, 1, 0], 3,
+        ));
+        geometry.setIndex([0, 2, 1, 2, 3, 1]);
+        geometry.instanceCount = 0;
+        super(geometry, material);
+        this.frustumCulled = false;
+
+        /** Points the buffers have room for. */
+        this._capacity = 0;
+        this._reserve(INITIAL_CAPACITY);
+    }
+
+    /**
+     * Redraw the trail through `points`.
+     * @param {import('../core/Vector3.js').default[]} points - Oldest first, in simulation units.
+     * @param {number} scale - Scene units per simulation unit.
+     * @param {(index: number, color: THREE.Color) => number} shade - Sets
+     *   the color of a point and returns its opacity.
+     */
+    update(points, scale, shade) {
+        const n = points.length;
+        this._reserve(n);
+
+        const positions = this._positions.array;
+        const colors = this._colors.array;
+        const color = new THREE.Color();
+        for (let i = 0; i < n; i++) {
+            const p = points[i];
+            positions[i * 3] = p.x * scale;
+            positions[i * 3 + 1] = p.y * scale;
+            positions[i * 3 + 2] = p.z * scale;
+
+            colors[i * 4 + 3] = shade(i, color);
+            colors[i * 4] = color.r;
+            colors[i * 4 + 1] = color.g;
+            colors[i * 4 + 2] = color.b;
+        }
+
+        /* Upload only the part in use */
+        this._positions.clearUpdateRanges();
+        this._positions.addUpdateRange(0, n * 3);
+        this._positions.needsUpdate = true;
+        this._colors.clearUpdateRanges();
+        this._colors.addUpdateRange(0, n * 4);
+        this._colors.needsUpdate = true;
+        this.geometry.instanceCount = Math.max(n - 1, 0);
+    }
+
+    /** Free the GPU buffers. */
+    dispose() {
+        this.geometry.dispose();
+    }
+
+    /* ── Private ── */
+
+    /**
+     * Make room for `count` points, doubling the buffers until they fit.
+     * @param {number} count
+     */
+    _reserve(count) {
+        if (count <= this._capacity) return;
+        let capacity = Math.max(this._capacity, INITIAL_CAPACITY);
+        while (capacity < count) capacity *= 2;
+
+        /* Drops the old buffers; the geometry is uploaded afresh on its next draw */
+        this.geometry.dispose();
+        this._positions = new THREE.InstancedInterleavedBuffer(new Float32Array(capacity * 3), 3, 1);
+        this._colors = new THREE.InstancedInterleavedBuffer(new Float32Array(capacity * 4), 4, 1);
+        this._positions.setUsage(THREE.DynamicDrawUsage);
+        this._colors.setUsage(THREE.DynamicDrawUsage);
+
+        const geo = this.geometry;
+        geo.setAttribute('instanceStart', new THREE.InterleavedBufferAttribute(this._positions, 3, 0));
+        geo.setAttribute('instanceEnd', new THREE.InterleavedBufferAttribute(this._positions, 3, 3));
+        geo.setAttribute('instanceColorStart', new THREE.InterleavedBufferAttribute(this._colors, 4, 0));
+        geo.setAttribute('instanceColorEnd', new THREE.InterleavedBufferAttribute(this._colors, 4, 4));
+        this._capacity = capacity;
+    }
+}
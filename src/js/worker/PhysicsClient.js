@@ -0,0 +1,437 @@
+/**
+ * @module PhysicsClient
+ * Main-thread proxy for a worker-hosted Simulation.
+ *
+ * Exposes the slice of the `Simulation` surface that `app.js` and
+ * `Renderer3D` use — `bodies`, `elapsed`, `paused`, `G`, `softening`,
+ * `solver`, `theta`, `units`, `unitSystem`, `substeps`, `integrator`,
+ * `collisions`, `boundary`, `addBody()`, `updateBody()`, `removeBody()`,
+ * `clear()`, `createDemoScene()`, `load()`, `on()`, `off()` — but every
+ * mutation becomes a protocol message and every read comes from the latest
+ * snapshot.
+ *
+ * Commands the worker rejects cannot throw from the call that sent them;
+ * they come back as a `CLIENT_EVENTS.ERROR` event instead, and the settings
+ * mirrored here are put back to the worker's.
+ *
+ * Each proxied body keeps the previous snapshot's position in `prevPos`, so
+ * the renderer can interpolate between physics ticks with `interpolation()`
+ * and stay smooth when the display refresh rate differs from the tick rate.
+ *
+ * Simulation events are re-emitted here, with the mirrored bodies in their
+ * payloads, once the snapshot that carries them has been applied. The
+ * worker only watches for the event types something here subscribes to.
+ */
+import Vector3 from '../core/Vector3.js';
+import EventEmitter from '../core/EventEmitter.js';
+import { BOUNDARY, PHYSICS, RENDERING } from '../config.js';
+import { validateScene } from '../core/sceneFormat.js';
+import { getUnitSystem } from '../core/units.js';
+import { pushTrail } from '../core/trails.js';
+import { SIM_EVENTS } from '../core/events.js';
+import { MSG, SIM_SETTINGS, SNAPSHOT_STRIDE, decodeEvent } from './protocol.js';
+
+/**
+ * Events the client fires besides the simulation's own.
+ *   error — the worker rejected a command: { command, message }. Local
+ *           mode throws these from the call that made the change.
+ */
+export const CLIENT_EVENTS = Object.freeze({
+    ERROR: 'workerError',
+});
+
+/** Read-only mirror of a worker-side Body. */
+class RemoteBody {
+    /** @param {{ id: number, type: string, color: string, glow: string, trailColor: string, pinned: boolean }} meta */
+    constructor(meta) {
+        /** @type {number} */
+        this.id = meta.id;
+
+        this.applyMeta(meta);
+
+        /** @type {number} */
+        this.mass = 0;
+
+        /** @type {number} */
+        this.radius = 0;
+
+        /** @type {Vector3} */
+        this.pos = Vector3.zero();
+
+        /** @type {Vector3} */
+        this.vel = Vector3.zero();
+
+        /** @type {?Vector3} Position at the previous snapshot. */
+        this.prevPos = null;
+
+        /** @type {Vector3[]} */
+        this.trail = [];
+
+        /** @type {number[]} Snapshot each trail point came from (see trails.js). */
+        this.trailTicks = [];
+
+        /** @type {number[]} |v| at each trail point. */
+        this.trailSpeeds = [];
+
+        /** @type {number[]} |a| at each trail point, as the worker computed it. */
+        this.trailAccelerations = [];
+
+        /** @type {number} */
+        this.maxTrail = RENDERING.MAX_TRAIL_LENGTH;
+
+        /** @type {boolean} */
+        this.alive = true;
+
+        /** @type {boolean} Bound to the system, as the worker last classified it. */
+        this.bound = true;
+
+        /** @type {number} Snapshots since creation. */
+        this.age = 0;
+    }
+
+    /** @param {{ type: string, color: string, glow: string, trailColor: string, pinned: boolean }} meta */
+    applyMeta(meta) {
+        /** @type {string} */
+        this.type = meta.type;
+        /** @type {string} */
+        this.color = meta.color;
+        /** @type {string} */
+        this.glow = meta.glow;
+        /** @type {string} */
+        this.trailColor = meta.trailColor;
+        /** @type {boolean} */
+        this.pinned = meta.pinned;
+    }
+}
+
+export default class PhysicsClient extends EventEmitter {
+    /**
+     * @param {{ postMessage: Function, addEventListener: Function }} worker
+     * @param {object} [options]
+     * @param {() => number} [options.now] - Millisecond clock (injectable for tests).
+     */
+    constructor(worker, options = {}) {
+        super([...Object.values(SIM_EVENTS), ...Object.values(CLIENT_EVENTS)]);
+
+        /** @type {RemoteBody[]} */
+        this.bodies = [];
+
+        /** @type {number} Simulation time of the latest snapshot. */
+        this.elapsed = 0;
+
+        this._worker = worker;
+        this._now = options.now ?? (() => performance.now());
+
+        /** @type {Map<number, RemoteBody>} */
+        this._byId = new Map();
+
+        /** Snapshots applied; stamps trail points. */
+        this._snapshotCount = 0;
+
+        this._paused = false;
+        this._G = PHYSICS.G;
+        this._softening = PHYSICS.SOFTENING;
+        this._solver = PHYSICS.SOLVER;
+        this._theta = PHYSICS.THETA;
+        this._units = PHYSICS.UNITS;
+        this._substeps = PHYSICS.SUBSTEPS;
+        this._integrator = PHYSICS.INTEGRATOR;
+        this._collisions = PHYSICS.COLLISIONS;
+        this._restitution = PHYSICS.RESTITUTION;
+        this._boundary = BOUNDARY.POLICY;
+        this._boundaryRadius = BOUNDARY.RADIUS;
+
+        /** @type {string} Event types the worker was last asked to forward. */
+        this._forwarded = '';
+
+        /* Snapshot timing, for interpolation */
+        this._lastSnapshotAt = this._now();
+        this._snapshotInterval = 1000 / PHYSICS.WORKER_TICK_RATE;
+
+        worker.addEventListener('message', (e) => this._onMessage(e.data));
+    }
+
+    /* ── Simulation-compatible surface ── */
+
+    on(type, listener) {
+        const unsubscribe = super.on(type, listener);
+        this._syncEvents();
+        return unsubscribe;
+    }
+
+    off(type, listener) {
+        super.off(type, listener);
+        this._syncEvents();
+    }
+
+    /** @type {boolean} */
+    get paused() { return this._paused; }
+
+    set paused(value) {
+        this._paused = value;
+        this._send({ type: MSG.PAUSE, paused: value });
+    }
+
+    /** @type {number} */
+    get G() { return this._G; }
+
+    set G(value) {
+        this._G = value;
+        this._send({ type: MSG.SET, G: value });
+    }
+
+    /** @type {number} */
+    get softening() { return this._softening; }
+
+    set softening(value) {
+        this._softening = value;
+        this._send({ type: MSG.SET, softening: value });
+    }
+
+    /** @type {string} */
+    get solver() { return this._solver; }
+
+    set solver(name) {
+        this._solver = name;
+        this._send({ type: MSG.SET, solver: name });
+    }
+
+    /** @type {number} */
+    get theta() { return this._theta; }
+
+    set theta(value) {
+        this._theta = value;
+        this._send({ type: MSG.SET, theta: value });
+    }
+
+    /** @type {string} Unit system; changes only by loading a scene. */
+    get units() { return this._units; }
+
+    /** @type {import('../core/units.js').UnitSystem} */
+    get unitSystem() { return getUnitSystem(this._units); }
+
+    /** @type {number} */
+    get substeps() { return this._substeps; }
+
+    set substeps(value) {
+        this._substeps = value;
+        this._send({ type: MSG.SET, substeps: value });
+    }
+
+    /** @type {string} */
+    get integrator() { return this._integrator; }
+
+    set integrator(name) {
+        this._integrator = name;
+        this._send({ type: MSG.SET, integrator: name });
+    }
+
+    /** @type {string} */
+    get collisions() { return this._collisions; }
+
+    set collisions(model) {
+        this._collisions = model;
+        this._send({ type: MSG.SET, collisions: model });
+    }
+
+    /** @type {number} */
+    get restitution() { return this._restitution; }
+
+    set restitution(value) {
+        this._restitution = value;
+        this._send({ type: MSG.SET, restitution: value });
+    }
+
+    /** @type {string} */
+    get boundary() { return this._boundary; }
+
+    set boundary(policy) {
+        this._boundary = policy;
+        this._send({ type: MSG.SET, boundary: policy });
+    }
+
+    /** @type {number} */
+    get boundaryRadius() { return this._boundaryRadius; }
+
+    set boundaryRadius(value) {
+        this._boundaryRadius = value;
+        this._send({ type: MSG.SET, boundaryRadius: value });
+    }
+
+    /**
+     * Queue a body for creation. It appears in `bodies` with the next snapshot.
+     * @param {string}  type
+     * @param {Vector3} position
+     * @param {Vector3} [velocity]
+     */
+    addBody(type, position, velocity = Vector3.zero()) {
+        this._send({
+            type: MSG.ADD_BODY,
+            bodyType: type,
+            pos: [position.x, position.y, position.z],
+            vel: [velocity.x, velocity.y, velocity.z],
+        });
+    }
+
+    /**
+     * Edit a body; the change shows up with the next snapshot.
+     * @param {RemoteBody} body
+     * @param {object} changes - As for `Simulation#updateBody`.
+     * @param {{ preserveMomentum?: boolean }} [options]
+     */
+    updateBody(body, changes, { preserveMomentum = false } = {}) {
+        const { vel } = changes;
+        this._send({
+            type: MSG.UPDATE_BODY,
+            id: body.id,
+            changes: vel ? { ...changes, vel: [vel.x, vel.y, vel.z] } : changes,
+            preserveMomentum,
+        });
+    }
+
+    /** @param {RemoteBody} body */
+    removeBody(body) {
+        this._send({ type: MSG.REMOVE_BODY, id: body.id });
+    }
+
+    /** Remove all bodies (locally at once, remotely via the worker). */
+    clear() {
+        this.bodies = [];
+        this._byId.clear();
+        this.elapsed = 0;
+        this._send({ type: MSG.CLEAR });
+    }
+
+    /** Ask the worker to build the demo solar system. */
+    createDemoScene() {
+        this._send({ type: MSG.DEMO_SCENE });
+    }
+
+    /**
+     * Replace the worker's simulation with a saved scene. The scene is
+     * validated here first, so errors surface synchronously to the caller.
+     * @param {string|object} data - Scene object or its JSON text.
+     * @throws {import('../core/sceneFormat.js').SceneFormatError}
+     */
+    load(data) {
+        const scene = validateScene(data);
+        this.bodies = [];
+        this._byId.clear();
+        this.elapsed = scene.elapsed;
+        this._G = scene.G;
+        this._softening = scene.softening;
+        this._units = scene.units ?? 'game';
+        this._substeps = scene.substeps;
+        this._integrator = scene.integrator ?? this._integrator;
+        this._collisions = scene.collisions ?? this._collisions;
+        this._restitution = scene.restitution ?? this._restitution;
+        this._boundary = scene.boundary ?? this._boundary;
+        this._boundaryRadius = scene.boundaryRadius ?? this._boundaryRadius;
+        this._send({ type: MSG.LOAD, scene });
+    }
+
+    /* ── Worker-only controls ── */
+
+    /** @param {number} timeScale - User-controlled speed multiplier. */
+    setTimeScale(timeScale) {
+        this._send({ type: MSG.SET, timeScale });
+    }
+
+    /** Ask for a snapshot outside the regular tick cadence. */
+    requestSnapshot() {
+        this._send({ type: MSG.SNAPSHOT });
+    }
+
+    /**
+     * How far the display is between the previous and latest snapshot.
+     * @param {number} [now] - Current time in ms.
+     * @returns {number} 0 (previous snapshot) … 1 (latest snapshot).
+     */
+    interpolation(now = this._now()) {
+        if (this._paused) return 1;
+        const t = (now - this._lastSnapshotAt) / this._snapshotInterval;
+        return Math.min(Math.max(t, 0), 1);
+    }
+
+    /* ── Private ── */
+
+    _send(msg) {
+        this._worker.postMessage(msg);
+    }
+
+    /** Tell the worker which event types have listeners here, if that changed. */
+    _syncEvents() {
+        const types = Object.values(SIM_EVENTS).filter(type => this.hasListeners(type));
+        if (types.join() === this._forwarded) return;
+        this._forwarded = types.join();
+        this._send({ type: MSG.EVENTS, types });
+    }
+
+    _onMessage(msg) {
+        if (msg.type === MSG.SNAPSHOT) this._applySnapshot(msg);
+        else if (msg.type === MSG.ERROR) this._applyError(msg);
+    }
+
+    /** Take back the settings the rejected command assumed, and report it. */
+    _applyError({ command, message, settings }) {
+        for (const key of SIM_SETTINGS) this[`_${key}`] = settings[key];
+        this.emit(CLIENT_EVENTS.ERROR, { command, message });
+    }
+
+    _applySnapshot({ elapsed, ids, state, meta, unbound = [], events = [] }) {
+        const now = this._now();
+        const gap = now - this._lastSnapshotAt;
+        if (gap > 0) {
+            /* Smooth the measured tick interval so one late message doesn't jolt */
+            this._snapshotInterval = this._snapshotInterval * 0.8 + gap * 0.2;
+        }
+        this._lastSnapshotAt = now;
+        this.elapsed = elapsed;
+        this._snapshotCount++;
+
+        for (const m of meta) {
+            const existing = this._byId.get(m.id);
+            if (existing) {
+                existing.applyMeta(m);
+            } else {
+                this._byId.set(m.id, new RemoteBody(m));
+            }
+        }
+
+        const unboundIds = new Set(unbound);
+        const bodies = [];
+        for (let i = 0; i < ids.length; i++) {
+            const body = this._byId.get(ids[i]);
+            if (!body) continue;
+            const o = i * SNAPSHOT_STRIDE;
+
+            body.prevPos = body.age > 0 ? body.pos : null;
+            body.pos = new Vector3(state[o], state[o + 1], state[o + 2]);
+            body.vel = new Vector3(state[o + 3], state[o + 4], state[o + 5]);
+            body.mass = state[o + 6];
+            body.radius = state[o + 7];
+            body.bound = !unboundIds.has(body.id);
+
+            if (!this._paused) pushTrail(body, body.pos, this._snapshotCount, body.vel.mag, state[o + 8]);
+            body.age++;
+            bodies.push(body);
+        }
+
+        /* Decode before pruning, so events can still name bodies that just left */
+        const decoded = events
+            .map(event => decodeEvent(event, id => this._byId.get(id)))
+            .filter(Boolean);
+
+        /* Anything not in this snapshot has merged away or been cleared */
+        const live = new Set(bodies);
+        for (const [id, body] of this._byId) {
+            if (!live.has(body)) {
+                body.alive = false;
+                this._byId.delete(id);
+            }
+        }
+
+        this.bodies = bodies;
+        for (const { type, payload } of decoded) this.emit(type, payload);
+    }
+}
@@ -0,0 +1,220 @@
+/**
+ * @module PhysicsHost
+ * Worker-side half of the physics protocol. Owns a `Simulation`, applies
+ * incoming commands to it, and posts compact typed-array snapshots back.
+ *
+ * The host is deliberately free of worker globals: it receives messages via
+ * `handleMessage()`, is advanced via `tick()`, and sends through the `post`
+ * callback it was constructed with. `physics.worker.js` wires it to
+ * `self`; tests drive it directly in Node.
+ *
+ * A command the Simulation rejects (an invalid edit, scene or setting) is
+ * reported back as an `error` message instead of being thrown inside the
+ * worker, where nothing would see it.
+ */
+import Simulation from '../core/Simulation.js';
+import Vector3 from '../core/Vector3.js';
+import { PHYSICS } from '../config.js';
+import { SIM_EVENTS } from '../core/events.js';
+import { MSG, SIM_SETTINGS, SNAPSHOT_STRIDE, encodeEvent } from './protocol.js';
+
+export default class PhysicsHost {
+    /**
+     * @param {(message: object, transfer: Transferable[]) => void} post
+     * @param {object} [options] - Forwarded to the Simulation constructor.
+     */
+    constructor(post, options = {}) {
+        /** @type {Simulation} */
+        this.sim = new Simulation(options);
+
+        /** @type {number} User-controlled speed multiplier. */
+        this.timeScale = PHYSICS.DEFAULT_TIME_SCALE;
+
+        this._post = post;
+        this._seq = 0;
+
+        /** @type {boolean} A command changed state since the last snapshot. */
+        this._dirty = true;
+
+        /** @type {Map<number, string>} Last appearance key sent per body id. */
+        this._sentMeta = new Map();
+
+        /** @type {object[]} Encoded events waiting for the next snapshot. */
+        this._events = [];
+
+        /** @type {Map<string, () => void>} Unsubscribe function per forwarded event type. */
+        this._forwarding = new Map();
+    }
+
+    /* ── Public API ── */
+
+    /**
+     * Apply one command from the main thread. If the Simulation rejects it,
+     * post an `error` message; the next tick posts a snapshot either way.
+     * @param {{ type: string }} msg
+     * @throws {Error} If the message type is unknown.
+     */
+    handleMessage(msg) {
+        let known;
+        try {
+            known = this._apply(msg);
+        } catch (err) {
+            this._post({ type: MSG.ERROR, command: msg.type, message: err.message, settings: this._settings() }, []);
+            this._dirty = true;
+            return;
+        }
+        if (!known) throw new Error(`PhysicsHost: unknown message type "${msg.type}"`);
+    }
+
+    /**
+     * Advance the simulation by one frame and post a snapshot if anything
+     * changed. While paused, snapshots are only sent after a command.
+     * @param {number} frameDt - Real seconds since the previous tick.
+     */
+    tick(frameDt) {
+        this.sim.step(frameDt, this.timeScale);
+        if (!this.sim.paused || this._dirty) {
+            this.postSnapshot();
+        }
+    }
+
+    /** Encode the current state and post it with transferable buffers. */
+    postSnapshot() {
+        const bodies = this.sim.bodies;
+        const ids = new Uint32Array(bodies.length);
+        const state = new Float64Array(bodies.length * SNAPSHOT_STRIDE);
+        const meta = [];
+        const live = new Set();
+
+        for (let i = 0; i < bodies.length; i++) {
+            const b = bodies[i];
+            const { x, y, z } = b.pos;
+            const v = b.vel;
+            const o = i * SNAPSHOT_STRIDE;
+
+            ids[i] = b.id;
+            state[o] = x;
+            state[o + 1] = y;
+            state[o + 2] = z;
+            state[o + 3] = v.x;
+            state[o + 4] = v.y;
+            state[o + 5] = v.z;
+            state[o + 6] = b.mass;
+            state[o + 7] = b.radius;
+            state[o + 8] = b.acc.mag;
+
+            live.add(b.id);
+            const key = `${b.type}|${b.color}|${b.pinned}`;
+            if (this._sentMeta.get(b.id) !== key) {
+                this._sentMeta.set(b.id, key);
+                meta.push({
+                    id: b.id,
+                    type: b.type,
+                    color: b.color,
+                    glow: b.glow,
+                    trailColor: b.trailColor,
+                    pinned: b.pinned,
+                });
+            }
+        }
+
+        /* Forget bodies that are gone so the map cannot grow unbounded */
+        for (const id of this._sentMeta.keys()) {
+            if (!live.has(id)) this._sentMeta.delete(id);
+        }
+
+        const events = this._events;
+        this._events = [];
+        this._dirty = false;
+        this._post({
+            type: MSG.SNAPSHOT,
+            seq: this._seq++,
+            elapsed: this.sim.elapsed,
+            paused: this.sim.paused,
+            ids,
+            state,
+            meta,
+            unbound: bodies.filter(b => !b.bound).map(b => b.id),
+            events,
+        }, [ids.buffer, state.buffer]);
+    }
+
+    /* ── Private ── */
+
+    /**
+     * @param {{ type: string }} msg
+     * @returns {boolean} False if the message type is unknown.
+     */
+    _apply(msg) {
+        switch (msg.type) {
+            case MSG.ADD_BODY:
+                this.sim.addBody(msg.bodyType, new Vector3(...msg.pos), new Vector3(...msg.vel));
+                break;
+            case MSG.CLEAR:
+                this.sim.clear();
+                break;
+            case MSG.DEMO_SCENE:
+                this.sim.createDemoScene();
+                break;
+            case MSG.LOAD:
+                this.sim.load(msg.scene);
+                break;
+            case MSG.UPDATE_BODY: {
+                const body = this._bodyById(msg.id);
+                if (!body) break;
+                const { vel, ...changes } = msg.changes;
+                if (vel) changes.vel = new Vector3(...vel);
+                this.sim.updateBody(body, changes, { preserveMomentum: msg.preserveMomentum });
+                break;
+            }
+            case MSG.REMOVE_BODY: {
+                const body = this._bodyById(msg.id);
+                if (body) this.sim.removeBody(body);
+                break;
+            }
+            case MSG.SET:
+                for (const key of SIM_SETTINGS) {
+                    if (msg[key] !== undefined) this.sim[key] = msg[key];
+                }
+                if (msg.timeScale !== undefined) this.timeScale = msg.timeScale;
+                break;
+            case MSG.PAUSE:
+                this.sim.paused = msg.paused;
+                break;
+            case MSG.EVENTS:
+                this._forwardEvents(msg.types);
+                return true;
+            case MSG.SNAPSHOT:
+                this.postSnapshot();
+                return true;
+            default:
+                return false;
+        }
+        this._dirty = true;
+        return true;
+    }
+
+    /** @returns {object} The current value of each of `SIM_SETTINGS`. */
+    _settings() {
+        return Object.fromEntries(SIM_SETTINGS.map(key => [key, this.sim[key]]));
+    }
+
+    /** Forward exactly the event types in `types` to the main thread. */
+    _forwardEvents(types) {
+        for (const type of Object.values(SIM_EVENTS)) {
+            const forwarding = this._forwarding.get(type);
+            if (types.includes(type) && !forwarding) {
+                this._forwarding.set(type, this.sim.on(type, (payload) => {
+                    this._events.push(encodeEvent(type, payload));
+                }));
+            } else if (!types.includes(type) && forwarding) {
+                forwarding();
+                this._forwarding.delete(type);
+            }
+        }
+    }
+
+    _bodyById(id) {
+        return this.sim.bodies.find(b => b.id === id);
+    }
+}
@@ -0,0 +1,20 @@
+/**
+ * @module physics.worker
+ * Web Worker entry point. Hosts the Simulation off the main thread and
+ * ticks it on its own fixed-rate timer, so heavy scenes cannot block input
+ * or camera movement. All protocol logic lives in `PhysicsHost`; this file
+ * only binds it to the worker globals.
+ */
+import PhysicsHost from './PhysicsHost.js';
+import { PHYSICS } from '../config.js';
+
+const host = new PhysicsHost((msg, transfer) => self.postMessage(msg, transfer));
+
+self.addEventListener('message', (e) => host.handleMessage(e.data));
+
+let last = performance.now();
+setInterval(() => {
+    const now = performance.now();
+    host.tick((now - last) / 1000);
+    last = now;
+}, 1000 / PHYSICS.WORKER_TICK_RATE);
@@ -0,0 +1,114 @@
+/**
+ * @module protocol
+ * Message protocol between the main thread (`PhysicsClient`) and the
+ * physics worker (`PhysicsHost`). Both sides import these constants so the
+ * wire format is defined in exactly one place.
+ *
+ * Commands (main → worker), all plain objects with a `type` field:
+ *   { type: 'addBody', bodyType, pos: [x, y, z], vel: [x, y, z] }
+ *   { type: 'clear' }
+ *   { type: 'demoScene' }
+ *   { type: 'load', scene }         — replace everything with a saved scene
+ *   { type: 'updateBody', id, changes, preserveMomentum }
+ *                                   — `changes.vel` travels as [x, y, z]
+ *   { type: 'removeBody', id }
+ *   { type: 'set', timeScale?, ...SIM_SETTINGS? }
+ *   { type: 'pause', paused }
+ *   { type: 'events', types }       — simulation events to forward (SIM_EVENTS
+ *                                     values); the rest are not watched at all
+ *   { type: 'snapshot' }            — request an immediate snapshot
+ *
+ * Snapshots (worker → main):
+ *   { type: 'snapshot', seq, elapsed, paused, ids, state, meta, unbound, events }
+ *
+ *   ids   — Uint32Array of body ids, one per body
+ *   state — Float64Array, SNAPSHOT_STRIDE numbers per body in the order
+ *           x, y, z, vx, vy, vz, mass, radius, |a|
+ *   meta  — [{ id, type, color, glow, trailColor, pinned }] for bodies that
+ *           are new or whose appearance or pin changed since the previous
+ *           snapshot
+ *   unbound — ids of the bodies currently classified unbound (`Body.bound`)
+ *   events — simulation events since the previous snapshot, in order, as
+ *           encoded by `encodeEvent()`
+ *
+ * `ids` and `state` are freshly allocated per snapshot and sent as
+ * transferables, so posting them costs no copy.
+ *
+ * Errors (worker → main), when a command is rejected:
+ *   { type: 'error', command, message, settings }
+ *
+ *   command  — type of the rejected command
+ *   message  — the error it raised, as the local Simulation would throw it
+ *   settings — the host's SIM_SETTINGS afterwards, so the client can undo
+ *              whatever it assumed had changed
+ */
+import Vector3 from '../core/Vector3.js';
+import { EVENT_BODY_FIELDS } from '../core/events.js';
+
+/** Message type tags. */
+export const MSG = Object.freeze({
+    ADD_BODY: 'addBody',
+    CLEAR: 'clear',
+    DEMO_SCENE: 'demoScene',
+    LOAD: 'load',
+    UPDATE_BODY: 'updateBody',
+    REMOVE_BODY: 'removeBody',
+    SET: 'set',
+    PAUSE: 'pause',
+    EVENTS: 'events',
+    SNAPSHOT: 'snapshot',
+    ERROR: 'error',
+});
+
+/** Simulation properties a `set` command can change, by name. */
+export const SIM_SETTINGS = Object.freeze([
+    'G', 'softening', 'solver', 'theta', 'substeps', 'integrator',
+    'collisions', 'restitution', 'boundary', 'boundaryRadius',
+]);
+
+/** Numbers per body in a snapshot's `state` array. */
+export const SNAPSHOT_STRIDE = 9;
+
+/**
+ * Make a simulation event postable: bodies become their ids and vectors
+ * become [x, y, z].
+ * @param {string} type - One of `SIM_EVENTS`.
+ * @param {object} payload
+ * @returns {{ type: string, payload: object }}
+ */
+export function encodeEvent(type, payload) {
+    const encoded = {};
+    for (const [key, value] of Object.entries(payload)) {
+        if (EVENT_BODY_FIELDS.includes(key)) {
+            encoded[key] = value.id;
+        } else if (value instanceof Vector3) {
+            encoded[key] = [value.x, value.y, value.z];
+        } else {
+            encoded[key] = value;
+        }
+    }
+    return { type, payload: encoded };
+}
+
+/**
+ * Reverse `encodeEvent()` on the main thread.
+ * @param {{ type: string, payload: object }} event
+ * @param {(id: number) => (object|undefined)} bodyById - Mirror lookup.
+ * @returns {?{ type: string, payload: object }} Null if the event names a
+ *   body the main thread never saw (one that came and went between snapshots).
+ */
+export function decodeEvent({ type, payload }, bodyById) {
+    const decoded = {};
+    for (const [key, value] of Object.entries(payload)) {
+        if (EVENT_BODY_FIELDS.includes(key)) {
+            const body = bodyById(value);
+            if (!body) return null;
+            decoded[key] = body;
+        } else if (Array.isArray(value)) {
+            decoded[key] = new Vector3(...value);
+        } else {
+            decoded[key] = value;
+        }
+    }
+    return { type, payload: decoded };
+}
@@ -0,0 +1,200 @@
+/**
+ * @file Barnes–Hut octree tests.
+ * Compares octree accelerations against the exact direct sum on random
+ * clusters and checks the Simulation solver switch.
+ */
+import { describe, it, expect } from 'vitest';
+import Octree from '../src/js/core/Octree.js';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+
+const G = 800;
+const SOFT_SQ = 8 * 8;
+
+/** Small deterministic PRNG so clusters are reproducible. */
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Gaussian-ish cluster of point masses around a few centres. */
+function randomCluster(n, seed) {
+    const rand = mulberry32(seed);
+    const centres = [
+        new Vector3(0, 0, 0),
+        new Vector3(400, 50, -200),
+        new Vector3(-300, -80, 350),
+    ];
+    const bodies = [];
+    for (let i = 0; i < n; i++) {
+        const c = centres[i % centres.length];
+        const spread = 150 * Math.cbrt(rand());
+        const theta = rand() * Math.PI * 2;
+        const phi = Math.acos(2 * rand() - 1);
+        bodies.push({
+            pos: new Vector3(
+                c.x + spread * Math.sin(phi) * Math.cos(theta),
+                c.y + spread * Math.sin(phi) * Math.sin(theta),
+                c.z + spread * Math.cos(phi),
+            ),
+            mass: 1 + rand() * 400,
+        });
+    }
+    return bodies;
+}
+
+/** Reference O(n²) accelerations. */
+function directAccelerations(bodies) {
+    return bodies.map(a => {
+        let ax = 0, ay = 0, az = 0;
+        for (const b of bodies) {
+            if (a === b) continue;
+            const dx = b.pos.x - a.pos.x;
+            const dy = b.pos.y - a.pos.y;
+            const dz = b.pos.z - a.pos.z;
+            const distSq = dx * dx + dy * dy + dz * dz + SOFT_SQ;
+            const inv = G * b.mass / (distSq * Math.sqrt(distSq));
+            ax += dx * inv;
+            ay += dy * inv;
+            az += dz * inv;
+        }
+        return new Vector3(ax, ay, az);
+    });
+}
+
+/** Pack bodies into the structure-of-arrays layout the octree reads. */
+function toArrays(bodies) {
+    const pos = new Float64Array(bodies.length * 3);
+    const mass = new Float64Array(bodies.length);
+    bodies.forEach((b, i) => {
+        pos[i * 3] = b.pos.x;
+        pos[i * 3 + 1] = b.pos.y;
+        pos[i * 3 + 2] = b.pos.z;
+        mass[i] = b.mass;
+    });
+    return { pos, mass, acc: new Float64Array(bodies.length * 3) };
+}
+
+/** Octree accelerations for every body, as Vector3s. */
+function treeAccelerations(bodies, theta) {
+    const { pos, mass, acc } = toArrays(bodies);
+    const tree = new Octree(theta);
+    tree.build(pos, mass, bodies.length);
+    return bodies.map((_, i) => {
+        tree.accelerationOn(i, G, SOFT_SQ, acc);
+        return new Vector3(acc[i * 3], acc[i * 3 + 1], acc[i * 3 + 2]);
+    });
+}
+
+/** Relative error of each octree acceleration against the reference. */
+function relativeErrors(bodies, theta) {
+    const approx = treeAccelerations(bodies, theta);
+    const exact = directAccelerations(bodies);
+    return approx.map((a, i) => a.sub(exact[i]).mag / exact[i].mag);
+}
+
+describe('Octree', () => {
+    describe('accuracy against direct sum', () => {
+        it('θ = 0 reproduces the direct sum exactly', () => {
+            const errors = relativeErrors(randomCluster(200, 1), 0);
+            expect(Math.max(...errors)).toBeLessThan(1e-10);
+        });
+
+        /*
+         * Stated tolerance for θ = 0.5: mean relative error below 1% and
+         * no single body worse than 10% (outliers are bodies whose
+         * net pull nearly cancels, so small absolute errors look large).
+         */
+        for (const seed of [2, 3, 4]) {
+            it(`θ = 0.5 stays within tolerance on random cluster #${seed}`, () => {
+                const errors = relativeErrors(randomCluster(500, seed), 0.5);
+                const mean = errors.reduce((s, e) => s + e, 0) / errors.length;
+                expect(mean).toBeLessThan(0.01);
+                expect(Math.max(...errors)).toBeLessThan(0.1);
+            });
+        }
+
+        it('error shrinks as θ decreases', () => {
+            const bodies = randomCluster(400, 5);
+            const mean = (theta) => {
+                const errors = relativeErrors(bodies, theta);
+                return errors.reduce((s, e) => s + e, 0) / errors.length;
+            };
+            expect(mean(0.3)).toBeLessThan(mean(0.8));
+        });
+    });
+
+    describe('edge cases', () => {
+        it('empty tree exerts no force', () => {
+            const { pos, mass } = toArrays([{ pos: new Vector3(1, 2, 3), mass: 1 }]);
+            const acc = new Float64Array([9, 9, 9]);
+            const tree = new Octree();
+            tree.build(pos, mass, 0);
+            tree.accelerationOn(0, G, SOFT_SQ, acc);
+            expect(Array.from(acc)).toEqual([0, 0, 0]);
+        });
+
+        it('a lone body feels no self-force', () => {
+            const [a] = treeAccelerations([{ pos: new Vector3(10, 0, 0), mass: 50 }], 0.5);
+            expect(a.mag).toBe(0);
+        });
+
+        it('handles coincident bodies without recursing forever', () => {
+            const bodies = [
+                { pos: new Vector3(5, 5, 5), mass: 10 },
+                { pos: new Vector3(5, 5, 5), mass: 10 },
+                { pos: new Vector3(100, 0, 0), mass: 10 },
+            ];
+            const a = treeAccelerations(bodies, 0.5)[2];
+            expect(Number.isFinite(a.x)).toBe(true);
+            expect(a.x).toBeLessThan(0);
+        });
+    });
+
+    describe('Simulation solver option', () => {
+        it('defaults to the direct solver', () => {
+            expect(new Simulation().solver).toBe('direct');
+        });
+
+        it('accepts solver and theta through the constructor', () => {
+            const sim = new Simulation({ solver: 'barnes-hut', theta: 0.7 });
+            expect(sim.solver).toBe('barnes-hut');
+            expect(sim.theta).toBe(0.7);
+        });
+
+        it('rejects unknown solvers', () => {
+            expect(() => new Simulation({ solver: 'barnes_hut' }))
+                .toThrow(/Unknown solver "barnes_hut" \(known: direct, barnes-hut\)/);
+            const sim = new Simulation({ solver: 'barnes-hut' });
+            expect(() => { sim.solver = 'fast'; }).toThrow(/Unknown solver "fast"/);
+            expect(sim.solver).toBe('barnes-hut');
+        });
+
+        it('barnes-hut trajectories track the direct solver', () => {
+            const build = (solver) => {
+                const sim = new Simulation({ solver, theta: 0.5 });
+                for (const b of randomCluster(60, 6)) {
+                    sim.addBody('moon', b.pos, Vector3.zero());
+                }
+                return sim;
+            };
+            const direct = build('direct');
+            const approx = build('barnes-hut');
+
+            for (let i = 0; i < 20; i++) {
+                direct.step(0.016, 1);
+                approx.step(0.016, 1);
+            }
+
+            expect(approx.bodies).toHaveLength(direct.bodies.length);
+            for (let i = 0; i < direct.bodies.length; i++) {
+                expect(Vector3.dist(direct.bodies[i].pos, approx.bodies[i].pos)).toBeLessThan(0.5);
+            }
+        });
+    });
+});
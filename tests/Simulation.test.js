@@ -64,6 +64,26 @@ describe('Simulation', () => {
             expect(newDist).toBeLessThan(200);
         });
 
+        it('applies changes to the force law from the next step', () => {
+            for (const [key, value] of [['G', 1600], ['softening', 30], ['solver', 'barnes-hut']]) {
+                const changed = new Simulation();
+                changed.addBody('star', new Vector3(0, 0, 0));
+                changed.addBody('planet', new Vector3(150, 0, 0), new Vector3(0, 0, 60));
+                changed.step(0.016, 1);
+
+                const fresh = new Simulation({ [key]: value });
+                for (const b of changed.bodies) fresh.addBody(b.type, b.pos, b.vel, { mass: b.mass });
+                changed[key] = value;
+                changed.step(0.016, 1);
+                fresh.step(0.016, 1);
+
+                changed.bodies.forEach((b, i) => {
+                    expect(b.pos).toEqual(fresh.bodies[i].pos);
+                    expect(b.vel).toEqual(fresh.bodies[i].vel);
+                });
+            }
+        });
+
         it('does not move bodies when paused', () => {
             sim.addBody('planet', new Vector3(100, 0, 0), new Vector3(0, 0, 10));
             sim.paused = true;
@@ -144,6 +164,179 @@ describe('Simulation', () => {
         });
     });
 
+    describe('state buffer views', () => {
+        it('body pos/vel reflect the buffer after integration', () => {
+            const body = sim.addBody('planet', new Vector3(100, 0, 0), new Vector3(0, 0, 10));
+            sim.step(0.016, 1);
+            expect(body.pos.z).toBeGreaterThan(0);
+            expect(body.vel.z).toBeCloseTo(10, 0);
+        });
+
+        it('assigning pos writes through to the simulation', () => {
+            const body = sim.addBody('planet', new Vector3(100, 0, 0));
+            body.pos = new Vector3(1, 2, 3);
+            expect(sim.bodies[0].pos).toEqual(new Vector3(1, 2, 3));
+        });
+
+        it('survivors keep their own state after a merge compacts the buffer', () => {
+            sim.addBody('star', new Vector3(0, 0, 0));
+            sim.addBody('moon', new Vector3(3, 0, 0));
+            const far = sim.addBody('planet', new Vector3(500, 0, 0), new Vector3(0, 0, 20));
+            sim.step(0.016, 1);
+
+            expect(sim.bodies).toHaveLength(2);
+            expect(sim.bodies[1]).toBe(far);
+            expect(far.pos.x).toBeGreaterThan(490);
+            expect(far.mass).toBe(400);
+        });
+    });
+
+    describe('body editing', () => {
+        it('edits mass, radius, velocity, type and color in place', () => {
+            const body = sim.addBody('planet', new Vector3(100, 0, 0), new Vector3(0, 0, 5));
+            sim.updateBody(body, {
+                mass: 900,
+                radius: 14,
+                vel: new Vector3(1, 0, 2),
+                type: 'moon',
+                color: '#12ab34',
+            });
+            expect(body.mass).toBe(900);
+            expect(sim.state.mass[0]).toBe(900);
+            expect(body.radius).toBe(14);
+            expect(body.vel).toEqual(new Vector3(1, 0, 2));
+            expect(body.type).toBe('moon');
+            expect(body.color).toBe('#12ab34');
+            expect(body.glow).toBe('rgba(18,171,52,0.35)');
+            expect(body.trailColor).toBe('rgba(18,171,52,ALPHA)');
+        });
+
+        it('changing type alone takes the new type\'s colors but keeps mass', () => {
+            const body = sim.addBody('moon', new Vector3(0, 0, 0));
+            sim.updateBody(body, { type: 'star' });
+            expect(body.type).toBe('star');
+            expect(body.color).toMatch(/^#/);
+            expect(body.mass).toBe(30);
+        });
+
+        it('preserves the body\'s momentum on a mass change when asked', () => {
+            const body = sim.addBody('planet', new Vector3(0, 0, 0), new Vector3(3, 0, -6));
+            const p0 = body.vel.scale(body.mass);
+            sim.updateBody(body, { mass: 1600 }, { preserveMomentum: true });
+            expect(body.vel.scale(body.mass)).toEqual(p0);
+            expect(body.vel).toEqual(new Vector3(0.75, 0, -1.5));
+        });
+
+        it('keeps velocity on a mass change by default', () => {
+            const body = sim.addBody('planet', new Vector3(0, 0, 0), new Vector3(3, 0, -6));
+            sim.updateBody(body, { mass: 1600 });
+            expect(body.vel).toEqual(new Vector3(3, 0, -6));
+        });
+
+        it('total momentum is unchanged by a momentum-preserving edit', () => {
+            sim.createDemoScene();
+            const p0 = sim.linearMomentum();
+            sim.updateBody(sim.bodies[2], { mass: 50 }, { preserveMomentum: true });
+            expect(sim.linearMomentum().sub(p0).mag).toBeLessThan(1e-9 * p0.mag + 1e-9);
+        });
+
+        it('new masses affect gravity from the next step', () => {
+            const star = sim.addBody('star', new Vector3(0, 0, 0));
+            const probe = sim.addBody('moon', new Vector3(200, 0, 0));
+            sim.computeAccelerations();
+            sim.updateBody(star, { mass: 6000 });
+            sim.computeAccelerations();
+            const expected = -800 * 6000 * 200 / Math.pow(200 * 200 + 64, 1.5);
+            expect(probe.acc.x).toBeCloseTo(expected, 6);
+        });
+
+        it('rejects invalid values without changing anything', () => {
+            const body = sim.addBody('planet', new Vector3(0, 0, 0));
+            expect(() => sim.updateBody(body, { mass: 10, radius: -1 })).toThrow(/Invalid radius/);
+            expect(() => sim.updateBody(body, { mass: 0 })).toThrow(/Invalid mass/);
+            expect(() => sim.updateBody(body, { type: 'nebula' })).toThrow(/Unknown body type/);
+            expect(() => sim.updateBody(body, { color: 'red' })).toThrow(/Invalid color/);
+            expect(body.mass).toBe(400);
+            expect(body.radius).toBe(10);
+        });
+
+        it('removes a body and keeps the others\' state', () => {
+            const a = sim.addBody('star', new Vector3(0, 0, 0));
+            const b = sim.addBody('planet', new Vector3(100, 0, 0));
+            const c = sim.addBody('moon', new Vector3(-50, 0, 0), new Vector3(0, 0, 7));
+
+            expect(sim.removeBody(b)).toBe(true);
+            expect(sim.bodies).toEqual([a, c]);
+            expect(b.alive).toBe(false);
+            expect(sim.state.count).toBe(2);
+            expect(c.vel).toEqual(new Vector3(0, 0, 7));
+            expect(sim.removeBody(b)).toBe(false);
+        });
+    });
+
+    describe('pinned bodies', () => {
+        it.each(['euler', 'verlet', 'rk4', 'yoshida', 'adaptive'])('do not move under %s', (integrator) => {
+            sim.integrator = integrator;
+            sim.createDemoScene();
+            const star = sim.bodies[0];
+            const planet = sim.bodies[1];
+            sim.updateBody(star, { pinned: true });
+            sim.updateBody(planet, { pinned: true });
+            const starPos = star.pos;
+            const planetPos = planet.pos;
+
+            for (let i = 0; i < 200; i++) sim.step(0.016, 2);
+            expect(star.pos).toEqual(starPos);
+            expect(planet.pos).toEqual(planetPos);
+            expect(star.vel).toEqual(Vector3.zero());
+        });
+
+        it('still attract other bodies', () => {
+            const anchor = sim.addBody('star', new Vector3(0, 0, 0));
+            sim.updateBody(anchor, { pinned: true });
+            const probe = sim.addBody('moon', new Vector3(200, 0, 0));
+            sim.step(0.016, 1);
+            expect(probe.vel.x).toBeLessThan(0);
+            expect(anchor.pos).toEqual(Vector3.zero());
+        });
+
+        it('pinning zeroes velocity and ignores velocity edits', () => {
+            const body = sim.addBody('planet', new Vector3(10, 0, 0), new Vector3(5, 0, 5));
+            sim.updateBody(body, { pinned: true });
+            expect(body.vel).toEqual(Vector3.zero());
+            sim.updateBody(body, { vel: new Vector3(1, 1, 1) });
+            expect(body.vel).toEqual(Vector3.zero());
+
+            sim.updateBody(body, { pinned: false });
+            sim.updateBody(body, { vel: new Vector3(1, 1, 1) });
+            expect(body.vel).toEqual(new Vector3(1, 1, 1));
+        });
+
+        it('stay pinned in place when they swallow a body', () => {
+            const anchor = sim.addBody('planet', new Vector3(50, 0, 0));
+            sim.updateBody(anchor, { pinned: true });
+            sim.addBody('star', new Vector3(54, 0, 0), new Vector3(0, 0, 30));
+            sim.step(0.016, 1);
+
+            expect(sim.bodies).toHaveLength(1);
+            const merged = sim.bodies[0];
+            expect(merged.pinned).toBe(true);
+            expect(merged.pos).toEqual(new Vector3(50, 0, 0));
+            expect(merged.vel).toEqual(Vector3.zero());
+        });
+
+        it('survive buffer compaction', () => {
+            sim.addBody('star', new Vector3(0, 0, 0));
+            sim.addBody('moon', new Vector3(3, 0, 0));
+            const pinned = sim.addBody('planet', new Vector3(500, 0, 0));
+            sim.updateBody(pinned, { pinned: true });
+            sim.step(0.016, 1);
+            expect(sim.bodies).toHaveLength(2);
+            expect(pinned.pinned).toBe(true);
+            expect(sim.state.pinned[1]).toBe(1);
+        });
+    });
+
     describe('demo scene', () => {
         it('creates a system with 5 bodies', () => {
             sim.createDemoScene();
@@ -0,0 +1,60 @@
+/**
+ * @file StateBuffer unit tests.
+ * Covers slot allocation, growth, copying, and Vector3 read/write views.
+ */
+import { describe, it, expect } from 'vitest';
+import StateBuffer from '../src/js/core/StateBuffer.js';
+import Vector3 from '../src/js/core/Vector3.js';
+
+describe('StateBuffer', () => {
+    it('hands out consecutive zeroed slots', () => {
+        const state = new StateBuffer(4);
+        expect(state.add()).toBe(0);
+        expect(state.add()).toBe(1);
+        expect(state.count).toBe(2);
+        expect(state.mass[1]).toBe(0);
+    });
+
+    it('grows past its initial capacity and keeps existing data', () => {
+        const state = new StateBuffer(2);
+        for (let i = 0; i < 5; i++) {
+            const slot = state.add();
+            state.writeVec(state.pos, slot, new Vector3(i, i * 2, i * 3));
+            state.mass[slot] = i + 1;
+        }
+        expect(state.capacity).toBeGreaterThanOrEqual(5);
+        expect(state.readVec(state.pos, 3)).toEqual(new Vector3(3, 6, 9));
+        expect(state.mass[4]).toBe(5);
+    });
+
+    it('zeroes recycled slots after clear', () => {
+        const state = new StateBuffer(2);
+        const slot = state.add();
+        state.writeVec(state.vel, slot, new Vector3(1, 1, 1));
+        state.clear();
+        expect(state.add()).toBe(0);
+        expect(state.readVec(state.vel, 0)).toEqual(new Vector3(0, 0, 0));
+    });
+
+    it('copies a slot between buffers', () => {
+        const a = new StateBuffer(1);
+        const b = new StateBuffer(1);
+        a.add();
+        b.add();
+        a.writeVec(a.pos, 0, new Vector3(1, 2, 3));
+        a.writeVec(a.vel, 0, new Vector3(4, 5, 6));
+        a.mass[0] = 7;
+        b.copySlot(a, 0, 0);
+        expect(b.readVec(b.pos, 0)).toEqual(new Vector3(1, 2, 3));
+        expect(b.readVec(b.vel, 0)).toEqual(new Vector3(4, 5, 6));
+        expect(b.mass[0]).toBe(7);
+    });
+
+    it('readVec returns a detached snapshot', () => {
+        const state = new StateBuffer(1);
+        state.add();
+        const v = state.readVec(state.pos, 0);
+        state.pos[0] = 42;
+        expect(v.x).toBe(0);
+    });
+});
@@ -52,6 +52,19 @@ describe('Vector3', () => {
         });
     });
 
+    describe('products', () => {
+        it('computes the dot product', () => {
+            expect(new Vector3(1, 2, 3).dot(new Vector3(4, -5, 6))).toBe(12);
+        });
+
+        it('computes a right-handed cross product', () => {
+            const z = new Vector3(1, 0, 0).cross(new Vector3(0, 1, 0));
+            expect(z).toEqual(new Vector3(0, 0, 1));
+            const v = new Vector3(2, 3, 4).cross(new Vector3(5, 6, 7));
+            expect(v).toEqual(new Vector3(-3, 6, -3));
+        });
+    });
+
     describe('geometry', () => {
         it('computes magnitude', () => {
             expect(new Vector3(1, 2, 2).mag).toBe(3);
@@ -106,6 +119,14 @@ describe('Vector3', () => {
             expect(Vector3.dist(a, b)).toBe(5);
         });
 
+        it('lerp interpolates between two vectors', () => {
+            const a = new Vector3(0, 10, -4);
+            const b = new Vector3(10, 20, 4);
+            expect(Vector3.lerp(a, b, 0)).toEqual(a);
+            expect(Vector3.lerp(a, b, 1)).toEqual(b);
+            expect(Vector3.lerp(a, b, 0.25)).toEqual(new Vector3(2.5, 12.5, -2));
+        });
+
         it('zero() returns origin', () => {
             const z = Vector3.zero();
             expect(z.x).toBe(0);
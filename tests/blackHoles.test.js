@@ -0,0 +1,123 @@
+/**
+ * @file Black hole tests: horizon size, capture and accretion.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SIM_EVENTS } from '../src/js/core/events.js';
+import { hasHorizon, horizonRadius } from '../src/js/core/blackHoles.js';
+import { contactDistance } from '../src/js/core/collisions.js';
+import { BLACK_HOLE } from '../src/js/config.js';
+
+/** A black hole at the origin with a body of `type` falling in from x = 100. */
+function infall(type, { collisions = 'merge', props, speed = 100 } = {}) {
+    const sim = new Simulation({ collisions });
+    const hole = sim.addBody('black-hole', Vector3.zero());
+    const body = sim.addBody(type, new Vector3(100, 0, 0), new Vector3(-speed, 0, 0), props);
+    return { sim, hole, body };
+}
+
+/** Step until the pair has met, or give up after `frames`. */
+function run(sim, frames = 120) {
+    for (let i = 0; i < frames && sim.bodies.length > 1; i++) sim.step(1 / 60, 1);
+}
+
+describe('event horizon', () => {
+    it('is the Schwarzschild radius 2GM/c²', () => {
+        expect(horizonRadius(15000, 800)).toBeCloseTo(2 * 800 * 15000 / BLACK_HOLE.SPEED_OF_LIGHT ** 2, 9);
+        expect(horizonRadius(30000, 800)).toBeCloseTo(2 * horizonRadius(15000, 800), 9);
+    });
+
+    it('sets the radius of new black holes from their mass', () => {
+        const sim = new Simulation();
+        const hole = sim.addBody('black-hole', Vector3.zero(), Vector3.zero(), { radius: 500 });
+        expect(hasHorizon(hole)).toBe(true);
+        expect(hole.radius).toBeCloseTo(horizonRadius(hole.mass, sim.G), 9);
+        expect(hasHorizon(sim.addBody('star', new Vector3(500, 0, 0)))).toBe(false);
+    });
+
+    it('follows edits to the mass, the type and G', () => {
+        const sim = new Simulation();
+        const hole = sim.addBody('black-hole', Vector3.zero());
+        sim.updateBody(hole, { mass: 2 * hole.mass, radius: 1 });
+        expect(hole.radius).toBeCloseTo(horizonRadius(hole.mass, sim.G), 9);
+
+        const star = sim.addBody('star', new Vector3(1000, 0, 0));
+        sim.updateBody(star, { type: 'black-hole' });
+        expect(star.radius).toBeCloseTo(horizonRadius(star.mass, sim.G), 9);
+
+        sim.G = 400;
+        sim.step(1 / 60, 1);
+        expect(hole.radius).toBeCloseTo(horizonRadius(hole.mass, 400), 9);
+    });
+});
+
+describe('capture', () => {
+    it('captures bodies whose centre crosses the horizon', () => {
+        const { sim, hole, body } = infall('planet');
+        expect(contactDistance('merge', hole, body)).toBe(hole.radius);
+        expect(contactDistance('bounce', hole, body)).toBe(hole.radius);
+        expect(contactDistance('merge', hole, hole)).toBe(2 * hole.radius);
+
+        run(sim);
+        expect(sim.bodies).toEqual([hole]);
+        expect(body.alive).toBe(false);
+    });
+
+    it('swallows bodies heavier than itself', () => {
+        const { sim, hole, body } = infall('star', { props: { mass: 20000 } });
+        run(sim);
+        expect(sim.bodies).toEqual([hole]);
+        expect(hole.type).toBe('black-hole');
+        expect(hole.mass).toBe(35000);
+        expect(body.alive).toBe(false);
+    });
+
+    it('swallows instead of bouncing or fragmenting', () => {
+        for (const collisions of ['bounce', 'fragment']) {
+            const { sim, hole } = infall('planet', { collisions, speed: 3000 });
+            run(sim);
+            expect(sim.bodies).toEqual([hole]);
+            expect(hole.mass).toBe(15400);
+        }
+    });
+
+    it('conserves momentum', () => {
+        const { sim, hole } = infall('planet');
+        const before = sim.linearMomentum();
+        run(sim);
+        expect(sim.bodies).toEqual([hole]);
+        expect(hole.vel.x * hole.mass).toBeCloseTo(before.x, 6);
+    });
+
+    it('grows its horizon as it accretes', () => {
+        const { sim, hole } = infall('gas-giant');
+        const before = hole.radius;
+        run(sim);
+        expect(hole.radius).toBeCloseTo(horizonRadius(16200, sim.G), 9);
+        expect(hole.radius / before).toBeCloseTo(16200 / 15000, 9);
+    });
+
+    it('merges two black holes into the heavier one', () => {
+        const sim = new Simulation();
+        const small = sim.addBody('black-hole', new Vector3(-50, 0, 0));
+        const large = sim.addBody('black-hole', new Vector3(50, 0, 0), Vector3.zero(), { mass: 30000 });
+        run(sim);
+        expect(sim.bodies).toEqual([large]);
+        expect(small.alive).toBe(false);
+        expect(large.mass).toBe(45000);
+    });
+
+    it('reports a capture as collision, merge and removal', () => {
+        const { sim, hole, body } = infall('star', { props: { mass: 20000 } });
+        const log = [];
+        for (const type of [SIM_EVENTS.COLLISION, SIM_EVENTS.MERGE, SIM_EVENTS.BODY_REMOVED]) {
+            sim.on(type, payload => log.push([type, payload]));
+        }
+        run(sim);
+        expect(log.map(([type]) => type)).toEqual(['collision', 'merge', 'bodyRemoved']);
+        expect(log[0][1].model).toBe('capture');
+        expect(log[1][1]).toEqual({ survivor: hole, absorbed: body });
+        expect(log[2][1]).toEqual({ body, reason: 'merged' });
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * @file Body type registry tests.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SIM_EVENTS } from '../src/js/core/events.js';
+import {
+    getBodyType, hasBodyType, listBodyTypes, promotedType, registerBodyType,
+} from '../src/js/core/bodyTypes.js';
+
+const PEBBLE_PALETTE = [
+    { color: '#111111', glow: 'rgba(17,17,17,0.3)', trail: 'rgba(17,17,17,ALPHA)' },
+    { color: '#222222', glow: 'rgba(34,34,34,0.3)', trail: 'rgba(34,34,34,ALPHA)' },
+];
+
+registerBodyType('pebble', {
+    label: 'Pebble',
+    key: '9',
+    mass: 30,
+    radius: 2,
+    palette: PEBBLE_PALETTE,
+    emissive: 0.1,
+    glowOpacity: 0.05,
+    glowScale: 1.2,
+    promotion: { mass: 50, to: 'planet' },
+});
+
+/** Two overlapping bodies of `type` closing head-on. */
+function collide(type, props) {
+    const sim = new Simulation({ G: 0 });
+    const a = sim.addBody(type, new Vector3(-1, 0, 0), new Vector3(10, 0, 0), props);
+    sim.addBody(type, new Vector3(1, 0, 0), new Vector3(-10, 0, 0), props);
+    return { sim, a };
+}
+
+describe('body type registry', () => {
+    it('registers the built-in types in picker order', () => {
+        const builtIns = listBodyTypes().slice(0, 7);
+        expect(builtIns.map(t => t.name))
+            .toEqual(['planet', 'star', 'moon', 'asteroid', 'gas-giant', 'comet', 'black-hole']);
+        expect(builtIns.map(t => t.key)).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+        expect(getBodyType('star').light).toBe(true);
+        expect(getBodyType('planet').light).toBeFalsy();
+    });
+
+    it('lists registered types after the built-ins', () => {
+        expect(hasBodyType('pebble')).toBe(true);
+        expect(listBodyTypes().at(-1)).toEqual({ name: 'pebble', label: 'Pebble', key: '9' });
+    });
+
+    it('spawns bodies with the type defaults, cycling through its palette', () => {
+        const sim = new Simulation();
+        const first = sim.addBody('pebble', Vector3.zero());
+        const second = sim.addBody('pebble', new Vector3(50, 0, 0));
+        const third = sim.addBody('pebble', new Vector3(100, 0, 0), Vector3.zero(), { mass: 5 });
+
+        expect(first.mass).toBe(30);
+        expect(first.radius).toBe(2);
+        expect([first.color, second.color, third.color]).toEqual(['#111111', '#222222', '#111111']);
+        expect(third.mass).toBe(5);
+    });
+
+    it('round-trips custom types through save files', () => {
+        const sim = new Simulation();
+        sim.addBody('pebble', Vector3.zero());
+        const copy = Simulation.fromJSON(JSON.stringify(sim));
+        expect(copy.bodies[0].type).toBe('pebble');
+    });
+
+    it('lets bodies be edited into a custom type', () => {
+        const sim = new Simulation();
+        const body = sim.addBody('moon', Vector3.zero());
+        sim.updateBody(body, { type: 'pebble' });
+        expect(body.type).toBe('pebble');
+        expect(body.color).toBe('#111111');
+    });
+
+    it('rejects unknown types and incomplete definitions', () => {
+        expect(() => getBodyType('nebula')).toThrow(/Unknown body type "nebula" \(known: planet, star/);
+        expect(() => new Simulation().addBody('nebula', Vector3.zero())).toThrow(/Unknown body type/);
+        const ghost = { label: 'Ghost', mass: 1, radius: 1, palette: PEBBLE_PALETTE };
+        expect(() => registerBodyType('ghost', { ...ghost, mass: 0 }))
+            .toThrow(/needs a positive mass and radius/);
+        expect(() => registerBodyType('ghost', { ...ghost, palette: [] }))
+            .toThrow(/needs at least one palette entry/);
+        expect(() => registerBodyType('ghost', { ...ghost, label: undefined }))
+            .toThrow(/"ghost" needs a label/);
+        expect(() => registerBodyType('ghost', { ...ghost, label: '' }))
+            .toThrow(/"ghost" needs a label/);
+        expect(() => registerBodyType('ghost', { ...ghost, promotion: { mass: 10 } }))
+            .toThrow(/"ghost" needs a positive promotion mass and a type to promote to/);
+        expect(() => registerBodyType('ghost', { ...ghost, promotion: { mass: -1, to: 'star' } }))
+            .toThrow(/needs a positive promotion mass/);
+        expect(() => registerBodyType('ghost', { ...ghost, glowOpacity: 2 }))
+            .toThrow(/"ghost" needs emissive ≥ 0, glowOpacity in 0 … 1 and glowScale > 0/);
+        expect(() => registerBodyType('ghost', { ...ghost, glowScale: 0 })).toThrow(/glowScale > 0/);
+        expect(() => registerBodyType('ghost', { ...ghost, emissive: -1 })).toThrow(/emissive ≥ 0/);
+        expect(hasBodyType('ghost')).toBe(false);
+    });
+});
+
+describe('promotion rules', () => {
+    it('promotes at the threshold the type defines', () => {
+        const { sim, a } = collide('pebble', { mass: 20 });
+        sim.step(0.001, 1);
+        expect(a.type).toBe('pebble');
+
+        const heavier = collide('pebble');
+        const promotions = [];
+        heavier.sim.on(SIM_EVENTS.PROMOTION, e => promotions.push(e));
+        heavier.sim.step(0.001, 1);
+        expect(heavier.a.type).toBe('planet');
+        expect(heavier.a.color).toBe(getBodyType('planet').palette[0].color);
+        expect(promotions).toEqual([{ body: heavier.a, from: 'pebble', to: 'planet' }]);
+    });
+
+    it('uses the registered threshold for the built-in types', () => {
+        const threshold = getBodyType('planet').promotion.mass;
+        expect(promotedType('planet', threshold)).toBe('planet');
+        expect(promotedType('planet', threshold + 1)).toBe('star');
+        expect(promotedType('star', 1e9)).toBe('star');
+    });
+
+    it('follows chains of rules and stops at cycles', () => {
+        expect(promotedType('pebble', 40)).toBe('pebble');
+        expect(promotedType('pebble', 60)).toBe('planet');
+        expect(promotedType('pebble', 1e6)).toBe('star');
+
+        const type = { label: 'Yin/yang', mass: 1, radius: 1, palette: PEBBLE_PALETTE };
+        registerBodyType('yin', { ...type, promotion: { mass: 10, to: 'yang' } });
+        registerBodyType('yang', { ...type, promotion: { mass: 10, to: 'yin' } });
+        expect(promotedType('yin', 100)).toBe('yang');
+        expect(getBodyType('yin')).toMatchObject({ emissive: 0.4, glowOpacity: 0.08, glowScale: 1.6 });
+    });
+
+    it('reports rules to unknown types when a body is made, not when it merges', () => {
+        registerBodyType('orphan', {
+            label: 'Orphan', mass: 1, radius: 1, palette: PEBBLE_PALETTE, promotion: { mass: 10, to: 'nowhere' },
+        });
+        const message = /Body type "orphan" promotes to unknown type "nowhere"/;
+        expect(promotedType('orphan', 5)).toBe('orphan');
+        expect(() => promotedType('orphan', 20)).toThrow(message);
+
+        const sim = new Simulation();
+        expect(() => sim.addBody('orphan', Vector3.zero())).toThrow(message);
+        const moon = sim.addBody('moon', Vector3.zero());
+        expect(() => sim.updateBody(moon, { type: 'orphan' })).toThrow(message);
+        expect(moon.type).toBe('moon');
+        expect(sim.bodies).toEqual([moon]);
+    });
+});
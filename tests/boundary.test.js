@@ -0,0 +1,153 @@
+/**
+ * @file Bound/unbound classification and boundary policy tests.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SIM_EVENTS } from '../src/js/core/events.js';
+
+const DT = 1 / 60;
+
+/** A star with a moon launched tangentially at `factor` × escape speed. */
+function launch(factor, r = 200) {
+    const sim = new Simulation();
+    const star = sim.addBody('star', Vector3.zero());
+    const escapeSpeed = Math.sqrt(2 * sim.G * star.mass / r);
+    const moon = sim.addBody('moon', new Vector3(r, 0, 0), new Vector3(0, 0, factor * escapeSpeed));
+    return { sim, star, moon };
+}
+
+/** A lone moon drifting along +x from `x` at `speed`, with no gravity. */
+function drifter(options, x, speed) {
+    const sim = new Simulation({ G: 0, ...options });
+    const body = sim.addBody('moon', new Vector3(x, 0, 0), new Vector3(speed, 0, 0));
+    return { sim, body };
+}
+
+describe('orbit classification', () => {
+    it('gives each body its barycentric specific energy', () => {
+        const { sim, star, moon } = launch(0.5);
+        const [starEnergy, moonEnergy] = sim.specificEnergies();
+
+        /* The barycentre drifts with the moon's share of the momentum */
+        const drift = moon.vel.scale(moon.mass / (star.mass + moon.mass));
+        const dist = Math.hypot(200, sim.softening);
+        expect(moonEnergy).toBeCloseTo(0.5 * moon.vel.sub(drift).magSq - sim.G * star.mass / dist, 6);
+        expect(starEnergy).toBeCloseTo(0.5 * drift.magSq - sim.G * moon.mass / dist, 6);
+    });
+
+    it('tells bound orbits from escape trajectories', () => {
+        const bound = launch(0.9);
+        bound.sim.classifyOrbits();
+        expect(bound.moon.bound).toBe(true);
+        expect(bound.star.bound).toBe(true);
+
+        const unbound = launch(1.1);
+        unbound.sim.classifyOrbits();
+        expect(unbound.moon.bound).toBe(false);
+        expect(unbound.star.bound).toBe(true);
+    });
+
+    it('counts pinned bodies and lone bodies as bound', () => {
+        const sim = new Simulation();
+        const lone = sim.addBody('planet', Vector3.zero(), new Vector3(500, 0, 0));
+        sim.classifyOrbits();
+        expect(lone.bound).toBe(true);
+
+        const pinned = sim.addBody('moon', new Vector3(5000, 0, 0), Vector3.zero(), { pinned: true });
+        sim.classifyOrbits();
+        expect(pinned.bound).toBe(true);
+        expect(lone.bound).toBe(false);
+    });
+
+    it('reclassifies as the simulation steps', () => {
+        const { sim, moon } = launch(1.5);
+        expect(moon.bound).toBe(true);
+        sim.step(DT, 1);
+        expect(moon.bound).toBe(false);
+    });
+
+    it('reports an escape once the body is unbound and moving away', () => {
+        const { sim, moon } = launch(1.5);
+        const escapes = [];
+        sim.on(SIM_EVENTS.ESCAPE, e => escapes.push(e));
+        for (let i = 0; i < 120; i++) sim.step(DT, 1);
+
+        expect(escapes).toHaveLength(1);
+        expect(escapes[0].body).toBe(moon);
+        expect(escapes[0].distance).toBeGreaterThan(190);
+    });
+});
+
+describe('boundary policies', () => {
+    it('keeps bodies beyond the boundary by default', () => {
+        const { sim, body } = drifter({ boundaryRadius: 100 }, 150, 10);
+        sim.addBody('moon', new Vector3(-150, 0, 0));
+        sim.step(DT, 1);
+        expect(sim.bodies).toContain(body);
+        expect(body.pos.x).toBeGreaterThan(150);
+    });
+
+    it('deletes bodies beyond the boundary', () => {
+        const sim = new Simulation({ G: 0, boundary: 'delete', boundaryRadius: 100 });
+        const home = sim.addBody('planet', Vector3.zero());
+        const stray = sim.addBody('moon', new Vector3(150, 0, 0));
+        const removed = [];
+        sim.on(SIM_EVENTS.BODY_REMOVED, e => removed.push(e));
+
+        sim.step(DT, 1);
+        expect(sim.bodies).toEqual([home]);
+        expect(sim.state.count).toBe(1);
+        expect(stray.alive).toBe(false);
+        expect(removed).toEqual([{ body: stray, reason: 'outOfBounds' }]);
+    });
+
+    it('measures the boundary from the barycentre', () => {
+        const sim = new Simulation({ G: 0, boundary: 'delete', boundaryRadius: 100 });
+        sim.addBody('moon', new Vector3(1000, 0, 0));
+        sim.addBody('moon', new Vector3(1050, 0, 0));
+        sim.step(DT, 1);
+        expect(sim.bodies).toHaveLength(2);
+    });
+
+    /* A featherweight body leaves the barycentre on the pinned star */
+    it('wraps bodies round to the far side, heading back in', () => {
+        const sim = new Simulation({ G: 0, boundary: 'wrap', boundaryRadius: 100 });
+        sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const body = sim.addBody('moon', new Vector3(99, 0, 0), new Vector3(120, 0, 0), { mass: 1e-9 });
+        body.recordTrail();
+
+        sim.step(DT, 1);
+        expect(body.pos.x).toBeCloseTo(-100, 6);
+        expect(body.vel.x).toBe(120);
+        expect(body.trail).toHaveLength(1);
+
+        sim.step(DT, 1);
+        expect(body.pos.x).toBeCloseTo(-98, 6);
+    });
+
+    it('reflects bodies off the boundary', () => {
+        const sim = new Simulation({ G: 0, boundary: 'reflect', boundaryRadius: 100 });
+        sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const body = sim.addBody('moon', new Vector3(0, 0, 99), new Vector3(30, 0, 120), { mass: 1e-9 });
+
+        sim.step(DT, 1);
+        expect(body.pos.mag).toBeCloseTo(100, 6);
+        expect(body.vel.z).toBeCloseTo(-120, 0);
+        expect(body.vel.x).toBeGreaterThan(0);
+        for (let i = 0; i < 240; i++) sim.step(DT, 1);
+        expect(body.pos.mag).toBeLessThanOrEqual(100 + 1e-9);
+    });
+
+    it('leaves pinned bodies where they are', () => {
+        const sim = new Simulation({ G: 0, boundary: 'delete', boundaryRadius: 100 });
+        sim.addBody('star', Vector3.zero());
+        sim.addBody('moon', new Vector3(500, 0, 0), Vector3.zero(), { pinned: true });
+        sim.step(DT, 1);
+        expect(sim.bodies).toHaveLength(2);
+    });
+
+    it('rejects unknown policies', () => {
+        expect(() => new Simulation({ boundary: 'vanish' })).toThrow(/Unknown boundary policy "vanish"/);
+    });
+});
@@ -0,0 +1,333 @@
+/**
+ * @file Collision model tests.
+ * Checks the conservation laws each model promises — mass and momentum
+ * always, kinetic energy for elastic bounces — on isolated pairs and
+ * inside a running simulation, and that swept detection catches bodies
+ * too fast to be seen overlapping at the end of any substep.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Body from '../src/js/core/Body.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { bounce, contactDistance, contactTime, fragment } from '../src/js/core/collisions.js';
+import { FRAGMENTATION } from '../src/js/config.js';
+
+const G = 800;
+
+function momentum(bodies) {
+    return bodies.reduce((p, b) => p.add(b.vel.scale(b.mass)), Vector3.zero());
+}
+
+function kinetic(bodies) {
+    return bodies.reduce((e, b) => e + 0.5 * b.mass * b.vel.magSq, 0);
+}
+
+function mass(bodies) {
+    return bodies.reduce((m, b) => m + b.mass, 0);
+}
+
+function centerOfMass(bodies) {
+    return bodies.reduce((c, b) => c.add(b.pos.scale(b.mass)), Vector3.zero()).scale(1 / mass(bodies));
+}
+
+/** Two planets overlapping slightly, approaching at `speed` along x with an offset in z. */
+function impact(speed, offset = 4) {
+    const a = new Body('planet', new Vector3(0, 0, 0), new Vector3(speed / 2, 0, 0));
+    const b = new Body('planet', new Vector3(18, 0, offset), new Vector3(-speed / 2, 0, 3), { mass: 250 });
+    return [a, b];
+}
+
+/** Impact speed at which the pair's impact energy is `k` binding energies. */
+function speedFor(k, [a, b]) {
+    const reduced = a.mass * b.mass / (a.mass + b.mass);
+    const binding = Math.max(
+        G * a.mass * b.mass / contactDistance('fragment', a, b),
+        0.5 * reduced * FRAGMENTATION.MIN_IMPACT_SPEED ** 2,
+    );
+    return Math.sqrt(2 * k * binding / reduced);
+}
+
+describe('contactDistance', () => {
+    it('is the sum of radii for bounces and 60% of it otherwise', () => {
+        const [a, b] = impact(0);
+        expect(contactDistance('bounce', a, b)).toBe(20);
+        expect(contactDistance('merge', a, b)).toBe(12);
+        expect(contactDistance('fragment', a, b)).toBe(12);
+    });
+});
+
+describe('contactTime', () => {
+    it('finds when a closing pair first touches', () => {
+        expect(contactTime(-100, 0, 0, 100, 0, 0, 20)).toBeCloseTo(0.4, 12);
+        expect(contactTime(0, 0, 50, 0, 0, -50, 20)).toBeCloseTo(0.3, 12);
+    });
+
+    it('is zero for a pair already in contact', () => {
+        expect(contactTime(10, 0, 0, 30, 0, 0, 20)).toBe(0);
+    });
+
+    it('is null for pairs that stay apart', () => {
+        /* Passing wide, separating, and closing but not yet touching */
+        expect(contactTime(-100, 0, 30, 100, 0, 30, 20)).toBeNull();
+        expect(contactTime(30, 0, 0, 60, 0, 0, 20)).toBeNull();
+        expect(contactTime(100, 0, 0, 50, 0, 0, 20)).toBeNull();
+    });
+});
+
+describe('bounce', () => {
+    it.each([0, 0.5, 1])('conserves momentum and the centre of mass (e = %s)', (e) => {
+        const pair = impact(120);
+        const p0 = momentum(pair);
+        const com0 = centerOfMass(pair);
+        bounce(...pair, e);
+
+        expect(momentum(pair).sub(p0).mag).toBeLessThan(1e-9);
+        expect(centerOfMass(pair).sub(com0).mag).toBeLessThan(1e-12);
+        expect(Vector3.dist(pair[0].pos, pair[1].pos)).toBeCloseTo(20, 9);
+    });
+
+    it('elastic bounces conserve kinetic energy', () => {
+        const pair = impact(120);
+        const k0 = kinetic(pair);
+        bounce(...pair, 1);
+        expect(kinetic(pair)).toBeCloseTo(k0, 6);
+    });
+
+    it('scales the normal approach speed by the restitution', () => {
+        for (const e of [0, 0.3, 1]) {
+            const [a, b] = impact(120);
+            const normal = b.pos.sub(a.pos).normalized;
+            const before = b.vel.sub(a.vel).dot(normal);
+            bounce(a, b, e);
+            expect(b.vel.sub(a.vel).dot(normal)).toBeCloseTo(-e * before, 9);
+        }
+    });
+
+    it('inelastic bounces lose energy', () => {
+        const pair = impact(120);
+        const k0 = kinetic(pair);
+        bounce(...pair, 0.5);
+        expect(kinetic(pair)).toBeLessThan(k0);
+    });
+
+    it('leaves separating bodies moving as they were', () => {
+        const [a, b] = impact(-50);
+        const va = a.vel, vb = b.vel;
+        bounce(a, b, 1);
+        expect(a.vel).toEqual(va);
+        expect(b.vel).toEqual(vb);
+    });
+
+    it('pinned bodies reflect the other body like a wall', () => {
+        const wall = new Body('star', new Vector3(0, 0, 0), Vector3.zero(), { pinned: true });
+        const ball = new Body('moon', new Vector3(25, 0, 0), new Vector3(-40, 0, 10));
+        bounce(wall, ball, 1);
+        expect(wall.pos).toEqual(Vector3.zero());
+        expect(wall.vel).toEqual(Vector3.zero());
+        expect(ball.vel.x).toBeCloseTo(40, 9);
+        expect(ball.vel.z).toBeCloseTo(10, 9);
+        expect(ball.pos.x).toBeCloseTo(27, 9);
+    });
+});
+
+describe('fragment', () => {
+    it('merges cleanly when the impact is gentle', () => {
+        const pair = impact(0);
+        pair.forEach((b, i) => { b.vel = new Vector3(i ? -1 : 1, 0, 0).scale(speedFor(0.9, pair) / 2); });
+        const total = mass(pair);
+        const p0 = momentum(pair);
+
+        expect(fragment(...pair, G)).toEqual([]);
+        const [survivor] = pair.filter(b => b.alive);
+        expect(survivor.mass).toBe(total);
+        expect(survivor.vel.scale(total).sub(p0).mag).toBeLessThan(1e-9);
+    });
+
+    it.each([2, 4, 12])('conserves mass and momentum at %s binding energies', (k) => {
+        const pair = impact(0);
+        pair[0].vel = new Vector3(speedFor(k, pair), 0, 0);
+        const total = mass(pair);
+        const p0 = momentum(pair);
+        const k0 = kinetic(pair);
+        const com0 = centerOfMass(pair);
+
+        const debris = fragment(...pair, G).map(({ type, pos, vel, props }) => new Body(type, pos, vel, props));
+        const after = [...pair.filter(b => b.alive), ...debris];
+
+        expect(debris.length).toBeGreaterThanOrEqual(2);
+        expect(mass(after)).toBeCloseTo(total, 9);
+        expect(momentum(after).sub(p0).mag).toBeLessThan(1e-6);
+        expect(centerOfMass(after).sub(com0).mag).toBeLessThan(1e-9);
+        expect(kinetic(after)).toBeLessThan(k0);
+    });
+
+    it('strips half the mass at the disruption energy', () => {
+        const pair = impact(0);
+        pair[0].vel = new Vector3(speedFor(4, pair), 0, 0);
+        pair[1].vel = Vector3.zero();
+        const total = mass(pair);
+        fragment(...pair, G);
+        expect(pair.find(b => b.alive).mass).toBeCloseTo(total / 2, 9);
+    });
+
+    it('merges slow impacts between small bodies', () => {
+        const a = new Body('moon', new Vector3(0, 0, 0), Vector3.zero(), { mass: 4 });
+        const b = new Body('moon', new Vector3(5, 0, 0), new Vector3(-0.9 * FRAGMENTATION.MIN_IMPACT_SPEED, 0, 0), { mass: 4 });
+        expect(fragment(a, b, G)).toEqual([]);
+    });
+
+    it('knocks loose no more than a few impactor masses', () => {
+        const star = new Body('star', new Vector3(0, 0, 0));
+        const pebble = new Body('asteroid', new Vector3(15, 0, 0), new Vector3(-5000, 0, 0), { mass: 2 });
+        const debris = fragment(star, pebble, G);
+        expect(debris.every(d => d.type === 'asteroid')).toBe(true);
+        expect(debris.reduce((m, d) => m + d.props.mass, 0)).toBeCloseTo(FRAGMENTATION.MAX_EJECTA_RATIO * 2, 9);
+        expect(star.mass).toBeCloseTo(3002 - FRAGMENTATION.MAX_EJECTA_RATIO * 2, 9);
+    });
+
+    it('makes no more fragments than it is allowed', () => {
+        const pair = impact(0);
+        pair[0].vel = new Vector3(speedFor(12, pair), 0, 0);
+        expect(fragment(...pair, G, 3)).toHaveLength(3);
+
+        const again = impact(0);
+        again[0].vel = new Vector3(speedFor(12, again), 0, 0);
+        expect(fragment(...again, G, 0)).toEqual([]);
+        expect(again.find(b => b.alive).mass).toBe(650);
+    });
+
+    it('does not break up pinned bodies', () => {
+        const pair = impact(0);
+        pair[0].pinned = true;
+        pair[1].vel = new Vector3(-speedFor(12, pair), 0, 0);
+        expect(fragment(...pair, G)).toEqual([]);
+        expect(pair[0].alive).toBe(true);
+        expect(pair[0].pinned).toBe(true);
+    });
+});
+
+describe('Simulation collision models', () => {
+    /** Two overlapping planets closing head-on at `speed`. */
+    function headOn(collisions, speed, options = {}) {
+        const sim = new Simulation({ collisions, ...options });
+        sim.addBody('planet', new Vector3(-5, 0, 0), new Vector3(speed / 2, 0, 0));
+        sim.addBody('planet', new Vector3(5, 0, 0), new Vector3(-speed / 2, 0, 0));
+        return sim;
+    }
+
+    it('merges by default', () => {
+        const sim = headOn(undefined, 400);
+        expect(sim.collisions).toBe('merge');
+        sim.step(0.001, 1);
+        expect(sim.bodies).toHaveLength(1);
+        expect(sim.bodies[0].mass).toBe(800);
+    });
+
+    it('bounces with the configured restitution', () => {
+        const sim = headOn('bounce', 400, { restitution: 1 });
+        const p0 = sim.linearMomentum();
+        sim.step(0.001, 1);
+        expect(sim.bodies).toHaveLength(2);
+        expect(sim.bodies[0].vel.x).toBeLessThan(0);
+        expect(sim.bodies[1].vel.x).toBeGreaterThan(0);
+        expect(sim.linearMomentum().sub(p0).mag).toBeLessThan(1e-9);
+    });
+
+    it('adds debris from energetic impacts', () => {
+        const sim = headOn('fragment', 2000);
+        const total = sim.bodies.reduce((m, b) => m + b.mass, 0);
+        const p0 = sim.linearMomentum();
+        sim.step(0.001, 1);
+
+        expect(sim.bodies.length).toBeGreaterThan(2);
+        expect(sim.state.count).toBe(sim.bodies.length);
+        expect(sim.bodies.every(b => b.type === 'planet')).toBe(true);
+        expect(sim.bodies.reduce((m, b) => m + b.mass, 0)).toBeCloseTo(total, 9);
+        expect(sim.linearMomentum().sub(p0).mag).toBeLessThan(1e-6);
+    });
+
+    it('rejects unknown models', () => {
+        expect(() => new Simulation({ collisions: 'stick' })).toThrow(/Unknown collision model "stick"/);
+    });
+});
+
+describe('continuous collision detection', () => {
+    /*
+     * A moon fired at a star far faster than a substep can resolve: it
+     * moves 80 units per substep, so at the end of every substep it is
+     * well clear of the star (contact at 16.2) — it used to fly through.
+     */
+    function projectile(collisions, offset = 0) {
+        const sim = new Simulation({ collisions, restitution: 1 });
+        sim.addBody('star', new Vector3(0, 0, 0));
+        sim.addBody('moon', new Vector3(-200, 0, offset), new Vector3(30000, 0, 0));
+        return sim;
+    }
+
+    it('a fast projectile hits the star instead of tunnelling', () => {
+        const sim = projectile('merge');
+        const p0 = sim.linearMomentum();
+        sim.step(0.016, 1);
+
+        expect(sim.bodies).toHaveLength(1);
+        expect(sim.bodies[0].mass).toBe(3030);
+        expect(sim.linearMomentum().sub(p0).mag).toBeLessThan(1e-6);
+    });
+
+    it('a fast projectile bounces back off the star', () => {
+        const sim = projectile('bounce');
+        sim.step(0.016, 1);
+
+        const [star, moon] = sim.bodies;
+        expect(moon.pos.x).toBeLessThan(star.pos.x);
+        expect(moon.vel.x).toBeLessThan(0);
+    });
+
+    it('a fast projectile that passes wide is left alone', () => {
+        const sim = projectile('merge', 40);
+        sim.step(0.016, 1);
+        expect(sim.bodies).toHaveLength(2);
+        expect(sim.bodies[1].pos.x).toBeGreaterThan(100);
+    });
+
+    it('resolves the contact at the moment it happens', () => {
+        /* No gravity: contact at x = −27 after 73% of the step, then 27 units back */
+        const sim = new Simulation({ G: 0, substeps: 1, collisions: 'bounce', restitution: 1 });
+        sim.addBody('star', new Vector3(0, 0, 0), Vector3.zero(), { pinned: true });
+        const moon = sim.addBody('moon', new Vector3(-100, 0, 0), new Vector3(10000, 0, 0));
+        sim.step(0.01, 1);
+
+        expect(moon.pos.x).toBeCloseTo(-54, 9);
+        expect(moon.vel.x).toBeCloseTo(-10000, 9);
+    });
+
+    it('handles contacts in the order they happen', () => {
+        /* The moon reaches the near planet first and merges with it */
+        const sim = new Simulation({ G: 0, substeps: 1 });
+        const near = sim.addBody('planet', new Vector3(0, 0, 0));
+        sim.addBody('planet', new Vector3(60, 0, 0));
+        sim.addBody('moon', new Vector3(-100, 0, 0), new Vector3(20000, 0, 0));
+        sim.step(0.01, 1);
+
+        expect(sim.bodies).toHaveLength(2);
+        expect(sim.bodies[0]).toBe(near);
+        expect(near.mass).toBe(430);
+    });
+
+    it('keeps finding contacts as bodies overtake each other and come and go', () => {
+        /* The moon passes the planet along x, wide of it, on its way to the star */
+        const sim = new Simulation({ G: 0, substeps: 4 });
+        const star = sim.addBody('star', new Vector3(300, 0, 0), Vector3.zero(), { pinned: true });
+        const planet = sim.addBody('planet', new Vector3(-100, 0, 100));
+        sim.addBody('moon', new Vector3(-300, 0, 0), new Vector3(3000, 0, 0));
+        for (let i = 0; i < 30; i++) sim.step(0.01, 1);
+        expect(sim.bodies).toEqual([star, planet]);
+        expect(star.mass).toBe(3030);
+
+        /* As many bodies as before, on different indices */
+        sim.addBody('moon', new Vector3(900, 0, 0), new Vector3(-3000, 0, 0));
+        for (let i = 0; i < 30; i++) sim.step(0.01, 1);
+        expect(sim.bodies).toEqual([star, planet]);
+        expect(star.mass).toBe(3060);
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * @file Conserved-quantity diagnostics tests.
+ * Checks the Simulation diagnostic methods against hand-computed values,
+ * the DiagnosticsHistory ring buffer, and that the demo scene conserves
+ * energy, momentum and angular momentum within bounds.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import DiagnosticsHistory from '../src/js/core/DiagnosticsHistory.js';
+import Vector3 from '../src/js/core/Vector3.js';
+
+describe('Simulation diagnostics', () => {
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        sim = new Simulation();
+    });
+
+    it('reports zeros for an empty simulation', () => {
+        expect(sim.totalEnergy()).toBe(0);
+        expect(sim.linearMomentum()).toEqual(Vector3.zero());
+        expect(sim.angularMomentum()).toEqual(Vector3.zero());
+        expect(sim.centerOfMass()).toEqual(Vector3.zero());
+    });
+
+    it('kinetic energy is ½mv²', () => {
+        sim.addBody('planet', new Vector3(0, 0, 0), new Vector3(3, 4, 0));
+        expect(sim.kineticEnergy()).toBeCloseTo(0.5 * 400 * 25, 9);
+    });
+
+    it('potential energy respects softening', () => {
+        sim.addBody('star', new Vector3(0, 0, 0));
+        sim.addBody('planet', new Vector3(6, 0, 0));
+        /* r = 6, ε = 8 → √(r² + ε²) = 10 */
+        expect(sim.potentialEnergy()).toBeCloseTo(-800 * 3000 * 400 / 10, 6);
+    });
+
+    it('linear momentum sums m·v', () => {
+        sim.addBody('planet', new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+        sim.addBody('moon', new Vector3(100, 0, 0), new Vector3(0, 0, -2));
+        expect(sim.linearMomentum()).toEqual(new Vector3(400, 0, -60));
+    });
+
+    it('angular momentum sums m·(r × v)', () => {
+        sim.addBody('planet', new Vector3(10, 0, 0), new Vector3(0, 0, 5));
+        /* (10,0,0) × (0,0,5) = (0,−50,0); × m = 400 */
+        expect(sim.angularMomentum()).toEqual(new Vector3(0, -20000, 0));
+    });
+
+    it('centre of mass is the mass-weighted mean position', () => {
+        sim.addBody('star', new Vector3(0, 0, 0));
+        sim.addBody('star', new Vector3(100, 50, 0));
+        expect(sim.centerOfMass()).toEqual(new Vector3(50, 25, 0));
+    });
+
+    /*
+     * The demo scene is not collision-free: two planets merge after ~6 s.
+     * Merges conserve mass, momentum and the centre of mass but not energy
+     * or orbital angular momentum, so those are checked per merge-free
+     * stretch (energy via DiagnosticsHistory's automatic rebaseline).
+     */
+    describe('demo scene stays within bounds', () => {
+        const FRAMES = 1500;
+
+        it('relative energy drift stays below 1e-3 between merges', () => {
+            sim.createDemoScene();
+            const history = new DiagnosticsHistory(FRAMES);
+            let worst = 0;
+            for (let i = 0; i < FRAMES; i++) {
+                sim.step(0.016, 2);
+                worst = Math.max(worst, Math.abs(history.record(sim).drift));
+            }
+            expect(worst).toBeLessThan(1e-3);
+        });
+
+        it('linear momentum is conserved, merges included', () => {
+            sim.createDemoScene();
+            const p0 = sim.linearMomentum();
+            for (let i = 0; i < FRAMES; i++) sim.step(0.016, 2);
+            expect(sim.bodies.length).toBeLessThan(5);
+            expect(sim.linearMomentum().sub(p0).mag / p0.mag).toBeLessThan(1e-9);
+        });
+
+        it('angular momentum is conserved before the first merge', () => {
+            sim.createDemoScene();
+            const l0 = sim.angularMomentum();
+            for (let i = 0; i < 150; i++) sim.step(0.016, 2);
+            expect(sim.bodies).toHaveLength(5);
+            expect(sim.angularMomentum().sub(l0).mag / l0.mag).toBeLessThan(1e-9);
+        });
+
+        it('centre of mass moves in a straight line at constant velocity', () => {
+            sim.createDemoScene();
+            const c0 = sim.centerOfMass();
+            const totalMass = sim.bodies.reduce((m, b) => m + b.mass, 0);
+            const vCom = sim.linearMomentum().scale(1 / totalMass);
+
+            for (let i = 0; i < FRAMES; i++) sim.step(0.016, 2);
+
+            const expected = c0.add(vCom.scale(sim.elapsed));
+            expect(Vector3.dist(sim.centerOfMass(), expected)).toBeLessThan(1e-6);
+        });
+    });
+});
+
+describe('DiagnosticsHistory', () => {
+    it('records samples in order with drift against the first', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const history = new DiagnosticsHistory(10);
+
+        const first = history.record(sim);
+        expect(first.drift).toBe(0);
+        expect(first.rebaselined).toBe(true);
+
+        for (let i = 0; i < 5; i++) {
+            sim.step(0.016, 1);
+            history.record(sim);
+        }
+        const times = history.samples.map(s => s.time);
+        expect(times).toEqual([...times].sort((a, b) => a - b));
+        expect(history.latest.rebaselined).toBe(false);
+        expect(Math.abs(history.latest.drift)).toBeLessThan(1e-5);
+    });
+
+    it('keeps only the newest `capacity` samples', () => {
+        const sim = new Simulation();
+        sim.addBody('planet', new Vector3(0, 0, 0), new Vector3(1, 0, 0));
+        const history = new DiagnosticsHistory(3);
+        for (let i = 0; i < 7; i++) {
+            sim.step(0.016, 1);
+            history.record(sim);
+        }
+        expect(history.samples).toHaveLength(3);
+        expect(history.samples[2]).toBe(history.latest);
+        expect(history.samples[0].time).toBeLessThan(history.samples[2].time);
+        expect(history.latest.time).toBeCloseTo(sim.elapsed, 12);
+    });
+
+    it('rebaselines when bodies are added or G changes', () => {
+        const sim = new Simulation();
+        sim.addBody('star', new Vector3(0, 0, 0));
+        const history = new DiagnosticsHistory();
+        history.record(sim);
+
+        sim.addBody('planet', new Vector3(200, 0, 0));
+        expect(history.record(sim).rebaselined).toBe(true);
+        expect(history.record(sim).rebaselined).toBe(false);
+
+        sim.G *= 2;
+        const sample = history.record(sim);
+        expect(sample.rebaselined).toBe(true);
+        expect(sample.drift).toBe(0);
+    });
+
+    it('clear forgets samples and baseline', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const history = new DiagnosticsHistory();
+        history.record(sim);
+        history.clear();
+        expect(history.samples).toHaveLength(0);
+        expect(history.latest).toBeNull();
+        expect(history.record(sim).rebaselined).toBe(true);
+    });
+});
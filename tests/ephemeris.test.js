@@ -0,0 +1,106 @@
+/**
+ * @file Solar-system ephemeris tests.
+ * Loads the bundled J2000 data into a simulation in astronomical units and
+ * checks it against well-known values: distances at the epoch, the length
+ * of the year, and the Galilean moons' periods.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SOLAR_SYSTEM, loadSolarSystem } from '../src/js/core/ephemeris.js';
+import { convert } from '../src/js/core/units.js';
+
+/** Days per frame: 0.05 s of play at 5 days per second. */
+const FRAME = 0.05;
+const TIME_SCALE = 5;
+
+function solarSystem() {
+    const sim = new Simulation({ units: 'astronomical', substeps: 24 });
+    return { sim, bodies: loadSolarSystem(sim) };
+}
+
+/**
+ * Step until `body` has gone once round `centre` in the XZ plane and
+ * return the time it took, interpolated within the last frame.
+ */
+function revolution(sim, body, centre) {
+    const angle = () => {
+        const r = body.pos.sub(centre.pos);
+        return Math.atan2(r.z, r.x);
+    };
+    let last = angle();
+    let swept = 0;
+    for (;;) {
+        const before = sim.elapsed;
+        sim.step(FRAME, TIME_SCALE);
+        const now = angle();
+        const delta = (now - last + 3 * Math.PI) % (2 * Math.PI) - Math.PI;
+        last = now;
+        swept += delta;
+        if (swept >= 2 * Math.PI) {
+            return sim.elapsed - (sim.elapsed - before) * (swept - 2 * Math.PI) / delta;
+        }
+    }
+}
+
+describe('J2000 solar system', () => {
+    it('loads every body with its mass and size', () => {
+        const { sim, bodies } = solarSystem();
+        expect(sim.bodies).toHaveLength(SOLAR_SYSTEM.length);
+        expect(bodies.get('Sun').mass).toBe(1);
+        expect(bodies.get('Jupiter').mass).toBeCloseTo(1 / 1047.35, 8);
+        expect(convert(bodies.get('Earth').radius, 'AU', 'km')).toBeCloseTo(6371, 3);
+        expect(bodies.get('Saturn').type).toBe('gas-giant');
+        expect(bodies.get('Moon').type).toBe('moon');
+    });
+
+    it('starts at rest at the barycentre', () => {
+        const { sim } = solarSystem();
+        expect(sim.linearMomentum().mag).toBeLessThan(1e-15);
+        expect(sim.centerOfMass().mag).toBeLessThan(1e-15);
+    });
+
+    it('puts the bodies where they were at the epoch', () => {
+        const { bodies } = solarSystem();
+        const sun = bodies.get('Sun');
+        const earth = bodies.get('Earth');
+        const distance = (name, from = sun) => Vector3.dist(bodies.get(name).pos, from.pos);
+
+        /* Two days before perihelion, at ≈ 0.9833 AU, moving at ≈ 30.3 km/s */
+        expect(distance('Earth')).toBeCloseTo(0.9833, 3);
+        expect(convert(earth.vel.sub(sun.vel).mag, 'AU/day', 'km/s')).toBeCloseTo(30.29, 1);
+        expect(distance('Jupiter')).toBeCloseTo(4.97, 1);
+        expect(convert(distance('Moon', earth), 'AU', 'km')).toBeGreaterThan(356000);
+        expect(convert(distance('Moon', earth), 'AU', 'km')).toBeLessThan(407000);
+    });
+
+    it('lays the ecliptic in the XZ plane, with orbits prograde', () => {
+        const { bodies } = solarSystem();
+        const sun = bodies.get('Sun');
+        for (const name of ['Earth', 'Jupiter', 'Neptune']) {
+            const body = bodies.get(name);
+            const r = body.pos.sub(sun.pos);
+            expect(Math.abs(r.y) / r.mag).toBeLessThan(0.05);
+            expect(r.cross(body.vel.sub(sun.vel)).y).toBeLessThan(0);
+        }
+    });
+
+    it('goes round the Sun once in a sidereal year of ≈ 365.25 days', () => {
+        const { sim, bodies } = solarSystem();
+        const year = revolution(sim, bodies.get('Earth'), bodies.get('Sun'));
+        expect(year).toBeCloseTo(365.25, 0);
+    });
+
+    it('keeps the Galilean moons on their periods', () => {
+        const periods = { Io: 1.769, Europa: 3.551, Ganymede: 7.155, Callisto: 16.689 };
+        for (const [name, period] of Object.entries(periods)) {
+            const { sim, bodies } = solarSystem();
+            const measured = revolution(sim, bodies.get(name), bodies.get('Jupiter'));
+            expect(Math.abs(measured - period) / period).toBeLessThan(0.01);
+        }
+    });
+
+    it('only loads into astronomical units', () => {
+        expect(() => loadSolarSystem(new Simulation())).toThrow(/needs astronomical units, not "game"/);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * @file Simulation event tests.
+ * Subscribes to each event a Simulation emits and checks it fires at the
+ * right moment, with the right payload, and only once the step is over.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import EventEmitter from '../src/js/core/EventEmitter.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SIM_EVENTS } from '../src/js/core/events.js';
+
+const DT = 1 / 60;
+
+/** Record every event of the given types, in order, as [type, payload]. */
+function listen(sim, types = Object.values(SIM_EVENTS)) {
+    const log = [];
+    for (const type of types) sim.on(type, payload => log.push([type, payload]));
+    return log;
+}
+
+/** Two overlapping bodies closing head-on at `speed`. */
+function headOn(options, type = 'planet', props = {}, speed = 400) {
+    const sim = new Simulation(options);
+    const a = sim.addBody(type, new Vector3(-5, 0, 0), new Vector3(speed / 2, 0, 0), props);
+    const b = sim.addBody(type, new Vector3(5, 0, 0), new Vector3(-speed / 2, 0, 0), props);
+    return { sim, a, b };
+}
+
+describe('EventEmitter', () => {
+    it('calls listeners in subscription order with the payload', () => {
+        const emitter = new EventEmitter(['ping']);
+        const calls = [];
+        emitter.on('ping', p => calls.push(['first', p]));
+        emitter.on('ping', p => calls.push(['second', p]));
+        emitter.emit('ping', { n: 1 });
+        expect(calls).toEqual([['first', { n: 1 }], ['second', { n: 1 }]]);
+    });
+
+    it('unsubscribes through the returned function or off()', () => {
+        const emitter = new EventEmitter(['ping']);
+        const a = vi.fn();
+        const b = vi.fn();
+        const unsubscribe = emitter.on('ping', a);
+        emitter.on('ping', b);
+        unsubscribe();
+        emitter.off('ping', b);
+        emitter.emit('ping', {});
+        expect(a).not.toHaveBeenCalled();
+        expect(b).not.toHaveBeenCalled();
+        expect(emitter.hasListeners('ping')).toBe(false);
+    });
+
+    it('rejects event types it does not fire', () => {
+        const emitter = new EventEmitter(['ping']);
+        expect(() => emitter.on('pong', () => {})).toThrow(/Unknown event "pong" \(known: ping\)/);
+    });
+});
+
+describe('Simulation events', () => {
+    it('announces added and removed bodies', () => {
+        const sim = new Simulation();
+        const log = listen(sim, [SIM_EVENTS.BODY_ADDED, SIM_EVENTS.BODY_REMOVED]);
+        const star = sim.addBody('star', Vector3.zero());
+        const planet = sim.addBody('planet', new Vector3(100, 0, 0));
+        sim.removeBody(planet);
+        sim.clear();
+
+        expect(log).toEqual([
+            ['bodyAdded', { body: star }],
+            ['bodyAdded', { body: planet }],
+            ['bodyRemoved', { body: planet, reason: 'removed' }],
+            ['bodyRemoved', { body: star, reason: 'cleared' }],
+        ]);
+    });
+
+    it('reports a merge as collision, merge and removal, in that order', () => {
+        const { sim, a, b } = headOn();
+        const log = listen(sim);
+        sim.step(0.001, 1);
+
+        expect(log.map(([type]) => type)).toEqual(['collision', 'merge', 'bodyRemoved']);
+        const [[, collision], [, merge], [, removed]] = log;
+        expect(collision).toMatchObject({ a, b, model: 'merge' });
+        expect(collision.speed).toBeCloseTo(400, -1);
+        expect(collision.point.mag).toBeLessThan(1);
+        expect(merge).toEqual({ survivor: a, absorbed: b });
+        expect(a.mass).toBe(800);
+        expect(removed).toEqual({ body: b, reason: 'merged' });
+    });
+
+    it('holds events back until the step is over', () => {
+        const { sim, b } = headOn();
+        let seen;
+        sim.on(SIM_EVENTS.MERGE, () => { seen = { bodies: [...sim.bodies], count: sim.state.count }; });
+        sim.step(0.001, 1);
+        expect(seen.bodies).not.toContain(b);
+        expect(seen.count).toBe(1);
+    });
+
+    it('reports a planet promoted to a star', () => {
+        const { sim, a } = headOn({}, 'planet', { mass: 1200 });
+        const promotions = listen(sim, [SIM_EVENTS.PROMOTION]);
+        sim.step(0.001, 1);
+        expect(promotions).toEqual([['promotion', { body: a, from: 'planet', to: 'star' }]]);
+        expect(a.type).toBe('star');
+    });
+
+    it('announces debris from fragmenting impacts', () => {
+        const { sim } = headOn({ collisions: 'fragment' }, 'planet', {}, 2000);
+        const added = listen(sim, [SIM_EVENTS.BODY_ADDED]);
+        sim.step(0.001, 1);
+        expect(added.length).toBeGreaterThan(1);
+        expect(added.map(([, { body }]) => body)).toEqual(sim.bodies.slice(1));
+    });
+
+    it('does not report resting contact between bouncing bodies', () => {
+        const sim = new Simulation({ G: 0, collisions: 'bounce' });
+        sim.addBody('moon', new Vector3(0, 0, 0));
+        sim.addBody('moon', new Vector3(9, 0, 0));
+        const log = listen(sim, [SIM_EVENTS.COLLISION]);
+        for (let i = 0; i < 30; i++) sim.step(DT, 1);
+        expect(log).toHaveLength(0);
+    });
+
+    it('reports a body escaping once', () => {
+        const sim = new Simulation();
+        sim.addBody('star', Vector3.zero());
+        const mu = sim.G * 3000;
+        const fast = sim.addBody('moon', new Vector3(200, 0, 0), new Vector3(0, 0, 1.2 * Math.sqrt(2 * mu / 200)));
+        sim.addBody('moon', new Vector3(-200, 0, 0), new Vector3(0, 0, -0.8 * Math.sqrt(mu / 200)));
+        const log = listen(sim, [SIM_EVENTS.ESCAPE]);
+
+        for (let i = 0; i < 600; i++) sim.step(DT, 1);
+        expect(log).toHaveLength(1);
+        expect(log[0][1].body).toBe(fast);
+        expect(log[0][1].speed).toBeGreaterThan(0);
+    });
+
+    it('reports each periapsis passage of an elliptical orbit', () => {
+        /* Released from apoapsis at 300 with 70% of circular speed: periapsis ≈ 97 */
+        const sim = new Simulation();
+        const star = sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const mu = sim.G * 3000;
+        const moon = sim.addBody('moon', new Vector3(300, 0, 0), new Vector3(0, 0, 0.7 * Math.sqrt(mu / 300)));
+        const log = listen(sim, [SIM_EVENTS.PERIAPSIS]);
+
+        /* Two periods: T = 2π·√(a³/μ) with a = (300 + 97) / 2 */
+        const period = 2 * Math.PI * Math.sqrt(((300 + 97) / 2) ** 3 / mu);
+        for (let t = 0; t < 2 * period; t += DT) sim.step(DT, 1);
+
+        expect(log).toHaveLength(2);
+        for (const [, event] of log) {
+            expect(event.body).toBe(moon);
+            expect(event.attractor).toBe(star);
+            expect(Math.abs(event.distance - 97)).toBeLessThan(5);
+        }
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * @file Gravitational field tests: potential and acceleration at a point,
+ * and potential sampled over a grid.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { fieldAt, samplePotential } from '../src/js/core/field.js';
+
+/** A few bodies scattered in 3D. */
+function cluster() {
+    const sim = new Simulation({ softening: 4 });
+    sim.addBody('star', Vector3.zero());
+    sim.addBody('planet', new Vector3(120, 10, -40), new Vector3(0, 0, 90));
+    sim.addBody('moon', new Vector3(-60, -5, 80), new Vector3(30, 0, 0));
+    sim.addBody('gas-giant', new Vector3(10, 0, 200), new Vector3(-50, 0, 0));
+    return sim;
+}
+
+describe('fieldAt', () => {
+    it('follows the softened point-mass law', () => {
+        const sim = new Simulation({ softening: 3 });
+        const star = sim.addBody('star', Vector3.zero());
+        const { potential, acceleration } = fieldAt(sim, new Vector3(4, 0, 0));
+
+        /* √(4² + 3²) = 5 */
+        expect(potential).toBeCloseTo(-sim.G * star.mass / 5, 9);
+        expect(acceleration.x).toBeCloseTo(-sim.G * star.mass * 4 / 125, 9);
+        expect(acceleration.y).toBe(0);
+        expect(fieldAt(sim, Vector3.zero()).potential).toBeCloseTo(-sim.G * star.mass / 3, 9);
+    });
+
+    it('gives each body the acceleration the simulation does', () => {
+        const sim = cluster();
+        sim.computeAccelerations();
+        for (const body of sim.bodies) {
+            const { acceleration } = fieldAt(sim, body.pos, body);
+            expect(Vector3.dist(acceleration, body.acc)).toBeLessThan(1e-9 * body.acc.mag);
+        }
+    });
+
+    it('adds up to the potential energy', () => {
+        const sim = cluster();
+        const energy = sim.bodies.reduce((sum, b) => sum + 0.5 * b.mass * fieldAt(sim, b.pos, b).potential, 0);
+        expect(energy).toBeCloseTo(sim.potentialEnergy(), 6);
+    });
+
+    it('is flat and empty without bodies', () => {
+        const { potential, acceleration } = fieldAt(new Simulation(), new Vector3(1, 2, 3));
+        expect(potential).toBe(0);
+        expect(acceleration.mag).toBe(0);
+    });
+});
+
+describe('samplePotential', () => {
+    it('lays the samples out row by row from the −x, −z corner', () => {
+        const sim = cluster();
+        const center = new Vector3(20, 5, -10);
+        const grid = samplePotential(sim, { center, size: 400, divisions: 8 });
+        expect(grid).toHaveLength(81);
+
+        /* Row 2 (z = −10 − 200 + 100), column 5 (x = 20 − 200 + 250) */
+        expect(grid[2 * 9 + 5]).toBeCloseTo(fieldAt(sim, new Vector3(70, 5, -110)).potential, 9);
+        expect(grid[0]).toBeCloseTo(fieldAt(sim, new Vector3(-180, 5, -210)).potential, 9);
+        expect(grid[80]).toBeCloseTo(fieldAt(sim, new Vector3(220, 5, 190)).potential, 9);
+    });
+
+    it('dips deepest under a lone mass and evenly around it', () => {
+        const sim = new Simulation();
+        sim.addBody('star', Vector3.zero());
+        const grid = samplePotential(sim, { center: Vector3.zero(), size: 100, divisions: 10 });
+
+        expect(Math.min(...grid)).toBe(grid[5 * 11 + 5]);
+        expect(grid[5 * 11 + 5]).toBeCloseTo(-sim.G * sim.bodies[0].mass / sim.softening, 9);
+        expect(grid[0]).toBeCloseTo(grid[120], 12);
+        expect(grid[5]).toBeCloseTo(grid[5 * 11], 12);
+    });
+});
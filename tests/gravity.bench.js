@@ -0,0 +1,48 @@
+/**
+ * @file Gravity solver scaling benchmark.
+ * Times one full force evaluation with the direct sum and with Barnes–Hut
+ * for growing body counts. Run with `npm run bench`.
+ *
+ * Only the acceleration pass is measured — collision resolution is still
+ * O(n²) and would otherwise dominate both columns.
+ */
+import { bench, describe } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+
+const SIZES = [250, 1000, 2000, 4000];
+
+/** Uniform ball of moons, seeded so both solvers see the same scene. */
+function populate(sim, n) {
+    let seed = 42;
+    const rand = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+    for (let i = 0; i < n; i++) {
+        const r = 1000 * Math.cbrt(rand());
+        const theta = rand() * Math.PI * 2;
+        const phi = Math.acos(2 * rand() - 1);
+        sim.addBody('moon', new Vector3(
+            r * Math.sin(phi) * Math.cos(theta),
+            r * Math.sin(phi) * Math.sin(theta),
+            r * Math.cos(phi),
+        ));
+    }
+    return sim;
+}
+
+for (const n of SIZES) {
+    describe(`${n} bodies`, () => {
+        const direct = populate(new Simulation({ solver: 'direct' }), n);
+        const barnesHut = populate(new Simulation({ solver: 'barnes-hut', theta: 0.5 }), n);
+
+        bench('direct', () => {
+            direct.computeAccelerations();
+        }, { time: 300, iterations: 3 });
+
+        bench('barnes-hut θ=0.5', () => {
+            barnesHut.computeAccelerations();
+        }, { time: 300, iterations: 3 });
+    });
+}
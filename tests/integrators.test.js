@@ -0,0 +1,145 @@
+/**
+ * @file Integrator registry tests.
+ * Runs a long eccentric two-body orbit under every built-in integrator and
+ * bounds the relative energy drift, plus registry and runtime switching.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import {
+    getIntegrator,
+    listIntegrators,
+    registerIntegrator,
+    minDynamicalTime,
+} from '../src/js/core/integrators.js';
+
+const FRAME_DT = 0.016;
+
+/** Total (kinetic + softened potential) energy of the simulation. */
+function totalEnergy(sim) {
+    const softSq = sim.softening * sim.softening;
+    let e = 0;
+    for (let i = 0; i < sim.bodies.length; i++) {
+        const a = sim.bodies[i];
+        e += 0.5 * a.mass * a.vel.magSq;
+        for (let j = i + 1; j < sim.bodies.length; j++) {
+            const b = sim.bodies[j];
+            e -= sim.G * a.mass * b.mass / Math.sqrt(Vector3.distSq(a.pos, b.pos) + softSq);
+        }
+    }
+    return e;
+}
+
+/**
+ * Star + planet on an e ≈ 0.5 orbit (launched at apoapsis with a reduced
+ * tangential speed), period ≈ 11 s of simulation time.
+ */
+function eccentricOrbit(integrator, { speedFactor = 0.7, r = 300, pointMasses = false } = {}) {
+    const sim = new Simulation({ integrator, substeps: 4 });
+    const star = sim.addBody('star', new Vector3(0, 0, 0));
+    const v = sim.orbitalSpeed(3000, r) * speedFactor;
+    const planet = sim.addBody('planet', new Vector3(r, 0, 0), new Vector3(0, 0, v));
+    if (pointMasses) {
+        /* Shrink radii so a deep periapsis passage does not merge them */
+        star.radius = planet.radius = 0.1;
+    }
+    return sim;
+}
+
+/** Largest |ΔE / E₀| seen while running `frames` frames. */
+function maxDrift(sim, frames) {
+    const e0 = totalEnergy(sim);
+    let worst = 0;
+    for (let i = 0; i < frames; i++) {
+        sim.step(FRAME_DT, 1);
+        worst = Math.max(worst, Math.abs((totalEnergy(sim) - e0) / e0));
+    }
+    return worst;
+}
+
+/* ~6 orbits */
+const LONG_RUN = 4000;
+
+describe('integrators', () => {
+    describe('registry', () => {
+        it('lists the built-ins', () => {
+            const names = listIntegrators().map(i => i.name);
+            expect(names).toEqual(expect.arrayContaining(['euler', 'verlet', 'rk4', 'yoshida', 'adaptive']));
+        });
+
+        it('throws for unknown names', () => {
+            expect(() => getIntegrator('leapfrog-9000')).toThrow(/Unknown integrator/);
+            expect(() => new Simulation({ integrator: 'nope' })).toThrow(/Unknown integrator/);
+        });
+
+        it('accepts custom integrators', () => {
+            let calls = 0;
+            registerIntegrator('test-noop', { label: 'No-op', step: () => calls++ });
+            const sim = new Simulation({ integrator: 'test-noop', substeps: 3 });
+            sim.addBody('planet', new Vector3(0, 0, 0), new Vector3(10, 0, 0));
+            sim.step(FRAME_DT, 1);
+            expect(calls).toBe(3);
+            expect(sim.bodies[0].pos.x).toBe(0);
+        });
+
+        it('defaults to Velocity Verlet', () => {
+            expect(new Simulation().integrator).toBe('verlet');
+        });
+
+        it('can be switched at runtime without a jump', () => {
+            const sim = eccentricOrbit('verlet');
+            for (let i = 0; i < 100; i++) sim.step(FRAME_DT, 1);
+            const e0 = totalEnergy(sim);
+            sim.integrator = 'yoshida';
+            for (let i = 0; i < 100; i++) sim.step(FRAME_DT, 1);
+            expect(Math.abs((totalEnergy(sim) - e0) / e0)).toBeLessThan(1e-4);
+        });
+    });
+
+    describe('energy drift over a long two-body orbit', () => {
+        it('Euler drifts badly (why it is for teaching only)', () => {
+            expect(maxDrift(eccentricOrbit('euler'), LONG_RUN)).toBeGreaterThan(0.01);
+        });
+
+        it('Verlet stays within 1e-3', () => {
+            expect(maxDrift(eccentricOrbit('verlet'), LONG_RUN)).toBeLessThan(1e-3);
+        });
+
+        it('RK4 stays within 1e-5', () => {
+            expect(maxDrift(eccentricOrbit('rk4'), LONG_RUN)).toBeLessThan(1e-5);
+        });
+
+        it('Yoshida stays within 1e-6', () => {
+            expect(maxDrift(eccentricOrbit('yoshida'), LONG_RUN)).toBeLessThan(1e-6);
+        });
+
+        it('adaptive stays within 1e-3', () => {
+            expect(maxDrift(eccentricOrbit('adaptive'), LONG_RUN)).toBeLessThan(1e-3);
+        });
+
+        it('higher order beats Verlet', () => {
+            const verlet = maxDrift(eccentricOrbit('verlet'), LONG_RUN);
+            expect(maxDrift(eccentricOrbit('rk4'), LONG_RUN)).toBeLessThan(verlet);
+            expect(maxDrift(eccentricOrbit('yoshida'), LONG_RUN)).toBeLessThan(verlet);
+        });
+    });
+
+    describe('adaptive timestep', () => {
+        it('dynamical time shrinks as bodies approach', () => {
+            const sim = new Simulation();
+            sim.addBody('star', new Vector3(0, 0, 0));
+            const planet = sim.addBody('planet', new Vector3(400, 0, 0));
+            const far = minDynamicalTime(sim);
+            planet.pos = new Vector3(30, 0, 0);
+            expect(minDynamicalTime(sim)).toBeLessThan(far / 10);
+        });
+
+        it('resolves a near-radial plunge better than fixed Verlet', () => {
+            /* e ≈ 0.98: periapsis passes inside the softening length */
+            const plunge = { speedFactor: 0.15, pointMasses: true };
+            const fixed = maxDrift(eccentricOrbit('verlet', plunge), 1500);
+            const adaptive = maxDrift(eccentricOrbit('adaptive', plunge), 1500);
+            expect(adaptive).toBeLessThan(fixed / 5);
+        });
+    });
+});
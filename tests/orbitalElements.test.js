@@ -0,0 +1,229 @@
+/**
+ * @file Orbital elements tests.
+ * Checks the state-vector → Keplerian element conversion against orbits
+ * with known analytic elements, and the attractor selection.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import {
+    orbitalElements, dominantAttractor, elementsAroundAttractor, orbitVelocity, orbitLaunch,
+} from '../src/js/core/orbitalElements.js';
+
+const MU = 800 * 3000;
+const DEG = Math.PI / 180;
+
+/** Velocity for a tangential launch in the XZ plane, prograde about −y. */
+function tangential(speed) {
+    return new Vector3(0, 0, speed);
+}
+
+describe('orbitalElements', () => {
+    it('circular orbit: e = 0, a = r, T = 2π√(r³/μ)', () => {
+        const r = 150;
+        const el = orbitalElements(new Vector3(r, 0, 0), tangential(Math.sqrt(MU / r)), MU);
+
+        expect(el.eccentricity).toBeCloseTo(0, 12);
+        expect(el.semiMajorAxis).toBeCloseTo(r, 9);
+        expect(el.inclination).toBeCloseTo(0, 12);
+        expect(el.period).toBeCloseTo(2 * Math.PI * Math.sqrt(r ** 3 / MU), 9);
+        expect(el.periapsis).toBeCloseTo(r, 9);
+        expect(el.apoapsis).toBeCloseTo(r, 9);
+        expect(el.bound).toBe(true);
+    });
+
+    it('ellipse launched at periapsis', () => {
+        const q = 100, e = 0.6;
+        const el = orbitalElements(new Vector3(q, 0, 0), tangential(Math.sqrt(MU * (1 + e) / q)), MU);
+
+        const a = q / (1 - e);
+        expect(el.eccentricity).toBeCloseTo(e, 12);
+        expect(el.semiMajorAxis).toBeCloseTo(a, 9);
+        expect(el.periapsis).toBeCloseTo(q, 9);
+        expect(el.apoapsis).toBeCloseTo(a * (1 + e), 9);
+        expect(el.specificEnergy).toBeCloseTo(-MU / (2 * a), 6);
+    });
+
+    it('the same ellipse seen from apoapsis', () => {
+        const q = 100, e = 0.6;
+        const Q = q * (1 + e) / (1 - e);
+        const el = orbitalElements(new Vector3(-Q, 0, 0), tangential(-Math.sqrt(MU * (1 - e) / Q)), MU);
+
+        expect(el.eccentricity).toBeCloseTo(e, 12);
+        expect(el.periapsis).toBeCloseTo(q, 9);
+        expect(el.apoapsis).toBeCloseTo(Q, 9);
+    });
+
+    it('elements do not depend on where along the orbit we sample', () => {
+        /* Ellipse a = 200, e = 0.3 at true anomaly 70° (perifocal frame in XZ) */
+        const a = 200, e = 0.3, nu = 70 * DEG;
+        const p = a * (1 - e * e);
+        const r = p / (1 + e * Math.cos(nu));
+        const k = Math.sqrt(MU / p);
+        const pos = new Vector3(r * Math.cos(nu), 0, r * Math.sin(nu));
+        const vel = new Vector3(-k * Math.sin(nu), 0, k * (e + Math.cos(nu)));
+
+        const el = orbitalElements(pos, vel, MU);
+        expect(el.semiMajorAxis).toBeCloseTo(a, 9);
+        expect(el.eccentricity).toBeCloseTo(e, 12);
+    });
+
+    it('measures inclination against the XZ plane', () => {
+        const r = 150, v = Math.sqrt(MU / r);
+        const tilt = 30 * DEG;
+        const vel = new Vector3(0, v * Math.sin(tilt), v * Math.cos(tilt));
+        expect(orbitalElements(new Vector3(r, 0, 0), vel, MU).inclination).toBeCloseTo(tilt, 12);
+
+        const polar = orbitalElements(new Vector3(r, 0, 0), new Vector3(0, v, 0), MU);
+        expect(polar.inclination).toBeCloseTo(90 * DEG, 12);
+    });
+
+    it('retrograde orbits have i = 180°', () => {
+        const r = 150;
+        const el = orbitalElements(new Vector3(r, 0, 0), tangential(-Math.sqrt(MU / r)), MU);
+        expect(el.inclination).toBeCloseTo(Math.PI, 12);
+    });
+
+    it('parabolic escape: e = 1, unbounded', () => {
+        const r = 120;
+        const el = orbitalElements(new Vector3(r, 0, 0), tangential(Math.sqrt(2 * MU / r)), MU);
+
+        expect(el.eccentricity).toBeCloseTo(1, 12);
+        expect(el.bound).toBe(false);
+        expect(el.period).toBe(Infinity);
+        expect(el.apoapsis).toBe(Infinity);
+        expect(el.periapsis).toBeCloseTo(r, 9);
+    });
+
+    it('hyperbolic fly-by: e > 1, a < 0', () => {
+        const q = 80, e = 1.8;
+        const el = orbitalElements(new Vector3(q, 0, 0), tangential(Math.sqrt(MU * (1 + e) / q)), MU);
+
+        expect(el.eccentricity).toBeCloseTo(e, 12);
+        expect(el.semiMajorAxis).toBeCloseTo(q / (1 - e), 9);
+        expect(el.semiMajorAxis).toBeLessThan(0);
+        expect(el.periapsis).toBeCloseTo(q, 9);
+        expect(el.bound).toBe(false);
+        expect(el.period).toBe(Infinity);
+    });
+});
+
+describe('dominantAttractor', () => {
+    it('picks the heavier body with the strongest pull', () => {
+        const star = { pos: new Vector3(0, 0, 0), mass: 3000 };
+        const planet = { pos: new Vector3(300, 0, 0), mass: 400 };
+        const moon = { pos: new Vector3(310, 0, 0), mass: 30 };
+        const bodies = [star, planet, moon];
+
+        expect(dominantAttractor(bodies, moon)).toBe(planet);
+        expect(dominantAttractor(bodies, planet)).toBe(star);
+        expect(dominantAttractor(bodies, star)).toBeNull();
+    });
+});
+
+describe('elementsAroundAttractor', () => {
+    it('describes demo planets relative to the star', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const [star, planet] = sim.bodies;
+
+        const result = elementsAroundAttractor(sim, planet);
+        expect(result.attractor).toBe(star);
+
+        /*
+         * The demo launches at v = √(GM/r), but the two-body μ includes the
+         * planet's own mass, so the orbit is slightly eccentric with the
+         * launch point at apoapsis: a = r(M + m)/(M + 2m).
+         */
+        const M = star.mass, m = planet.mass, r = 120;
+        expect(result.elements.semiMajorAxis).toBeCloseTo(r * (M + m) / (M + 2 * m), 6);
+        expect(result.elements.apoapsis).toBeCloseTo(r, 6);
+        expect(result.elements.inclination).toBeCloseTo(0, 12);
+        expect(elementsAroundAttractor(sim, star)).toBeNull();
+    });
+});
+
+describe('orbitVelocity', () => {
+    it('gives a circular prograde orbit by default', () => {
+        const r = new Vector3(90, 0, -120);
+        const v = orbitVelocity(r, MU);
+        expect(v.dot(r)).toBeCloseTo(0, 9);
+
+        const el = orbitalElements(r, v, MU);
+        expect(el.eccentricity).toBeCloseTo(0, 12);
+        expect(el.semiMajorAxis).toBeCloseTo(150, 9);
+        expect(el.inclination).toBeCloseTo(0, 12);
+    });
+
+    it('launches from periapsis of the requested eccentricity', () => {
+        const r = new Vector3(-100, 0, 0);
+        const el = orbitalElements(r, orbitVelocity(r, MU, { eccentricity: 0.4 }), MU);
+        expect(el.eccentricity).toBeCloseTo(0.4, 12);
+        expect(el.periapsis).toBeCloseTo(100, 9);
+    });
+
+    it('retrograde orbits go the other way round', () => {
+        const r = new Vector3(0, 0, 150);
+        const el = orbitalElements(r, orbitVelocity(r, MU, { retrograde: true }), MU);
+        expect(el.inclination).toBeCloseTo(Math.PI, 12);
+        expect(el.eccentricity).toBeCloseTo(0, 12);
+    });
+
+    it('orbits about a given normal for inclined planes', () => {
+        const tilt = 30 * DEG;
+        const normal = new Vector3(Math.sin(tilt), -Math.cos(tilt), 0);
+        const r = new Vector3(0, 0, 120);
+        const el = orbitalElements(r, orbitVelocity(r, MU, { normal }), MU);
+        expect(el.inclination).toBeCloseTo(tilt, 12);
+        expect(el.eccentricity).toBeCloseTo(0, 12);
+
+        /* Along the normal itself, the tangent still lies in the plane */
+        const along = orbitVelocity(new Vector3(1, 0, 0).scale(50), MU, { normal: new Vector3(1, 0, 0) });
+        expect(along.x).toBe(0);
+        expect(along.mag).toBeCloseTo(Math.sqrt(MU / 50), 9);
+    });
+
+    it('still finds a tangent straight above the attractor', () => {
+        const r = new Vector3(0, 80, 0);
+        const v = orbitVelocity(r, MU);
+        expect(v.dot(r)).toBe(0);
+        expect(v.mag).toBeCloseTo(Math.sqrt(MU / 80), 9);
+    });
+});
+
+describe('orbitLaunch', () => {
+    it('orbits the local attractor, moving with it', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const planet = sim.bodies[1];
+        const pos = planet.pos.add(new Vector3(0, 0, 25));
+
+        const launch = orbitLaunch(sim, pos, 30);
+        expect(launch.attractor).toBe(planet);
+
+        const moon = sim.addBody('moon', pos, launch.velocity);
+        const { attractor, elements } = elementsAroundAttractor(sim, moon);
+        expect(attractor).toBe(planet);
+        expect(elements.eccentricity).toBeCloseTo(0, 9);
+        expect(elements.semiMajorAxis).toBeCloseTo(25, 6);
+    });
+
+    it('stays on a circle when run', () => {
+        const sim = new Simulation({ softening: 0 });
+        const star = sim.addBody('star', new Vector3(0, 0, 0));
+        const pos = new Vector3(200, 0, 0);
+        const planet = sim.addBody('planet', pos, orbitLaunch(sim, pos, 400).velocity);
+
+        for (let i = 0; i < 300; i++) {
+            sim.step(0.02, 1);
+            expect(Vector3.dist(planet.pos, star.pos)).toBeCloseTo(200, 1);
+        }
+    });
+
+    it('returns null with nothing heavier to orbit', () => {
+        const sim = new Simulation();
+        sim.addBody('moon', new Vector3(0, 0, 0));
+        expect(orbitLaunch(sim, new Vector3(50, 0, 0), 400)).toBeNull();
+        expect(orbitLaunch(sim, new Vector3(0, 0, 0), 1)).toBeNull();
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * @file Placement tests.
+ * Covers the placement plane, drag-to-launch vector math in 3D, and
+ * bodies placed onto inclined orbits staying in their plane.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import {
+    DEFAULT_PLANE, heightAbove, intersectPlane, launchVelocity, liftPlane, orbitalPlane,
+} from '../src/js/core/placement.js';
+import { elementsAroundAttractor, orbitLaunch } from '../src/js/core/orbitalElements.js';
+import { INPUT } from '../src/js/config.js';
+
+const DEG = Math.PI / 180;
+
+/** A plane through the origin, tilted `angle` about the x axis. */
+function tiltedPlane(angle) {
+    return { origin: Vector3.zero(), normal: new Vector3(0, Math.cos(angle), -Math.sin(angle)) };
+}
+
+describe('placement plane', () => {
+    it('lifts along its normal', () => {
+        const plane = liftPlane(DEFAULT_PLANE, 40);
+        expect(plane.origin).toEqual(new Vector3(0, 40, 0));
+        expect(heightAbove(DEFAULT_PLANE, new Vector3(5, -12, 3))).toBe(-12);
+
+        const tilted = liftPlane(tiltedPlane(30 * DEG), 10);
+        expect(heightAbove(tiltedPlane(30 * DEG), tilted.origin)).toBeCloseTo(10, 12);
+    });
+
+    it('intersects rays from the camera', () => {
+        const eye = new Vector3(0, 300, 300);
+        const hit = intersectPlane(eye, new Vector3(10, -300, -300), liftPlane(DEFAULT_PLANE, 60));
+        expect(hit.y).toBeCloseTo(60, 9);
+        expect(hit.x).toBeCloseTo(8, 9);
+
+        expect(intersectPlane(eye, new Vector3(1, 0, 0), DEFAULT_PLANE)).toBeNull();
+        expect(intersectPlane(eye, new Vector3(0, 1, 0), DEFAULT_PLANE)).toBeNull();
+    });
+
+    it('aligns with a body\'s orbit so that the orbit is prograde in it', () => {
+        const sim = new Simulation();
+        const star = sim.addBody('star', new Vector3(10, 0, 0));
+        const planet = sim.addBody('planet', new Vector3(10, 0, 150), new Vector3(40, 20, 0));
+
+        const plane = orbitalPlane(planet, star);
+        expect(plane.origin).toEqual(star.pos);
+        expect(plane.normal.mag).toBeCloseTo(1, 12);
+        expect(heightAbove(plane, planet.pos)).toBeCloseTo(0, 9);
+        expect(plane.normal.dot(planet.vel)).toBeCloseTo(0, 9);
+        /* Prograde about −normal, as in the XZ plane about −y */
+        expect(planet.pos.sub(star.pos).cross(planet.vel).dot(plane.normal)).toBeLessThan(0);
+
+        const faller = sim.addBody('moon', new Vector3(10, 0, 80), new Vector3(0, 0, -5));
+        expect(orbitalPlane(faller, star)).toBeNull();
+    });
+});
+
+describe('launchVelocity', () => {
+    it('scales the drag in the default plane as before', () => {
+        const vel = launchVelocity(new Vector3(0, 0, 0), new Vector3(100, 0, -50));
+        expect(vel).toEqual(new Vector3(100, 0, -50).scale(INPUT.DRAG_VELOCITY_SCALE));
+    });
+
+    it('keeps the drag in a tilted plane', () => {
+        const plane = tiltedPlane(40 * DEG);
+        const start = new Vector3(0, 0, 0);
+        const end = new Vector3(0, Math.sin(40 * DEG), Math.cos(40 * DEG)).scale(200);
+        const vel = launchVelocity(start, end, plane);
+
+        expect(vel.dot(plane.normal)).toBeCloseTo(0, 12);
+        expect(vel.mag).toBeCloseTo(200 * INPUT.DRAG_VELOCITY_SCALE, 12);
+        expect(vel.y).toBeGreaterThan(0);
+
+        /* An off-plane drag counts only for its in-plane part */
+        const off = launchVelocity(start, end.add(plane.normal.scale(90)), plane);
+        expect(Vector3.dist(off, vel)).toBeCloseTo(0, 12);
+    });
+
+    it('tilts out of the plane without changing speed', () => {
+        const start = new Vector3(0, 0, 0);
+        const end = new Vector3(100, 0, 0);
+        const flat = launchVelocity(start, end);
+        const up = launchVelocity(start, end, DEFAULT_PLANE, { tilt: 30 * DEG });
+        const down = launchVelocity(start, end, DEFAULT_PLANE, { tilt: -90 * DEG });
+
+        expect(up.mag).toBeCloseTo(flat.mag, 12);
+        expect(Math.asin(up.y / up.mag)).toBeCloseTo(30 * DEG, 12);
+        expect(up.z).toBe(0);
+        expect(down.x).toBeCloseTo(0, 12);
+        expect(down.y).toBeCloseTo(-flat.mag, 12);
+    });
+
+    it('clamps to the max launch speed', () => {
+        const vel = launchVelocity(Vector3.zero(), new Vector3(1e6, 0, 0), DEFAULT_PLANE, { tilt: 0.5 });
+        expect(vel.mag).toBeCloseTo(INPUT.MAX_LAUNCH_SPEED, 9);
+    });
+});
+
+describe('inclined placement', () => {
+    it('tilted launches make inclined orbits', () => {
+        const sim = new Simulation({ softening: 0 });
+        const star = sim.addBody('star', Vector3.zero());
+        const pos = new Vector3(200, 0, 0);
+        const circular = orbitLaunch(sim, pos, 1).velocity;
+        /* The drag that gives the circular speed, tilted by 25° */
+        const end = pos.add(circular.scale(1 / INPUT.DRAG_VELOCITY_SCALE));
+        const planet = sim.addBody('planet', pos, launchVelocity(pos, end, DEFAULT_PLANE, { tilt: 25 * DEG }));
+
+        const { attractor, elements } = elementsAroundAttractor(sim, planet);
+        expect(attractor).toBe(star);
+        expect(elements.inclination).toBeCloseTo(25 * DEG, 9);
+    });
+
+    it('snapped orbits stay in a raised, tilted plane', () => {
+        const sim = new Simulation({ softening: 0 });
+        const star = sim.addBody('star', Vector3.zero());
+        const plane = tiltedPlane(35 * DEG);
+        const pos = intersectPlane(new Vector3(180, 400, 0), new Vector3(0, -1, 0), plane);
+        const launch = orbitLaunch(sim, pos, 1, { normal: plane.normal.scale(-1) });
+        const planet = sim.addBody('planet', pos, launch.velocity);
+
+        expect(elementsAroundAttractor(sim, planet).elements.inclination).toBeCloseTo(35 * DEG, 9);
+        for (let i = 0; i < 300; i++) {
+            sim.step(0.02, 1);
+            expect(Math.abs(heightAbove(plane, planet.pos.sub(star.pos)))).toBeLessThan(1e-6);
+        }
+    });
+});
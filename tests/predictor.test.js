@@ -0,0 +1,121 @@
+/**
+ * @file Trajectory predictor tests.
+ * Checks that predictions match actually running the simulation, leave
+ * the source untouched, and stop at a collision.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { cloneSimulation, predictTrajectory } from '../src/js/core/predictor.js';
+import { getBodyType } from '../src/js/core/bodyTypes.js';
+
+describe('cloneSimulation', () => {
+    it('copies bodies and constants into an independent simulation', () => {
+        const sim = new Simulation({ G: 500, softening: 3, substeps: 4, integrator: 'rk4' });
+        sim.createDemoScene();
+        sim.updateBody(sim.bodies[0], { pinned: true });
+
+        const copy = cloneSimulation(sim);
+        expect(copy).toMatchObject({ G: 500, softening: 3, substeps: 4, integrator: 'rk4' });
+        expect(copy.bodies.map(b => [b.type, b.mass, b.radius, b.pinned]))
+            .toEqual(sim.bodies.map(b => [b.type, b.mass, b.radius, b.pinned]));
+
+        copy.step(0.016, 1);
+        expect(sim.bodies[1].pos).toEqual(new Vector3(120, 0, 0));
+    });
+
+    it('keeps colors without moving on the palette', () => {
+        const sim = new Simulation();
+        const first = sim.addBody('planet', new Vector3(120, 0, 0));
+        const copy = cloneSimulation(sim);
+        expect(copy.bodies[0]).toMatchObject({ color: first.color, glow: first.glow, trailColor: first.trailColor });
+
+        predictTrajectory(sim, first);
+        predictTrajectory(sim, { type: 'planet', pos: new Vector3(-120, 0, 0) });
+        const { palette } = getBodyType('planet');
+        const next = palette.findIndex(entry => entry.color === first.color) + 1;
+        expect(sim.addBody('planet', Vector3.zero()).color).toBe(palette[next % palette.length].color);
+    });
+});
+
+describe('predictTrajectory', () => {
+    it('matches stepping the simulation itself', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const planet = sim.bodies[1];
+
+        const { points, collided } = predictTrajectory(sim, planet, { duration: 2, steps: 50 });
+        expect(collided).toBe(false);
+        expect(points).toHaveLength(51);
+        expect(points[0]).toEqual(planet.pos);
+
+        for (let i = 0; i < 50; i++) sim.step(0.04, 1);
+        expect(points[50]).toEqual(planet.pos);
+    });
+
+    it('does not modify the source simulation', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const before = sim.toJSON({ trails: true });
+
+        predictTrajectory(sim, sim.bodies[2]);
+        predictTrajectory(sim, { type: 'moon', pos: new Vector3(50, 0, 50) });
+        expect(sim.toJSON({ trails: true })).toEqual(before);
+    });
+
+    it('predicts a body that has not been placed yet', () => {
+        const sim = new Simulation();
+        const star = sim.addBody('star', new Vector3(0, 0, 0));
+        sim.updateBody(star, { pinned: true });
+
+        /* A circular launch stays on its circle (softening makes it a touch eccentric) */
+        const r = 150;
+        const v = sim.orbitalSpeed(star.mass, r);
+        const { points } = predictTrajectory(sim, {
+            type: 'moon', pos: new Vector3(r, 0, 0), vel: new Vector3(0, 0, -v),
+        });
+        for (const p of points) expect(Math.abs(p.mag - r)).toBeLessThan(2);
+
+        /* and the placed body then follows the prediction exactly */
+        const moon = sim.addBody('moon', new Vector3(r, 0, 0), new Vector3(0, 0, -v));
+        const predicted = predictTrajectory(sim, moon, { duration: 1, steps: 25 }).points;
+        for (let i = 0; i < 25; i++) sim.step(0.04, 1);
+        expect(predicted[25]).toEqual(moon.pos);
+    });
+
+    it('stops when the body is swallowed', () => {
+        const sim = new Simulation();
+        sim.addBody('star', new Vector3(0, 0, 0));
+        const { points, collided } = predictTrajectory(sim, {
+            type: 'moon', pos: new Vector3(100, 0, 0),
+        }, { duration: 10, steps: 250 });
+
+        expect(collided).toBe(true);
+        expect(points.length).toBeLessThan(251);
+        expect(points.at(-1).mag).toBeLessThan(100);
+    });
+
+    it('previews bounces under the bounce model', () => {
+        const sim = new Simulation({ collisions: 'bounce', restitution: 1 });
+        sim.addBody('star', new Vector3(0, 0, 0), new Vector3(0, 0, 0), { pinned: true });
+        const { points, collided } = predictTrajectory(sim, {
+            type: 'moon', pos: new Vector3(100, 0, 0),
+        }, { duration: 10, steps: 250 });
+
+        expect(collided).toBe(false);
+        expect(points).toHaveLength(251);
+        /* Down onto the star's surface and back out again */
+        const lowest = Math.min(...points.map(p => p.mag));
+        expect(lowest).toBeLessThan(100);
+        expect(points.at(-1).mag).toBeGreaterThan(lowest + 10);
+    });
+
+    it('copies the collision model and boundary policy', () => {
+        const sim = new Simulation({ collisions: 'fragment', restitution: 0.3, boundary: 'wrap', boundaryRadius: 900 });
+        const copy = cloneSimulation(sim);
+        expect(copy.collisions).toBe('fragment');
+        expect(copy.restitution).toBe(0.3);
+        expect(copy.boundary).toBe('wrap');
+        expect(copy.boundaryRadius).toBe(900);
+    });
+});
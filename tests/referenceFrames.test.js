@@ -0,0 +1,124 @@
+/**
+ * @file Reference frame tests.
+ * Checks frame transforms, the follow/barycenter/co-rotating frames on
+ * running simulations, and trails re-drawn in a frame.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import {
+    WORLD_FRAME, currentFrame, fromFrame, toFrame, trailFrames, trailInFrame,
+} from '../src/js/core/referenceFrames.js';
+import { orbitLaunch } from '../src/js/core/orbitalElements.js';
+
+/** A star with a planet on a circular orbit, and a moon around the planet. */
+function system({ withMoon = true } = {}) {
+    const sim = new Simulation({ softening: 0 });
+    const star = sim.addBody('star', Vector3.zero());
+    const planetPos = new Vector3(250, 0, 0);
+    const planet = sim.addBody('planet', planetPos, orbitLaunch(sim, planetPos, 200).velocity, { mass: 200 });
+    if (!withMoon) return { sim, star, planet };
+    const moonPos = planetPos.add(new Vector3(0, 0, 20));
+    const moon = sim.addBody('moon', moonPos, orbitLaunch(sim, moonPos, 0.5).velocity, { mass: 0.5 });
+    return { sim, star, planet, moon };
+}
+
+function run(sim, steps) {
+    for (let i = 0; i < steps; i++) sim.step(0.02, 1);
+}
+
+describe('frame transforms', () => {
+    it('round-trips points through a turned, shifted frame', () => {
+        const s = Math.SQRT1_2;
+        const frame = {
+            origin: new Vector3(10, -4, 7),
+            axes: [new Vector3(s, 0, s), new Vector3(0, 1, 0), new Vector3(s, 0, -s)],
+        };
+        const point = new Vector3(3, 8, -12);
+        const local = toFrame(frame, point);
+        expect(local.y).toBeCloseTo(12, 12);
+        expect(Vector3.dist(fromFrame(frame, local), point)).toBeCloseTo(0, 12);
+        expect(toFrame(WORLD_FRAME, point)).toEqual(point);
+    });
+});
+
+describe('currentFrame', () => {
+    it('follows a body and tracks the barycenter', () => {
+        const { sim, planet } = system();
+        run(sim, 50);
+        expect(currentFrame({ mode: 'follow', bodies: [planet] }, sim.bodies).origin).toEqual(planet.pos);
+
+        const bary = currentFrame({ mode: 'barycenter' }, sim.bodies);
+        expect(Vector3.dist(bary.origin, sim.centerOfMass())).toBeCloseTo(0, 9);
+        expect(bary.axes).toBe(WORLD_FRAME.axes);
+    });
+
+    it('keeps a co-rotating pair standing still', () => {
+        const { sim, star, planet } = system({ withMoon: false });
+        const spec = { mode: 'corotating', bodies: [star, planet] };
+        const before = toFrame(currentFrame(spec, sim.bodies), planet.pos);
+        expect(before.z).toBeCloseTo(0, 9);
+        expect(before.x).toBeGreaterThan(0);
+
+        run(sim, 200);
+        const frame = currentFrame(spec, sim.bodies);
+        /* A quarter of the way round in world space, in the same place in the frame */
+        expect(Vector3.dist(toFrame(frame, planet.pos), before)).toBeLessThan(1e-3);
+        expect(Vector3.dist(toFrame(frame, star.pos), toFrame(currentFrame(spec, sim.bodies), star.pos))).toBe(0);
+        /* The orbit is prograde about −y, so up stays +y */
+        expect(frame.axes[1].y).toBeCloseTo(1, 9);
+    });
+
+    it('is lost when a body it needs is gone', () => {
+        const { sim, planet } = system();
+        sim.removeBody(planet);
+        expect(currentFrame({ mode: 'follow', bodies: [planet] }, sim.bodies)).toBeNull();
+        expect(trailFrames({ mode: 'follow', bodies: [planet] }, sim.bodies, 10).frames).toEqual([]);
+        expect(() => currentFrame({ mode: 'sideways' }, sim.bodies)).toThrow(/Unknown frame mode "sideways"/);
+    });
+});
+
+describe('trails in a frame', () => {
+    it('turns a moon\'s helix round the star into a loop round its planet', () => {
+        const { sim, planet, moon } = system();
+        run(sim, 150);
+
+        const frames = trailFrames({ mode: 'follow', bodies: [planet] }, sim.bodies, 500);
+        expect(frames.head).toBe(sim.stepCount);
+        expect(frames.frames).toHaveLength(moon.trail.length);
+        const trail = trailInFrame(moon, frames);
+        expect(trail).toHaveLength(moon.trail.length);
+        expect(trail.at(-1)).toEqual(moon.trail.at(-1));
+
+        /* Each point is as far from where the planet is now as the moon was from the planet then */
+        trail.forEach((p, i) => {
+            expect(Vector3.dist(p, planet.pos)).toBeCloseTo(Vector3.dist(moon.trail[i], planet.trail[i]), 9);
+            expect(Math.abs(Vector3.dist(p, planet.pos) - 20)).toBeLessThan(2);
+        });
+        /* In world space the early points are far off, left behind by the planet */
+        expect(Vector3.dist(moon.trail[0], planet.pos)).toBeGreaterThan(60);
+    });
+
+    it('collapses the co-rotating pair\'s trails onto the bodies', () => {
+        const { sim, star, planet } = system({ withMoon: false });
+        run(sim, 100);
+        const frames = trailFrames({ mode: 'corotating', bodies: [star, planet] }, sim.bodies, 500);
+        for (const p of trailInFrame(planet, frames)) {
+            expect(Vector3.dist(p, planet.trail.at(-1))).toBeLessThan(1e-3);
+        }
+    });
+
+    it('only reaches back as far as the frame\'s bodies do', () => {
+        const { sim, planet } = system();
+        run(sim, 30);
+        const late = sim.addBody('moon', planet.pos.add(new Vector3(0, 0, -30)), planet.vel);
+        run(sim, 10);
+
+        const frames = trailFrames({ mode: 'follow', bodies: [late] }, sim.bodies, 500);
+        expect(frames.frames).toHaveLength(10);
+        const kept = [];
+        expect(trailInFrame(planet, frames, kept)).toHaveLength(10);
+        expect(kept).toEqual([30, 31, 32, 33, 34, 35, 36, 37, 38, 39]);
+        expect(trailFrames({ mode: 'follow', bodies: [planet] }, sim.bodies, 5).frames).toHaveLength(5);
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * @file Record-and-replay tests.
+ * Records a scripted session through Recorder and checks that Replayer
+ * reproduces it bit for bit, including after seeking back and forth.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import Recorder from '../src/js/core/Recorder.js';
+import Replayer from '../src/js/core/Replayer.js';
+
+/** Raw bytes of every body's position, velocity, mass and radius. */
+function stateBytes(sim) {
+    const { pos, vel, mass, count } = sim.state;
+    const out = new Float64Array(count * 8);
+    for (let i = 0; i < count; i++) {
+        out.set(pos.subarray(i * 3, i * 3 + 3), i * 8);
+        out.set(vel.subarray(i * 3, i * 3 + 3), i * 8 + 3);
+        out[i * 8 + 6] = mass[i];
+        out[i * 8 + 7] = sim.bodies[i].radius;
+    }
+    return new Uint8Array(out.buffer);
+}
+
+function run(recorder, ticks) {
+    for (let i = 0; i < ticks; i++) recorder.step();
+}
+
+/** A session with placements, a G change, a merge-prone close pass and a clear. */
+function recordSession() {
+    const sim = new Simulation();
+    sim.createDemoScene();
+    const recorder = new Recorder(sim);
+
+    run(recorder, 90);
+    recorder.addBody('planet', new Vector3(-150, 0, 40), new Vector3(1.5, 0, -6));
+    run(recorder, 60);
+    recorder.setG(1100);
+    recorder.addBody('moon', new Vector3(122, 0, 0), new Vector3(0, 0, 9));
+    run(recorder, 150);
+    recorder.setIntegrator('yoshida');
+    run(recorder, 40);
+    recorder.clear();
+    recorder.addBody('star', new Vector3(0, 0, 0));
+    recorder.addBody('planet', new Vector3(90, 0, 0), new Vector3(0, 0, -50));
+    run(recorder, 60);
+
+    return { sim, recorder, log: recorder.log };
+}
+
+describe('Recorder', () => {
+    it('logs actions with the tick and time they happened at', () => {
+        const { log } = recordSession();
+        expect(log.length).toBe(400);
+        expect(log.actions.map(a => a.type)).toEqual([
+            'addBody', 'setG', 'addBody', 'setIntegrator', 'clear', 'addBody', 'addBody',
+        ]);
+        expect(log.actions[0].tick).toBe(90);
+        expect(log.actions[0].time).toBeCloseTo(90 * log.fixedDt, 9);
+        expect(log.actions[0].props.color).toMatch(/^#/);
+    });
+
+    it('does not advance while the simulation is paused', () => {
+        const sim = new Simulation();
+        const recorder = new Recorder(sim);
+        sim.paused = true;
+        run(recorder, 10);
+        expect(recorder.ticks).toBe(0);
+    });
+
+    it('returns a log that later recording does not mutate', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const recorder = new Recorder(sim);
+        const log = recorder.log;
+        recorder.addBody('moon', new Vector3(1, 0, 1));
+        run(recorder, 5);
+        expect(log.actions).toHaveLength(0);
+        expect(log.length).toBe(0);
+    });
+});
+
+describe('Replayer', () => {
+    it('two replays of the same log are bit-identical', () => {
+        const { log } = recordSession();
+        const a = new Replayer(log);
+        const b = new Replayer(log);
+        while (a.step()) b.step();
+
+        expect(a.tick).toBe(log.length);
+        expect(stateBytes(a.sim)).toEqual(stateBytes(b.sim));
+        expect(a.sim.elapsed).toBe(b.sim.elapsed);
+    });
+
+    it('reproduces the recorded run exactly', () => {
+        const { sim, log } = recordSession();
+        const replay = new Replayer(log);
+        replay.seek(log.length);
+
+        expect(replay.sim.bodies).toHaveLength(sim.bodies.length);
+        expect(stateBytes(replay.sim)).toEqual(stateBytes(sim));
+        expect(replay.sim.G).toBe(1100);
+        expect(replay.sim.integrator).toBe('yoshida');
+        expect(replay.sim.bodies.map(b => b.color)).toEqual(sim.bodies.map(b => b.color));
+    });
+
+    it('seeking backward through keyframes matches straight playback', () => {
+        const { log } = recordSession();
+        const straight = new Replayer(log, { keyframeEvery: 50 });
+        const scrubbed = new Replayer(log, { keyframeEvery: 50 });
+
+        scrubbed.seek(380);
+        scrubbed.seek(120);
+        scrubbed.seek(333);
+        scrubbed.seek(175);
+
+        while (straight.tick < 175) straight.step();
+        expect(scrubbed.tick).toBe(175);
+        expect(stateBytes(scrubbed.sim)).toEqual(stateBytes(straight.sim));
+
+        /* And both carry on identically */
+        while (straight.step()) scrubbed.step();
+        expect(stateBytes(scrubbed.sim)).toEqual(stateBytes(straight.sim));
+    });
+
+    it('seek applies actions logged at the target tick', () => {
+        const { log } = recordSession();
+        const replay = new Replayer(log);
+        replay.seek(90);
+        expect(replay.sim.bodies).toHaveLength(6);
+        replay.seek(89);
+        expect(replay.sim.bodies).toHaveLength(5);
+    });
+
+    it('seek(0) restores the starting scene', () => {
+        const { log } = recordSession();
+        const fresh = new Simulation();
+        fresh.load(log.initial);
+
+        const replay = new Replayer(log);
+        replay.seek(log.length);
+        replay.seek(0);
+        expect(stateBytes(replay.sim)).toEqual(stateBytes(fresh));
+    });
+
+    it('clamps seeks to the recorded range', () => {
+        const { log } = recordSession();
+        const replay = new Replayer(log);
+        replay.seek(1e6);
+        expect(replay.tick).toBe(log.length);
+        expect(replay.step()).toBe(false);
+        replay.seek(-5);
+        expect(replay.tick).toBe(0);
+    });
+
+    it('replays body edits and deletions', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const recorder = new Recorder(sim);
+        run(recorder, 30);
+        recorder.updateBody(sim.bodies[0], { pinned: true });
+        recorder.updateBody(sim.bodies[2], { mass: 900, vel: new Vector3(5, 0, 5) });
+        recorder.updateBody(sim.bodies[3], { mass: 100 }, { preserveMomentum: true });
+        run(recorder, 30);
+        recorder.removeBody(sim.bodies[1]);
+        recorder.updateBody(sim.bodies[2], { type: 'star', color: '#abcdef' });
+        run(recorder, 60);
+
+        const replay = new Replayer(recorder.log);
+        replay.seek(recorder.log.length);
+        expect(stateBytes(replay.sim)).toEqual(stateBytes(sim));
+        expect(replay.sim.bodies.map(b => b.pinned)).toEqual(sim.bodies.map(b => b.pinned));
+        expect(replay.sim.bodies[2].color).toBe('#abcdef');
+    });
+
+    it('replays collision model changes', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const recorder = new Recorder(sim);
+        recorder.setCollisions('bounce');
+        recorder.setRestitution(0.9);
+        recorder.addBody('planet', new Vector3(-150, 0, 0), new Vector3(30, 0, 0));
+        recorder.addBody('planet', new Vector3(150, 0, 0), new Vector3(-30, 0, 0));
+        run(recorder, 120);
+        recorder.setCollisions('fragment');
+        run(recorder, 120);
+
+        const replay = new Replayer(recorder.log);
+        replay.seek(recorder.log.length);
+        expect(replay.sim.collisions).toBe('fragment');
+        expect(replay.sim.restitution).toBe(0.9);
+        expect(stateBytes(replay.sim)).toEqual(stateBytes(sim));
+    });
+
+    it('replays boundary policy changes', () => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const recorder = new Recorder(sim);
+        recorder.setBoundary('wrap', 300);
+        run(recorder, 120);
+        recorder.setBoundary('delete', 250);
+        run(recorder, 60);
+
+        const replay = new Replayer(recorder.log);
+        replay.seek(recorder.log.length);
+        expect(replay.sim.boundary).toBe('delete');
+        expect(replay.sim.boundaryRadius).toBe(250);
+        expect(stateBytes(replay.sim)).toEqual(stateBytes(sim));
+        expect(sim.bodies.length).toBeLessThan(5);
+    });
+
+    it('replays with the recorded gravity solver', () => {
+        const sim = new Simulation({ solver: 'barnes-hut', theta: 0.9 });
+        sim.createDemoScene();
+        const recorder = new Recorder(sim);
+        run(recorder, 120);
+
+        const replay = new Replayer(recorder.log, { simulation: { solver: 'direct' } });
+        replay.seek(recorder.log.length);
+        expect(replay.sim.solver).toBe('barnes-hut');
+        expect(replay.sim.theta).toBe(0.9);
+        expect(stateBytes(replay.sim)).toEqual(stateBytes(sim));
+    });
+
+    it('rejects logs of an unknown version', () => {
+        expect(() => new Replayer({ version: 99 })).toThrow(/unsupported log version/);
+    });
+});
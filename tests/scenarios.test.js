@@ -0,0 +1,163 @@
+/**
+ * @file Scenario library tests.
+ * Runs every preset for a fixed stretch of simulated time and checks that
+ * it stays bounded, plus a property of each set-up that only holds if its
+ * initial conditions are right.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { buildScenario, getScenario, listScenarios } from '../src/js/core/scenarios.js';
+
+const DT = 1 / 60;
+
+function scenario(name) {
+    const sim = new Simulation(getScenario(name).options);
+    buildScenario(sim, name);
+    return sim;
+}
+
+/** Largest distance of any body from the centre of mass. */
+function extent(sim) {
+    const com = sim.centerOfMass();
+    return Math.max(...sim.bodies.map(b => Vector3.dist(b.pos, com)));
+}
+
+/** Angle at `vertex` between the directions to `a` and `b`. */
+function angleAt(vertex, a, b) {
+    const u = a.pos.sub(vertex.pos).normalized;
+    const v = b.pos.sub(vertex.pos).normalized;
+    return Math.acos(Math.min(Math.max(u.dot(v), -1), 1));
+}
+
+describe('scenario library', () => {
+    /* [name, simulated seconds, max growth of the extent, whether every body survives] */
+    it.each([
+        ['solar', 30, 1.1, false],
+        ['binary', 30, 1.1, true],
+        ['figure-eight', 30, 1.2, true],
+        ['trojans', 30, 1.05, true],
+        ['moons', 30, 1.2, true],
+        ['resonant-chain', 30, 1.05, true],
+        ['galaxies', 20, 2.5, false],
+        ['sol-j2000', 30, 1.01, true],
+    ])('%s stays bounded for %i s', (name, seconds, growth, keepsBodies) => {
+        const sim = scenario(name);
+        const count = sim.bodies.length;
+        const limit = extent(sim) * growth;
+
+        for (let i = 0; i < seconds / DT; i++) {
+            sim.step(DT, 1);
+            if (i % 30 === 0) expect(extent(sim)).toBeLessThan(limit);
+        }
+        expect(extent(sim)).toBeLessThan(limit);
+        if (keepsBodies) expect(sim.bodies).toHaveLength(count);
+    });
+
+    it('covers every registered scenario', () => {
+        expect(listScenarios().map(s => s.name)).toEqual([
+            'solar', 'binary', 'figure-eight', 'trojans', 'moons', 'resonant-chain', 'galaxies', 'sol-j2000',
+        ]);
+    });
+
+    it('replaces whatever was in the simulation', () => {
+        const sim = scenario('solar');
+        buildScenario(sim, 'figure-eight');
+        expect(sim.bodies).toHaveLength(3);
+        expect(sim.elapsed).toBe(0);
+    });
+
+    it('rejects unknown names and leaves the simulation alone', () => {
+        const sim = scenario('binary');
+        expect(() => buildScenario(sim, 'pulsar')).toThrow(/Unknown scenario "pulsar"/);
+        expect(sim.bodies).toHaveLength(3);
+    });
+
+    it('refuses simulations in other units than the scenario is built for', () => {
+        const sim = scenario('binary');
+        expect(() => buildScenario(sim, 'sol-j2000')).toThrow(/built in astronomical units, not game/);
+        expect(() => buildScenario(new Simulation({ units: 'astronomical' }), 'binary')).toThrow(/built in game units/);
+        expect(sim.bodies).toHaveLength(3);
+    });
+
+    it('starts at rest in the centre-of-mass frame', () => {
+        for (const { name } of listScenarios()) {
+            if (name === 'solar') continue;
+            const sim = scenario(name);
+            expect(sim.linearMomentum().mag).toBeLessThan(1e-6);
+            expect(sim.centerOfMass().mag).toBeLessThan(1e-6);
+        }
+    });
+});
+
+describe('scenario initial conditions', () => {
+    it('binary stars keep their separation', () => {
+        const sim = scenario('binary');
+        const [a, b] = sim.bodies;
+        for (let i = 0; i < 600; i++) {
+            sim.step(DT, 1);
+            expect(Vector3.dist(a.pos, b.pos)).toBeCloseTo(160, -1);
+        }
+    });
+
+    it('the figure eight comes back to its start after one period', () => {
+        const sim = scenario('figure-eight');
+        const start = sim.bodies.map(b => b.pos);
+
+        /* T = 6.3259 in units with G = m = 1 and the loop ~2 wide */
+        const L = 170;
+        const period = 6.32591398 * Math.sqrt(L ** 3 / (sim.G * sim.bodies[0].mass));
+        const steps = Math.round(period / DT);
+        for (let i = 0; i < steps; i++) sim.step(period / steps, 1);
+
+        sim.bodies.forEach((body, i) => {
+            expect(Vector3.dist(body.pos, start[i])).toBeLessThan(0.05 * L);
+        });
+    });
+
+    it('trojans stay near 60° ahead of and behind the planet', () => {
+        const sim = scenario('trojans');
+        const [star, planet, l4, l5] = sim.bodies;
+        for (let i = 0; i < 1800; i++) {
+            sim.step(DT, 1);
+            if (i % 60) continue;
+            expect(angleAt(star, planet, l4)).toBeCloseTo(Math.PI / 3, 1);
+            expect(angleAt(star, planet, l5)).toBeCloseTo(Math.PI / 3, 1);
+        }
+    });
+
+    it('moons stay bound to their planet', () => {
+        const sim = scenario('moons');
+        const [, planet, ...moons] = sim.bodies;
+        const radii = moons.map(m => Vector3.dist(m.pos, planet.pos));
+        for (let i = 0; i < 1800; i++) sim.step(DT, 1);
+        moons.forEach((moon, i) => {
+            expect(Vector3.dist(moon.pos, planet.pos)).toBeLessThan(radii[i] * 1.5);
+        });
+    });
+
+    it('the resonant chain has periods in the ratio 3:4:6:8', () => {
+        const sim = scenario('resonant-chain');
+        const [star, ...planets] = sim.bodies;
+        const periods = planets.map((p) => {
+            const a = Vector3.dist(p.pos, star.pos);
+            return 2 * Math.PI * a / p.vel.sub(star.vel).mag;
+        });
+        expect(periods.map(P => P / periods[0] * 3)).toEqual([
+            expect.closeTo(3, 6), expect.closeTo(4, 6), expect.closeTo(6, 6), expect.closeTo(8, 6),
+        ]);
+    });
+
+    it('the galaxy cores swing past each other without merging', () => {
+        const sim = scenario('galaxies');
+        const cores = sim.bodies.filter(b => b.type === 'star');
+        let closest = Infinity;
+        for (let i = 0; i < 1200; i++) {
+            sim.step(DT, 1);
+            closest = Math.min(closest, Vector3.dist(cores[0].pos, cores[1].pos));
+        }
+        expect(cores.every(c => c.alive)).toBe(true);
+        expect(closest).toBeGreaterThan(150);
+        expect(closest).toBeLessThan(300);
+    });
+});
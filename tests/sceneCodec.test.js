@@ -0,0 +1,80 @@
+/**
+ * @file Shareable scene codec tests.
+ * Round-trips scenes through the compressed base64url form and the URL
+ * fragment helpers, and checks that damaged input fails cleanly.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SceneFormatError } from '../src/js/core/sceneFormat.js';
+import {
+    FRAGMENT_KEY, encodeScene, decodeScene, sceneToFragment, sceneFromFragment,
+} from '../src/js/core/sceneCodec.js';
+
+/** The scene as the codec sees it: trails stripped. */
+function withoutTrails(scene) {
+    return { ...scene, bodies: scene.bodies.map(({ trail: _, ...b }) => b) };
+}
+
+function demoScene() {
+    const sim = new Simulation({ G: 950, substeps: 3 });
+    sim.createDemoScene();
+    for (let i = 0; i < 20; i++) sim.step(0.016, 2);
+    return sim.toJSON({ trails: true });
+}
+
+describe('sceneCodec', () => {
+    it('round-trips a scene without its trails', async () => {
+        const scene = demoScene();
+        const decoded = await decodeScene(await encodeScene(scene));
+
+        expect(decoded).toEqual(withoutTrails(scene));
+    });
+
+    it('produces URL-safe text shorter than the raw JSON', async () => {
+        const scene = demoScene();
+        const encoded = await encodeScene(scene);
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(encoded.length).toBeLessThan(JSON.stringify(withoutTrails(scene)).length);
+    });
+
+    it('restores a simulation that matches the original', async () => {
+        const original = new Simulation();
+        original.addBody('star', new Vector3(0, 0, 0));
+        original.addBody('moon', new Vector3(-80.25, 3.5, 12), new Vector3(0.5, 0, -9.75));
+
+        const copy = new Simulation();
+        copy.load(await decodeScene(await encodeScene(original.toJSON())));
+        expect(copy.bodies.map(b => b.pos)).toEqual(original.bodies.map(b => b.pos));
+        expect(copy.bodies.map(b => b.vel)).toEqual(original.bodies.map(b => b.vel));
+    });
+
+    it('reads and writes the URL fragment', async () => {
+        const scene = demoScene();
+        const fragment = await sceneToFragment(scene);
+        expect(fragment.startsWith(`#${FRAGMENT_KEY}=`)).toBe(true);
+        expect((await sceneFromFragment(fragment)).G).toBe(950);
+        expect(await sceneFromFragment(`${fragment}&view=top`)).not.toBeNull();
+    });
+
+    it('returns null when the fragment has no scene', async () => {
+        expect(await sceneFromFragment('')).toBeNull();
+        expect(await sceneFromFragment('#view=top')).toBeNull();
+    });
+
+    it.each([
+        ['truncated data', (s) => s.slice(0, s.length >> 1)],
+        ['non-base64 characters', (s) => `${s}!*`],
+        ['flipped bytes', (s) => s.slice(0, 10) + (s[10] === 'A' ? 'B' : 'A') + s.slice(11)],
+        ['plain text', () => 'hello'],
+    ])('rejects %s with a SceneFormatError', async (_name, damage) => {
+        const encoded = await encodeScene(demoScene());
+        await expect(decodeScene(damage(encoded))).rejects.toBeInstanceOf(SceneFormatError);
+    });
+
+    it('rejects well-formed data that is not a valid scene', async () => {
+        const encoded = await encodeScene({ version: 1, bodies: 'none' });
+        await expect(decodeScene(encoded)).rejects.toThrow(SceneFormatError);
+    });
+});
+
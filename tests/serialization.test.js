@@ -0,0 +1,165 @@
+/**
+ * @file Save/load tests.
+ * Round-trips simulations through Simulation.toJSON()/fromJSON() and checks
+ * that malformed scenes are rejected with a SceneFormatError.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { SCENE_VERSION, SceneFormatError, validateScene } from '../src/js/core/sceneFormat.js';
+
+/** A small valid scene to mutate in rejection tests. */
+function validScene() {
+    const sim = new Simulation();
+    sim.addBody('star', new Vector3(0, 0, 0));
+    sim.addBody('planet', new Vector3(120, 0, 0), new Vector3(0, 0, -4));
+    return JSON.parse(JSON.stringify(sim));
+}
+
+describe('Simulation serialization', () => {
+    /** @type {Simulation} */
+    let sim;
+
+    beforeEach(() => {
+        sim = new Simulation({ G: 650, softening: 5, substeps: 4, integrator: 'rk4' });
+        sim.createDemoScene();
+        for (let i = 0; i < 30; i++) sim.step(0.016, 2);
+    });
+
+    it('writes the schema version and constants', () => {
+        const scene = sim.toJSON();
+        expect(scene.version).toBe(SCENE_VERSION);
+        expect(scene).toMatchObject({ G: 650, softening: 5, substeps: 4, integrator: 'rk4' });
+        expect(scene.elapsed).toBe(sim.elapsed);
+        expect(scene.bodies).toHaveLength(5);
+    });
+
+    it('round-trips bodies exactly through JSON text', () => {
+        const copy = Simulation.fromJSON(JSON.stringify(sim));
+
+        expect(copy.G).toBe(650);
+        expect(copy.softening).toBe(5);
+        expect(copy.substeps).toBe(4);
+        expect(copy.integrator).toBe('rk4');
+        expect(copy.elapsed).toBe(sim.elapsed);
+        expect(copy.bodies).toHaveLength(sim.bodies.length);
+
+        sim.bodies.forEach((body, i) => {
+            const other = copy.bodies[i];
+            expect(other.type).toBe(body.type);
+            expect(other.mass).toBe(body.mass);
+            expect(other.radius).toBe(body.radius);
+            expect(other.color).toBe(body.color);
+            expect(other.glow).toBe(body.glow);
+            expect(other.trailColor).toBe(body.trailColor);
+            expect(other.pos).toEqual(body.pos);
+            expect(other.vel).toEqual(body.vel);
+        });
+    });
+
+    it('a restored simulation evolves identically', () => {
+        const copy = Simulation.fromJSON(sim.toJSON());
+        for (let i = 0; i < 60; i++) {
+            sim.step(0.016, 2);
+            copy.step(0.016, 2);
+        }
+        sim.bodies.forEach((body, i) => {
+            expect(copy.bodies[i].pos).toEqual(body.pos);
+        });
+    });
+
+    it('omits trails unless asked for', () => {
+        expect(sim.toJSON().bodies[0].trail).toBeUndefined();
+
+        const scene = sim.toJSON({ trails: true });
+        expect(scene.bodies[1].trail).toHaveLength(30);
+        const copy = Simulation.fromJSON(scene);
+        expect(copy.bodies[1].trail).toEqual(sim.bodies[1].trail);
+        expect(Simulation.fromJSON(sim.toJSON()).bodies[1].trail).toHaveLength(0);
+    });
+
+    it('round-trips pinned bodies', () => {
+        sim.updateBody(sim.bodies[0], { pinned: true });
+        const scene = sim.toJSON();
+        expect(scene.bodies[0].pinned).toBe(true);
+        expect(scene.bodies[1].pinned).toBeUndefined();
+        const copy = Simulation.fromJSON(scene);
+        expect(copy.bodies[0].pinned).toBe(true);
+        expect(copy.bodies[1].pinned).toBe(false);
+    });
+
+    it('round-trips the collision model', () => {
+        sim.collisions = 'bounce';
+        sim.restitution = 0.8;
+        const copy = Simulation.fromJSON(JSON.stringify(sim));
+        expect(copy.collisions).toBe('bounce');
+        expect(copy.restitution).toBe(0.8);
+    });
+
+    it('round-trips the boundary policy', () => {
+        sim.boundary = 'reflect';
+        sim.boundaryRadius = 2500;
+        const copy = Simulation.fromJSON(JSON.stringify(sim));
+        expect(copy.boundary).toBe('reflect');
+        expect(copy.boundaryRadius).toBe(2500);
+    });
+
+    it('load replaces an existing simulation in place', () => {
+        const other = new Simulation();
+        other.addBody('moon', new Vector3(1, 2, 3));
+        other.load(sim.toJSON());
+        expect(other.bodies).toHaveLength(5);
+        expect(other.state.count).toBe(5);
+        expect(other.G).toBe(650);
+    });
+
+    it('keeps the current integrator when the scene has none', () => {
+        const scene = sim.toJSON();
+        delete scene.integrator;
+        expect(Simulation.fromJSON(scene, { integrator: 'yoshida' }).integrator).toBe('yoshida');
+    });
+});
+
+describe('scene validation', () => {
+    it('accepts a valid scene', () => {
+        const scene = validScene();
+        expect(validateScene(scene)).toBe(scene);
+    });
+
+    it.each([
+        ['non-JSON text', () => '{ bodies: ', /not valid JSON/],
+        ['a non-object', () => [], /must be an object/],
+        ['a missing version', (s) => { delete s.version; return s; }, /schema version/],
+        ['a future version', (s) => ({ ...s, version: SCENE_VERSION + 1 }), /Unsupported scene version/],
+        ['a non-numeric G', (s) => ({ ...s, G: '800' }), /^G must be a finite number/],
+        ['zero substeps', (s) => ({ ...s, substeps: 0 }), /substeps must be a positive integer/],
+        ['missing bodies', (s) => { delete s.bodies; return s; }, /bodies must be an array/],
+        ['an unknown body type', (s) => { s.bodies[1].type = 'nebula'; return s; }, /bodies\[1\]\.type "nebula"/],
+        ['a negative mass', (s) => { s.bodies[0].mass = -1; return s; }, /bodies\[0\]\.mass must be positive/],
+        ['a short position', (s) => { s.bodies[1].pos = [1, 2]; return s; }, /bodies\[1\]\.pos must be an array of 3/],
+        ['a NaN velocity', (s) => { s.bodies[1].vel[2] = NaN; return s; }, /bodies\[1\]\.vel/],
+        ['a non-boolean pin', (s) => { s.bodies[0].pinned = 1; return s; }, /bodies\[0\]\.pinned must be a boolean/],
+        ['a bad trail point', (s) => { s.bodies[0].trail = [[0, 0, 0], 'x']; return s; }, /bodies\[0\]\.trail\[1\]/],
+        ['an unknown integrator', (s) => ({ ...s, integrator: 'leapfrog' }), /Unknown integrator "leapfrog"/],
+        ['an unknown collision model', (s) => ({ ...s, collisions: 'stick' }), /collisions "stick"/],
+        ['an out-of-range restitution', (s) => ({ ...s, restitution: 1.5 }), /restitution must be between 0 and 1/],
+        ['an unknown boundary policy', (s) => ({ ...s, boundary: 'bounce' }), /boundary "bounce"/],
+        ['a zero boundary radius', (s) => ({ ...s, boundaryRadius: 0 }), /boundaryRadius must be positive/],
+    ])('rejects %s', (_name, mutate, message) => {
+        const sim = new Simulation();
+        sim.createDemoScene();
+        const before = sim.toJSON();
+
+        let error;
+        try {
+            sim.load(mutate(validScene()));
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(SceneFormatError);
+        expect(error.message).toMatch(message);
+
+        /* A rejected load leaves the simulation untouched */
+        expect(sim.toJSON()).toEqual(before);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * @file Step throughput benchmark — immutable-Vector3 core vs typed arrays.
+ * Run with `npm run bench`.
+ *
+ * `legacyStep` is a frozen copy of the pre-structure-of-arrays engine: every
+ * integration pass and every body pair allocates new Vector3s. It is kept
+ * here only as the "before" column; the "after" column is the current
+ * `Simulation.step`.
+ */
+import { bench, describe } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+
+const SIZES = [50, 200, 500];
+const SUBSTEPS = 6;
+const G = 800;
+const SOFT_SQ = 64;
+
+/** Ring of moons on slow circular-ish orbits so nothing merges. */
+function ring(n) {
+    const bodies = [];
+    for (let i = 0; i < n; i++) {
+        const angle = (i / n) * Math.PI * 2;
+        const r = 400 + (i % 7) * 40;
+        bodies.push({
+            pos: new Vector3(Math.cos(angle) * r, 0, Math.sin(angle) * r),
+            vel: new Vector3(-Math.sin(angle) * 20, 0, Math.cos(angle) * 20),
+            acc: Vector3.zero(),
+            mass: 30,
+            radius: 0.1,
+            alive: true,
+        });
+    }
+    return bodies;
+}
+
+/* ── "Before": object-per-operation engine ── */
+
+function legacyAccelerations(bodies) {
+    for (const b of bodies) b.acc = Vector3.zero();
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const a = bodies[i];
+            const b = bodies[j];
+            const dx = b.pos.x - a.pos.x;
+            const dy = b.pos.y - a.pos.y;
+            const dz = b.pos.z - a.pos.z;
+            const distSq = dx * dx + dy * dy + dz * dz + SOFT_SQ;
+            const dist = Math.sqrt(distSq);
+            const force = G * a.mass * b.mass / distSq;
+            const fx = force * dx / dist;
+            const fy = force * dy / dist;
+            const fz = force * dz / dist;
+            a.acc = new Vector3(a.acc.x + fx / a.mass, a.acc.y + fy / a.mass, a.acc.z + fz / a.mass);
+            b.acc = new Vector3(b.acc.x - fx / b.mass, b.acc.y - fy / b.mass, b.acc.z - fz / b.mass);
+        }
+    }
+}
+
+function legacyStep(bodies, dt) {
+    const subDt = dt / SUBSTEPS;
+    for (let s = 0; s < SUBSTEPS; s++) {
+        for (const b of bodies) b.vel = b.vel.add(b.acc.scale(0.5 * subDt));
+        for (const b of bodies) b.pos = b.pos.add(b.vel.scale(subDt));
+        legacyAccelerations(bodies);
+        for (const b of bodies) b.vel = b.vel.add(b.acc.scale(0.5 * subDt));
+    }
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            const a = bodies[i];
+            const b = bodies[j];
+            if (Vector3.dist(a.pos, b.pos) < (a.radius + b.radius) * 0.6) a.alive = false;
+        }
+    }
+}
+
+for (const n of SIZES) {
+    describe(`${n} bodies, ${SUBSTEPS} substeps`, () => {
+        const legacy = ring(n);
+
+        const sim = new Simulation({ substeps: SUBSTEPS });
+        for (const b of ring(n)) {
+            sim.addBody('moon', b.pos, b.vel).radius = b.radius;
+        }
+
+        bench('before: immutable Vector3', () => {
+            legacyStep(legacy, 0.016);
+        }, { time: 300, iterations: 5 });
+
+        bench('after: Float64Array state', () => {
+            sim.step(0.016, 1);
+        }, { time: 300, iterations: 5 });
+    });
+}
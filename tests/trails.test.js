@@ -0,0 +1,198 @@
+/**
+ * @file Trail history tests.
+ * Checks step stamps on trail points, trimming and restoring trails,
+ * trails drawn relative to a reference body, and the speed and
+ * acceleration recorded along a trail.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import {
+    pushTrail, relativeTrail, setTrail, setTrailLength, trailPointAt, trailValues,
+} from '../src/js/core/trails.js';
+import { orbitLaunch } from '../src/js/core/orbitalElements.js';
+
+/** A bare trail owner holding points on the given steps, moving as fast as the step. */
+function owner(ticks, maxTrail = 100) {
+    const body = { trail: [], trailTicks: [], trailSpeeds: [], trailAccelerations: [], maxTrail };
+    for (const tick of ticks) pushTrail(body, new Vector3(tick, 0, 0), tick, tick, -tick);
+    return body;
+}
+
+/** A star with a planet on a circular orbit, and a moon around the planet. */
+function system() {
+    const sim = new Simulation({ softening: 0 });
+    const star = sim.addBody('star', Vector3.zero());
+    const planetPos = new Vector3(250, 0, 0);
+    const planet = sim.addBody('planet', planetPos, orbitLaunch(sim, planetPos, 200).velocity, { mass: 200 });
+    const moonPos = planetPos.add(new Vector3(0, 0, 20));
+    const moon = sim.addBody('moon', moonPos, orbitLaunch(sim, moonPos, 0.5).velocity, { mass: 0.5 });
+    return { sim, star, planet, moon };
+}
+
+function run(sim, steps) {
+    for (let i = 0; i < steps; i++) sim.step(0.02, 1);
+}
+
+describe('trail history', () => {
+    it('stamps each point with the step it was recorded on', () => {
+        const { sim, planet } = system();
+        run(sim, 5);
+        expect(sim.stepCount).toBe(5);
+        expect(planet.trailTicks).toEqual([1, 2, 3, 4, 5]);
+        expect(trailPointAt(planet, 3)).toBe(planet.trail[2]);
+        expect(trailPointAt(planet, 6)).toBeUndefined();
+    });
+
+    it('keeps ticks and points in step when trimming', () => {
+        const body = owner([1, 2, 3, 4, 5], 3);
+        expect(body.trailTicks).toEqual([3, 4, 5]);
+        expect(body.trail.map(p => p.x)).toEqual([3, 4, 5]);
+
+        expect(body.trailSpeeds).toEqual([3, 4, 5]);
+        expect(body.trailAccelerations).toEqual([-3, -4, -5]);
+
+        setTrailLength(body, 2);
+        expect(body.maxTrail).toBe(2);
+        expect(body.trailTicks).toEqual([4, 5]);
+        expect(body.trail.map(p => p.x)).toEqual([4, 5]);
+        expect(body.trailSpeeds).toEqual([4, 5]);
+        expect(body.trailAccelerations).toEqual([-4, -5]);
+    });
+
+    it('finds points on steps with gaps between them', () => {
+        const body = owner([2, 3, 7, 8, 9, 20]);
+        expect(trailPointAt(body, 7).x).toBe(7);
+        expect(trailPointAt(body, 20).x).toBe(20);
+        expect(trailPointAt(body, 2).x).toBe(2);
+        expect(trailPointAt(body, 5)).toBeUndefined();
+        expect(trailPointAt(body, 1)).toBeUndefined();
+        expect(trailPointAt(owner([]), 1)).toBeUndefined();
+    });
+
+    it('restores trails on consecutive steps ending now', () => {
+        const body = owner([], 3);
+        setTrail(body, [1, 2, 3, 4].map(x => new Vector3(x, 0, 0)), 10);
+        expect(body.trailTicks).toEqual([8, 9, 10]);
+        expect(body.trail.map(p => p.x)).toEqual([2, 3, 4]);
+        /* Save files hold no speeds or accelerations */
+        expect(body.trailSpeeds).toEqual([NaN, NaN, NaN]);
+        expect(body.trailAccelerations).toEqual([NaN, NaN, NaN]);
+    });
+
+    it('keeps saved trails aligned with each other', () => {
+        const { sim } = system();
+        run(sim, 4);
+        sim.addBody('asteroid', new Vector3(-300, 0, 0));
+        run(sim, 3);
+
+        const copy = Simulation.fromJSON(JSON.stringify(sim.toJSON({ trails: true })));
+        const [, planet, moon, asteroid] = copy.bodies;
+        expect(moon.trailTicks).toEqual(planet.trailTicks);
+        expect(asteroid.trailTicks).toEqual(planet.trailTicks.slice(-3));
+        expect(trailPointAt(asteroid, copy.stepCount)).toEqual(asteroid.trail.at(-1));
+    });
+
+    it('drops the stamps with the trail when a body wraps round', () => {
+        const sim = new Simulation({ G: 0, boundary: 'wrap', boundaryRadius: 100 });
+        sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const body = sim.addBody('moon', new Vector3(98, 0, 0), new Vector3(60, 0, 0), { mass: 1e-9 });
+        sim.step(0.02, 1);
+        sim.step(0.02, 1);
+        expect(body.trailTicks).toEqual([2]);
+        expect(body.trail).toHaveLength(1);
+    });
+});
+
+describe('relative trails', () => {
+    it('turns a moon\'s path around the star into a loop round its planet', () => {
+        const { sim, planet, moon } = system();
+        run(sim, 300);
+
+        const points = relativeTrail(moon, planet);
+        expect(points).toHaveLength(moon.trail.length);
+        /* Placed around where the planet is now, each at the moon's distance then */
+        const anchor = planet.trail.at(-1);
+        moon.trail.forEach((p, i) => {
+            const dist = Vector3.dist(p, planet.trail[i]);
+            expect(Vector3.dist(points[i], anchor)).toBeCloseTo(dist, 9);
+        });
+        /* The moon drifts far across the world while staying close round the planet */
+        const spread = Math.max(...points.map(p => Vector3.dist(p, anchor)));
+        expect(spread).toBeLessThan(25);
+        expect(Math.max(...moon.trail.map(p => Vector3.dist(p, anchor)))).toBeGreaterThan(100);
+    });
+
+    it('matches points by step when the trails differ in length', () => {
+        const reference = owner([3, 4, 5, 6]);
+        const body = owner([1, 2, 3, 4, 5, 6]);
+        const points = relativeTrail(body, reference);
+        /* Steps 1 and 2 have nothing to measure against */
+        expect(points).toHaveLength(4);
+        expect(points.every(p => p.x === 6)).toBe(true);
+
+        const kept = [];
+        relativeTrail(body, reference, kept);
+        expect(kept).toEqual([2, 3, 4, 5]);
+
+        const late = owner([5, 6]);
+        expect(relativeTrail(late, body).map(p => p.x)).toEqual([6, 6]);
+        expect(relativeTrail(body, owner([]))).toEqual([]);
+    });
+});
+
+describe('recorded speed and acceleration', () => {
+    it('records the body\'s |v| and |a| with each point', () => {
+        const { sim, planet, moon } = system();
+        run(sim, 5);
+        for (const body of [planet, moon]) {
+            expect(body.trailSpeeds).toHaveLength(5);
+            expect(body.trailSpeeds.at(-1)).toBe(body.vel.mag);
+            expect(body.trailAccelerations.at(-1)).toBe(body.acc.mag);
+        }
+        expect(trailValues(moon, 'speed')).toBe(moon.trailSpeeds);
+        expect(trailValues(moon, 'acceleration')).toBe(moon.trailAccelerations);
+    });
+
+    it('records accelerations that match the positions after a merge', () => {
+        const sim = new Simulation({ softening: 0, collisions: 'merge' });
+        sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const moon = sim.addBody('moon', new Vector3(150, 0, 0), Vector3.zero(), { mass: 0.1 });
+        sim.addBody('moon', new Vector3(150, 0, 0.5), Vector3.zero(), { mass: 0.1 });
+        sim.step(0.02, 1);
+
+        expect(sim.bodies).toHaveLength(2);
+        const recorded = moon.trailAccelerations.at(-1);
+        sim.computeAccelerations();
+        expect(recorded).toBe(moon.acc.mag);
+    });
+
+    it('does not depend on the time scale', () => {
+        /* The same orbit run at normal and double speed */
+        const slow = system();
+        const fast = system();
+        run(slow.sim, 200);
+        for (let i = 0; i < 100; i++) fast.sim.step(0.02, 2);
+
+        /* Rates per step would double and quadruple; these differ only by integration error */
+        for (const key of ['trailSpeeds', 'trailAccelerations']) {
+            const a = slow.planet[key].at(-1);
+            const b = fast.planet[key].at(-1);
+            expect(Math.abs(a - b) / a).toBeLessThan(1e-3);
+        }
+    });
+
+    it('is fastest and pulled hardest at periapsis', () => {
+        const sim = new Simulation({ softening: 0 });
+        sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const pos = new Vector3(200, 0, 0);
+        const comet = sim.addBody('comet', pos, orbitLaunch(sim, pos, 0.1).velocity.scale(0.7), { mass: 0.1 });
+        run(sim, 200);
+
+        const nearest = comet.trail.reduce((best, p, i) => (p.mag < comet.trail[best].mag ? i : best), 0);
+        for (const quantity of ['speed', 'acceleration']) {
+            const values = trailValues(comet, quantity);
+            expect(values.indexOf(Math.max(...values))).toBe(nearest);
+        }
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * @file Unit conversion and unit system tests.
+ */
+import { describe, it, expect } from 'vitest';
+import Simulation from '../src/js/core/Simulation.js';
+import Vector3 from '../src/js/core/Vector3.js';
+import { G_SI, UNIT_SYSTEMS, convert, getUnitSystem } from '../src/js/core/units.js';
+import { predictTrajectory } from '../src/js/core/predictor.js';
+import { SIM_EVENTS } from '../src/js/core/events.js';
+import { launchVelocity } from '../src/js/core/placement.js';
+import { ASTRONOMICAL, FRAGMENTATION, INPUT, PHYSICS, PREDICTION } from '../src/js/config.js';
+
+describe('convert', () => {
+    it('converts between units of one dimension', () => {
+        expect(convert(1, 'AU', 'km')).toBeCloseTo(149597870.7, 3);
+        expect(convert(1, 'yr', 'day')).toBe(365.25);
+        expect(convert(1, 'M☉', 'M⊕')).toBeCloseTo(332946.0487, 3);
+        expect(convert(convert(42, 'km', 'AU'), 'AU', 'km')).toBeCloseTo(42, 9);
+    });
+
+    it('converts ratios such as speeds', () => {
+        expect(convert(1, 'AU/day', 'km/s')).toBeCloseTo(1731.46, 2);
+        expect(convert(1, 'km/s', 'm/s')).toBe(1000);
+    });
+
+    it('rejects unknown units and mismatched dimensions', () => {
+        expect(() => convert(1, 'furlong', 'm')).toThrow(/Unknown unit "furlong"/);
+        expect(() => convert(1, 'km', 'kg')).toThrow(/Cannot convert km \(length\) to kg \(mass\)/);
+        expect(() => convert(1, 'km/s', 'km')).toThrow(/length\/time/);
+        expect(() => convert(1, 'm/s/s', 'm')).toThrow(/Unsupported unit/);
+    });
+});
+
+describe('unit systems', () => {
+    it('uses the Gaussian constant for G in AU, solar masses and days', () => {
+        const { G } = UNIT_SYSTEMS.astronomical;
+        const fromSI = G_SI * convert(1, 'M☉', 'kg') * convert(1, 'day', 's') ** 2 / convert(1, 'AU', 'm') ** 3;
+        expect(Math.abs(G / fromSI - 1)).toBeLessThan(1e-4);
+        expect(UNIT_SYSTEMS.astronomical.speedOfLight).toBeCloseTo(173.1446, 3);
+    });
+
+    it('keeps the original constants in game units', () => {
+        expect(UNIT_SYSTEMS.game.G).toBe(PHYSICS.G);
+        expect(UNIT_SYSTEMS.game.presetMass).toBe(1);
+        expect(UNIT_SYSTEMS.game.minImpactSpeed).toBe(FRAGMENTATION.MIN_IMPACT_SPEED);
+        expect(UNIT_SYSTEMS.game.minFragmentMass).toBe(FRAGMENTATION.MIN_FRAGMENT_MASS);
+        expect(UNIT_SYSTEMS.game.predictionDuration).toBe(PREDICTION.DURATION);
+        expect(UNIT_SYSTEMS.game.dragVelocityScale).toBe(INPUT.DRAG_VELOCITY_SCALE);
+        expect(UNIT_SYSTEMS.game.maxLaunchSpeed).toBe(INPUT.MAX_LAUNCH_SPEED);
+        expect(() => getUnitSystem('imperial')).toThrow(/Unknown unit system "imperial" \(known: game, astronomical\)/);
+    });
+});
+
+describe('Simulation units', () => {
+    it('takes G and softening from its unit system unless given', () => {
+        const game = new Simulation();
+        expect(game.units).toBe('game');
+        expect(game.G).toBe(PHYSICS.G);
+
+        const astro = new Simulation({ units: 'astronomical' });
+        expect(astro.G).toBe(UNIT_SYSTEMS.astronomical.G);
+        expect(astro.softening).toBe(UNIT_SYSTEMS.astronomical.softening);
+        expect(new Simulation({ units: 'astronomical', G: 1 }).G).toBe(1);
+        expect(() => new Simulation({ units: 'imperial' })).toThrow(/Unknown unit system/);
+    });
+
+    it('scales body-type presets into its units', () => {
+        const sim = new Simulation({ units: 'astronomical' });
+        const star = sim.addBody('star', Vector3.zero());
+        expect(star.mass).toBeCloseTo(1, 12);
+        expect(convert(star.radius, 'AU', 'km')).toBeCloseTo(695700, 3);
+        expect(sim.addBody('planet', new Vector3(1, 0, 0), Vector3.zero(), { mass: 3e-6 }).mass).toBe(3e-6);
+    });
+
+    it('sizes black holes with the real speed of light', () => {
+        const sim = new Simulation({ units: 'astronomical' });
+        const hole = sim.addBody('black-hole', Vector3.zero(), Vector3.zero(), { mass: 10 });
+        /* ≈ 2.95 km per solar mass */
+        expect(convert(hole.radius, 'AU', 'km')).toBeCloseTo(29.5, 1);
+    });
+
+    it('breaks planets up in fragment-mode impacts', () => {
+        const sim = new Simulation({ units: 'astronomical', collisions: 'fragment' });
+        const earthRadius = convert(6371, 'km', 'AU');
+        sim.addBody('planet', Vector3.zero(), Vector3.zero(), { mass: 3e-6, radius: earthRadius });
+        /* A Mars-sized impactor arriving at 10 km/s */
+        const speed = convert(10, 'km/s', 'AU/day');
+        sim.addBody('planet', new Vector3(3 * earthRadius, 0, 0), new Vector3(-speed, 0, 0),
+            { mass: 3e-7, radius: earthRadius / 2 });
+
+        const collisions = [];
+        sim.on(SIM_EVENTS.COLLISION, e => collisions.push(e));
+        sim.step(0.05, 1);
+        expect(collisions).toHaveLength(1);
+        expect(sim.bodies.length).toBeGreaterThan(2);
+        const total = sim.bodies.reduce((m, b) => m + b.mass, 0);
+        expect(total).toBeCloseTo(3.3e-6, 15);
+    });
+
+    it('launches drags at planetary speeds', () => {
+        const units = UNIT_SYSTEMS.astronomical;
+        const start = new Vector3(1, 0, 0);
+        const oneAU = launchVelocity(start, new Vector3(1, 0, 1), undefined, { units });
+        expect(convert(oneAU.mag, 'AU/day', 'km/s')).toBeCloseTo(ASTRONOMICAL.DRAG_VELOCITY_SCALE, 9);
+
+        const far = launchVelocity(start, new Vector3(1, 0, 1000), undefined, { units });
+        expect(convert(far.mag, 'AU/day', 'km/s')).toBeCloseTo(ASTRONOMICAL.MAX_LAUNCH_SPEED, 9);
+    });
+
+    it('previews launches over a year', () => {
+        const sim = new Simulation({ units: 'astronomical' });
+        sim.addBody('star', Vector3.zero(), Vector3.zero(), { pinned: true });
+        const v = Math.sqrt(sim.G);
+        const { points, collided } = predictTrajectory(sim, {
+            type: 'planet', pos: new Vector3(1, 0, 0), vel: new Vector3(0, 0, -v),
+        });
+        expect(collided).toBe(false);
+        /* Once round a circular 1 AU orbit, back near the start */
+        expect(Vector3.dist(points.at(-1), points[0])).toBeLessThan(0.05);
+        expect(Math.max(...points.map(p => Vector3.dist(p, points[0])))).toBeCloseTo(2, 2);
+    });
+
+    it('saves and restores its units', () => {
+        const sim = new Simulation({ units: 'astronomical' });
+        sim.addBody('star', Vector3.zero());
+        const copy = Simulation.fromJSON(JSON.stringify(sim));
+        expect(copy.units).toBe('astronomical');
+        expect(copy.G).toBe(sim.G);
+        expect(copy.bodies[0].mass).toBe(sim.bodies[0].mass);
+    });
+
+    it('reads scenes without units as game units', () => {
+        const scene = new Simulation().toJSON();
+        delete scene.units;
+        const sim = new Simulation({ units: 'astronomical' });
+        sim.load(scene);
+        expect(sim.units).toBe('game');
+        expect(() => sim.load({ ...scene, units: 'imperial' })).toThrow(/units "imperial" is not a known unit system/);
+    });
+});
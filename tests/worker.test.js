@@ -0,0 +1,397 @@
+/**
+ * @file Physics worker protocol tests.
+ * Drives PhysicsHost and the worker entry module directly in Node, and
+ * round-trips commands and snapshots through PhysicsClient.
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import PhysicsHost from '../src/js/worker/PhysicsHost.js';
+import PhysicsClient, { CLIENT_EVENTS } from '../src/js/worker/PhysicsClient.js';
+import { MSG, SNAPSHOT_STRIDE } from '../src/js/worker/protocol.js';
+import { PHYSICS } from '../src/js/config.js';
+
+/** Collects everything the host posts. */
+function createHost(options) {
+    const posted = [];
+    const host = new PhysicsHost((msg, transfer) => posted.push({ msg, transfer }), options);
+    return { host, posted, last: () => posted[posted.length - 1].msg };
+}
+
+/**
+ * In-memory stand-in for a Worker: the client's postMessage feeds the host
+ * and the host's posts are dispatched back to the client's listeners.
+ */
+function connect(clock) {
+    const listeners = [];
+    const host = new PhysicsHost((msg) => {
+        for (const fn of listeners) fn({ data: msg });
+    });
+    const worker = {
+        postMessage: (msg) => host.handleMessage(msg),
+        addEventListener: (_type, fn) => listeners.push(fn),
+    };
+    const client = new PhysicsClient(worker, { now: () => clock.t });
+    return { host, client };
+}
+
+describe('PhysicsHost', () => {
+    it('adds bodies and reports them in the next snapshot', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'star', pos: [0, 0, 0], vel: [0, 0, 0] });
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'moon', pos: [100, 0, 0], vel: [0, 0, 5] });
+        host.handleMessage({ type: MSG.SNAPSHOT });
+
+        const snap = last();
+        expect(snap.type).toBe(MSG.SNAPSHOT);
+        expect(snap.ids).toBeInstanceOf(Uint32Array);
+        expect(snap.state).toBeInstanceOf(Float64Array);
+        expect(snap.ids).toHaveLength(2);
+        expect(snap.state).toHaveLength(2 * SNAPSHOT_STRIDE);
+        expect(snap.state[SNAPSHOT_STRIDE]).toBe(100);
+        expect(snap.state[SNAPSHOT_STRIDE + 5]).toBe(5);
+        expect(snap.meta.map(m => m.type)).toEqual(['star', 'moon']);
+    });
+
+    it('sends snapshot buffers as transferables', () => {
+        const { host, posted } = createHost();
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'planet', pos: [1, 2, 3], vel: [0, 0, 0] });
+        host.tick(0.016);
+        const { msg, transfer } = posted[0];
+        expect(transfer).toContain(msg.ids.buffer);
+        expect(transfer).toContain(msg.state.buffer);
+    });
+
+    it('only sends body metadata once per body', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'planet', pos: [0, 0, 0], vel: [0, 0, 0] });
+        host.tick(0.016);
+        expect(last().meta).toHaveLength(1);
+        host.tick(0.016);
+        expect(last().meta).toHaveLength(0);
+    });
+
+    it('applies G, substeps, timeScale and integrator', () => {
+        const { host } = createHost();
+        host.handleMessage({ type: MSG.SET, G: 1200, substeps: 3, timeScale: 4, integrator: 'rk4' });
+        expect(host.sim.G).toBe(1200);
+        expect(host.sim.substeps).toBe(3);
+        expect(host.timeScale).toBe(4);
+        expect(host.sim.integrator).toBe('rk4');
+    });
+
+    it('applies the collision model and restitution', () => {
+        const { host } = createHost();
+        host.handleMessage({ type: MSG.SET, collisions: 'bounce', restitution: 0.25 });
+        expect(host.sim.collisions).toBe('bounce');
+        expect(host.sim.restitution).toBe(0.25);
+    });
+
+    it('applies softening, solver and theta', () => {
+        const { host } = createHost();
+        host.handleMessage({ type: MSG.SET, softening: 2, solver: 'barnes-hut', theta: 0.8 });
+        expect(host.sim.softening).toBe(2);
+        expect(host.sim.solver).toBe('barnes-hut');
+        expect(host.sim.theta).toBe(0.8);
+    });
+
+    it('reports rejected commands instead of throwing them', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'moon', pos: [0, 0, 0], vel: [0, 0, 0] });
+        const id = host.sim.bodies[0].id;
+
+        host.handleMessage({ type: MSG.UPDATE_BODY, id, changes: { mass: -5 } });
+        expect(last()).toMatchObject({ type: MSG.ERROR, command: MSG.UPDATE_BODY });
+        expect(last().message).toMatch(/Invalid mass -5/);
+        expect(host.sim.bodies[0].mass).toBeGreaterThan(0);
+
+        host.handleMessage({ type: MSG.SET, integrator: 'magic' });
+        expect(last().message).toMatch(/Unknown integrator "magic"/);
+        expect(last().settings.integrator).toBe(host.sim.integrator);
+
+        host.handleMessage({ type: MSG.LOAD, scene: { version: 1 } });
+        expect(last().command).toBe(MSG.LOAD);
+        expect(host.sim.bodies).toHaveLength(1);
+    });
+
+    it('loads a saved scene', () => {
+        const { host, last } = createHost();
+        const saved = new PhysicsHost(() => {});
+        saved.handleMessage({ type: MSG.DEMO_SCENE });
+        saved.handleMessage({ type: MSG.SET, G: 640 });
+
+        host.handleMessage({ type: MSG.LOAD, scene: saved.sim.toJSON() });
+        host.handleMessage({ type: MSG.SNAPSHOT });
+        expect(host.sim.G).toBe(640);
+        expect(last().ids).toHaveLength(5);
+    });
+
+    it('edits and removes bodies by id', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.DEMO_SCENE });
+        const [star, planet] = host.sim.bodies;
+
+        host.handleMessage({ type: MSG.UPDATE_BODY, id: star.id, changes: { pinned: true, color: '#102030' } });
+        host.handleMessage({ type: MSG.UPDATE_BODY, id: planet.id, changes: { vel: [1, 2, 3] }, preserveMomentum: false });
+        expect(star.pinned).toBe(true);
+        expect(planet.vel.z).toBe(3);
+
+        host.handleMessage({ type: MSG.SNAPSHOT });
+        host.handleMessage({ type: MSG.UPDATE_BODY, id: star.id, changes: { color: '#405060' } });
+        host.handleMessage({ type: MSG.REMOVE_BODY, id: planet.id });
+        host.handleMessage({ type: MSG.SNAPSHOT });
+        expect(last().ids).toHaveLength(4);
+        expect(last().meta).toEqual([expect.objectContaining({ id: star.id, color: '#405060', pinned: true })]);
+    });
+
+    it('clears bodies and resets time', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.DEMO_SCENE });
+        host.tick(0.016);
+        host.handleMessage({ type: MSG.CLEAR });
+        host.handleMessage({ type: MSG.SNAPSHOT });
+        expect(last().ids).toHaveLength(0);
+        expect(last().elapsed).toBe(0);
+    });
+
+    it('stops posting while paused until a command arrives', () => {
+        const { host, posted } = createHost();
+        host.handleMessage({ type: MSG.PAUSE, paused: true });
+        host.tick(0.016);
+        const count = posted.length;
+        host.tick(0.016);
+        host.tick(0.016);
+        expect(posted).toHaveLength(count);
+
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'moon', pos: [0, 0, 0], vel: [0, 0, 0] });
+        host.tick(0.016);
+        expect(posted).toHaveLength(count + 1);
+        expect(posted[count].msg.paused).toBe(true);
+    });
+
+    it('applies the boundary policy and reports unbound bodies', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.SET, boundary: 'wrap', boundaryRadius: 2000 });
+        expect(host.sim.boundary).toBe('wrap');
+        expect(host.sim.boundaryRadius).toBe(2000);
+
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'star', pos: [0, 0, 0], vel: [0, 0, 0] });
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'moon', pos: [200, 0, 0], vel: [0, 0, 500] });
+        host.tick(0.016);
+        expect(last().unbound).toEqual([host.sim.bodies[1].id]);
+    });
+
+    it('forwards only the events it was asked for', () => {
+        const { host, last } = createHost();
+        host.handleMessage({ type: MSG.EVENTS, types: ['merge'] });
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'planet', pos: [-5, 0, 0], vel: [200, 0, 0] });
+        host.handleMessage({ type: MSG.ADD_BODY, bodyType: 'planet', pos: [5, 0, 0], vel: [-200, 0, 0] });
+        const [a, b] = host.sim.bodies.map(body => body.id);
+        host.tick(0.016);
+
+        expect(last().events).toEqual([{ type: 'merge', payload: { survivor: a, absorbed: b } }]);
+        host.tick(0.016);
+        expect(last().events).toEqual([]);
+
+        host.handleMessage({ type: MSG.EVENTS, types: [] });
+        expect(host.sim.hasListeners('merge')).toBe(false);
+    });
+
+    it('rejects unknown message types', () => {
+        const { host } = createHost();
+        expect(() => host.handleMessage({ type: 'warp' })).toThrow(/unknown message type/);
+    });
+});
+
+describe('PhysicsClient', () => {
+    let clock;
+
+    beforeEach(() => {
+        clock = { t: 0 };
+    });
+
+    it('mirrors worker bodies after a snapshot', () => {
+        const { host, client } = connect(clock);
+        client.createDemoScene();
+        expect(client.bodies).toHaveLength(0);
+
+        host.tick(0.016);
+        expect(client.bodies).toHaveLength(5);
+        expect(client.bodies[0].type).toBe('star');
+        expect(client.elapsed).toBeGreaterThan(0);
+    });
+
+    it('forwards setters to the host', () => {
+        const { host, client } = connect(clock);
+        client.G = 500;
+        client.substeps = 2;
+        client.setTimeScale(3);
+        client.paused = true;
+        client.collisions = 'fragment';
+        expect(host.sim.G).toBe(500);
+        expect(host.sim.collisions).toBe('fragment');
+        expect(host.sim.substeps).toBe(2);
+        expect(host.timeScale).toBe(3);
+        expect(host.sim.paused).toBe(true);
+    });
+
+    it('validates scenes before sending them to the worker', () => {
+        const { host, client } = connect(clock);
+        expect(() => client.load({ version: 1 })).toThrow(/G must be a finite number/);
+        expect(host.sim.bodies).toHaveLength(0);
+
+        const saved = new PhysicsHost(() => {});
+        saved.handleMessage({ type: MSG.DEMO_SCENE });
+        client.load(JSON.stringify(saved.sim.toJSON()));
+        host.tick(0.016);
+        expect(client.bodies).toHaveLength(5);
+    });
+
+    it('forwards softening, solver and theta', () => {
+        const { host, client } = connect(clock);
+        client.softening = 3;
+        client.solver = 'barnes-hut';
+        client.theta = 0.7;
+        expect([host.sim.softening, host.sim.solver, host.sim.theta]).toEqual([3, 'barnes-hut', 0.7]);
+        expect([client.softening, client.solver, client.theta]).toEqual([3, 'barnes-hut', 0.7]);
+    });
+
+    it('reports edits the worker rejects and takes back their settings', () => {
+        const { host, client } = connect(clock);
+        const errors = [];
+        client.on(CLIENT_EVENTS.ERROR, e => errors.push(e));
+        client.addBody('moon', { x: 0, y: 0, z: 0 });
+        host.tick(0.016);
+
+        client.updateBody(client.bodies[0], { radius: 0 });
+        client.collisions = 'explode';
+        expect(errors.map(e => e.command)).toEqual([MSG.UPDATE_BODY, MSG.SET]);
+        expect(errors[0].message).toMatch(/Invalid radius 0/);
+        expect(errors[1].message).toMatch(/Unknown collision model "explode"/);
+        expect(client.collisions).toBe(host.sim.collisions);
+    });
+
+    it('takes its unit system and softening from loaded scenes', () => {
+        const { host, client } = connect(clock);
+        expect(client.units).toBe('game');
+        expect(client.softening).toBe(PHYSICS.SOFTENING);
+
+        const astro = new PhysicsHost(() => {}, { units: 'astronomical' });
+        client.load(astro.sim.toJSON());
+        expect(client.units).toBe('astronomical');
+        expect(client.softening).toBe(astro.sim.softening);
+        expect(client.unitSystem.symbols.length).toBe('AU');
+        expect(host.sim.units).toBe('astronomical');
+    });
+
+    it('keeps the previous position for interpolation', () => {
+        const { host, client } = connect(clock);
+        client.addBody('moon', { x: 0, y: 0, z: 0 }, { x: 100, y: 0, z: 0 });
+        clock.t = 16;
+        host.tick(0.016);
+        const body = client.bodies[0];
+        const first = body.pos;
+
+        clock.t = 32;
+        host.tick(0.016);
+        expect(body.prevPos).toBe(first);
+        expect(body.pos.x).toBeGreaterThan(first.x);
+
+        clock.t = 40;
+        const alpha = client.interpolation();
+        expect(alpha).toBeGreaterThan(0);
+        expect(alpha).toBeLessThan(1);
+    });
+
+    it('records the worker\'s speed and acceleration with each trail point', () => {
+        const { host, client } = connect(clock);
+        client.addBody('star', { x: 0, y: 0, z: 0 });
+        client.addBody('moon', { x: 100, y: 0, z: 0 }, { x: 0, y: 0, z: 30 });
+        host.tick(0.016);
+        host.tick(0.016);
+
+        const moon = client.bodies[1];
+        const hostMoon = host.sim.bodies[1];
+        expect(moon.trail).toHaveLength(2);
+        expect(moon.trailSpeeds.at(-1)).toBe(hostMoon.vel.mag);
+        expect(moon.trailAccelerations.at(-1)).toBe(hostMoon.acc.mag);
+        expect(moon.trailAccelerations.at(-1)).toBeGreaterThan(0);
+    });
+
+    it('drops bodies that disappear from snapshots', () => {
+        const { host, client } = connect(clock);
+        client.addBody('star', { x: 0, y: 0, z: 0 });
+        client.addBody('planet', { x: 5, y: 0, z: 0 });
+        host.handleMessage({ type: MSG.SNAPSHOT });
+        const [, planet] = client.bodies;
+
+        host.tick(0.016);
+        expect(client.bodies).toHaveLength(1);
+        expect(planet.alive).toBe(false);
+    });
+
+    it('mirrors bound status and boundary settings', () => {
+        const { host, client } = connect(clock);
+        client.boundary = 'delete';
+        client.boundaryRadius = 1500;
+        expect(host.sim.boundary).toBe('delete');
+        expect(host.sim.boundaryRadius).toBe(1500);
+
+        client.addBody('star', { x: 0, y: 0, z: 0 });
+        client.addBody('moon', { x: 200, y: 0, z: 0 }, { x: 0, y: 0, z: 500 });
+        host.tick(0.016);
+        expect(client.bodies.map(b => b.bound)).toEqual([true, false]);
+    });
+
+    it('re-emits simulation events with mirrored bodies', () => {
+        const { host, client } = connect(clock);
+        client.addBody('planet', { x: -5, y: 0, z: 0 }, { x: 200, y: 0, z: 0 });
+        client.addBody('planet', { x: 5, y: 0, z: 0 }, { x: -200, y: 0, z: 0 });
+        host.handleMessage({ type: MSG.SNAPSHOT });
+        const [a, b] = client.bodies;
+
+        const collisions = [];
+        const merges = [];
+        client.on('collision', e => collisions.push(e));
+        const unsubscribe = client.on('merge', e => merges.push(e));
+        expect(host.sim.hasListeners('merge')).toBe(true);
+        expect(host.sim.hasListeners('escape')).toBe(false);
+
+        host.tick(0.016);
+        expect(merges).toEqual([{ survivor: a, absorbed: b }]);
+        expect(b.alive).toBe(false);
+        expect(collisions[0]).toMatchObject({ a, b, model: 'merge' });
+        expect(collisions[0].point.x).toBeCloseTo(host.sim.bodies[0].pos.x, -1);
+
+        unsubscribe();
+        expect(host.sim.hasListeners('merge')).toBe(false);
+    });
+});
+
+describe('physics.worker entry module', () => {
+    let posted;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.resetModules();
+        posted = [];
+        const target = new EventTarget();
+        globalThis.self = Object.assign(target, {
+            postMessage: (msg) => posted.push(msg),
+        });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        delete globalThis.self;
+    });
+
+    it('ticks on its own timer and answers commands', async () => {
+        await import('../src/js/worker/physics.worker.js');
+
+        const send = (data) => self.dispatchEvent(new MessageEvent('message', { data }));
+        send({ type: MSG.ADD_BODY, bodyType: 'planet', pos: [10, 0, 0], vel: [0, 0, 0] });
+
+        vi.advanceTimersByTime(100);
+        expect(posted.length).toBeGreaterThan(0);
+        expect(posted[posted.length - 1].ids).toHaveLength(1);
+    });
+});